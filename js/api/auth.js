@@ -5,10 +5,19 @@
  */
 
 import { buildApiUrl, API_CONFIG } from '../config/api.js';
-import { STORAGE_KEYS, ERROR_CODES, EVENTS } from '../config/constants.js';
+import { STORAGE_KEYS, EVENTS } from '../config/constants.js';
 import { EventBus } from '../core/eventBusNew.js';  // ✅ FIXED: Changed from default to named import
 import store, { actions } from '../core/state.js';
-import apiClient from './client.js';
+import storage from '../utils/storage.js';
+import { apiClient } from './client.js';
+
+// Tokens and the signed-in user are kept in one AES-GCM encrypted entry
+const AUTH_SESSION_KEY = 'auth-session';
+const AUTH_STORAGE_OPTIONS = { defaultTTL: 0, enableEncryption: true };
+
+// Plaintext keys written by earlier builds. Before AUTH_TOKEN and REFRESH_TOKEN
+// were defined in STORAGE_KEYS every write landed under "undefined".
+const LEGACY_TOKEN_KEYS = [STORAGE_KEYS.AUTH_TOKEN, STORAGE_KEYS.REFRESH_TOKEN, 'undefined'];
 
 /* ===================================
    Authentication Manager Class
@@ -57,8 +66,8 @@ export class AuthManager {
    * Initialize authentication manager
    */
   init() {
-    // Load stored authentication data
-    this.loadStoredAuth();
+    // Resolves once the stored session is decrypted and restored
+    this.ready = this.loadStoredAuth();
     
     // Setup automatic token refresh
     if (this.autoRefresh) {
@@ -221,6 +230,7 @@ export class AuthManager {
         response.refresh_token || this.refreshToken,
         response.expires_in
       );
+      this.saveAuthToStorage();
       
       // Update user data if provided
       if (response.user) {
@@ -653,6 +663,13 @@ export class AuthManager {
     if (this.accessToken) {
       apiClient.setToken(this.accessToken, this.refreshToken);
     }
+    
+    // Let the client's auth interceptor refresh through us on 401, so expiry and storage stay in sync
+    apiClient.setTokenRefresher(async () => {
+      if (!this.refreshToken) return false;
+      await this.refreshTokens();
+      return true;
+    });
   }
 
   /**
@@ -685,53 +702,89 @@ export class AuthManager {
   }
 
   /**
-   * Load stored authentication data
+   * Load stored authentication data, migrating plaintext tokens from earlier builds
    */
-  loadStoredAuth() {
+  async loadStoredAuth() {
     if (typeof window === 'undefined' || !window.localStorage) return;
     
+    let session;
     try {
-      const token = localStorage.getItem(STORAGE_KEYS.AUTH_TOKEN);
-      const refreshToken = localStorage.getItem(STORAGE_KEYS.REFRESH_TOKEN);
+      session = await storage.local.getAsync(AUTH_SESSION_KEY, null, AUTH_STORAGE_OPTIONS);
+    } catch (error) {
+      // E.g. a rotated or locked key: the tokens are unusable, so start signed out
+      console.warn('🔐 Stored authentication could not be decrypted:', error.message);
+      await this.logout({ skipServerNotification: true, reason: 'decryption_failed' });
+      return;
+    }
+    
+    if (!session) {
+      session = await this.migratePlaintextAuth();
+    }
+    
+    if (!session || !session.accessToken || !session.user) return;
+    
+    this.accessToken = session.accessToken;
+    this.refreshToken = session.refreshToken || null;
+    this.tokenExpiresAt = session.tokenExpiresAt || null;
+    this.currentUser = session.user;
+    
+    // Update API client
+    apiClient.setToken(this.accessToken, this.refreshToken);
+    
+    // Update store
+    store.dispatch(actions.setUserAuthenticated(true, this.currentUser, this.accessToken));
+    
+    if (this.autoRefresh) {
+      this.scheduleTokenRefresh();
+    }
+    
+    console.log('🔐 Restored authentication from storage');
+  }
+
+  /**
+   * Move tokens left in plaintext by earlier builds into the encrypted entry
+   * @returns {Promise<Object|null>} Migrated session, if there was one
+   */
+  async migratePlaintextAuth() {
+    let session = null;
+    
+    try {
+      const accessToken = localStorage.getItem(STORAGE_KEYS.AUTH_TOKEN);
       const user = localStorage.getItem(STORAGE_KEYS.USER_PROFILE);
       
-      if (token && user) {
-        this.accessToken = token;
-        this.refreshToken = refreshToken;
-        this.currentUser = JSON.parse(user);
-        
-        // Update API client
-        apiClient.setToken(token, refreshToken);
-        
-        // Update store
-        store.dispatch(actions.setUserAuthenticated(true, this.currentUser, token));
-        
-        console.log('🔐 Restored authentication from storage');
+      if (accessToken && user) {
+        session = {
+          accessToken,
+          refreshToken: localStorage.getItem(STORAGE_KEYS.REFRESH_TOKEN),
+          tokenExpiresAt: null, // Earlier builds never stored the expiry
+          user: JSON.parse(user)
+        };
+        await storage.local.setAsync(AUTH_SESSION_KEY, session, AUTH_STORAGE_OPTIONS);
+        console.log('🔐 Migrated stored authentication to encrypted storage');
       }
     } catch (error) {
-      console.warn('Failed to load stored auth:', error);
-      this.clearAuthFromStorage();
+      console.warn('Failed to migrate stored auth:', error);
     }
+    
+    // Never leave plaintext tokens behind, migrated or not
+    this.removePlaintextAuth();
+    return session;
   }
 
   /**
-   * Save authentication data to storage
+   * Save authentication data to encrypted storage
    */
-  saveAuthToStorage() {
+  async saveAuthToStorage() {
     if (typeof window === 'undefined' || !window.localStorage) return;
+    if (!this.accessToken) return;
     
     try {
-      if (this.accessToken) {
-        localStorage.setItem(STORAGE_KEYS.AUTH_TOKEN, this.accessToken);
-      }
-      
-      if (this.refreshToken) {
-        localStorage.setItem(STORAGE_KEYS.REFRESH_TOKEN, this.refreshToken);
-      }
-      
-      if (this.currentUser) {
-        localStorage.setItem(STORAGE_KEYS.USER_PROFILE, JSON.stringify(this.currentUser));
-      }
+      await storage.local.setAsync(AUTH_SESSION_KEY, {
+        accessToken: this.accessToken,
+        refreshToken: this.refreshToken,
+        tokenExpiresAt: this.tokenExpiresAt,
+        user: this.currentUser
+      }, AUTH_STORAGE_OPTIONS);
     } catch (error) {
       console.warn('Failed to save auth to storage:', error);
     }
@@ -744,12 +797,22 @@ export class AuthManager {
     if (typeof window === 'undefined' || !window.localStorage) return;
     
     try {
-      localStorage.removeItem(STORAGE_KEYS.AUTH_TOKEN);
-      localStorage.removeItem(STORAGE_KEYS.REFRESH_TOKEN);
-      localStorage.removeItem(STORAGE_KEYS.USER_PROFILE);
+      storage.local.delete(AUTH_SESSION_KEY);
     } catch (error) {
       console.warn('Failed to clear auth from storage:', error);
     }
+    this.removePlaintextAuth();
+  }
+
+  /**
+   * Remove plaintext token keys written by earlier builds
+   */
+  removePlaintextAuth() {
+    try {
+      LEGACY_TOKEN_KEYS.forEach(key => localStorage.removeItem(key));
+    } catch (error) {
+      console.warn('Failed to remove plaintext auth:', error);
+    }
   }
 }
 
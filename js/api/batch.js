@@ -0,0 +1,612 @@
+/**
+ * FILE: js/api/batch.js
+ * Batch Clustering Jobs
+ * NCS-API Website - Submit parameter sweeps to /cluster/batch, track every job and compare the results
+ *
+ * Protocol:
+ *   POST   /cluster/batch          { jobs: [{ data, algorithm, parameters }] } -> batch status
+ *   GET    /cluster/batch/:id      -> { batchId, status, progress, counts, jobs: [job status] }
+ *   DELETE /cluster/batch/:id      cancel the unfinished jobs
+ *   GET    /cluster/:jobId/results once a job has completed
+ *
+ * Jobs are followed over the client's WebSocket (subscribeToJob) and the batches are polled
+ * whenever the socket is unavailable. Failed jobs are resubmitted as a new batch, so one sweep
+ * may span several server batches.
+ */
+
+import { API_CONFIG } from '../config/api.js';
+import { downloadManager } from '../utils/download.js';
+import { apiClient } from './client.js';
+
+export const BATCH_JOB_STATES = {
+  PENDING: 'pending', // Not submitted yet, or waiting to be retried
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINAL_STATES = [BATCH_JOB_STATES.COMPLETED, BATCH_JOB_STATES.FAILED, BATCH_JOB_STATES.CANCELLED];
+
+/* ===================================
+   Helpers
+   =================================== */
+
+/**
+ * Every combination of the grid values; scalar values are kept fixed
+ * @example expandGrid({ k: [2, 3], maxIterations: 100 })
+ *   -> [{ k: 2, maxIterations: 100 }, { k: 3, maxIterations: 100 }]
+ */
+export function expandGrid(grid = {}) {
+  return Object.entries(grid).reduce(
+    (combinations, [key, values]) => (Array.isArray(values) ? values : [values])
+      .flatMap(value => combinations.map(parameters => ({ ...parameters, [key]: value }))),
+    [{}]
+  );
+}
+
+export function formatParameters(parameters = {}) {
+  return Object.entries(parameters).map(([key, value]) => `${key}=${value}`).join(' ');
+}
+
+/**
+ * Job specs for one algorithm run over every dataset with every grid combination
+ * @param {Array<Object>} datasets - { name, data }
+ * @param {string} algorithm - Algorithm name
+ * @param {Object} grid - Parameter name -> value or array of values
+ * @returns {Array<Object>} Specs for BatchJobManager.submit()
+ */
+export function buildParameterSweep(datasets, algorithm, grid = {}) {
+  const combinations = expandGrid(grid);
+
+  return datasets.flatMap(dataset => combinations.map(parameters => ({
+    name: [dataset.name, algorithm, formatParameters(parameters)].filter(Boolean).join(' '),
+    dataset: dataset.name,
+    data: dataset.data,
+    algorithm,
+    parameters
+  })));
+}
+
+/**
+ * Flat metrics of a clustering result, for comparison tables
+ */
+export function summarizeResult(result = {}) {
+  const metrics = result.metrics || {};
+
+  return {
+    numClusters: result.numClusters ?? result.clusters?.length ?? null,
+    noise: result.noise ?? null,
+    silhouetteScore: metrics.silhouetteScore ?? metrics.silhouette_score ?? null,
+    daviesBouldinIndex: metrics.daviesBouldinIndex ?? metrics.davies_bouldin_index ?? null,
+    calinskiHarabaszIndex: metrics.calinskiHarabaszIndex ?? metrics.calinski_harabasz_index ?? null,
+    inertia: metrics.inertia ?? null,
+    iterations: result.iterations ?? null,
+    converged: result.converged ?? null,
+    executionTime: result.executionTime ?? null
+  };
+}
+
+function isFinal(job) {
+  return FINAL_STATES.includes(job.status);
+}
+
+/* ===================================
+   Batch Job Manager
+   =================================== */
+
+export class BatchJobManager {
+  /**
+   * @param {Object} options - Manager options
+   * @param {NCSApiClient} options.client - API client to send through
+   * @param {boolean} options.realTime - Follow jobs over the WebSocket when it connects
+   * @param {number} options.pollInterval - Milliseconds between status polls without a WebSocket
+   * @param {number} options.maxRetries - Automatic resubmissions of a failed job
+   * @param {number} options.retryDelay - Milliseconds to wait before resubmitting failed jobs
+   */
+  constructor(options = {}) {
+    this.options = {
+      client: apiClient,
+      realTime: true,
+      pollInterval: API_CONFIG.batch.pollInterval,
+      maxRetries: API_CONFIG.batch.maxRetries,
+      retryDelay: API_CONFIG.batch.retryDelay,
+      ...options
+    };
+
+    this.jobs = [];
+    this.jobsByServerId = new Map();
+    this.activeBatches = new Set();
+    this.retryQueue = [];
+    this.retryTimer = null;
+    this.pollTimer = null;
+    this.polling = false;
+    this.socket = null;
+    this.running = false;
+    this.nextId = 1;
+    this.eventHandlers = new Map();
+
+    this.handleProgress = data => this.applyStatus(data);
+    this.handleComplete = data => this.applyStatus({ ...data, status: BATCH_JOB_STATES.COMPLETED }, data);
+    this.handleError = data => this.applyStatus({ ...data, status: BATCH_JOB_STATES.FAILED });
+  }
+
+  get client() {
+    return this.options.client;
+  }
+
+  get isRealTime() {
+    const { ws } = this.client;
+    return this.options.realTime && Boolean(ws) && ws.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Submit jobs as one batch; can be called again to add jobs to the queue
+   * @param {Array<Object>} specs - { name, dataset, data, algorithm, parameters }
+   * @param {Object} defaults - algorithm and parameters used where a spec has none
+   * @returns {Promise<Array<Object>>} The queued job records
+   */
+  async submit(specs, defaults = {}) {
+    if (!Array.isArray(specs) || specs.length === 0) {
+      throw new Error('A batch needs at least one job');
+    }
+
+    const records = specs.map(spec => {
+      const algorithm = spec.algorithm || defaults.algorithm || 'kmeans';
+      const parameters = { ...defaults.parameters, ...spec.parameters };
+      const id = `job-${this.nextId++}`;
+
+      return {
+        id,
+        name: spec.name || `${spec.dataset || id} ${algorithm} ${formatParameters(parameters)}`.trim(),
+        dataset: spec.dataset || null,
+        data: spec.data,
+        algorithm,
+        parameters,
+        jobId: null,
+        batchId: null,
+        previousJobIds: [],
+        status: BATCH_JOB_STATES.PENDING,
+        progress: 0,
+        phase: 'pending',
+        error: null,
+        attempts: 0,
+        result: null,
+        submittedAt: null,
+        completedAt: null
+      };
+    });
+
+    this.jobs.push(...records);
+    await this.submitJobs(records, { throwOnError: true });
+    return records;
+  }
+
+  /**
+   * Send records to the server as one batch and start following them
+   */
+  async submitJobs(records, { throwOnError = false } = {}) {
+    this.start();
+
+    records.forEach(record => {
+      if (record.jobId) {
+        this.jobsByServerId.delete(record.jobId);
+        record.previousJobIds.push(record.jobId);
+      }
+      Object.assign(record, {
+        jobId: null,
+        batchId: null,
+        status: BATCH_JOB_STATES.PENDING,
+        progress: 0,
+        phase: 'submitting',
+        error: null,
+        result: null,
+        completedAt: null
+      });
+      record.attempts++;
+      this.emit('job', record);
+    });
+
+    let batch;
+    try {
+      batch = await this.client.startBatch(records.map(({ data, algorithm, parameters }) => ({
+        data,
+        algorithm,
+        parameters
+      })));
+    } catch (error) {
+      records.forEach(record => this.setFailed(record, error.message));
+      this.checkDone();
+      if (throwOnError) throw error;
+      return;
+    }
+
+    this.activeBatches.add(batch.batchId);
+    batch.jobs.forEach((status, index) => {
+      const record = records[index];
+      record.jobId = status.jobId || status.job_id;
+      record.batchId = batch.batchId;
+      record.submittedAt = status.createdAt || new Date().toISOString();
+      this.jobsByServerId.set(record.jobId, record);
+    });
+    batch.jobs.forEach(status => this.applyStatus(status));
+
+    // Cancelled while the batch was being submitted
+    records
+      .filter(record => record.status === BATCH_JOB_STATES.CANCELLED)
+      .forEach(record => this.client.cancelClustering(record.jobId).catch(() => {}));
+
+    await this.subscribe(records);
+  }
+
+  /**
+   * Follow jobs over the WebSocket; polling takes over when it cannot connect
+   */
+  async subscribe(records) {
+    if (!this.options.realTime) return;
+
+    try {
+      // Connect once up front, concurrent subscriptions would each open a socket
+      await this.client.connectWebSocket();
+    } catch (error) {
+      console.warn('⚠️ Real-time job updates unavailable, polling batch status:', error.message || error);
+      return;
+    }
+
+    this.socket = this.client.ws;
+    for (const record of records) {
+      if (!isFinal(record)) {
+        await this.client.subscribeToJob(record.jobId);
+      }
+    }
+  }
+
+  start() {
+    if (this.running) return;
+
+    this.running = true;
+    this.client.on('progress', this.handleProgress);
+    this.client.on('complete', this.handleComplete);
+    this.client.on('error', this.handleError);
+    this.schedulePoll();
+  }
+
+  schedulePoll() {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = setTimeout(() => this.tick(), this.options.pollInterval);
+  }
+
+  async tick() {
+    if (!this.running) return;
+
+    if (this.isRealTime) {
+      // After a reconnect the server has forgotten our subscriptions
+      if (this.client.ws !== this.socket) {
+        this.socket = this.client.ws;
+        const active = this.jobs.filter(job => job.jobId && !isFinal(job));
+        for (const job of active) {
+          await this.client.subscribeToJob(job.jobId);
+        }
+      }
+    } else {
+      await this.poll();
+    }
+
+    if (this.running) this.schedulePoll();
+  }
+
+  /**
+   * Refresh every batch that still has unfinished jobs
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      for (const batchId of [...this.activeBatches]) {
+        try {
+          const batch = await this.client.getBatchStatus(batchId);
+          batch.jobs.forEach(status => this.applyStatus(status));
+          if (batch.jobs.every(isFinal)) this.activeBatches.delete(batchId);
+        } catch (error) {
+          console.warn(`⚠️ Failed to poll batch ${batchId}:`, error.message);
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Merge a job status from the server into its record
+   * @param {Object} status - Job status, progress event or error event
+   * @param {Object} result - Results delivered with a completion event
+   */
+  applyStatus(status, result = null) {
+    const record = this.jobsByServerId.get(status.jobId || status.job_id);
+    // Jobs superseded by a retry are no longer in the map
+    if (!record || isFinal(record) || record.phase === 'fetching results') return;
+
+    record.progress = Math.max(record.progress, status.progress ?? record.progress);
+    record.phase = status.phase || status.status || record.phase;
+
+    switch (status.status) {
+      case BATCH_JOB_STATES.COMPLETED:
+        this.completeJob(record, result);
+        return;
+
+      case BATCH_JOB_STATES.FAILED:
+        this.setFailed(record, status.error || 'Clustering failed');
+        this.scheduleRetry(record);
+        this.checkDone();
+        return;
+
+      case BATCH_JOB_STATES.CANCELLED:
+        record.status = BATCH_JOB_STATES.CANCELLED;
+        record.completedAt = status.completedAt || new Date().toISOString();
+        this.emit('job', record);
+        this.checkDone();
+        return;
+
+      default:
+        record.status = status.status === BATCH_JOB_STATES.RUNNING ?
+          BATCH_JOB_STATES.RUNNING :
+          BATCH_JOB_STATES.QUEUED;
+        this.emit('job', record);
+    }
+  }
+
+  async completeJob(record, result) {
+    const { jobId } = record;
+
+    if (!result) {
+      record.phase = 'fetching results';
+      this.emit('job', record);
+
+      try {
+        result = await this.client.getClusteringResults(jobId);
+      } catch (error) {
+        // Retried or cancelled while the results were loading
+        if (record.jobId !== jobId) return;
+        record.phase = 'failed';
+        this.setFailed(record, `Results unavailable: ${error.message}`);
+        this.scheduleRetry(record);
+        this.checkDone();
+        return;
+      }
+      if (record.jobId !== jobId) return;
+    }
+
+    Object.assign(record, {
+      status: BATCH_JOB_STATES.COMPLETED,
+      progress: 100,
+      phase: 'completed',
+      result,
+      completedAt: result.completedAt || new Date().toISOString()
+    });
+    this.emit('job', record);
+    this.checkDone();
+  }
+
+  setFailed(record, message) {
+    record.status = BATCH_JOB_STATES.FAILED;
+    record.error = message;
+    record.completedAt = new Date().toISOString();
+    this.emit('job', record);
+  }
+
+  /**
+   * Queue a failed job for resubmission while it has automatic retries left
+   */
+  scheduleRetry(record) {
+    if (record.attempts > this.options.maxRetries) return;
+
+    record.status = BATCH_JOB_STATES.PENDING;
+    record.phase = 'retrying';
+    this.retryQueue.push(record);
+    this.emit('job', record);
+
+    // Jobs failing close together are resubmitted as one batch
+    if (!this.retryTimer) {
+      this.retryTimer = setTimeout(() => {
+        this.retryTimer = null;
+        this.submitJobs(this.retryQueue.splice(0));
+      }, this.options.retryDelay);
+    }
+  }
+
+  /**
+   * Resubmit a failed or cancelled job; manual retries ignore maxRetries
+   */
+  async retryJob(id) {
+    const record = this.getJob(id);
+    if (!record || !isFinal(record) || record.status === BATCH_JOB_STATES.COMPLETED) return;
+
+    await this.submitJobs([record]);
+  }
+
+  async retryFailed() {
+    const records = this.jobs.filter(job =>
+      [BATCH_JOB_STATES.FAILED, BATCH_JOB_STATES.CANCELLED].includes(job.status));
+    if (records.length > 0) {
+      await this.submitJobs(records);
+    }
+  }
+
+  async cancelJob(id) {
+    const record = this.getJob(id);
+    if (!record || isFinal(record)) return;
+
+    if (!record.jobId) {
+      const index = this.retryQueue.indexOf(record);
+      if (index > -1) this.retryQueue.splice(index, 1);
+      this.applyCancelled(record);
+      return;
+    }
+
+    try {
+      this.applyStatus(await this.client.cancelClustering(record.jobId));
+    } catch (error) {
+      // The job may have finished in the meantime
+      console.warn(`⚠️ Failed to cancel job ${record.jobId}:`, error.message);
+    }
+  }
+
+  /**
+   * Cancel every unfinished job, including those waiting to be retried
+   */
+  async cancel() {
+    this.retryQueue.splice(0).forEach(record => this.applyCancelled(record));
+
+    await Promise.all([...this.activeBatches].map(async batchId => {
+      try {
+        const batch = await this.client.cancelBatch(batchId);
+        batch.jobs.forEach(status => this.applyStatus(status));
+        this.activeBatches.delete(batchId);
+      } catch (error) {
+        console.warn(`⚠️ Failed to cancel batch ${batchId}:`, error.message);
+      }
+    }));
+  }
+
+  applyCancelled(record) {
+    record.status = BATCH_JOB_STATES.CANCELLED;
+    record.phase = 'cancelled';
+    record.completedAt = new Date().toISOString();
+    this.emit('job', record);
+    this.checkDone();
+  }
+
+  /**
+   * Stop following jobs once none is unfinished or waiting for a retry
+   */
+  checkDone() {
+    if (!this.running || !this.jobs.every(isFinal)) return;
+
+    this.stop();
+    this.emit('complete', this.getComparison());
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.pollTimer);
+    clearTimeout(this.retryTimer);
+    this.pollTimer = null;
+    this.retryTimer = null;
+    this.activeBatches.clear();
+
+    this.client.off('progress', this.handleProgress);
+    this.client.off('complete', this.handleComplete);
+    this.client.off('error', this.handleError);
+    this.jobsByServerId.forEach((record, jobId) => this.client.unsubscribeFromJob(jobId));
+  }
+
+  /* ===================================
+     Results
+     =================================== */
+
+  getJob(id) {
+    return this.jobs.find(job => job.id === id) || null;
+  }
+
+  getSummary() {
+    const counts = Object.fromEntries(Object.values(BATCH_JOB_STATES).map(state => [state, 0]));
+    this.jobs.forEach(job => counts[job.status]++);
+
+    const progress = this.jobs.length > 0 ?
+      this.jobs.reduce((sum, job) => sum + (isFinal(job) ? 100 : job.progress), 0) / this.jobs.length :
+      0;
+
+    return { total: this.jobs.length, counts, progress: Math.round(progress), running: this.running };
+  }
+
+  /**
+   * One row per job with its parameters and result metrics
+   */
+  getComparison() {
+    return this.jobs.map(job => ({
+      name: job.name,
+      dataset: job.dataset,
+      algorithm: job.algorithm,
+      parameters: formatParameters(job.parameters),
+      status: job.status,
+      attempts: job.attempts,
+      jobId: job.jobId,
+      ...summarizeResult(job.result || {}),
+      error: job.error
+    }));
+  }
+
+  /**
+   * Download the comparison table (CSV and JSON) and each job's full results as one ZIP
+   * @param {string} zipFilename - Archive name
+   * @param {Object} options - includeResults: false leaves out the per-job result files
+   */
+  async exportResults(zipFilename = 'batch-results.zip', options = {}) {
+    const { includeResults = true, ...downloadOptions } = options;
+    const comparison = this.getComparison();
+
+    const files = [
+      { data: comparison, filename: 'comparison.csv', format: 'csv' },
+      { data: comparison, filename: 'comparison.json', format: 'json' }
+    ];
+
+    if (includeResults) {
+      this.jobs
+        .filter(job => job.status === BATCH_JOB_STATES.COMPLETED)
+        .forEach(job => files.push({
+          data: { name: job.name, dataset: job.dataset, ...job.result },
+          filename: `${job.name.replace(/\s+/g, '_')}.json`,
+          format: 'json'
+        }));
+    }
+
+    return downloadManager.downloadBatch(files, zipFilename, downloadOptions);
+  }
+
+  /**
+   * Stop tracking; jobs keep running on the server
+   */
+  dispose() {
+    this.stop();
+    this.retryQueue = [];
+    this.eventHandlers.clear();
+  }
+
+  /* ===================================
+     Events: 'job' (record), 'complete' (comparison rows)
+     =================================== */
+
+  on(event, handler) {
+    if (!this.eventHandlers.has(event)) {
+      this.eventHandlers.set(event, []);
+    }
+    this.eventHandlers.get(event).push(handler);
+  }
+
+  off(event, handler) {
+    const handlers = this.eventHandlers.get(event);
+    if (handlers) {
+      const index = handlers.indexOf(handler);
+      if (index > -1) {
+        handlers.splice(index, 1);
+      }
+    }
+  }
+
+  emit(event, data) {
+    const handlers = this.eventHandlers.get(event);
+    if (handlers) {
+      [...handlers].forEach(handler => {
+        try {
+          handler(data);
+        } catch (error) {
+          console.error(`Error in batch ${event} handler:`, error);
+        }
+      });
+    }
+  }
+}
+
+export default BatchJobManager;
@@ -2,10 +2,14 @@
  * FILE: js/api/cache.js
  * Response Caching System
  * NCS-API Website - Intelligent caching with TTL, LRU eviction, and persistence
+ * (IndexedDB, with localStorage as fallback)
  */
 
-import { STORAGE_KEYS, LIMITS } from '../config/constants.js';
+import { STORAGE_KEYS } from '../config/constants.js';
 import eventBus from '../core/eventBusNew.js';
+import { IndexedDBStore, estimateStorage } from '../utils/indexeddb.js';
+
+const STORAGE_ESTIMATE_MAX_AGE = 60000; // 1 minute
 
 /* ===================================
    Cache Entry Class
@@ -45,6 +49,11 @@ class CacheEntry {
    * @returns {number} Size in bytes
    */
   calculateSize(data) {
+    // Binary frames and typed arrays would be stringified index by index
+    if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+      return data.byteLength;
+    }
+
     try {
       return new Blob([JSON.stringify(data)]).size;
     } catch {
@@ -84,6 +93,20 @@ export class CacheManager {
     this.persistToStorage = options.persistToStorage !== false;
     this.storagePrefix = STORAGE_KEYS.CACHE_PREFIX;
     
+    // Persistent store: IndexedDB when available, localStorage otherwise
+    this.storageBackend = options.storageBackend || (IndexedDBStore.isSupported ? 'indexeddb' : 'local');
+    this.store = this.storageBackend === 'indexeddb'
+      ? new IndexedDBStore({ dbName: options.databaseName || 'ncs-api-cache', storeName: 'entries' })
+      : null;
+    this.storageEstimate = null;
+    this.ready = Promise.resolve();
+    
+    // Deletes and tag invalidations made while persisted entries load, which the load must not undo
+    this.isLoading = false;
+    this.removedWhileLoading = new Set();
+    this.tagsClearedWhileLoading = new Set();
+    this.clearedWhileLoading = false;
+    
     // Statistics
     this.stats = {
       hits: 0,
@@ -118,7 +141,7 @@ export class CacheManager {
   init() {
     // Load persisted cache
     if (this.persistToStorage) {
-      this.loadFromStorage();
+      this.ready = Promise.resolve(this.loadFromStorage());
     }
     
     // Setup cleanup timer
@@ -235,6 +258,15 @@ export class CacheManager {
    */
   delete(key) {
     const entry = this.cache.get(key);
+    
+    if (this.isLoading) {
+      // The key may only be persisted so far: keep the load from restoring it
+      this.removedWhileLoading.add(key);
+      if (!entry && this.persistToStorage) {
+        this.removeFromStorage(key);
+      }
+    }
+    
     if (!entry) {
       return false;
     }
@@ -259,6 +291,10 @@ export class CacheManager {
    */
   clear(options = {}) {
     if (options.tags && options.tags.length > 0) {
+      if (this.isLoading) {
+        options.tags.forEach(tag => this.tagsClearedWhileLoading.add(tag));
+      }
+      
       // Clear entries with specific tags
       let cleared = 0;
       for (const [key, entry] of this.cache) {
@@ -271,6 +307,9 @@ export class CacheManager {
     } else {
       // Clear all entries
       const count = this.cache.size;
+      if (this.isLoading) {
+        this.clearedWhileLoading = true;
+      }
       this.cache.clear();
       this.stats.totalSize = 0;
       
@@ -324,6 +363,8 @@ export class CacheManager {
       ...this.stats,
       hitRate: `${hitRate}%`,
       entries: this.cache.size,
+      storageBackend: this.persistToStorage ? this.storageBackend : null,
+      storageEstimate: this.storageEstimate,
       maxSize: this.maxSize,
       maxEntries: this.maxEntries,
       averageEntrySize: this.cache.size > 0 ? Math.round(this.stats.totalSize / this.cache.size) : 0,
@@ -504,9 +545,14 @@ export class CacheManager {
   }
 
   /**
-   * Load cache from localStorage
+   * Load persisted cache entries
+   * @returns {Promise|undefined} Resolves when IndexedDB entries are loaded
    */
   loadFromStorage() {
+    if (this.store) {
+      return this.loadFromIndexedDB();
+    }
+    
     if (typeof window === 'undefined' || !window.localStorage) return;
     
     try {
@@ -523,17 +569,7 @@ export class CacheManager {
           
           // Check if not expired
           if (data.expiresAt > Date.now()) {
-            const entry = new CacheEntry(cacheKey, data.data, data.expiresAt - Date.now());
-            entry.createdAt = data.createdAt;
-            entry.accessCount = data.accessCount || 0;
-            entry.lastAccessed = data.lastAccessed || data.createdAt;
-            
-            if (data.tags) {
-              data.tags.forEach(tag => entry.addTag(tag));
-            }
-            
-            this.cache.set(cacheKey, entry);
-            this.stats.totalSize += entry.size;
+            this.restoreEntry(cacheKey, data);
             loaded++;
           } else {
             // Remove expired entry from storage
@@ -554,34 +590,210 @@ export class CacheManager {
   }
 
   /**
-   * Persist cache entry to localStorage
+   * Load cache from IndexedDB, migrating localStorage entries first
+   */
+  async loadFromIndexedDB() {
+    this.isLoading = true;
+    
+    try {
+      await this.migrateFromLocalStorage().catch(error => {
+        console.warn('Failed to migrate cache from localStorage:', error);
+      });
+      
+      const entries = await this.store.entries();
+      const expired = [];
+      let loaded = 0;
+      
+      for (const [cacheKey, data] of entries) {
+        // Entries set while loading are newer than the stored copy
+        if (this.cache.has(cacheKey)) continue;
+        
+        if (this.isRemovedWhileLoading(cacheKey, data)) {
+          expired.push(cacheKey);
+        } else if (data && data.expiresAt > Date.now()) {
+          this.restoreEntry(cacheKey, data);
+          loaded++;
+        } else {
+          expired.push(cacheKey);
+        }
+      }
+      
+      await Promise.all(expired.map(key => this.store.delete(key)));
+      await this.refreshStorageEstimate();
+      
+      if (loaded > 0) {
+        console.log(`💾 Loaded ${loaded} cache entries from IndexedDB`);
+      }
+      this.emit('cache:loaded', { loaded, expired: expired.length });
+    } catch (error) {
+      console.warn('Failed to load cache from IndexedDB:', error);
+    } finally {
+      this.isLoading = false;
+      this.removedWhileLoading.clear();
+      this.tagsClearedWhileLoading.clear();
+      this.clearedWhileLoading = false;
+    }
+  }
+
+  /**
+   * Whether a persisted entry was deleted, invalidated or cleared before the load reached it
+   * @param {string} cacheKey - Cache key
+   * @param {Object} data - Persisted entry
+   * @returns {boolean} True if it must not be restored
+   */
+  isRemovedWhileLoading(cacheKey, data) {
+    return this.clearedWhileLoading ||
+      this.removedWhileLoading.has(cacheKey) ||
+      Boolean(data && data.tags && data.tags.some(tag => this.tagsClearedWhileLoading.has(tag)));
+  }
+
+  /**
+   * Move cache entries persisted in localStorage into IndexedDB
+   * @returns {Promise<number>} Number of migrated entries
+   */
+  async migrateFromLocalStorage() {
+    if (typeof window === 'undefined' || !window.localStorage) return 0;
+    
+    const keys = Object.keys(localStorage).filter(key => 
+      key.startsWith(this.storagePrefix)
+    );
+    if (keys.length === 0) return 0;
+    
+    const entries = [];
+    for (const storageKey of keys) {
+      try {
+        const data = JSON.parse(localStorage.getItem(storageKey));
+        if (data && data.expiresAt > Date.now()) {
+          entries.push([storageKey.replace(this.storagePrefix, ''), data]);
+        }
+      } catch (error) {
+        // Corrupt entries are dropped with the rest
+      }
+    }
+    
+    // Keep the localStorage copies if IndexedDB rejects the write
+    await this.store.setMany(entries);
+    keys.forEach(key => localStorage.removeItem(key));
+    
+    if (entries.length > 0) {
+      console.log(`💾 Migrated ${entries.length} cache entries from localStorage to IndexedDB`);
+    }
+    return entries.length;
+  }
+
+  /**
+   * Recreate a cache entry from its persisted form
+   * @param {string} cacheKey - Cache key
+   * @param {Object} data - Persisted entry
+   */
+  restoreEntry(cacheKey, data) {
+    const entry = new CacheEntry(cacheKey, data.data, data.expiresAt - Date.now());
+    entry.createdAt = data.createdAt;
+    entry.accessCount = data.accessCount || 0;
+    entry.lastAccessed = data.lastAccessed || data.createdAt;
+    
+    if (data.tags) {
+      data.tags.forEach(tag => entry.addTag(tag));
+    }
+    
+    this.cache.set(cacheKey, entry);
+    this.stats.totalSize += entry.size;
+  }
+
+  /**
+   * Persistable form of a cache entry
+   * @param {CacheEntry} entry - Cache entry
+   * @returns {Object} Plain object
+   */
+  serializeEntry(entry) {
+    return {
+      data: entry.data,
+      createdAt: entry.createdAt,
+      expiresAt: entry.expiresAt,
+      accessCount: entry.accessCount,
+      lastAccessed: entry.lastAccessed,
+      tags: Array.from(entry.tags)
+    };
+  }
+
+  /**
+   * Persist cache entry to IndexedDB or localStorage
    * @param {CacheEntry} entry - Entry to persist
    */
   persistEntry(entry) {
+    if (this.store) {
+      if (!this.hasStorageSpace(entry.size)) {
+        console.warn(`Not persisting cache entry ${entry.key}: storage quota nearly exhausted`);
+        return;
+      }
+      
+      this.store.set(entry.key, this.serializeEntry(entry)).catch(error => {
+        console.warn(`Failed to persist cache entry ${entry.key}:`, error);
+        if (error && error.name === 'QuotaExceededError') {
+          this.emit('cache:quota_exceeded', { key: entry.key, size: entry.size });
+          this.refreshStorageEstimate();
+        }
+      });
+      return;
+    }
+    
     if (typeof window === 'undefined' || !window.localStorage) return;
     
+    // JSON cannot round-trip binary data; IndexedDB stores it as is
+    if (entry.data instanceof ArrayBuffer || ArrayBuffer.isView(entry.data)) return;
+    
     try {
       const storageKey = this.storagePrefix + entry.key;
-      const data = {
-        data: entry.data,
-        createdAt: entry.createdAt,
-        expiresAt: entry.expiresAt,
-        accessCount: entry.accessCount,
-        lastAccessed: entry.lastAccessed,
-        tags: Array.from(entry.tags)
-      };
-      
-      localStorage.setItem(storageKey, JSON.stringify(data));
+      localStorage.setItem(storageKey, JSON.stringify(this.serializeEntry(entry)));
     } catch (error) {
       console.warn(`Failed to persist cache entry ${entry.key}:`, error);
     }
   }
 
   /**
-   * Remove cache entry from localStorage
+   * Check the browser storage estimate before writing to IndexedDB
+   * @param {number} size - Bytes about to be written
+   * @returns {boolean} False if the write would exceed the quota
+   */
+  hasStorageSpace(size) {
+    if (!this.storageEstimate || Date.now() - this.storageEstimate.timestamp > STORAGE_ESTIMATE_MAX_AGE) {
+      this.refreshStorageEstimate();
+    }
+    if (!this.storageEstimate) return true;
+    
+    if (size > this.storageEstimate.available) {
+      return false;
+    }
+    
+    // Account for the write until the next estimate
+    this.storageEstimate.available -= size;
+    return true;
+  }
+
+  /**
+   * Refresh the browser storage estimate
+   * @returns {Promise<Object|null>} Estimate
+   */
+  async refreshStorageEstimate() {
+    const estimate = await estimateStorage();
+    if (estimate) {
+      this.storageEstimate = { ...estimate, timestamp: Date.now() };
+    }
+    return this.storageEstimate;
+  }
+
+  /**
+   * Remove cache entry from storage
    * @param {string} key - Cache key
    */
   removeFromStorage(key) {
+    if (this.store) {
+      this.store.delete(key).catch(error => {
+        console.warn(`Failed to remove cache entry ${key} from storage:`, error);
+      });
+      return;
+    }
+    
     if (typeof window === 'undefined' || !window.localStorage) return;
     
     try {
@@ -593,9 +805,16 @@ export class CacheManager {
   }
 
   /**
-   * Clear all cache entries from localStorage
+   * Clear all cache entries from storage
    */
   clearStorage() {
+    if (this.store) {
+      this.store.clear().catch(error => {
+        console.warn('Failed to clear cache from storage:', error);
+      });
+      return;
+    }
+    
     if (typeof window === 'undefined' || !window.localStorage) return;
     
     try {
@@ -761,11 +980,11 @@ export function createAPICache(options = {}) {
   
   return {
     // Cache GET requests
-    cacheGet: (url, response, customTTL = null) => {
+    cacheGet: (url, response, customTTL = null, tags = []) => {
       const key = `api:get:${url}`;
       cache.set(key, response, { 
         ttl: customTTL || defaultTTL,
-        tags: ['api', 'get']
+        tags: ['api', 'get', ...tags]
       });
     },
     
@@ -785,6 +1004,11 @@ export function createAPICache(options = {}) {
       }
     },
     
+    // Invalidate API responses carrying any of the given tags
+    invalidateTags: (tags) => {
+      cache.clear({ tags });
+    },
+    
     // Cache clustering results
     cacheClusteringResult: (config, result) => {
       const key = createCacheKey('clustering', config);
@@ -3,6 +3,35 @@
  * Integration with the actual NCS clustering API
  */
 
+import { API_BASE_URL, WS_BASE_URL, API_CONFIG, ENDPOINTS } from '../config/api.js';
+import { EVENTS } from '../config/constants.js';
+import { eventBus } from '../core/eventBusNew.js';
+import {
+    HTTPError,
+    CircuitBreaker,
+    CircuitOpenError,
+    CIRCUIT_STATES,
+    IDEMPOTENT_METHODS,
+    THROTTLE_STATUSES,
+    computeBackoff,
+    isRetryableError,
+    isServerFailure,
+    getEndpointKey,
+    delay
+} from './resilience.js';
+import { createAuthInterceptor, createCacheInterceptor, createTimingInterceptor } from './interceptors.js';
+import { getOfflineQueue, isOfflineError, setCredentialProvider, QUEUE_STATUS } from './offlineQueue.js';
+import {
+    FRAME_MIME_TYPE,
+    FRAME_ENCODING,
+    isFrame,
+    encodeDataset,
+    decodeDataset,
+    datasetToRows,
+    withFrameMeta,
+    decodeResult
+} from '../utils/binaryFrame.js';
+
 export class NCSApiClient {
     constructor(options = {}) {
         // API Configuration - adjust these URLs to match your deployed API
@@ -12,11 +41,50 @@ export class NCSApiClient {
             wsURL: options.wsURL || 'wss://api.ncs.com/ws',
             timeout: options.timeout || 30000,
             apiKey: options.apiKey || null,
-            ...options
+            profileId: null, // Connection profile in use, if any (see js/api/profiles.js)
+            dedupe: true, // Share one request between concurrent identical GETs
+            ...options,
+            retry: {
+                retries: API_CONFIG.defaults.retries,
+                baseDelay: API_CONFIG.defaults.retryDelay,
+                maxDelay: 30000,
+                jitter: 0.5, // Up to 50% random reduction of each delay
+                retryOn: [408, 429, 500, 502, 503, 504],
+                maxRetryAfter: 60000, // Give up rather than wait longer than this
+                ...options.retry
+            },
+            circuitBreaker: {
+                failureThreshold: 5,
+                resetTimeout: 30000,
+                ...options.circuitBreaker
+            },
+            binary: {
+                ...API_CONFIG.binary,
+                ...options.binary
+            },
+            cacheTTL: options.cacheTTL || API_CONFIG.cache.defaultTTL
         };
         
         this.ws = null;
         this.eventHandlers = new Map();
+        this.accessToken = null;
+        this.refreshToken = null;
+        this.circuitBreakers = new Map();
+        this.inflightRequests = new Map();
+        this.tokenRefresher = null;
+        this.refreshPromise = null;
+        this.binarySupport = null;
+        
+        // Built-in interceptors: timing wraps everything, cache sits closest to the network
+        this.interceptors = [];
+        this.metrics = createTimingInterceptor();
+        this.responseCache = createCacheInterceptor({ ttl: this.config.cacheTTL });
+        this.use(this.metrics);
+        this.use(createAuthInterceptor({
+            getToken: () => this.accessToken || this.config.apiKey,
+            refresh: () => this.refreshSession()
+        }));
+        this.use(this.responseCache);
         
         console.log('🔌 NCS-API Client initialized:', this.config.baseURL);
     }
@@ -29,63 +97,489 @@ export class NCSApiClient {
     }
 
     /**
-     * Get request headers
+     * Use a user session token (takes precedence over the API key)
      */
-    getHeaders() {
-        const headers = {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json'
-        };
+    setToken(accessToken, refreshToken = null) {
+        this.accessToken = accessToken;
+        this.refreshToken = refreshToken;
+    }
+
+    clearAuth() {
+        this.accessToken = null;
+        this.refreshToken = null;
+        
+        // Cached responses may belong to the previous user
+        this.responseCache.clear();
+    }
+
+    /**
+     * Replace the built-in token refresh (e.g. by AuthManager, which also tracks expiry)
+     * @param {Function|null} refresher - async () => truthy once new tokens are set
+     */
+    setTokenRefresher(refresher) {
+        this.tokenRefresher = refresher;
+    }
+
+    /**
+     * Refresh the session after a 401; concurrent callers share one refresh
+     * @returns {Promise<boolean>} True if new tokens are in place
+     */
+    async refreshSession() {
+        if (this.tokenRefresher) {
+            return this.tokenRefresher();
+        }
+        
+        if (!this.refreshToken) {
+            return false;
+        }
+        
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.post('/auth/refresh', { refresh_token: this.refreshToken }, { skipAuth: true })
+                .then(response => {
+                    this.setToken(response.access_token, response.refresh_token || this.refreshToken);
+                    return true;
+                })
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+        
+        return this.refreshPromise;
+    }
+
+    /**
+     * Point the client at another backend, e.g. when switching connection profiles
+     * @param {Object} connection - { profileId, baseURL, wsURL, apiKey, accessToken, headers }
+     */
+    setConnection({ profileId = null, baseURL, wsURL, apiKey = null, accessToken = null, headers = {} }) {
+        this.config.profileId = profileId;
+        this.config.baseURL = baseURL;
+        this.config.wsURL = wsURL || this.config.wsURL;
+        this.config.headers = { ...headers };
         
-        if (this.config.apiKey) {
-            headers['Authorization'] = `Bearer ${this.config.apiKey}`;
+        this.clearAuth();
+        this.setApiKey(apiKey);
+        if (accessToken) {
+            this.setToken(accessToken);
         }
         
-        return headers;
+        // Circuit state and negotiated capabilities describe the previous backend
+        this.circuitBreakers.clear();
+        this.binarySupport = null;
+        
+        // The socket reconnects to the new wsURL if anyone is still subscribed
+        if (this.ws) {
+            this.ws.close();
+            this.ws = null;
+        }
+        
+        console.log('🔌 NCS-API Client connected to:', this.config.baseURL);
+    }
+
+    /**
+     * Get request headers (Authorization is added by the auth interceptor)
+     */
+    getHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            ...this.config.headers // Connection profile defaults
+        };
     }
 
     /**
-     * Make HTTP request with error handling
+     * Make HTTP request through the interceptor pipeline
+     * @param {string} endpoint - Path relative to baseURL
+     * @param {Object} options - fetch options, plus:
+     *   retry: false | number of retries | partial retry policy
+     *   idempotent: override the method-based idempotency check (e.g. for safe POSTs)
+     *   dedupe: false to always send a separate GET
+     *   cacheResponse: true | { ttl, tags } to serve this GET from the response cache
+     *   invalidates: cache tags to clear after a successful write
+     *   skipAuth: send without the Authorization header
+     *   stream: resolve with the unread Response so the caller can consume its body
      */
     async request(endpoint, options = {}) {
-        const url = `${this.config.baseURL}${endpoint}`;
+        const { retry, idempotent, dedupe, cacheResponse, invalidates, skipAuth, stream, ...fetchOptions } = options;
         
         const config = {
             method: 'GET',
-            headers: this.getHeaders(),
-            ...options
+            ...fetchOptions,
+            headers: {
+                ...this.getHeaders(),
+                ...fetchOptions.headers
+            }
+        };
+        config.method = config.method.toUpperCase();
+        
+        const context = this.createRequestContext(endpoint, config, {
+            retry, idempotent, dedupe, cacheResponse, invalidates, skipAuth, stream
+        });
+        
+        return this.runInterceptors(context);
+    }
+
+    /**
+     * Interceptors
+     * @param {Object} interceptor - { onRequest, onResponse, onError } (see interceptors.js)
+     * @returns {Function} Removes the interceptor
+     */
+    use(interceptor) {
+        this.interceptors.push(interceptor);
+        
+        return () => {
+            const index = this.interceptors.indexOf(interceptor);
+            if (index !== -1) {
+                this.interceptors.splice(index, 1);
+            }
+        };
+    }
+
+    createRequestContext(endpoint, config, options) {
+        const context = {
+            endpoint,
+            url: `${this.config.baseURL}${endpoint}`,
+            method: config.method,
+            config: { ...config, headers: { ...config.headers } },
+            options,
+            attempts: 0,
+            replayed: false,
+            response: undefined
         };
         
+        // Rerun the whole pipeline from the original config, e.g. after a token refresh
+        context.replay = () => {
+            const replay = this.createRequestContext(endpoint, config, options);
+            replay.replayed = true;
+            return this.runInterceptors(replay);
+        };
+        
+        return context;
+    }
+
+    async runInterceptors(context) {
+        const interceptors = [...this.interceptors];
+        
         try {
+            for (const interceptor of interceptors) {
+                if (interceptor.onRequest) {
+                    await interceptor.onRequest(context);
+                }
+                if (context.response !== undefined) break;
+            }
+            
+            let data = context.response !== undefined ? context.response : await this.send(context);
+            
+            for (const interceptor of [...interceptors].reverse()) {
+                if (interceptor.onResponse) {
+                    const result = await interceptor.onResponse(context, data);
+                    if (result !== undefined) {
+                        data = result;
+                    }
+                }
+            }
+            
+            return data;
+            
+        } catch (error) {
+            for (const interceptor of [...interceptors].reverse()) {
+                if (interceptor.onError) {
+                    const result = await interceptor.onError(context, error);
+                    if (result !== undefined) {
+                        return result;
+                    }
+                }
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Send over the network, sharing one request between concurrent identical GETs
+     * (a streamed body can only be read once, so streams are never shared).
+     * The shared request has its own abort signal: it is only cancelled once every
+     * caller has aborted, and each caller's promise rejects on its own signal.
+     */
+    send(context) {
+        if (context.method !== 'GET' || context.options.stream || !(context.options.dedupe ?? this.config.dedupe)) {
+            return this.requestWithRetry(context);
+        }
+        
+        const key = `${context.url}|${context.config.headers.Authorization || ''}`;
+        let shared = this.inflightRequests.get(key);
+        
+        if (shared) {
+            context.deduplicated = true;
+        } else {
             const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
+            const sharedContext = { ...context, config: { ...context.config, signal: controller.signal } };
+            
+            shared = { key, controller, callers: 0 };
+            shared.promise = this.requestWithRetry(sharedContext).finally(() => {
+                context.attempts = sharedContext.attempts;
+                if (this.inflightRequests.get(key) === shared) {
+                    this.inflightRequests.delete(key);
+                }
+            });
+            this.inflightRequests.set(key, shared);
+        }
+        
+        return this.joinSharedRequest(shared, context.config.signal);
+    }
+
+    /**
+     * Follow a shared GET, rejecting on the caller's own signal
+     * @param {Object} shared - { key, controller, callers, promise }
+     * @param {AbortSignal} [signal] - Caller's signal
+     * @returns {Promise} Response data
+     */
+    joinSharedRequest(shared, signal) {
+        shared.callers++;
+        
+        // A caller that cannot abort keeps the request alive
+        if (!signal) {
+            return shared.promise;
+        }
+        
+        return new Promise((resolve, reject) => {
+            const abort = () => {
+                reject(new DOMException('The operation was aborted.', 'AbortError'));
+                
+                if (--shared.callers === 0) {
+                    // Nobody is waiting any more: cancel, and let later callers start afresh
+                    if (this.inflightRequests.get(shared.key) === shared) {
+                        this.inflightRequests.delete(shared.key);
+                    }
+                    shared.controller.abort();
+                }
+            };
+            
+            if (signal.aborted) {
+                abort();
+                return;
+            }
+            
+            signal.addEventListener('abort', abort, { once: true });
+            shared.promise
+                .then(resolve, reject)
+                .finally(() => signal.removeEventListener('abort', abort));
+        });
+    }
+
+    /**
+     * Send a request, retrying according to the retry policy
+     */
+    async requestWithRetry(context) {
+        const { endpoint, url, config, options } = context;
+        const policy = this.getRetryPolicy(options.retry);
+        const idempotent = options.idempotent ?? IDEMPOTENT_METHODS.includes(config.method);
+        const breaker = this.getCircuitBreaker(endpoint);
+        
+        for (let attempt = 0; ; attempt++) {
+            if (!breaker.canRequest()) {
+                throw new CircuitOpenError(breaker.name, breaker.nextAttemptAt);
+            }
+            
+            context.attempts = attempt + 1;
             
+            try {
+                const result = await this.performRequest(url, config, options.stream);
+                breaker.recordSuccess();
+                return result;
+                
+            } catch (error) {
+                // Cancelled by the caller: neither a retry nor a verdict on the backend,
+                // so a half-open trial slot goes back to the breaker
+                if (error.name === 'AbortError') {
+                    breaker.releaseTrial();
+                    throw error;
+                }
+                
+                // Client errors mean the backend is up, so only server failures trip the circuit
+                if (isServerFailure(error)) {
+                    breaker.recordFailure(error);
+                } else {
+                    breaker.recordSuccess();
+                }
+                
+                const retryDelay = attempt < policy.retries ?
+                    this.getRetryDelay(error, attempt, policy, idempotent) :
+                    null;
+                
+                if (retryDelay === null) {
+                    throw error;
+                }
+                
+                console.warn(`🔁 Retrying ${config.method} ${endpoint} in ${retryDelay}ms (attempt ${attempt + 2}/${policy.retries + 1}):`, error.message);
+                eventBus.emit(EVENTS.API_REQUEST_RETRY, {
+                    endpoint,
+                    method: config.method,
+                    attempt: attempt + 1,
+                    delay: retryDelay,
+                    status: error.status || null,
+                    error: error.message
+                });
+                
+                await delay(retryDelay);
+            }
+        }
+    }
+
+    /**
+     * Single fetch with timeout; config.signal lets the caller abort as well.
+     * With `stream` the timeout only covers the response headers.
+     */
+    async performRequest(url, config, stream = false) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
+        const { signal } = config;
+        const abort = () => controller.abort();
+        
+        if (signal?.aborted) {
+            abort();
+        } else {
+            signal?.addEventListener('abort', abort);
+        }
+        
+        try {
             const response = await fetch(url, {
                 ...config,
                 signal: controller.signal
             });
             
-            clearTimeout(timeoutId);
+            const contentType = response.headers.get('content-type');
+            const isJSON = contentType && contentType.includes('application/json');
             
             if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                const data = isJSON ? await response.json().catch(() => null) : null;
+                throw new HTTPError(response, data);
             }
             
-            const contentType = response.headers.get('content-type');
-            if (contentType && contentType.includes('application/json')) {
+            if (stream) {
+                return response;
+            }
+            
+            if (isJSON) {
                 return await response.json();
             }
             
+            if (contentType && contentType.includes(FRAME_MIME_TYPE)) {
+                return await response.arrayBuffer();
+            }
+            
             return await response.text();
             
         } catch (error) {
-            if (error.name === 'AbortError') {
-                throw new Error('Request timeout');
+            if (error.name === 'AbortError' && !signal?.aborted) {
+                const timeoutError = new Error('Request timeout');
+                timeoutError.name = 'TimeoutError';
+                throw timeoutError;
             }
             throw error;
+        } finally {
+            clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', abort);
         }
     }
 
+    /**
+     * Merge a per-request retry option into the client policy
+     */
+    getRetryPolicy(retry) {
+        if (retry === false) {
+            return { ...this.config.retry, retries: 0 };
+        }
+        if (typeof retry === 'number') {
+            return { ...this.config.retry, retries: retry };
+        }
+        return { ...this.config.retry, ...retry };
+    }
+
+    /**
+     * Delay before the next attempt, or null if the error should not be retried.
+     * 429/503 are retried for any method since the server did not process the request.
+     */
+    getRetryDelay(error, attempt, policy, idempotent) {
+        const throttled = error instanceof HTTPError && THROTTLE_STATUSES.includes(error.status);
+        
+        if (!throttled && !(idempotent && isRetryableError(error, policy.retryOn))) {
+            return null;
+        }
+        
+        if (error.retryAfter !== null && error.retryAfter !== undefined) {
+            return error.retryAfter <= policy.maxRetryAfter ? error.retryAfter : null;
+        }
+        
+        return computeBackoff(attempt, policy);
+    }
+
+    /**
+     * Circuit breakers, one per endpoint route
+     */
+    getCircuitBreaker(endpoint) {
+        const key = getEndpointKey(endpoint);
+        
+        if (!this.circuitBreakers.has(key)) {
+            this.circuitBreakers.set(key, new CircuitBreaker(key, {
+                ...this.config.circuitBreaker,
+                onStateChange: (breaker, previousState) => this.handleCircuitStateChange(breaker, previousState)
+            }));
+        }
+        
+        return this.circuitBreakers.get(key);
+    }
+
+    handleCircuitStateChange(breaker, previousState) {
+        const logger = breaker.state === CIRCUIT_STATES.OPEN ? console.warn : console.log;
+        logger(`⚡ Circuit for ${breaker.name}: ${previousState} → ${breaker.state}`);
+        
+        eventBus.emit(EVENTS.API_CIRCUIT_CHANGE, {
+            ...breaker.getState(),
+            previousState,
+            openCircuits: this.getOpenCircuits()
+        });
+    }
+
+    /**
+     * Per-endpoint timings collected by the timing interceptor
+     */
+    getRequestMetrics() {
+        return this.metrics.getMetrics();
+    }
+
+    getCircuitStates() {
+        return Array.from(this.circuitBreakers.values()).map(breaker => breaker.getState());
+    }
+
+    getOpenCircuits() {
+        return Array.from(this.circuitBreakers.values())
+            .filter(breaker => breaker.state !== CIRCUIT_STATES.CLOSED)
+            .map(breaker => breaker.name);
+    }
+
+    resetCircuitBreakers() {
+        this.circuitBreakers.forEach(breaker => breaker.reset());
+    }
+
+    /**
+     * HTTP method shortcuts
+     */
+    get(endpoint, options = {}) {
+        return this.request(endpoint, { ...options, method: 'GET' });
+    }
+
+    post(endpoint, body = {}, options = {}) {
+        return this.request(endpoint, { ...options, method: 'POST', body: JSON.stringify(body) });
+    }
+
+    put(endpoint, body = {}, options = {}) {
+        return this.request(endpoint, { ...options, method: 'PUT', body: JSON.stringify(body) });
+    }
+
+    delete(endpoint, options = {}) {
+        return this.request(endpoint, { ...options, method: 'DELETE' });
+    }
+
     /**
      * API Health Check
      */
@@ -100,12 +594,50 @@ export class NCSApiClient {
         }
     }
 
+    /**
+     * Whether the server accepts binary frames, asked once through /health
+     * @returns {Promise<boolean>}
+     */
+    async supportsBinary() {
+        if (!this.config.binary.enabled) {
+            return false;
+        }
+        
+        if (this.binarySupport === null) {
+            this.binarySupport = this.request('/health', { retry: false })
+                .then(health => Array.isArray(health?.encodings) && health.encodings.includes(FRAME_ENCODING))
+                .catch(() => {
+                    // Ask again next time rather than settling on JSON because of one failed check
+                    this.binarySupport = null;
+                    return false;
+                });
+        }
+        
+        return this.binarySupport;
+    }
+
+    /**
+     * Binary body for a clustering request, or null to send JSON
+     * @param {Array|ArrayBuffer} data - Rows, or a dataset frame (e.g. from data.worker.js encode_dataset)
+     * @param {Object} request - algorithm, parameters and options, carried in the frame metadata
+     */
+    async encodeClusteringBody(data, request) {
+        const large = isFrame(data) || (Array.isArray(data) && data.length >= this.config.binary.minRows);
+        if (!large || !(await this.supportsBinary())) {
+            return null;
+        }
+        
+        return isFrame(data) ? withFrameMeta(data, request) : encodeDataset(data, { meta: request });
+    }
+
     /**
      * Get available algorithms
      */
     async getAlgorithms() {
         try {
-            return await this.request('/algorithms');
+            return await this.request('/algorithms', {
+                cacheResponse: { ttl: API_CONFIG.cache.algorithmsTTL }
+            });
         } catch (error) {
             console.error('Failed to get algorithms:', error);
             // Fallback to default algorithms
@@ -152,11 +684,13 @@ export class NCSApiClient {
         try {
             const result = await this.request('/data/validate', {
                 method: 'POST',
+                idempotent: true, // Read-only despite POST
+                invalidates: [],
                 body: JSON.stringify({ data })
             });
             
             return {
-                valid: result.valid || true,
+                valid: result.valid ?? true,
                 errors: result.errors || [],
                 warnings: result.warnings || [],
                 statistics: result.statistics || {
@@ -220,33 +754,114 @@ export class NCSApiClient {
 
     /**
      * Start clustering job
+     * @param {Array|ArrayBuffer} data - Rows, or a dataset frame; large datasets are sent
+     *   as a binary frame when the server supports it
+     * @param {Object} options - { queueOffline } to keep the request for replay when the
+     *   network is down; the result is then { queued: true, queueId, status: 'pending' }
      */
-    async startClustering(data, algorithm, parameters = {}) {
+    async startClustering(data, algorithm, parameters = {}, options = {}) {
         try {
             console.log(`🚀 Starting ${algorithm} clustering with`, parameters);
             
-            const result = await this.request('/cluster', {
-                method: 'POST',
-                body: JSON.stringify({
-                    data,
-                    algorithm,
-                    parameters,
-                    options: {
-                        realTime: true,
-                        includeMetrics: true
-                    }
-                })
-            });
+            const request = {
+                algorithm,
+                parameters,
+                options: {
+                    realTime: true,
+                    includeMetrics: true
+                }
+            };
+            
+            let result;
+            const frame = await this.encodeClusteringBody(data, request);
+            
+            if (frame) {
+                try {
+                    result = await this.request('/cluster', {
+                        method: 'POST',
+                        headers: { 'Content-Type': FRAME_MIME_TYPE },
+                        body: frame,
+                        invalidates: []
+                    });
+                } catch (error) {
+                    if (error.status !== 415) throw error;
+                    
+                    // Support was withdrawn since the health check, stay on JSON from now on
+                    console.warn('⚠️ Server rejected binary frame, falling back to JSON');
+                    this.binarySupport = Promise.resolve(false);
+                }
+            }
+            
+            if (result === undefined) {
+                result = await this.request('/cluster', {
+                    method: 'POST',
+                    body: JSON.stringify({
+                        ...request,
+                        data: isFrame(data) ? datasetToRows(decodeDataset(data)) : data
+                    }),
+                    invalidates: [] // A new job cannot change cached responses
+                });
+            }
             
             console.log('✅ Clustering job started:', result);
             return result;
             
         } catch (error) {
+            if (options.queueOffline && isOfflineError(error)) {
+                return this.queueClustering(data, algorithm, parameters);
+            }
+            
             console.error('❌ Failed to start clustering:', error);
             throw error;
         }
     }
 
+    /**
+     * Keep a clustering request in the offline queue, sent as JSON by the service worker.
+     * The credential is not stored; this client supplies a current one when the request is replayed.
+     */
+    async queueClustering(data, algorithm, parameters = {}) {
+        const rows = isFrame(data) ? datasetToRows(decodeDataset(data)) : data;
+        
+        setCredentialProvider(options => this.getQueueCredential(options));
+        
+        const entry = await getOfflineQueue().enqueue({
+            url: `${this.config.baseURL}/cluster`,
+            method: 'POST',
+            headers: this.getHeaders(),
+            authenticated: Boolean(this.accessToken || this.config.apiKey),
+            profileId: this.config.profileId,
+            body: JSON.stringify({
+                algorithm,
+                parameters,
+                options: { realTime: true, includeMetrics: true },
+                data: rows
+            }),
+            meta: { algorithm, parameters, rows: rows.length }
+        });
+        
+        console.log('📴 Clustering request queued for replay:', entry.id);
+        return { queued: true, queueId: entry.id, status: QUEUE_STATUS.PENDING };
+    }
+
+    /**
+     * Credential for a queued request at replay time. Only given when the request was
+     * queued on the current connection, so another profile's key never reaches its backend.
+     * @param {Object} options - { url, profileId } of the queued request; refresh: renew
+     *   the session first, after the server rejected it
+     * @returns {Promise<string|null>} Access token or API key, null without a matching session
+     */
+    async getQueueCredential({ url, profileId = null, refresh = false } = {}) {
+        if (profileId !== this.config.profileId || !url || !url.startsWith(`${this.config.baseURL}/`)) {
+            return null;
+        }
+        
+        if (refresh && !(await this.refreshSession().catch(() => false))) {
+            return null;
+        }
+        return this.accessToken || this.config.apiKey || null;
+    }
+
     /**
      * Get clustering job status
      */
@@ -261,10 +876,25 @@ export class NCSApiClient {
 
     /**
      * Get clustering results
+     * @param {string} jobId - Job ID
+     * @param {Object} options - { raw: resolve with the undecoded frame when the server sends one,
+     *   e.g. to transfer it to export.worker.js }
      */
-    async getClusteringResults(jobId) {
+    async getClusteringResults(jobId, { raw = false } = {}) {
         try {
-            const result = await this.request(`/cluster/${jobId}/results`);
+            const result = await this.request(`/cluster/${jobId}/results`, {
+                headers: this.config.binary.enabled ?
+                    { 'Accept': `${FRAME_MIME_TYPE}, application/json` } :
+                    {},
+                cacheResponse: { ttl: API_CONFIG.cache.resultsTTL, tags: [`job:${jobId}`] }
+            });
+            
+            if (result instanceof ArrayBuffer) {
+                console.log(`📊 Clustering results received (${result.byteLength} byte frame)`);
+                // Raw frames are copied so transferring one cannot detach the cached buffer
+                return raw ? result.slice(0) : decodeResult(result);
+            }
+            
             console.log('📊 Clustering results received:', result);
             return result;
         } catch (error) {
@@ -279,7 +909,8 @@ export class NCSApiClient {
     async cancelClustering(jobId) {
         try {
             return await this.request(`/cluster/${jobId}`, {
-                method: 'DELETE'
+                method: 'DELETE',
+                invalidates: [`job:${jobId}`]
             });
         } catch (error) {
             console.error('Failed to cancel clustering:', error);
@@ -287,6 +918,63 @@ export class NCSApiClient {
         }
     }
 
+    /**
+     * Start a batch of clustering jobs
+     * @param {Array<Object>} jobs - Job specs ({ data, algorithm, parameters })
+     * @param {Object} defaults - Fields merged into every job (parameters are merged per key)
+     * @returns {Promise<Object>} Batch status with one entry per job
+     */
+    async startBatch(jobs, defaults = {}) {
+        try {
+            console.log(`🚀 Starting batch of ${jobs.length} clustering jobs`);
+            
+            return await this.request(ENDPOINTS.CLUSTERING.BATCH_CLUSTER, {
+                method: 'POST',
+                body: JSON.stringify({
+                    ...defaults,
+                    jobs,
+                    options: {
+                        realTime: true,
+                        includeMetrics: true,
+                        ...defaults.options
+                    }
+                }),
+                invalidates: []
+            });
+            
+        } catch (error) {
+            console.error('❌ Failed to start batch:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the status of every job in a batch
+     */
+    async getBatchStatus(batchId) {
+        try {
+            return await this.request(`${ENDPOINTS.CLUSTERING.BATCH_CLUSTER}/${batchId}`);
+        } catch (error) {
+            console.error('Failed to get batch status:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel the jobs of a batch that have not finished yet
+     */
+    async cancelBatch(batchId) {
+        try {
+            return await this.request(`${ENDPOINTS.CLUSTERING.BATCH_CLUSTER}/${batchId}`, {
+                method: 'DELETE',
+                invalidates: []
+            });
+        } catch (error) {
+            console.error('Failed to cancel batch:', error);
+            throw error;
+        }
+    }
+
     /**
      * Calculate quality metrics
      */
@@ -294,6 +982,8 @@ export class NCSApiClient {
         try {
             return await this.request('/metrics/quality', {
                 method: 'POST',
+                idempotent: true, // Read-only despite POST
+                invalidates: [],
                 body: JSON.stringify({ data, clusters })
             });
         } catch (error) {
@@ -351,7 +1041,7 @@ export class NCSApiClient {
                 
                 // Timeout after 10 seconds
                 setTimeout(() => {
-                    if (this.ws.readyState !== WebSocket.OPEN) {
+                    if (this.ws && this.ws.readyState !== WebSocket.OPEN) {
                         reject(new Error('WebSocket connection timeout'));
                     }
                 }, 10000);
@@ -416,6 +1106,22 @@ export class NCSApiClient {
         }
     }
 
+    /**
+     * Stop receiving updates for a job and remove the handlers given to subscribeToJob
+     */
+    unsubscribeFromJob(jobId, handlers = {}) {
+        Object.entries(handlers).forEach(([event, handler]) => {
+            this.off(event, handler);
+        });
+        
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify({
+                type: 'unsubscribe',
+                jobId
+            }));
+        }
+    }
+
     /**
      * Event system for WebSocket messages
      */
@@ -466,7 +1172,7 @@ export class NCSApiClient {
      */
     async getSampleDatasets() {
         try {
-            return await this.request('/data/samples');
+            return await this.request('/data/samples', { cacheResponse: true });
         } catch (error) {
             console.error('Failed to get sample datasets:', error);
             // Return fallback sample datasets
@@ -482,13 +1188,22 @@ export class NCSApiClient {
 
     async loadSampleDataset(name) {
         try {
-            return await this.request(`/data/samples/${name}`);
+            return await this.request(`/data/samples/${name}`, { cacheResponse: true });
         } catch (error) {
             console.error(`Failed to load sample dataset ${name}:`, error);
             throw error;
         }
     }
 }
+// Shared client for the configured environment (used by AuthManager)
+export const apiClient = new NCSApiClient({
+    baseURL: API_BASE_URL,
+    wsURL: WS_BASE_URL
+});
+
+// Requests queued in an earlier visit are replayed with this session
+setCredentialProvider(options => apiClient.getQueueCredential(options));
+
 export default NCSApiClient;
 export { NCSApiClient as APIClient };
 export { NCSApiClient as ApiClient };
\ No newline at end of file
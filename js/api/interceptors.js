@@ -0,0 +1,232 @@
+/**
+ * FILE: js/api/interceptors.js
+ * Request Interceptors
+ * NCS-API Website - Built-in APIClient interceptors for auth, response caching and timing
+ *
+ * An interceptor is an object with any of these hooks:
+ *   onRequest(context)        - runs in registration order before the network call. May edit
+ *                               context.config, or set context.response to skip the network.
+ *   onResponse(context, data) - runs in reverse order after success. Return a value to replace data.
+ *   onError(context, error)   - runs in reverse order after failure. Return a value to recover
+ *                               (later hooks are skipped), throw to replace the error, or return
+ *                               undefined to pass the error on.
+ */
+
+import { EVENTS } from '../config/constants.js';
+import { eventBus } from '../core/eventBusNew.js';
+import { apiCache } from './cache.js';
+import { HTTPError, CircuitOpenError, getEndpointKey } from './resilience.js';
+
+/* ===================================
+   Auth
+   =================================== */
+
+/**
+ * Inject the bearer token and, on 401, refresh the session once and replay the request
+ * @param {Object} options - Interceptor options
+ * @param {Function} options.getToken - () => current access token or API key
+ * @param {Function} options.refresh - async () => truthy if the session was refreshed
+ */
+export function createAuthInterceptor({ getToken, refresh }) {
+  return {
+    name: 'auth',
+
+    onRequest(context) {
+      const token = getToken();
+      if (token && !context.options.skipAuth) {
+        context.config.headers.Authorization = `Bearer ${token}`;
+      }
+    },
+
+    async onError(context, error) {
+      if (!(error instanceof HTTPError) || error.status !== 401) return undefined;
+
+      // Never refresh for the auth endpoints themselves, and only replay once
+      if (context.replayed || context.options.skipAuth || context.endpoint.startsWith('/auth/')) {
+        return undefined;
+      }
+
+      let refreshed = false;
+      try {
+        refreshed = await refresh();
+      } catch (refreshError) {
+        console.warn('⚠️ Session refresh failed:', refreshError.message);
+      }
+
+      if (!refreshed) return undefined;
+
+      console.log(`🔄 Replaying ${context.method} ${context.endpoint} with refreshed token`);
+      return context.replay();
+    }
+  };
+}
+
+/* ===================================
+   Response cache
+   =================================== */
+
+/**
+ * Resource tag for an endpoint, e.g. /cluster/abc/results -> api:cluster
+ */
+export function getResourceTag(endpoint) {
+  const [resource] = endpoint.split('?')[0].split('/').filter(Boolean);
+  return `api:${resource || 'root'}`;
+}
+
+/**
+ * Cache GET responses that opt in with `cacheResponse`, and invalidate by tag after writes.
+ *
+ * Request options:
+ *   cacheResponse: true | { ttl, tags } - serve and store this GET through the cache
+ *   invalidates: Array<string> - tags to clear after a successful write
+ *     (defaults to the endpoint's resource tag; pass [] for read-only POSTs)
+ *
+ * @param {Object} options - Interceptor options
+ * @param {Object} options.cache - API cache helper (see createAPICache)
+ * @param {number} options.ttl - Default time to live in ms
+ */
+export function createCacheInterceptor({ cache = apiCache, ttl = 300000 } = {}) {
+  const getPolicy = (context) => {
+    const { cacheResponse } = context.options;
+    if (context.method !== 'GET' || !cacheResponse) return null;
+
+    const policy = cacheResponse === true ? {} : cacheResponse;
+    return {
+      ttl: policy.ttl || ttl,
+      tags: [getResourceTag(context.endpoint), ...(policy.tags || [])]
+    };
+  };
+
+  return {
+    name: 'cache',
+
+    onRequest(context) {
+      if (!getPolicy(context)) return;
+
+      const cached = cache.getCachedGet(context.url);
+      if (cached !== null) {
+        context.response = cached;
+        context.cached = true;
+      }
+    },
+
+    onResponse(context, data) {
+      if (context.cached) return undefined;
+
+      if (context.method === 'GET') {
+        const policy = getPolicy(context);
+        if (policy) {
+          cache.cacheGet(context.url, data, policy.ttl, policy.tags);
+        }
+        return undefined;
+      }
+
+      const tags = context.options.invalidates ?? [getResourceTag(context.endpoint)];
+      if (tags.length > 0) {
+        cache.invalidateTags(tags);
+      }
+      return undefined;
+    },
+
+    clear() {
+      cache.invalidateAPI();
+    }
+  };
+}
+
+/* ===================================
+   Timing metrics
+   =================================== */
+
+/**
+ * Time every request, keep per-endpoint stats and emit API_REQUEST_SUCCESS / API_REQUEST_ERROR
+ * @param {Object} options - Interceptor options
+ * @param {number} options.sampleSize - Durations kept per endpoint for percentiles
+ */
+export function createTimingInterceptor({ sampleSize = 100 } = {}) {
+  const endpoints = new Map();
+
+  const record = (context, duration, failed) => {
+    const key = getEndpointKey(context.endpoint);
+    if (!endpoints.has(key)) {
+      endpoints.set(key, { requests: 0, errors: 0, cached: 0, durations: [] });
+    }
+
+    const stats = endpoints.get(key);
+    stats.requests++;
+    if (failed) stats.errors++;
+    if (context.cached) {
+      stats.cached++;
+      return;
+    }
+
+    stats.durations.push(duration);
+    if (stats.durations.length > sampleSize) {
+      stats.durations.shift();
+    }
+  };
+
+  const describe = (context, duration) => ({
+    endpoint: context.endpoint,
+    method: context.method,
+    duration,
+    attempts: context.attempts,
+    cached: Boolean(context.cached),
+    deduplicated: Boolean(context.deduplicated),
+    replayed: context.replayed
+  });
+
+  return {
+    name: 'timing',
+
+    onRequest(context) {
+      context.startTime = performance.now();
+    },
+
+    onResponse(context) {
+      const duration = performance.now() - context.startTime;
+      record(context, duration, false);
+      eventBus.emit(EVENTS.API_REQUEST_SUCCESS, describe(context, duration));
+      return undefined;
+    },
+
+    onError(context, error) {
+      const duration = performance.now() - context.startTime;
+      record(context, duration, true);
+      eventBus.emit(EVENTS.API_REQUEST_ERROR, {
+        ...describe(context, duration),
+        status: error.status || null,
+        error: error.message,
+        circuitOpen: error instanceof CircuitOpenError
+      });
+      return undefined;
+    },
+
+    /**
+     * Per-endpoint request counts and network timings (cache hits excluded from timings)
+     */
+    getMetrics() {
+      const result = {};
+
+      endpoints.forEach((stats, key) => {
+        const sorted = [...stats.durations].sort((a, b) => a - b);
+        const percentile = (p) => sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] : 0;
+
+        result[key] = {
+          requests: stats.requests,
+          errors: stats.errors,
+          cached: stats.cached,
+          averageTime: sorted.length ? sorted.reduce((sum, d) => sum + d, 0) / sorted.length : 0,
+          p50: percentile(0.5),
+          p95: percentile(0.95)
+        };
+      });
+
+      return result;
+    },
+
+    reset() {
+      endpoints.clear();
+    }
+  };
+}
@@ -0,0 +1,1880 @@
+/**
+ * FILE: js/api/mockServer.js
+ * Mock NCS API Server
+ * NCS-API Website - In-process stand-in for the NCS backend (browser and Node)
+ *
+ * Features:
+ * - Clustering jobs (/cluster, /cluster/batch, status, results, cancel) run with the local algorithms
+ * - Data validation, quality metrics, algorithm list, sample datasets and /auth/* sessions
+ * - Chunked /data/upload sessions with SHA-256 chunk verification (see js/api/upload.js)
+ * - /cluster/stream sequential k-means over WebSocket messages or NDJSON fetch (see js/api/stream.js)
+ * - WebSocket progress events in both the APIClient and WebSocketManager message formats
+ * - Binary frames (see js/utils/binaryFrame.js) for /cluster datasets, results and negotiated sockets
+ * - fetch/WebSocket interception for the API hosts, installed when CONFIG.API.MOCK.ENABLED is set
+ */
+
+import { ENDPOINTS, API_BASE_URLS, WS_BASE_URLS, API_CONFIG, MOCK_CONFIG, requiresAuth } from '../config/api.js';
+import { sha256Hex } from '../utils/crypto.js';
+import {
+  FRAME_MIME_TYPE,
+  FRAME_ENCODING,
+  isFrame,
+  decodeDataset,
+  datasetToRows,
+  encodeResult
+} from '../utils/binaryFrame.js';
+
+const STATUS_TEXT = {
+  200: 'OK',
+  201: 'Created',
+  202: 'Accepted',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  404: 'Not Found',
+  409: 'Conflict',
+  413: 'Payload Too Large',
+  415: 'Unsupported Media Type',
+  422: 'Unprocessable Entity',
+  500: 'Internal Server Error',
+  503: 'Service Unavailable'
+};
+
+const ALGORITHMS = [
+  {
+    name: 'kmeans',
+    displayName: 'K-Means',
+    description: 'Fast centroid-based clustering',
+    parameters: {
+      k: { min: 2, max: 20, default: 3 },
+      maxIterations: { min: 10, max: 1000, default: 100 },
+      tolerance: { min: 0.0001, max: 0.1, default: 0.01 }
+    }
+  },
+  {
+    name: 'dbscan',
+    displayName: 'DBSCAN',
+    description: 'Density-based clustering with noise detection',
+    parameters: {
+      eps: { min: 0.1, max: 2.0, default: 0.5 },
+      minPts: { min: 2, max: 20, default: 5 }
+    }
+  },
+  {
+    name: 'hierarchical',
+    displayName: 'Hierarchical',
+    description: 'Tree-based clustering with dendrograms',
+    parameters: {
+      numClusters: { min: 2, max: 20, default: 3 },
+      linkage: { options: ['ward', 'complete', 'average', 'single'], default: 'ward' }
+    }
+  },
+  {
+    name: 'ncs',
+    displayName: 'NCS Algorithm',
+    description: 'Neural Clustering System - proprietary algorithm',
+    parameters: {
+      numClusters: { min: 2, max: 10, default: 'auto' },
+      maxIterations: { min: 10, max: 200, default: 50 },
+      learningRate: { min: 0.01, max: 1, default: 0.5 }
+    }
+  },
+  {
+    name: 'gmm',
+    displayName: 'Gaussian Mixture',
+    description: 'Probabilistic clustering with soft assignments',
+    parameters: {
+      k: { min: 1, max: 20, default: 3, auto: true },
+      covarianceType: { options: ['full', 'diag', 'spherical'], default: 'full' },
+      maxIterations: { min: 10, max: 1000, default: 100 },
+      tolerance: { min: 0.000001, max: 0.1, default: 0.001 }
+    },
+    resultFields: ['probabilities', 'logLikelihood', 'bic', 'aic']
+  },
+  {
+    name: 'hdbscan',
+    displayName: 'HDBSCAN',
+    description: 'Hierarchical density-based clustering with outlier scores',
+    parameters: {
+      minClusterSize: { min: 2, max: 100, default: 5 },
+      minSamples: { min: 1, max: 100, default: null },
+      clusterSelectionMethod: { options: ['eom', 'leaf'], default: 'eom' },
+      allowSingleCluster: { options: [true, false], default: false },
+      metric: { options: ['euclidean', 'manhattan', 'chebyshev'], default: 'euclidean' }
+    },
+    resultFields: ['probabilities', 'outlierScores']
+  },
+  {
+    name: 'optics',
+    displayName: 'OPTICS',
+    description: 'Density-based ordering with a reachability plot',
+    parameters: {
+      minSamples: { min: 2, max: 100, default: 5 },
+      clusterMethod: { options: ['xi', 'dbscan'], default: 'xi' },
+      xi: { min: 0.01, max: 0.5, default: 0.05 },
+      eps: { min: 0.01, max: 2.0, default: null },
+      minClusterSize: { min: 2, max: 100, default: null },
+      metric: { options: ['euclidean', 'manhattan', 'chebyshev'], default: 'euclidean' }
+    },
+    resultFields: ['ordering', 'reachability', 'coreDistances', 'predecessor']
+  }
+];
+
+// WebSocket message types used by APIClient.handleWebSocketMessage
+const CLIENT_MESSAGE_TYPES = {
+  progress: 'clustering_progress',
+  complete: 'clustering_complete',
+  error: 'clustering_error',
+  metrics: 'metrics_update'
+};
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+const IGNORED_FEATURES = ['id', 'cluster', 'label', 'true_cluster'];
+const TOKEN_TTL = 3600; // seconds
+const MAX_SILHOUETTE_SAMPLE = 500;
+
+const DEMO_USER = {
+  id: 'user_demo',
+  email: 'demo@ncs-api.com',
+  password: 'demo1234',
+  name: 'Demo User',
+  roles: ['user'],
+  permissions: ['cluster:run', 'data:upload'],
+  emailVerified: true
+};
+
+/* ===================================
+   Helpers
+   =================================== */
+
+class MockHttpError extends Error {
+  constructor(status, message, details = null) {
+    super(message);
+    this.name = 'MockHttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function createId(prefix) {
+  return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('The operation was aborted.', 'AbortError'));
+      return;
+    }
+
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new DOMException('The operation was aborted.', 'AbortError'));
+    }, { once: true });
+  });
+}
+
+function getHost(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return null;
+  }
+}
+
+function getRequestUrl(input) {
+  if (typeof input === 'string') return input;
+  if (input instanceof URL) return input.href;
+  return input?.url || '';
+}
+
+/**
+ * Strip the version prefix so /api/v1/cluster and /v1/cluster both route to /cluster
+ */
+function normalizePath(pathname) {
+  const path = pathname
+    .replace(/\/{2,}/g, '/')
+    .replace(/^\/api(?=\/|$)/, '')
+    .replace(/^\/v\d+(?=\/|$)/, '')
+    .replace(/\/$/, '');
+
+  return path || '/';
+}
+
+function acceptsFrames(headers) {
+  return (headers.get('Accept') || '').includes(FRAME_MIME_TYPE);
+}
+
+function compileRoute(pattern) {
+  const keys = [];
+  const source = pattern.replace(/:(\w+)/g, (match, key) => {
+    keys.push(key);
+    return '([^/]+)';
+  });
+  return { keys, regex: new RegExp(`^${source}$`) };
+}
+
+/**
+ * Inspect a dataset the way the backend's /data/validate does
+ * @param {Array} data - Rows as arrays or objects
+ * @returns {Object} { valid, errors, warnings, statistics, features }
+ */
+function analyzeDataset(data) {
+  const errors = [];
+  const warnings = [];
+
+  if (!Array.isArray(data)) {
+    return { valid: false, errors: ['Data must be an array of rows'], warnings, statistics: { rows: 0, columns: 0 }, features: [] };
+  }
+  if (data.length === 0) {
+    return { valid: false, errors: ['Data array is empty'], warnings, statistics: { rows: 0, columns: 0 }, features: [] };
+  }
+
+  const first = data[0];
+  let features;
+
+  if (Array.isArray(first)) {
+    features = first.map((value, index) => index);
+  } else if (first && typeof first === 'object') {
+    features = first.x !== undefined && first.y !== undefined ?
+      ['x', 'y', ...(first.z !== undefined ? ['z'] : [])] :
+      Object.keys(first).filter(key => typeof first[key] === 'number' && !IGNORED_FEATURES.includes(key));
+  } else {
+    return { valid: false, errors: ['Rows must be arrays or objects'], warnings, statistics: { rows: data.length, columns: 0 }, features: [] };
+  }
+
+  let missingValues = 0;
+  let inconsistentRows = 0;
+
+  data.forEach(row => {
+    if (Array.isArray(row) !== Array.isArray(first) || (Array.isArray(row) && row.length !== first.length)) {
+      inconsistentRows++;
+      return;
+    }
+    features.forEach(feature => {
+      if (!Number.isFinite(Number(row[feature])) || row[feature] === null || row[feature] === '') {
+        missingValues++;
+      }
+    });
+  });
+
+  if (features.length < 2) {
+    errors.push('Need at least 2 numeric columns for clustering');
+  }
+  if (inconsistentRows > 0) {
+    errors.push(`${inconsistentRows} rows do not match the shape of the first row`);
+  }
+  if (missingValues > 0) {
+    errors.push(`${missingValues} missing or non-numeric values in numeric columns`);
+  }
+  if (data.length < 3) {
+    warnings.push('Dataset is very small (less than 3 points)');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    statistics: {
+      rows: data.length,
+      columns: Array.isArray(first) ? first.length : Object.keys(first).length,
+      numericColumns: features.length,
+      missingValues
+    },
+    features
+  };
+}
+
+/**
+ * Turn an uploaded CSV/TSV/JSON file into rows for analyzeDataset
+ */
+function parseUploadedDataset(bytes, fileName) {
+  const text = new TextDecoder().decode(bytes);
+
+  if (/\.json$/i.test(fileName)) {
+    try {
+      const parsed = JSON.parse(text);
+      return Array.isArray(parsed) ? parsed : parsed.data;
+    } catch (error) {
+      throw new MockHttpError(422, 'Uploaded JSON could not be parsed');
+    }
+  }
+
+  const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+  const delimiter = /\.tsv$/i.test(fileName) || lines[0]?.includes('\t') ? '\t' : ',';
+  const headers = (lines[0] || '').split(delimiter).map(header => header.trim().replace(/^"|"$/g, ''));
+
+  return lines.slice(1).map(line => {
+    const values = line.split(delimiter);
+    const row = {};
+    headers.forEach((header, index) => {
+      const value = (values[index] ?? '').trim().replace(/^"|"$/g, '');
+      row[header] = value !== '' && Number.isFinite(Number(value)) ? Number(value) : value;
+    });
+    return row;
+  });
+}
+
+/**
+ * Readable NDJSON body that pulls one message per line from an async iterator
+ */
+function toNdjsonStream(messages) {
+  const encoder = new TextEncoder();
+  const iterator = messages[Symbol.asyncIterator]();
+
+  return new ReadableStream({
+    async pull(controller) {
+      const { value, done } = await iterator.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(encoder.encode(`${JSON.stringify(value)}\n`));
+      }
+    },
+    cancel() {
+      return iterator.return?.();
+    }
+  });
+}
+
+function toVectors(data) {
+  const analysis = analyzeDataset(data);
+  if (!analysis.valid) {
+    throw new MockHttpError(400, 'Invalid dataset', analysis.errors);
+  }
+  return data.map(row => analysis.features.map(feature => Number(row[feature])));
+}
+
+/**
+ * Reject parameters outside the ranges or options an algorithm advertises.
+ * Parameters the algorithm does not list are passed through untouched.
+ */
+function checkParameters(algorithm, parameters = {}) {
+  Object.entries(algorithm.parameters).forEach(([name, rule]) => {
+    const value = parameters[name];
+    if (value === undefined || value === null) return;
+
+    if (rule.options) {
+      if (!rule.options.includes(value)) {
+        throw new MockHttpError(400, `${name} must be one of: ${rule.options.join(', ')}`);
+      }
+      return;
+    }
+
+    if (value === 'auto' && (rule.auto || rule.default === 'auto')) return;
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number) || number < rule.min || number > rule.max) {
+      throw new MockHttpError(400, `${name} must be a number between ${rule.min} and ${rule.max}`);
+    }
+  });
+}
+
+function squaredDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i] - b[i];
+    sum += diff * diff;
+  }
+  return sum;
+}
+
+function round(value) {
+  return Number.isFinite(value) ? Math.round(value * 10000) / 10000 : value;
+}
+
+/**
+ * Convert a local algorithm result into one label per point (-1 for noise)
+ */
+function toLabels(result, size) {
+  const labels = new Array(size).fill(-1);
+  let nextLabel = 0;
+
+  result.clusters.forEach(cluster => {
+    if (!cluster.pointIndices || cluster.pointIndices.length === 0) return;
+    cluster.pointIndices.forEach(index => {
+      labels[index] = nextLabel;
+    });
+    nextLabel++;
+  });
+
+  return labels;
+}
+
+/**
+ * Cluster summaries and internal quality metrics for labelled vectors
+ * @param {Array<Array<Number>>} vectors - Points
+ * @param {Array<Number>} labels - Cluster label per point, -1 for noise
+ * @returns {Object} { clusters, centroids, numClusters, noise, metrics }
+ */
+function summarizeClustering(vectors, labels) {
+  const members = new Map();
+  labels.forEach((label, index) => {
+    if (label < 0) return;
+    if (!members.has(label)) members.set(label, []);
+    members.get(label).push(index);
+  });
+
+  const ids = Array.from(members.keys()).sort((a, b) => a - b);
+  const dimensions = vectors[0]?.length || 0;
+  const clusters = ids.map(id => {
+    const points = members.get(id);
+    const centroid = new Array(dimensions).fill(0);
+    points.forEach(index => vectors[index].forEach((value, d) => {
+      centroid[d] += value / points.length;
+    }));
+    const scatter = points.reduce((sum, index) => sum + Math.sqrt(squaredDistance(vectors[index], centroid)), 0) / points.length;
+    return { id, size: points.length, centroid, points, scatter };
+  });
+
+  const clustered = labels.filter(label => label >= 0).length;
+  const overall = new Array(dimensions).fill(0);
+  clusters.forEach(cluster => cluster.centroid.forEach((value, d) => {
+    overall[d] += value * cluster.size / clustered;
+  }));
+
+  const inertia = clusters.reduce((sum, cluster) =>
+    sum + cluster.points.reduce((total, index) => total + squaredDistance(vectors[index], cluster.centroid), 0), 0);
+  const betweenSS = clusters.reduce((sum, cluster) => sum + cluster.size * squaredDistance(cluster.centroid, overall), 0);
+
+  let daviesBouldinIndex = 0;
+  clusters.forEach((cluster, i) => {
+    let worst = 0;
+    clusters.forEach((other, j) => {
+      if (i === j) return;
+      const separation = Math.sqrt(squaredDistance(cluster.centroid, other.centroid));
+      if (separation > 0) worst = Math.max(worst, (cluster.scatter + other.scatter) / separation);
+    });
+    daviesBouldinIndex += worst / clusters.length;
+  });
+
+  const k = clusters.length;
+  return {
+    clusters: clusters.map(({ scatter, ...cluster }) => cluster),
+    centroids: clusters.map(cluster => cluster.centroid),
+    numClusters: k,
+    noise: labels.length - clustered,
+    metrics: {
+      silhouetteScore: round(silhouetteScore(vectors, labels, clusters)),
+      inertia: round(inertia),
+      daviesBouldinIndex: round(daviesBouldinIndex),
+      calinskiHarabaszIndex: k > 1 && clustered > k ? round((betweenSS / (k - 1)) / (inertia / (clustered - k) || 1)) : 0
+    }
+  };
+}
+
+/**
+ * Mean silhouette over an evenly spaced sample of the clustered points
+ */
+function silhouetteScore(vectors, labels, clusters) {
+  if (clusters.length < 2) return 0;
+
+  const clusteredIndices = [];
+  labels.forEach((label, index) => {
+    if (label >= 0) clusteredIndices.push(index);
+  });
+
+  const step = Math.max(1, Math.ceil(clusteredIndices.length / MAX_SILHOUETTE_SAMPLE));
+  let total = 0;
+  let count = 0;
+
+  for (let s = 0; s < clusteredIndices.length; s += step) {
+    const index = clusteredIndices[s];
+    const distances = new Map();
+
+    clusters.forEach(cluster => {
+      const sum = cluster.points.reduce((acc, other) => acc + Math.sqrt(squaredDistance(vectors[index], vectors[other])), 0);
+      const size = cluster.id === labels[index] ? cluster.size - 1 : cluster.size;
+      distances.set(cluster.id, size > 0 ? sum / size : 0);
+    });
+
+    const own = distances.get(labels[index]);
+    const nearest = Math.min(...clusters.filter(cluster => cluster.id !== labels[index]).map(cluster => distances.get(cluster.id)));
+    const ownSize = clusters.find(cluster => cluster.id === labels[index]).size;
+
+    total += ownSize > 1 && Math.max(own, nearest) > 0 ? (nearest - own) / Math.max(own, nearest) : 0;
+    count++;
+  }
+
+  return count > 0 ? total / count : 0;
+}
+
+/**
+ * Seeded generator so sample datasets are identical across reloads
+ */
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+function gaussian(random) {
+  const u = Math.max(random(), Number.EPSILON);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+const SAMPLE_DATASETS = {
+  blobs: {
+    displayName: 'Gaussian Blobs',
+    description: '300 points in 3 well-separated clusters',
+    generate(random) {
+      const centers = [[2, 2], [8, 3], [5, 8]];
+      return Array.from({ length: 300 }, (value, i) => {
+        const [cx, cy] = centers[i % centers.length];
+        return { x: round(cx + gaussian(random)), y: round(cy + gaussian(random)), true_cluster: i % centers.length };
+      });
+    }
+  },
+  rings: {
+    displayName: 'Concentric Rings',
+    description: '400 points on two noisy rings (suits DBSCAN)',
+    generate(random) {
+      return Array.from({ length: 400 }, (value, i) => {
+        const ring = i % 2;
+        const radius = (ring ? 6 : 2) + gaussian(random) * 0.25;
+        const angle = random() * 2 * Math.PI;
+        return { x: round(radius * Math.cos(angle)), y: round(radius * Math.sin(angle)), true_cluster: ring };
+      });
+    }
+  }
+};
+
+/* ===================================
+   Mock WebSocket
+   =================================== */
+
+/**
+ * WebSocket lookalike connected to a MockNCSServer
+ */
+export class MockWebSocket extends EventTarget {
+  constructor(server, url, protocols = []) {
+    super();
+    this.server = server;
+    this.url = String(url);
+    this.protocol = Array.isArray(protocols) ? (protocols[0] || '') : protocols;
+    this.extensions = '';
+    this.bufferedAmount = 0;
+    this.binaryType = 'blob';
+    this.readyState = MockWebSocket.CONNECTING;
+    this.encoding = 'json'; // FRAME_ENCODING once the WebSocketManager hello negotiated it
+
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+    this.onerror = null;
+
+    // Subscriptions by job id (APIClient) and by event name (WebSocketManager)
+    this.jobSubscriptions = new Set();
+    this.eventSubscriptions = new Set();
+    this.streams = new Set(); // Cluster streams opened over this socket
+
+    setTimeout(() => this.server.acceptSocket(this), this.server.options.latency);
+  }
+
+  send(data) {
+    if (this.readyState === MockWebSocket.CONNECTING) {
+      throw new DOMException('Still in CONNECTING state.', 'InvalidStateError');
+    }
+    if (this.readyState !== MockWebSocket.OPEN) return;
+
+    setTimeout(() => this.server.handleSocketMessage(this, data), 0);
+  }
+
+  close(code = 1000, reason = '') {
+    if (this.readyState === MockWebSocket.CLOSING || this.readyState === MockWebSocket.CLOSED) return;
+
+    this.readyState = MockWebSocket.CLOSING;
+    setTimeout(() => {
+      this.readyState = MockWebSocket.CLOSED;
+      this.server.sockets.delete(this);
+      this.streams.forEach(id => this.server.streams.delete(id));
+      this.dispatch('close', { code, reason, wasClean: code === 1000 });
+    }, 0);
+  }
+
+  /**
+   * Deliver a server message to the page; results go out as binary frames on negotiated sockets
+   */
+  receive(message) {
+    const binary = this.encoding === FRAME_ENCODING && Array.isArray(message.data?.labels);
+
+    setTimeout(() => {
+      if (this.readyState !== MockWebSocket.OPEN) return;
+
+      if (!binary) {
+        this.dispatch('message', { data: JSON.stringify(message) });
+        return;
+      }
+
+      const { data, ...envelope } = message;
+      const frame = encodeResult(data, { envelope });
+      this.dispatch('message', { data: this.binaryType === 'arraybuffer' ? frame : new Blob([frame]) });
+    }, 0);
+  }
+
+  dispatch(type, properties = {}) {
+    const event = new Event(type);
+    Object.assign(event, properties);
+    this.dispatchEvent(event);
+
+    const handler = this[`on${type}`];
+    if (typeof handler === 'function') {
+      handler.call(this, event);
+    }
+  }
+}
+
+MockWebSocket.CONNECTING = 0;
+MockWebSocket.OPEN = 1;
+MockWebSocket.CLOSING = 2;
+MockWebSocket.CLOSED = 3;
+
+/* ===================================
+   Mock Server
+   =================================== */
+
+export class MockNCSServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {Number} options.latency - Simulated network delay in ms
+   * @param {Number} options.progressInterval - Delay between job progress events in ms
+   * @param {Number} options.failureRate - Fraction of HTTP requests answered with 503
+   * @param {Boolean} options.requireAuth - Require a session or API key on protected endpoints
+   * @param {Array<String>} options.baseURLs - Extra API/WebSocket URLs whose host is served
+   * @param {Array<Object>} options.users - Accounts accepted by /auth/login
+   * @param {Array<String>} options.apiKeys - Bearer API keys accepted when requireAuth is set
+   * @param {Object} options.responses - Static fallback responses by path ({ status, data })
+   * @param {Boolean} options.binaryFrames - Accept and send binary frames (415 for frame bodies when off)
+   */
+  constructor(options = {}) {
+    this.options = {
+      latency: MOCK_CONFIG.delay,
+      progressInterval: 250,
+      failureRate: 0,
+      requireAuth: false,
+      baseURLs: [],
+      users: [DEMO_USER],
+      apiKeys: [],
+      responses: MOCK_CONFIG.responses,
+      binaryFrames: true,
+      ...options
+    };
+
+    this.hosts = new Set(
+      [...Object.values(API_BASE_URLS), ...Object.values(WS_BASE_URLS), ...this.options.baseURLs]
+        .map(getHost)
+        .filter(Boolean)
+    );
+
+    this.jobs = new Map();
+    this.batches = new Map();
+    this.uploads = new Map();
+    this.datasets = new Map(); // Completed uploads
+    this.streams = new Map();
+    this.sockets = new Set();
+    this.users = new Map(this.options.users.map(user => [user.email, { ...user }]));
+    this.sessions = new Map(); // access token -> session
+    this.refreshTokens = new Map(); // refresh token -> session
+    this.resetTokens = new Map(); // reset token -> email
+    this.queue = Promise.resolve(); // Jobs run one at a time, like a single backend worker
+
+    this.routes = [
+      ['GET', ENDPOINTS.SYSTEM.HEALTH, this.getHealth],
+      ['GET', '/algorithms', this.getAlgorithms],
+      ['GET', ENDPOINTS.CLUSTERING.ALGORITHMS, this.getAlgorithms],
+      ['POST', ENDPOINTS.CLUSTERING.BATCH_CLUSTER, this.createBatch, { status: 202, auth: true }],
+      ['GET', `${ENDPOINTS.CLUSTERING.BATCH_CLUSTER}/:id`, this.getBatch, { auth: true }],
+      ['DELETE', `${ENDPOINTS.CLUSTERING.BATCH_CLUSTER}/:id`, this.cancelBatch, { auth: true }],
+      ['POST', ENDPOINTS.CLUSTERING.STREAM_CLUSTER, this.createStream, { status: 201, auth: true }],
+      ['POST', ENDPOINTS.CLUSTERING.STREAM_BATCHES, this.postStreamBatches, { auth: true, raw: true, ndjson: true }],
+      ['DELETE', ENDPOINTS.CLUSTERING.STREAM_BATCHES, this.closeStream, { auth: true }],
+      ['POST', ENDPOINTS.CLUSTERING.CLUSTER, this.createJob, { status: 202, auth: true }],
+      ['GET', `${ENDPOINTS.CLUSTERING.CLUSTER}/:id/status`, this.getJobStatus, { auth: true }],
+      ['GET', `${ENDPOINTS.CLUSTERING.CLUSTER}/:id/results`, this.getJobResults, { auth: true, binary: true }],
+      ['DELETE', `${ENDPOINTS.CLUSTERING.CLUSTER}/:id`, this.cancelJob, { auth: true }],
+      ['POST', '/metrics/quality', this.getQualityMetrics],
+      ['POST', ENDPOINTS.CLUSTERING.QUALITY_METRICS, this.getQualityMetrics],
+      ['POST', ENDPOINTS.DATA.VALIDATE, this.validateData],
+      ['POST', ENDPOINTS.DATA.UPLOAD, this.createUpload, { status: 201, auth: true }],
+      ['GET', ENDPOINTS.DATA.UPLOAD_STATUS, this.getUpload, { auth: true }],
+      ['PUT', ENDPOINTS.DATA.UPLOAD_CHUNK, this.putUploadChunk, { auth: true, raw: true }],
+      ['POST', ENDPOINTS.DATA.UPLOAD_COMPLETE, this.completeUpload, { auth: true }],
+      ['DELETE', ENDPOINTS.DATA.UPLOAD_STATUS, this.cancelUpload, { auth: true }],
+      ['GET', '/data/samples', this.listSamples],
+      ['GET', '/data/samples/:name', this.getSample],
+      ['POST', ENDPOINTS.AUTH.LOGIN, this.login],
+      ['POST', ENDPOINTS.AUTH.LOGOUT, this.logout],
+      ['POST', ENDPOINTS.AUTH.REFRESH, this.refresh],
+      ['GET', ENDPOINTS.AUTH.VERIFY, this.verify],
+      ['POST', ENDPOINTS.AUTH.FORGOT_PASSWORD, this.forgotPassword],
+      ['POST', ENDPOINTS.AUTH.RESET_PASSWORD, this.resetPassword],
+      ['POST', '/auth/change-password', this.changePassword],
+      ['POST', '/auth/verify-email', this.verifyEmail]
+    ].map(([method, pattern, handler, options = {}]) => ({
+      method,
+      handler: handler.bind(this),
+      status: options.status || 200,
+      auth: Boolean(options.auth),
+      raw: Boolean(options.raw), // Handler gets the body as bytes
+      ndjson: Boolean(options.ndjson), // Handler returns an async iterable sent as NDJSON
+      binary: Boolean(options.binary), // Result sent as a binary frame when the request accepts one
+      ...compileRoute(pattern)
+    }));
+
+    this.fetch = this.fetch.bind(this);
+  }
+
+  /**
+   * Whether a URL belongs to the mocked API
+   */
+  handles(url) {
+    return this.hosts.has(getHost(url));
+  }
+
+  /* ===================================
+     HTTP
+     =================================== */
+
+  /**
+   * fetch()-compatible entry point
+   * @returns {Promise<Response>} Response
+   */
+  async fetch(input, init = {}) {
+    const request = new Request(input, init);
+    const body = ['GET', 'HEAD'].includes(request.method) ? null : new Uint8Array(await request.arrayBuffer());
+
+    await sleep(this.options.latency, request.signal);
+
+    const { status, body: payload, ndjson, binary } = await this.handle({
+      method: request.method,
+      url: request.url,
+      headers: request.headers,
+      body
+    });
+
+    if (ndjson) {
+      return new Response(toNdjsonStream(payload), {
+        status,
+        statusText: STATUS_TEXT[status] || '',
+        headers: {
+          'Content-Type': 'application/x-ndjson',
+          'X-Mock-Server': 'ncs'
+        }
+      });
+    }
+
+    if (binary) {
+      return new Response(payload, {
+        status,
+        statusText: STATUS_TEXT[status] || '',
+        headers: {
+          'Content-Type': FRAME_MIME_TYPE,
+          'X-Mock-Server': 'ncs'
+        }
+      });
+    }
+
+    return new Response(payload === null ? null : JSON.stringify(payload), {
+      status,
+      statusText: STATUS_TEXT[status] || '',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Mock-Server': 'ncs'
+      }
+    });
+  }
+
+  /**
+   * Route a request without the network layer
+   * @param {Object} request - { method, url, headers, body } where body is a JSON string, object or bytes
+   * @returns {Promise<Object>} { status, body, ndjson, binary } where ndjson marks an async iterable
+   *   body and binary an encoded frame
+   */
+  async handle({ method = 'GET', url, headers = {}, body = null }) {
+    const { pathname, searchParams } = new URL(url);
+    const path = normalizePath(pathname);
+
+    try {
+      if (this.options.failureRate > 0 && Math.random() < this.options.failureRate) {
+        throw new MockHttpError(503, 'Service temporarily unavailable (simulated)');
+      }
+
+      const match = this.matchRoute(method.toUpperCase(), path);
+      if (!match) {
+        const fixture = this.options.responses?.[path];
+        if (fixture) return { status: fixture.status || 200, body: fixture.data };
+        throw new MockHttpError(404, `No mock route for ${method.toUpperCase()} ${path}`);
+      }
+
+      const requestHeaders = new Headers(headers);
+      const session = this.getSession(requestHeaders);
+      if (match.route.auth && this.options.requireAuth && requiresAuth(path) && !session && !this.hasApiKey(requestHeaders)) {
+        throw new MockHttpError(401, 'Authentication required');
+      }
+
+      let payload = null;
+      if (body instanceof Uint8Array || body instanceof ArrayBuffer) {
+        const bytes = new Uint8Array(body);
+        if (match.route.raw) {
+          payload = bytes;
+        } else if (isFrame(bytes)) {
+          payload = this.decodeFrameRequest(bytes);
+        } else {
+          body = new TextDecoder().decode(bytes);
+        }
+      }
+
+      if (payload === null && typeof body === 'string' && body.length > 0) {
+        try {
+          payload = JSON.parse(body);
+        } catch (error) {
+          throw new MockHttpError(400, 'Request body is not valid JSON');
+        }
+      } else if (payload === null && body && typeof body === 'object' && !(body instanceof Uint8Array)) {
+        payload = body;
+      }
+
+      const result = await match.route.handler({
+        params: match.params,
+        query: searchParams,
+        headers: requestHeaders,
+        body: payload || {},
+        session
+      });
+
+      if (match.route.binary && this.options.binaryFrames && acceptsFrames(requestHeaders)) {
+        return { status: match.route.status, body: encodeResult(result), binary: true };
+      }
+
+      return { status: match.route.status, body: result, ndjson: match.route.ndjson };
+
+    } catch (error) {
+      if (!(error instanceof MockHttpError)) {
+        console.error('🧪 Mock server error:', error);
+      }
+      const status = error.status || 500;
+      return {
+        status,
+        body: {
+          error: STATUS_TEXT[status] || 'Error',
+          message: error.message,
+          code: `HTTP_${status}`,
+          details: error.details || null
+        }
+      };
+    }
+  }
+
+  /**
+   * JSON-style request body from a dataset frame: frame metadata plus the points as rows
+   */
+  decodeFrameRequest(bytes) {
+    if (!this.options.binaryFrames) {
+      throw new MockHttpError(415, 'Binary frames are not supported');
+    }
+
+    let dataset;
+    try {
+      dataset = decodeDataset(bytes);
+    } catch (error) {
+      throw new MockHttpError(400, `Invalid binary frame: ${error.message}`);
+    }
+
+    const { kind, columns, envelope, ...request } = dataset.meta;
+    return { ...envelope, ...request, data: datasetToRows(dataset) };
+  }
+
+  matchRoute(method, path) {
+    for (const route of this.routes) {
+      if (route.method !== method) continue;
+      const result = route.regex.exec(path);
+      if (result) {
+        const params = {};
+        route.keys.forEach((key, i) => {
+          params[key] = decodeURIComponent(result[i + 1]);
+        });
+        return { route, params };
+      }
+    }
+    return null;
+  }
+
+  /* ===================================
+     System and data routes
+     =================================== */
+
+  getHealth() {
+    return {
+      status: 'healthy',
+      mock: true,
+      timestamp: new Date().toISOString(),
+      encodings: this.options.binaryFrames ? [FRAME_ENCODING, 'json'] : ['json'],
+      jobs: {
+        active: Array.from(this.jobs.values()).filter(job => ACTIVE_STATUSES.includes(job.status)).length,
+        total: this.jobs.size
+      }
+    };
+  }
+
+  getAlgorithms() {
+    return { algorithms: ALGORITHMS.map(({ resultFields, ...entry }) => entry) };
+  }
+
+  validateData({ body }) {
+    const { features, ...report } = analyzeDataset(body.data);
+    return report;
+  }
+
+  getQualityMetrics({ body }) {
+    const vectors = toVectors(body.data);
+    let labels = body.labels;
+
+    if (!Array.isArray(labels)) {
+      if (!Array.isArray(body.clusters)) {
+        throw new MockHttpError(400, 'Provide labels or clusters with point indices');
+      }
+      labels = new Array(vectors.length).fill(-1);
+      body.clusters.forEach((cluster, id) => {
+        (cluster.points || cluster.pointIndices || []).forEach(index => {
+          if (Number.isInteger(index)) labels[index] = id;
+        });
+      });
+    }
+
+    if (labels.length !== vectors.length) {
+      throw new MockHttpError(400, 'labels must have one entry per data point');
+    }
+
+    return summarizeClustering(vectors, labels).metrics;
+  }
+
+  listSamples() {
+    return {
+      datasets: Object.entries(SAMPLE_DATASETS).map(([name, dataset]) => ({
+        name,
+        displayName: dataset.displayName,
+        description: dataset.description
+      }))
+    };
+  }
+
+  getSample({ params }) {
+    const dataset = SAMPLE_DATASETS[params.name];
+    if (!dataset) {
+      throw new MockHttpError(404, `Unknown sample dataset: ${params.name}`);
+    }
+    return dataset.generate(seededRandom(params.name.length * 7919));
+  }
+
+  /* ===================================
+     Chunked uploads
+     =================================== */
+
+  createUpload({ body }) {
+    const { fileName, fileSize, mimeType = 'application/octet-stream' } = body;
+    const chunkSize = body.chunkSize || API_CONFIG.upload.chunkSize;
+
+    if (!fileName || !Number.isInteger(fileSize) || fileSize <= 0) {
+      throw new MockHttpError(400, 'fileName and a positive integer fileSize are required');
+    }
+    if (fileSize > API_CONFIG.upload.maxFileSize) {
+      throw new MockHttpError(413, `File exceeds ${API_CONFIG.upload.maxFileSize} bytes`);
+    }
+
+    const upload = {
+      id: createId('upload'),
+      fileName,
+      fileSize,
+      mimeType,
+      chunkSize,
+      totalChunks: Math.ceil(fileSize / chunkSize),
+      chunks: new Map(), // index -> { bytes, hash }
+      status: 'uploading',
+      createdAt: new Date().toISOString()
+    };
+
+    this.uploads.set(upload.id, upload);
+    return this.describeUpload(upload);
+  }
+
+  getUpload({ params }) {
+    return this.describeUpload(this.getUploadRecord(params.uploadId));
+  }
+
+  async putUploadChunk({ params, headers, body }) {
+    const upload = this.getUploadRecord(params.uploadId);
+    const index = Number(params.index);
+
+    if (upload.status !== 'uploading') {
+      throw new MockHttpError(409, `Upload ${upload.id} is ${upload.status}`);
+    }
+    if (!Number.isInteger(index) || index < 0 || index >= upload.totalChunks) {
+      throw new MockHttpError(400, `Chunk index must be between 0 and ${upload.totalChunks - 1}`);
+    }
+
+    const bytes = body instanceof Uint8Array ? body : new Uint8Array(0);
+    const expectedSize = Math.min(upload.chunkSize, upload.fileSize - index * upload.chunkSize);
+    if (bytes.length !== expectedSize) {
+      throw new MockHttpError(400, `Chunk ${index} should be ${expectedSize} bytes, got ${bytes.length}`);
+    }
+
+    const hash = await sha256Hex(bytes);
+    const claimed = headers.get('x-chunk-hash');
+    if (claimed && claimed.toLowerCase() !== hash) {
+      throw new MockHttpError(422, `Chunk ${index} hash mismatch`, { expected: claimed, actual: hash });
+    }
+
+    upload.chunks.set(index, { bytes, hash });
+    return {
+      uploadId: upload.id,
+      index,
+      hash,
+      receivedChunks: upload.chunks.size,
+      totalChunks: upload.totalChunks
+    };
+  }
+
+  async completeUpload({ params, body }) {
+    const upload = this.getUploadRecord(params.uploadId);
+
+    if (upload.status === 'completed') {
+      return upload.result;
+    }
+
+    const missing = [];
+    for (let index = 0; index < upload.totalChunks; index++) {
+      if (!upload.chunks.has(index)) missing.push(index);
+    }
+    if (missing.length > 0) {
+      throw new MockHttpError(409, `${missing.length} chunks missing`, { missingChunks: missing });
+    }
+
+    const hashes = Array.from({ length: upload.totalChunks }, (_, index) => upload.chunks.get(index).hash);
+    const fileHash = await sha256Hex(hashes.join(''));
+    if (body.fileHash && body.fileHash !== fileHash) {
+      throw new MockHttpError(422, 'File hash mismatch', { expected: body.fileHash, actual: fileHash });
+    }
+
+    const bytes = new Uint8Array(upload.fileSize);
+    hashes.forEach((hash, index) => {
+      bytes.set(upload.chunks.get(index).bytes, index * upload.chunkSize);
+    });
+
+    const data = parseUploadedDataset(bytes, upload.fileName);
+    const { features, ...validation } = analyzeDataset(data);
+    const datasetId = createId('dataset');
+
+    this.datasets.set(datasetId, { id: datasetId, fileName: upload.fileName, data });
+    upload.status = 'completed';
+    upload.chunks.clear();
+    upload.result = {
+      uploadId: upload.id,
+      datasetId,
+      fileName: upload.fileName,
+      size: upload.fileSize,
+      fileHash,
+      rows: validation.statistics.rows,
+      columns: validation.statistics.columns,
+      validation
+    };
+
+    return upload.result;
+  }
+
+  cancelUpload({ params }) {
+    const upload = this.getUploadRecord(params.uploadId);
+    this.uploads.delete(upload.id);
+    return { uploadId: upload.id, status: 'cancelled' };
+  }
+
+  getUploadRecord(id) {
+    const upload = this.uploads.get(id);
+    if (!upload) throw new MockHttpError(404, `Unknown upload: ${id}`);
+    return upload;
+  }
+
+  describeUpload(upload) {
+    return {
+      uploadId: upload.id,
+      fileName: upload.fileName,
+      fileSize: upload.fileSize,
+      chunkSize: upload.chunkSize,
+      totalChunks: upload.totalChunks,
+      receivedChunks: Array.from(upload.chunks.keys()).sort((a, b) => a - b),
+      status: upload.status,
+      createdAt: upload.createdAt
+    };
+  }
+
+  /* ===================================
+     Clustering jobs
+     =================================== */
+
+  createJob({ body }) {
+    return this.describeJob(this.enqueueJob(body));
+  }
+
+  getJobStatus({ params }) {
+    return this.describeJob(this.getJob(params.id));
+  }
+
+  getJobResults({ params }) {
+    const job = this.getJob(params.id);
+    if (job.status !== 'completed') {
+      throw new MockHttpError(409, `Job ${job.id} is ${job.status}`, { status: job.status });
+    }
+    return job.result;
+  }
+
+  cancelJob({ params }) {
+    const job = this.getJob(params.id);
+    if (!ACTIVE_STATUSES.includes(job.status)) {
+      throw new MockHttpError(409, `Job ${job.id} is already ${job.status}`, { status: job.status });
+    }
+    this.cancelJobRecord(job);
+    return this.describeJob(job);
+  }
+
+  createBatch({ body }) {
+    const { jobs, ...defaults } = body;
+    if (!Array.isArray(jobs) || jobs.length === 0) {
+      throw new MockHttpError(400, 'jobs must be a non-empty array');
+    }
+
+    // Validate every job first so a bad entry rejects the whole batch
+    const specs = jobs.map((job, index) => {
+      const spec = { ...defaults, ...job, parameters: { ...defaults.parameters, ...job.parameters } };
+      try {
+        this.checkJobSpec(spec);
+      } catch (error) {
+        throw new MockHttpError(400, `Job ${index}: ${error.message}`, error.details);
+      }
+      return spec;
+    });
+
+    const batch = { id: createId('batch'), jobIds: [], createdAt: new Date().toISOString() };
+    this.batches.set(batch.id, batch);
+    specs.forEach(spec => batch.jobIds.push(this.enqueueJob(spec, batch.id).id));
+
+    return this.describeBatch(batch);
+  }
+
+  getBatch({ params }) {
+    return this.describeBatch(this.getBatchRecord(params.id));
+  }
+
+  cancelBatch({ params }) {
+    const batch = this.getBatchRecord(params.id);
+    batch.jobIds
+      .map(id => this.jobs.get(id))
+      .filter(job => ACTIVE_STATUSES.includes(job.status))
+      .forEach(job => this.cancelJobRecord(job));
+    return this.describeBatch(batch);
+  }
+
+  checkJobSpec({ data, algorithm = 'kmeans', parameters }) {
+    const entry = ALGORITHMS.find(candidate => candidate.name === algorithm);
+    if (!entry) {
+      throw new MockHttpError(400, `Unknown algorithm: ${algorithm}`);
+    }
+    checkParameters(entry, parameters);
+    return toVectors(data);
+  }
+
+  enqueueJob(spec, batchId = null) {
+    const job = {
+      id: createId('job'),
+      batchId,
+      algorithm: spec.algorithm || 'kmeans',
+      parameters: { ...spec.parameters },
+      vectors: this.checkJobSpec(spec),
+      status: 'queued',
+      progress: 0,
+      phase: 'queued',
+      error: null,
+      result: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue = this.queue.then(() => this.runJob(job));
+    return job;
+  }
+
+  async runJob(job) {
+    if (job.status !== 'queued') return;
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.updateProgress(job, 5, 'preprocessing');
+
+    // Give subscribers time to attach before the work starts
+    await sleep(this.options.progressInterval);
+    if (job.status !== 'running') return;
+    this.updateProgress(job, 15, 'clustering');
+    await sleep(this.options.progressInterval);
+    if (job.status !== 'running') return;
+
+    try {
+      const { runClustering } = await import('../workers/clustering.worker.js');
+      const startTime = performance.now();
+      const raw = await runClustering(job.algorithm, job.vectors, job.parameters, message => {
+        this.updateProgress(job, 15 + Math.round(this.getAlgorithmProgress(message) * 0.7), message.phase || 'clustering');
+      });
+      const executionTime = Math.round(performance.now() - startTime);
+
+      const labels = toLabels(raw, job.vectors.length);
+      const summary = summarizeClustering(job.vectors, labels);
+      const { resultFields = [] } = ALGORITHMS.find(entry => entry.name === job.algorithm);
+
+      job.result = {
+        jobId: job.id,
+        algorithm: job.algorithm,
+        parameters: job.parameters,
+        labels,
+        ...summary,
+        ...(raw.confidences ? { confidences: raw.confidences } : {}),
+        ...(raw.dendrogram ? { dendrogram: raw.dendrogram } : {}),
+        ...Object.fromEntries(resultFields.filter(field => raw[field] !== undefined).map(field => [field, raw[field]])),
+        iterations: raw.iterations,
+        converged: raw.converged,
+        executionTime
+      };
+
+      this.updateProgress(job, 90, 'metrics');
+      this.publishJobEvent(job, 'metrics', { jobId: job.id, ...summary.metrics });
+      await sleep(this.options.progressInterval);
+      if (job.status !== 'running') return;
+
+      job.status = 'completed';
+      job.completedAt = new Date().toISOString();
+      job.result.completedAt = job.completedAt;
+      this.updateProgress(job, 100, 'completed');
+      this.publishJobEvent(job, 'complete', job.result);
+
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      job.completedAt = new Date().toISOString();
+      this.publishJobEvent(job, 'error', { jobId: job.id, error: error.message });
+    }
+  }
+
+  /**
+   * Percentage (0-100) from the progress messages the local algorithms post
+   */
+  getAlgorithmProgress(message) {
+    if (Number.isFinite(message.progress)) return message.progress;
+    if (message.maxIterations) return message.iteration / message.maxIterations * 100;
+    if (message.total) return message.processed / message.total * 100;
+    if (message.clustersRemaining !== undefined && message.targetClusters) {
+      return Math.min(100, message.targetClusters / message.clustersRemaining * 100);
+    }
+    return 50;
+  }
+
+  updateProgress(job, progress, phase) {
+    job.progress = Math.max(job.progress, Math.min(100, progress));
+    job.phase = phase;
+    this.publishJobEvent(job, 'progress', this.describeJob(job));
+  }
+
+  cancelJobRecord(job) {
+    job.status = 'cancelled';
+    job.phase = 'cancelled';
+    job.completedAt = new Date().toISOString();
+    this.publishJobEvent(job, 'progress', this.describeJob(job));
+  }
+
+  getJob(id) {
+    const job = this.jobs.get(id);
+    if (!job) throw new MockHttpError(404, `Unknown job: ${id}`);
+    return job;
+  }
+
+  getBatchRecord(id) {
+    const batch = this.batches.get(id);
+    if (!batch) throw new MockHttpError(404, `Unknown batch: ${id}`);
+    return batch;
+  }
+
+  describeJob(job) {
+    return {
+      jobId: job.id,
+      job_id: job.id,
+      batchId: job.batchId,
+      algorithm: job.algorithm,
+      status: job.status,
+      progress: job.progress,
+      phase: job.phase,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt
+    };
+  }
+
+  describeBatch(batch) {
+    const jobs = batch.jobIds.map(id => this.describeJob(this.jobs.get(id)));
+    const count = status => jobs.filter(job => job.status === status).length;
+
+    let status = 'partial';
+    if (jobs.some(job => ACTIVE_STATUSES.includes(job.status))) status = 'running';
+    else if (count('completed') === jobs.length) status = 'completed';
+    else if (count('failed') === jobs.length) status = 'failed';
+    else if (count('cancelled') === jobs.length) status = 'cancelled';
+
+    return {
+      batchId: batch.id,
+      status,
+      progress: Math.round(jobs.reduce((sum, job) => sum + job.progress, 0) / jobs.length),
+      counts: {
+        queued: count('queued'),
+        running: count('running'),
+        completed: count('completed'),
+        failed: count('failed'),
+        cancelled: count('cancelled')
+      },
+      jobs,
+      createdAt: batch.createdAt
+    };
+  }
+
+  /* ===================================
+     Streaming clustering
+     =================================== */
+
+  createStream({ body }) {
+    return this.describeStream(this.openStream(body));
+  }
+
+  /**
+   * Answer each NDJSON { seq, points } line with a stream:update line as soon as it is clustered
+   */
+  postStreamBatches({ params, body }) {
+    const stream = this.getStreamRecord(params.streamId);
+    const lines = new TextDecoder().decode(body).split('\n').filter(line => line.trim());
+
+    let batches;
+    try {
+      batches = lines.map(line => JSON.parse(line));
+    } catch (error) {
+      throw new MockHttpError(400, 'Request body is not valid NDJSON');
+    }
+
+    const server = this;
+    return (async function* () {
+      for (const batch of batches) {
+        await sleep(0);
+
+        let message;
+        try {
+          message = server.clusterStreamBatch(stream, batch);
+        } catch (error) {
+          yield { type: 'stream:error', streamId: stream.id, seq: batch.seq, error: error.message };
+          return;
+        }
+        yield message;
+      }
+    })();
+  }
+
+  closeStream({ params }) {
+    const stream = this.getStreamRecord(params.streamId);
+    this.streams.delete(stream.id);
+    return { streamId: stream.id, summary: this.describeStream(stream) };
+  }
+
+  openStream({ algorithm = 'kmeans', parameters = {} }) {
+    if (algorithm !== 'kmeans') {
+      throw new MockHttpError(400, `Streaming is only available for kmeans, not ${algorithm}`);
+    }
+
+    const k = Number(parameters.k ?? parameters.numClusters ?? ALGORITHMS[0].parameters.k.default);
+    if (!Number.isInteger(k) || k < 1) {
+      throw new MockHttpError(400, 'Parameter k must be a positive integer');
+    }
+
+    const stream = {
+      id: createId('stream'),
+      algorithm,
+      parameters: { ...parameters, k },
+      centroids: [],
+      counts: [],
+      pointsSeen: 0,
+      batches: 0,
+      nextSeq: 0,
+      createdAt: new Date().toISOString()
+    };
+
+    this.streams.set(stream.id, stream);
+    return stream;
+  }
+
+  /**
+   * Sequential (MacQueen) k-means: the first k points seed the centroids, then each point
+   * moves its nearest centroid 1/count of the way towards it
+   */
+  clusterStreamBatch(stream, { seq, points }) {
+    if (seq !== stream.nextSeq) {
+      throw new MockHttpError(409, `Expected batch ${stream.nextSeq}, got ${seq}`);
+    }
+
+    const vectors = toVectors(points);
+    if (stream.centroids.length > 0 && vectors[0].length !== stream.centroids[0].length) {
+      throw new MockHttpError(400, `Points have ${vectors[0].length} dimensions, stream has ${stream.centroids[0].length}`);
+    }
+
+    const offset = stream.pointsSeen;
+    let inertia = 0;
+
+    const assignments = vectors.map(vector => {
+      if (stream.centroids.length < stream.parameters.k) {
+        stream.centroids.push([...vector]);
+        stream.counts.push(1);
+        return stream.centroids.length - 1;
+      }
+
+      let nearest = 0;
+      let nearestDistance = Infinity;
+      stream.centroids.forEach((centroid, index) => {
+        const distance = squaredDistance(vector, centroid);
+        if (distance < nearestDistance) {
+          nearest = index;
+          nearestDistance = distance;
+        }
+      });
+
+      inertia += nearestDistance;
+      stream.counts[nearest]++;
+      const centroid = stream.centroids[nearest];
+      vector.forEach((value, d) => {
+        centroid[d] += (value - centroid[d]) / stream.counts[nearest];
+      });
+      return nearest;
+    });
+
+    stream.nextSeq++;
+    stream.batches++;
+    stream.pointsSeen += vectors.length;
+
+    return {
+      type: 'stream:update',
+      streamId: stream.id,
+      seq,
+      offset,
+      assignments,
+      centroids: stream.centroids.map(centroid => centroid.map(round)),
+      counts: [...stream.counts],
+      pointsSeen: stream.pointsSeen,
+      inertia: round(inertia / vectors.length)
+    };
+  }
+
+  getStreamRecord(id) {
+    const stream = this.streams.get(id);
+    if (!stream) throw new MockHttpError(404, `Unknown stream: ${id}`);
+    return stream;
+  }
+
+  describeStream(stream) {
+    return {
+      streamId: stream.id,
+      algorithm: stream.algorithm,
+      parameters: stream.parameters,
+      centroids: stream.centroids.map(centroid => centroid.map(round)),
+      counts: [...stream.counts],
+      pointsSeen: stream.pointsSeen,
+      batches: stream.batches,
+      createdAt: stream.createdAt
+    };
+  }
+
+  /* ===================================
+     Authentication
+     =================================== */
+
+  login({ body }) {
+    const user = this.users.get(body.email);
+    if (!user || user.password !== body.password) {
+      throw new MockHttpError(401, 'Invalid email or password');
+    }
+    return this.createSession(user);
+  }
+
+  logout({ body, session }) {
+    if (session) {
+      const revoked = body.all_devices ?
+        Array.from(this.sessions.values()).filter(other => other.email === session.email) :
+        [session];
+      revoked.forEach(other => this.revokeSession(other));
+    }
+    return { success: true };
+  }
+
+  refresh({ body }) {
+    const session = this.refreshTokens.get(body.refresh_token);
+    if (!session) {
+      throw new MockHttpError(401, 'Invalid refresh token');
+    }
+    this.revokeSession(session);
+    return this.createSession(this.users.get(session.email), session.id);
+  }
+
+  verify({ session }) {
+    if (!session) {
+      throw new MockHttpError(401, 'Invalid or expired token');
+    }
+    return { valid: true, user: this.getPublicUser(this.users.get(session.email)) };
+  }
+
+  forgotPassword({ body }) {
+    if (this.users.has(body.email)) {
+      this.resetTokens.set(createId('reset'), body.email);
+    }
+    // Same answer either way so accounts can't be enumerated
+    return { success: true, message: 'If the account exists, a reset link has been sent' };
+  }
+
+  resetPassword({ body }) {
+    const email = this.resetTokens.get(body.token);
+    const password = body.new_password || body.password;
+    if (!email) {
+      throw new MockHttpError(400, 'Invalid or expired reset token');
+    }
+    if (!password) {
+      throw new MockHttpError(400, 'new_password is required');
+    }
+
+    this.resetTokens.delete(body.token);
+    this.users.get(email).password = password;
+    Array.from(this.sessions.values())
+      .filter(session => session.email === email)
+      .forEach(session => this.revokeSession(session));
+    return { success: true };
+  }
+
+  changePassword({ body, session }) {
+    if (!session) {
+      throw new MockHttpError(401, 'Authentication required');
+    }
+    const user = this.users.get(session.email);
+    if (user.password !== body.current_password) {
+      throw new MockHttpError(400, 'Current password is incorrect');
+    }
+    user.password = body.new_password;
+    return { success: true };
+  }
+
+  verifyEmail({ body, session }) {
+    if (!body.token) {
+      throw new MockHttpError(400, 'token is required');
+    }
+    const user = session ? this.users.get(session.email) : null;
+    if (user) user.emailVerified = true;
+    return { success: true, user: user ? this.getPublicUser(user) : null };
+  }
+
+  createSession(user, sessionId = createId('session')) {
+    const session = {
+      id: sessionId,
+      email: user.email,
+      accessToken: createId('mock_access'),
+      refreshToken: createId('mock_refresh'),
+      expiresAt: Date.now() + TOKEN_TTL * 1000
+    };
+    this.sessions.set(session.accessToken, session);
+    this.refreshTokens.set(session.refreshToken, session);
+
+    return {
+      access_token: session.accessToken,
+      refresh_token: session.refreshToken,
+      token_type: 'Bearer',
+      expires_in: TOKEN_TTL,
+      session_id: session.id,
+      user: this.getPublicUser(user)
+    };
+  }
+
+  revokeSession(session) {
+    this.sessions.delete(session.accessToken);
+    this.refreshTokens.delete(session.refreshToken);
+  }
+
+  getSession(headers) {
+    const token = this.getBearerToken(headers);
+    const session = token ? this.sessions.get(token) : null;
+    if (!session) return null;
+
+    if (Date.now() >= session.expiresAt) {
+      this.revokeSession(session);
+      return null;
+    }
+    return session;
+  }
+
+  hasApiKey(headers) {
+    const token = this.getBearerToken(headers);
+    return Boolean(token) && this.options.apiKeys.includes(token);
+  }
+
+  getBearerToken(headers) {
+    const match = /^Bearer\s+(.+)$/i.exec(headers.get('authorization') || '');
+    return match ? match[1] : null;
+  }
+
+  getPublicUser(user) {
+    const { password, ...publicUser } = user;
+    return publicUser;
+  }
+
+  /* ===================================
+     WebSocket
+     =================================== */
+
+  acceptSocket(socket) {
+    if (socket.readyState !== MockWebSocket.CONNECTING) return;
+
+    socket.readyState = MockWebSocket.OPEN;
+    this.sockets.add(socket);
+    socket.dispatch('open');
+  }
+
+  async handleSocketMessage(socket, data) {
+    let message;
+    try {
+      if (data instanceof Blob) {
+        data = await data.arrayBuffer();
+      }
+      message = data instanceof ArrayBuffer || ArrayBuffer.isView(data) ?
+        this.decodeFrameRequest(data) :
+        JSON.parse(data);
+    } catch (error) {
+      socket.receive({ type: 'error', error: error.status ? error.message : 'Message is not valid JSON' });
+      return;
+    }
+
+    switch (message.type) {
+      case 'hello':
+        socket.encoding = this.options.binaryFrames && message.encodings?.includes(FRAME_ENCODING) ?
+          FRAME_ENCODING :
+          'json';
+        socket.receive({ type: 'welcome', encoding: socket.encoding });
+        break;
+
+      case 'subscribe':
+        if (message.jobId) socket.jobSubscriptions.add(message.jobId);
+        if (message.event) socket.eventSubscriptions.add(message.event);
+        this.replayJobState(socket, message);
+        break;
+
+      case 'unsubscribe':
+        socket.jobSubscriptions.delete(message.jobId);
+        socket.eventSubscriptions.delete(message.event);
+        break;
+
+      case 'ping':
+        socket.receive({ type: 'heartbeat', timestamp: Date.now() });
+        break;
+
+      case 'heartbeat':
+        break;
+
+      case 'cluster:start':
+        this.respond(socket, message, () => this.describeJob(this.enqueueJob(message)));
+        break;
+
+      case 'data:validate':
+        this.respond(socket, message, () => this.validateData({ body: message }));
+        break;
+
+      case 'stream:open':
+      case 'stream:batch':
+      case 'stream:close':
+        this.handleStreamMessage(socket, message);
+        break;
+
+      default:
+        socket.receive({ type: 'error', id: message.id, error: `Unknown message type: ${message.type}` });
+    }
+  }
+
+  respond(socket, message, handler) {
+    try {
+      socket.receive({ type: 'response', id: message.id, data: handler() });
+    } catch (error) {
+      socket.receive({ type: 'response', id: message.id, error: error.message });
+    }
+  }
+
+  /**
+   * Streaming k-means over the socket: every batch is answered with a stream:update
+   */
+  handleStreamMessage(socket, message) {
+    try {
+      if (message.type === 'stream:open') {
+        const stream = this.openStream(message);
+        socket.streams.add(stream.id);
+        socket.receive({ type: 'stream:opened', id: message.id, ...this.describeStream(stream) });
+        return;
+      }
+
+      const stream = this.getStreamRecord(message.streamId);
+      if (!socket.streams.has(stream.id)) {
+        throw new MockHttpError(404, `Unknown stream: ${stream.id}`);
+      }
+
+      if (message.type === 'stream:batch') {
+        socket.receive(this.clusterStreamBatch(stream, message));
+      } else {
+        socket.streams.delete(stream.id);
+        socket.receive({ type: 'stream:closed', ...this.closeStream({ params: { streamId: stream.id } }) });
+      }
+    } catch (error) {
+      socket.receive({
+        type: 'stream:error',
+        id: message.id,
+        streamId: message.streamId,
+        seq: message.seq,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Send the current state of a job to a new subscriber, so late subscriptions don't miss the end
+   */
+  replayJobState(socket, message) {
+    const [, kind, eventJobId] = /^cluster:(\w+):(.+)$/.exec(message.event || '') || [];
+    const job = this.jobs.get(message.jobId || eventJobId);
+    if (!job) return;
+
+    const send = (eventKind, data) => {
+      if (message.jobId) {
+        socket.receive({ type: CLIENT_MESSAGE_TYPES[eventKind], data });
+      } else if (kind === eventKind) {
+        socket.receive({ type: 'event', event: message.event, data });
+      }
+    };
+
+    if (job.status === 'completed') {
+      send('complete', job.result);
+    } else if (job.status === 'failed') {
+      send('error', { jobId: job.id, error: job.error });
+    } else {
+      send('progress', this.describeJob(job));
+    }
+  }
+
+  publishJobEvent(job, kind, data) {
+    const event = `cluster:${kind}:${job.id}`;
+
+    this.sockets.forEach(socket => {
+      if (socket.jobSubscriptions.has(job.id)) {
+        socket.receive({ type: CLIENT_MESSAGE_TYPES[kind], data });
+      }
+      if (socket.eventSubscriptions.has(event)) {
+        socket.receive({ type: 'event', event, data });
+      }
+    });
+  }
+
+  /* ===================================
+     Test hooks
+     =================================== */
+
+  /**
+   * Drop every open WebSocket, e.g. to exercise reconnection
+   */
+  disconnectAll(code = 1006, reason = 'Mock server connection lost') {
+    this.sockets.forEach(socket => socket.close(code, reason));
+  }
+
+  /**
+   * Forget all jobs, batches and sessions
+   */
+  reset() {
+    this.jobs.forEach(job => {
+      if (ACTIVE_STATUSES.includes(job.status)) job.status = 'cancelled';
+    });
+    this.jobs.clear();
+    this.batches.clear();
+    this.uploads.clear();
+    this.datasets.clear();
+    this.streams.clear();
+    this.sessions.clear();
+    this.refreshTokens.clear();
+    this.resetTokens.clear();
+    this.users = new Map(this.options.users.map(user => [user.email, { ...user }]));
+    this.disconnectAll(1001, 'Mock server reset');
+  }
+}
+
+/* ===================================
+   Installation
+   =================================== */
+
+let mockServer = null;
+let installation = null;
+
+/**
+ * Shared mock server instance
+ * @param {Object} options - MockNCSServer options, used on first call only
+ */
+export function getMockServer(options = {}) {
+  if (!mockServer) {
+    mockServer = new MockNCSServer(options);
+  }
+  return mockServer;
+}
+
+/**
+ * Route fetch() and WebSocket connections for the API hosts to the mock server.
+ * Other URLs keep using the real implementations.
+ * @param {Object} options - MockNCSServer options, plus optional `server` and `target` (defaults to globalThis)
+ * @returns {Object} { server, uninstall }
+ */
+export function installMockServer(options = {}) {
+  if (installation) return installation;
+
+  const { server: providedServer, target = globalThis, ...serverOptions } = options;
+  const server = providedServer || getMockServer(serverOptions);
+  const originalFetch = target.fetch;
+  const OriginalWebSocket = target.WebSocket;
+
+  target.fetch = (input, init) => server.handles(getRequestUrl(input)) ?
+    server.fetch(input, init) :
+    originalFetch.call(target, input, init);
+
+  function MockAwareWebSocket(url, protocols) {
+    if (server.handles(String(url))) {
+      return new MockWebSocket(server, url, protocols);
+    }
+    if (!OriginalWebSocket) {
+      throw new Error(`WebSocket is not available for ${url}`);
+    }
+    return new OriginalWebSocket(url, protocols);
+  }
+  ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'].forEach(state => {
+    MockAwareWebSocket[state] = MockWebSocket[state];
+  });
+  target.WebSocket = MockAwareWebSocket;
+
+  console.log('🧪 Mock NCS API server installed for', Array.from(server.hosts).join(', '));
+
+  installation = {
+    server,
+    uninstall() {
+      target.fetch = originalFetch;
+      target.WebSocket = OriginalWebSocket;
+      server.disconnectAll(1001, 'Mock server uninstalled');
+      installation = null;
+    }
+  };
+  return installation;
+}
+
+export default MockNCSServer;
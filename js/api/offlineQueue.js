@@ -0,0 +1,461 @@
+/**
+ * FILE: js/api/offlineQueue.js
+ * Offline Request Queue
+ * NCS-API Website - Keep clustering submissions made offline and replay them on reconnect
+ *
+ * Requests are stored in their own IndexedDB database, which the service worker (sw.js) opens
+ * too: its `clustering-request` background sync replays the pending entries and reports every
+ * outcome to the open pages with postMessage({ type: 'OFFLINE_QUEUE_RESULT', entry }). Browsers
+ * without Background Sync ask the worker to replay when they come back online, and pages without
+ * an active worker replay the queue themselves.
+ *
+ * Credentials are never stored. Entries sent with one are marked `authenticated` and get the
+ * current token at replay time: from the credential provider on the page (see
+ * setCredentialProvider(), registered by js/api/client.js), or, in the service worker, by asking
+ * an open page for it over a MessageChannel. Entries remember the connection profile they were
+ * queued on, and only get a credential while that profile and backend are active. Without a
+ * page or a matching, valid session they stay pending, so a token that expired while offline
+ * does not fail them.
+ */
+
+import { EVENTS } from '../config/constants.js';
+import { eventBus } from '../core/eventBusNew.js';
+import { IndexedDBStore } from '../utils/indexeddb.js';
+
+// Mirrored in sw.js (OFFLINE_QUEUE and SYNC_CONFIG), which cannot import modules
+export const OFFLINE_QUEUE_DB = 'ncs-offline-queue';
+export const OFFLINE_QUEUE_STORE = 'requests';
+export const OFFLINE_SYNC_TAG = 'clustering-request';
+
+export const OFFLINE_QUEUE_MESSAGES = {
+  RESULT: 'OFFLINE_QUEUE_RESULT', // Worker -> page: { entry }
+  REPLAY: 'REPLAY_OFFLINE_QUEUE', // Page -> worker
+  CREDENTIAL: 'OFFLINE_QUEUE_CREDENTIAL' // Worker -> page: { url, profileId, refresh }, answered on the port with { credential }
+};
+
+export const QUEUE_STATUS = {
+  PENDING: 'pending',
+  SYNCING: 'syncing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// Statuses worth another attempt; anything else 4xx is a request the server will keep rejecting
+const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const AUTH_PENDING_ERROR = 'Waiting for a signed-in session';
+
+// async ({ url, profileId, refresh }) => current Authorization credential for that request, or null
+let credentialProvider = null;
+
+/**
+ * Set where queued requests get their credential when they are replayed
+ * @param {Function|null} provider - async ({ url, profileId, refresh }) => token or API key,
+ *   or null unless the request belongs to the current connection; refresh asks
+ *   for a renewed session after the server rejected the current one
+ */
+export function setCredentialProvider(provider) {
+  credentialProvider = provider;
+}
+
+/**
+ * Whether a request failed because the network is down rather than being rejected
+ */
+export function isOfflineError(error) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return true;
+  }
+  // fetch() rejects with TypeError on network failures
+  return error?.name === 'TypeError';
+}
+
+export class OfflineQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {String} options.dbName - IndexedDB database (must match sw.js)
+   * @param {String} options.storeName - Object store (must match sw.js)
+   * @param {String} options.syncTag - Background sync tag handled by sw.js
+   * @param {String|null} options.serviceWorkerUrl - Worker to register, null to leave registration to the page
+   * @param {Number} options.maxAttempts - Attempts before an entry is marked failed
+   * @param {Function|null} options.credentialProvider - Overrides the provider set with setCredentialProvider()
+   */
+  constructor(options = {}) {
+    this.options = {
+      dbName: OFFLINE_QUEUE_DB,
+      storeName: OFFLINE_QUEUE_STORE,
+      syncTag: OFFLINE_SYNC_TAG,
+      serviceWorkerUrl: '/sw.js',
+      maxAttempts: 3,
+      credentialProvider: null,
+      ...options
+    };
+
+    // Without IndexedDB the queue only lives as long as the page
+    this.store = IndexedDBStore.isSupported
+      ? new IndexedDBStore({ dbName: this.options.dbName, storeName: this.options.storeName })
+      : null;
+    this.entries = new Map();
+    this.isReplaying = false;
+    this.eventHandlers = new Map();
+
+    this.handleMessage = this.handleMessage.bind(this);
+    this.handleOnline = this.handleOnline.bind(this);
+
+    // Resolves once the stored entries are loaded
+    this.ready = this.init();
+  }
+
+  async init() {
+    if (!this.store) {
+      console.warn('📴 IndexedDB unavailable, offline requests will not survive a reload');
+    }
+
+    await this.refresh();
+    await this.removeStoredCredentials();
+
+    if (typeof navigator !== 'undefined' && navigator.serviceWorker) {
+      navigator.serviceWorker.addEventListener('message', this.handleMessage);
+
+      if (this.options.serviceWorkerUrl) {
+        navigator.serviceWorker.register(this.options.serviceWorkerUrl).catch(error => {
+          console.warn('📴 Service worker registration failed, the page will replay offline requests:', error.message);
+        });
+      }
+    }
+
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('online', this.handleOnline);
+    }
+
+    // Authenticated entries left from an earlier visit wait for a page to supply the token
+    if (this.getPending().length > 0) {
+      this.handleOnline();
+    }
+
+    return this;
+  }
+
+  /**
+   * Entries, oldest first
+   */
+  list() {
+    return Array.from(this.entries.values()).sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  /**
+   * Entries still to be sent; `syncing` ones were left behind by a replay that did not finish
+   */
+  getPending() {
+    return this.list().filter(entry =>
+      [QUEUE_STATUS.PENDING, QUEUE_STATUS.SYNCING].includes(entry.status));
+  }
+
+  /**
+   * Reload entries from IndexedDB, e.g. after the service worker changed them
+   */
+  async refresh() {
+    if (!this.store) return this.list();
+
+    try {
+      const entries = await this.store.entries();
+      this.entries = new Map(entries);
+      this.notify();
+    } catch (error) {
+      console.error('❌ Failed to read the offline queue:', error);
+    }
+    return this.list();
+  }
+
+  /**
+   * Drop Authorization headers stored by earlier builds, marking those entries authenticated
+   */
+  async removeStoredCredentials() {
+    const stored = this.list().filter(entry => entry.headers && 'Authorization' in entry.headers);
+
+    for (const entry of stored) {
+      const { Authorization, ...headers } = entry.headers;
+      await this.save({ ...entry, headers, authenticated: true });
+    }
+  }
+
+  /**
+   * Store a request for replay and schedule the sync
+   * @param {Object} request - { url, method, headers, body, meta, authenticated, profileId } with
+   *   a string body; meta is free-form and shown in the queue UI; profileId is the connection
+   *   profile it was made on; authenticated entries are sent with the
+   *   credential current at replay time, so headers must not contain Authorization
+   * @returns {Promise<Object>} Queue entry
+   */
+  async enqueue({ url, method = 'POST', headers = {}, body = null, meta = {}, authenticated = false, profileId = null }) {
+    await this.ready;
+
+    const now = Date.now();
+    const entry = {
+      id: `offline_${now}_${Math.random().toString(36).slice(2, 8)}`,
+      url,
+      method,
+      headers,
+      body,
+      meta,
+      authenticated,
+      profileId,
+      status: QUEUE_STATUS.PENDING,
+      attempts: 0,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.save(entry);
+    console.log(`📴 Queued ${method} ${url} for replay when back online`);
+
+    await this.requestSync();
+    return entry;
+  }
+
+  /**
+   * Queue a failed entry again
+   */
+  async retry(id) {
+    const entry = this.entries.get(id);
+    if (!entry || entry.status !== QUEUE_STATUS.FAILED) return null;
+
+    const updated = await this.save({ ...entry, status: QUEUE_STATUS.PENDING, attempts: 0, error: null });
+    await this.requestSync();
+    return updated;
+  }
+
+  async remove(id) {
+    if (this.store) {
+      await this.store.delete(id);
+    }
+    this.entries.delete(id);
+    this.notify();
+  }
+
+  /**
+   * Remove completed and failed entries
+   */
+  async clearFinished() {
+    const finished = this.list().filter(entry =>
+      [QUEUE_STATUS.COMPLETED, QUEUE_STATUS.FAILED].includes(entry.status));
+    await Promise.all(finished.map(entry => this.store?.delete(entry.id)));
+    finished.forEach(entry => this.entries.delete(entry.id));
+    this.notify();
+  }
+
+  /**
+   * Have the pending entries replayed: by background sync where supported, otherwise by the
+   * active service worker, otherwise by this page
+   */
+  async requestSync() {
+    if (this.getPending().length === 0) return;
+
+    const serviceWorker = typeof navigator !== 'undefined' ? navigator.serviceWorker : null;
+    const registration = serviceWorker?.controller ? await serviceWorker.ready : null;
+
+    if (registration?.sync) {
+      try {
+        await registration.sync.register(this.options.syncTag);
+        return;
+      } catch (error) {
+        console.warn('📴 Background sync unavailable:', error.message);
+      }
+    }
+
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      return; // Replayed by handleOnline()
+    }
+
+    if (registration?.active) {
+      registration.active.postMessage({ type: OFFLINE_QUEUE_MESSAGES.REPLAY });
+    } else {
+      await this.replay();
+    }
+  }
+
+  handleOnline() {
+    this.requestSync().catch(error => {
+      console.error('❌ Failed to replay the offline queue:', error);
+    });
+  }
+
+  /**
+   * Replay pending entries from the page, mirroring replayOfflineQueue() in sw.js
+   */
+  async replay() {
+    if (this.isReplaying) return;
+    this.isReplaying = true;
+
+    try {
+      for (const entry of this.getPending()) {
+        const syncing = await this.save({ ...entry, status: QUEUE_STATUS.SYNCING });
+        const saved = await this.save({ ...syncing, ...(await this.send(syncing)) });
+        this.handleResult(saved);
+      }
+    } finally {
+      this.isReplaying = false;
+    }
+  }
+
+  async send(entry) {
+    const attempts = entry.attempts + 1;
+    let credential = null;
+
+    if (entry.authenticated) {
+      credential = await this.getCredential({ url: entry.url, profileId: entry.profileId ?? null });
+      if (!credential) {
+        return { status: QUEUE_STATUS.PENDING, error: AUTH_PENDING_ERROR };
+      }
+    }
+
+    try {
+      let response = await this.fetchEntry(entry, credential);
+
+      if (response.status === 401 && entry.authenticated) {
+        // The session expired while offline: renew it and try once more, else wait for sign-in
+        credential = await this.getCredential({ url: entry.url, profileId: entry.profileId ?? null, refresh: true });
+        response = credential ? await this.fetchEntry(entry, credential) : response;
+        if (response.status === 401) {
+          return { status: QUEUE_STATUS.PENDING, error: AUTH_PENDING_ERROR };
+        }
+      }
+
+      const result = await response.json().catch(() => null);
+
+      if (response.ok) {
+        return { status: QUEUE_STATUS.COMPLETED, attempts, result, error: null, headers: {} };
+      }
+
+      const error = result?.message || result?.error || `HTTP ${response.status}`;
+      const retry = RETRY_STATUSES.includes(response.status) && attempts < this.options.maxAttempts;
+      return retry
+        ? { status: QUEUE_STATUS.PENDING, attempts, error }
+        : { status: QUEUE_STATUS.FAILED, attempts, error, headers: {} };
+
+    } catch (error) {
+      // Still offline: try again on the next reconnect without counting the attempt
+      return { status: QUEUE_STATUS.PENDING, error: error.message };
+    }
+  }
+
+  fetchEntry(entry, credential) {
+    return fetch(entry.url, {
+      method: entry.method,
+      headers: credential ? { ...entry.headers, 'Authorization': `Bearer ${credential}` } : entry.headers,
+      body: entry.body
+    });
+  }
+
+  /**
+   * Current credential for authenticated entries, null if there is no session
+   */
+  async getCredential(options = {}) {
+    const provider = this.options.credentialProvider || credentialProvider;
+    if (!provider) return null;
+
+    try {
+      return (await provider(options)) || null;
+    } catch (error) {
+      console.warn('📴 No credential for the offline queue:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Messages from the service worker: replay results and credential requests
+   */
+  handleMessage(event) {
+    const { type, entry, url, profileId, refresh } = event.data || {};
+
+    if (type === OFFLINE_QUEUE_MESSAGES.CREDENTIAL && event.ports?.[0]) {
+      const port = event.ports[0];
+      this.getCredential({ url, profileId: profileId ?? null, refresh: Boolean(refresh) }).then(credential => port.postMessage({ credential }));
+      return;
+    }
+
+    if (type !== OFFLINE_QUEUE_MESSAGES.RESULT || !entry) return;
+
+    this.entries.set(entry.id, entry);
+    this.notify();
+    this.handleResult(entry);
+  }
+
+  handleResult(entry) {
+    if (entry.status === QUEUE_STATUS.PENDING) return;
+
+    this.emit('result', entry);
+    eventBus.emit(EVENTS.OFFLINE_QUEUE_RESULT, { entry });
+  }
+
+  async save(entry) {
+    const saved = { ...entry, updatedAt: Date.now() };
+    if (this.store) {
+      await this.store.set(saved.id, saved);
+    }
+    this.entries.set(saved.id, saved);
+    this.notify();
+    return saved;
+  }
+
+  notify() {
+    const entries = this.list();
+    this.emit('change', entries);
+    eventBus.emit(EVENTS.OFFLINE_QUEUE_CHANGE, { entries });
+  }
+
+  /**
+   * Events: 'change' (entries) and 'result' (entry that was sent or gave up)
+   */
+  on(event, handler) {
+    if (!this.eventHandlers.has(event)) {
+      this.eventHandlers.set(event, new Set());
+    }
+    this.eventHandlers.get(event).add(handler);
+    return () => this.off(event, handler);
+  }
+
+  off(event, handler) {
+    this.eventHandlers.get(event)?.delete(handler);
+  }
+
+  emit(event, data) {
+    this.eventHandlers.get(event)?.forEach(handler => {
+      try {
+        handler(data);
+      } catch (error) {
+        console.error(`Error in offline queue ${event} handler:`, error);
+      }
+    });
+  }
+
+  dispose() {
+    if (typeof navigator !== 'undefined' && navigator.serviceWorker) {
+      navigator.serviceWorker.removeEventListener('message', this.handleMessage);
+    }
+    if (typeof window !== 'undefined' && window.removeEventListener) {
+      window.removeEventListener('online', this.handleOnline);
+    }
+    this.eventHandlers.clear();
+  }
+}
+
+// Created on first use so importing this module does not open IndexedDB
+let offlineQueue = null;
+
+/**
+ * Shared offline queue; await its `ready` promise before listing entries
+ */
+export function getOfflineQueue() {
+  if (!offlineQueue) {
+    offlineQueue = new OfflineQueue();
+  }
+  return offlineQueue;
+}
+
+export default OfflineQueue;
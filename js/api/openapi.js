@@ -0,0 +1,601 @@
+/**
+ * FILE: js/api/openapi.js
+ * OpenAPI 3 Document Support
+ * NCS-API Website - Endpoint discovery, example generation and schema validation
+ */
+
+import { ENDPOINTS, buildApiUrl } from '../config/api.js';
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+const MAX_EXAMPLE_DEPTH = 8;
+
+const FORMAT_EXAMPLES = {
+  'date-time': '2024-01-01T00:00:00Z',
+  date: '2024-01-01',
+  email: 'user@example.com',
+  uri: 'https://example.com',
+  url: 'https://example.com',
+  uuid: '00000000-0000-4000-8000-000000000000',
+  hostname: 'example.com',
+  ipv4: '127.0.0.1'
+};
+
+const FORMAT_PATTERNS = {
+  'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uri: /^[a-z][a-z0-9+.-]*:/i,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+};
+
+/* ===================================
+   OpenAPI Error
+   =================================== */
+
+export class OpenAPIError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'OpenAPIError';
+    this.details = details;
+  }
+}
+
+/* ===================================
+   OpenAPI Specification Class
+   =================================== */
+
+export class OpenAPISpec {
+  /**
+   * @param {Object} document - Parsed OpenAPI 3 document
+   * @param {Object} options - { source } describing where the document came from
+   */
+  constructor(document, options = {}) {
+    if (!document || typeof document !== 'object') {
+      throw new OpenAPIError('OpenAPI document must be an object');
+    }
+    if (typeof document.openapi !== 'string' || !document.openapi.startsWith('3.')) {
+      throw new OpenAPIError(`Unsupported OpenAPI version: ${document.openapi || document.swagger || 'unknown'}`);
+    }
+    if (!document.paths || typeof document.paths !== 'object') {
+      throw new OpenAPIError('OpenAPI document has no paths');
+    }
+
+    this.document = document;
+    this.source = options.source || 'object';
+    this.info = document.info || {};
+    this.version = document.openapi;
+    this.basePath = this.getBasePath();
+  }
+
+  /**
+   * Load a document from a URL, File/Blob, JSON text or object
+   * @param {string|Blob|Object} source - Document source (defaults to the API's /openapi.json)
+   * @returns {Promise<OpenAPISpec>} Parsed specification
+   */
+  static async load(source = buildApiUrl(ENDPOINTS.SYSTEM.OPENAPI)) {
+    if (typeof Blob !== 'undefined' && source instanceof Blob) {
+      return new OpenAPISpec(OpenAPISpec.parse(await source.text()), { source: source.name || 'file' });
+    }
+
+    if (typeof source === 'string' && /^\s*[{[]/.test(source)) {
+      return new OpenAPISpec(OpenAPISpec.parse(source), { source: 'text' });
+    }
+
+    if (typeof source === 'string') {
+      const response = await fetch(source, { headers: { Accept: 'application/json' } });
+      if (!response.ok) {
+        throw new OpenAPIError(`Failed to load OpenAPI document: HTTP ${response.status}`);
+      }
+      return new OpenAPISpec(OpenAPISpec.parse(await response.text()), { source });
+    }
+
+    return new OpenAPISpec(source, { source: 'object' });
+  }
+
+  /**
+   * Parse document text; only JSON documents are supported
+   * @param {string} text - Document text
+   * @returns {Object} Document
+   */
+  static parse(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      const looksLikeYAML = /^\s*openapi\s*:/m.test(text);
+      throw new OpenAPIError(looksLikeYAML
+        ? 'YAML documents are not supported, please provide the JSON form'
+        : `Invalid OpenAPI JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * Path prefix of the first server, e.g. "/api/v1"
+   * @returns {string} Base path without trailing slash
+   */
+  getBasePath() {
+    const server = (this.document.servers || [])[0];
+    if (!server || !server.url) return '';
+
+    let url = server.url.replace(/\{([^}]+)\}/g, (match, name) => {
+      const variable = server.variables && server.variables[name];
+      return variable && variable.default !== undefined ? variable.default : '';
+    });
+
+    try {
+      url = new URL(url, 'http://localhost').pathname;
+    } catch {
+      // Keep the raw value
+    }
+    return url === '/' ? '' : url.replace(/\/$/, '');
+  }
+
+  /**
+   * Resolve a local JSON pointer reference
+   * @param {string} ref - Reference such as "#/components/schemas/Dataset"
+   * @returns {any} Referenced value
+   */
+  resolveRef(ref) {
+    if (typeof ref !== 'string' || !ref.startsWith('#/')) {
+      throw new OpenAPIError(`Only local references are supported: ${ref}`);
+    }
+
+    const value = ref.slice(2).split('/').reduce((current, token) => {
+      const key = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+      return current == null ? undefined : current[key];
+    }, this.document);
+
+    if (value === undefined) {
+      throw new OpenAPIError(`Unresolved reference: ${ref}`);
+    }
+    return value;
+  }
+
+  /**
+   * Follow $ref chains until a concrete object is reached
+   * @param {Object} value - Schema, parameter or request body
+   * @returns {Object} Resolved value
+   */
+  deref(value) {
+    const seen = new Set();
+    while (value && value.$ref) {
+      if (seen.has(value.$ref)) {
+        throw new OpenAPIError(`Circular reference: ${value.$ref}`);
+      }
+      seen.add(value.$ref);
+      value = this.resolveRef(value.$ref);
+    }
+    return value;
+  }
+
+  /**
+   * Resolve a schema's $ref and merge allOf members into one schema
+   * @param {Object} schema - Schema
+   * @returns {Object} Resolved schema
+   */
+  resolveSchema(schema) {
+    schema = this.deref(schema) || {};
+    if (!schema.allOf) return schema;
+
+    const { allOf, ...rest } = schema;
+    return allOf.map(member => this.resolveSchema(member)).reduce((merged, member) => ({
+      ...merged,
+      ...member,
+      properties: { ...merged.properties, ...member.properties },
+      required: [...(merged.required || []), ...(member.required || [])]
+    }), { ...rest, properties: { ...rest.properties }, required: [...(rest.required || [])] });
+  }
+
+  /**
+   * Primary type of a schema
+   * @param {Object} schema - Resolved schema
+   * @returns {string} Type name
+   */
+  getSchemaType(schema) {
+    schema = this.resolveSchema(schema);
+    const type = Array.isArray(schema.type) ? schema.type.find(item => item !== 'null') : schema.type;
+    if (type) return type;
+    if (schema.properties) return 'object';
+    if (schema.items) return 'array';
+    if (schema.enum && schema.enum.length > 0) return typeof schema.enum[0];
+    return 'any';
+  }
+
+  /**
+   * Build the explorer endpoint list from the document's paths
+   * @returns {Object} Endpoints keyed by operation id
+   */
+  getEndpoints() {
+    const endpoints = {};
+
+    Object.entries(this.document.paths).forEach(([path, pathItem]) => {
+      pathItem = this.deref(pathItem);
+
+      HTTP_METHODS.forEach(method => {
+        const operation = pathItem[method];
+        if (!operation) return;
+
+        const key = this.createEndpointKey(operation.operationId || `${method}_${path}`, endpoints);
+        endpoints[key] = this.buildEndpoint(path, method, pathItem, operation);
+      });
+    });
+
+    return endpoints;
+  }
+
+  /**
+   * Endpoint definition for one operation
+   */
+  buildEndpoint(path, method, pathItem, operation) {
+    const parameters = this.mergeParameters(pathItem.parameters, operation.parameters);
+    const requestBody = this.getRequestBody(operation);
+
+    return {
+      path: this.basePath + path,
+      method: method.toUpperCase(),
+      title: operation.summary || operation.operationId || `${method.toUpperCase()} ${path}`,
+      description: operation.description || operation.summary || '',
+      tag: (operation.tags || [])[0] || null,
+      operationId: operation.operationId || null,
+      deprecated: Boolean(operation.deprecated),
+      source: 'openapi',
+      parameters: {
+        required: parameters.filter(param => param.required),
+        optional: parameters.filter(param => !param.required)
+      },
+      requestBody,
+      example: requestBody ? requestBody.example : {}
+    };
+  }
+
+  /**
+   * Operation parameters override path-level ones with the same name and location
+   */
+  mergeParameters(pathParameters = [], operationParameters = []) {
+    const merged = new Map();
+
+    [...pathParameters, ...operationParameters].forEach(parameter => {
+      parameter = this.deref(parameter);
+      if (!parameter || !parameter.name) return;
+      merged.set(`${parameter.in}:${parameter.name}`, this.buildParameter(parameter));
+    });
+
+    return Array.from(merged.values());
+  }
+
+  buildParameter(parameter) {
+    const schema = this.resolveSchema(parameter.schema || {});
+
+    return {
+      name: parameter.name,
+      in: parameter.in || 'query',
+      type: this.getSchemaType(schema),
+      description: parameter.description || schema.description || '',
+      required: parameter.in === 'path' || Boolean(parameter.required),
+      schema,
+      enum: schema.enum || null,
+      default: schema.default,
+      example: parameter.example !== undefined ? parameter.example : schema.example
+    };
+  }
+
+  /**
+   * JSON request body of an operation, if any
+   * @returns {Object|null} { required, contentType, schema, example }
+   */
+  getRequestBody(operation) {
+    if (!operation.requestBody) return null;
+
+    const requestBody = this.deref(operation.requestBody);
+    const content = requestBody.content || {};
+    const contentType = Object.keys(content).find(type => type.includes('json')) || Object.keys(content)[0];
+    if (!contentType) return null;
+
+    const media = content[contentType];
+    const schema = media.schema || {};
+    const namedExample = media.examples && Object.values(media.examples)[0];
+    const example = media.example !== undefined
+      ? media.example
+      : namedExample
+        ? this.deref(namedExample).value
+        : this.generateExample(schema);
+
+    return {
+      required: Boolean(requestBody.required),
+      contentType,
+      description: requestBody.description || '',
+      schema,
+      example
+    };
+  }
+
+  createEndpointKey(name, existing) {
+    const base = name.replace(/[^A-Za-z0-9_-]+/g, '_').replace(/^_+|_+$/g, '') || 'endpoint';
+    let key = base;
+    let suffix = 2;
+    while (existing[key]) {
+      key = `${base}_${suffix++}`;
+    }
+    return key;
+  }
+
+  /**
+   * Generate an example value for a schema
+   * @param {Object} schema - Schema (may contain $ref)
+   * @returns {any} Example value, undefined where a recursive schema stops
+   */
+  generateExample(schema, depth = 0, refs = new Set()) {
+    if (!schema || depth > MAX_EXAMPLE_DEPTH) return undefined;
+
+    // Stop at recursive references
+    if (schema.$ref) {
+      if (refs.has(schema.$ref)) return undefined;
+      refs = new Set(refs).add(schema.$ref);
+    }
+
+    const resolved = this.resolveSchema(schema);
+
+    if (resolved.example !== undefined) return resolved.example;
+    if (Array.isArray(resolved.examples) && resolved.examples.length > 0) return resolved.examples[0];
+    if (resolved.default !== undefined) return resolved.default;
+    if (resolved.const !== undefined) return resolved.const;
+    if (resolved.enum && resolved.enum.length > 0) return resolved.enum[0];
+
+    const alternatives = resolved.oneOf || resolved.anyOf;
+    if (alternatives && alternatives.length > 0) {
+      return this.generateExample(alternatives[0], depth + 1, refs);
+    }
+
+    switch (this.getSchemaType(resolved)) {
+      case 'object': {
+        const example = {};
+        Object.entries(resolved.properties || {}).forEach(([name, property]) => {
+          if (this.deref(property).readOnly) return;
+          const value = this.generateExample(property, depth + 1, refs);
+          if (value !== undefined) example[name] = value;
+        });
+        return example;
+      }
+      case 'array': {
+        const item = this.generateExample(resolved.items || {}, depth + 1, refs);
+        if (item === undefined) return [];
+        return Array.from({ length: Math.max(1, resolved.minItems || 0) }, () => item);
+      }
+      case 'string':
+        return FORMAT_EXAMPLES[resolved.format] || (resolved.minLength ? 'x'.repeat(resolved.minLength) : 'string');
+      case 'integer':
+      case 'number':
+        return this.exampleNumber(resolved);
+      case 'boolean':
+        return false;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * A number inside the schema's bounds
+   */
+  exampleNumber(schema) {
+    const integer = this.getSchemaType(schema) === 'integer';
+    const lower = typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum : schema.minimum;
+    const upper = typeof schema.exclusiveMaximum === 'number' ? schema.exclusiveMaximum : schema.maximum;
+    const exclusive = schema.exclusiveMinimum !== undefined && schema.exclusiveMinimum !== false;
+
+    let value;
+    if (lower !== undefined && upper !== undefined) {
+      value = (lower + upper) / 2;
+    } else if (lower !== undefined) {
+      value = exclusive ? lower + 1 : lower;
+    } else if (upper !== undefined) {
+      value = Math.min(0, upper - 1);
+    } else {
+      value = 0;
+    }
+
+    if (integer) {
+      value = exclusive && Number.isInteger(value) && value === lower ? value + 1 : Math.ceil(value);
+    }
+    return schema.multipleOf ? Math.ceil(value / schema.multipleOf) * schema.multipleOf : value;
+  }
+
+  /**
+   * Validate a value against a schema
+   * @param {any} value - Value to validate
+   * @param {Object} schema - Schema (may contain $ref)
+   * @param {string} path - Location used in error messages
+   * @returns {Array<{path: string, message: string}>} Validation errors, empty if valid
+   */
+  validate(value, schema, path = 'body') {
+    const errors = [];
+    this.validateValue(value, schema, path, errors);
+    return errors;
+  }
+
+  validateValue(value, schema, path, errors) {
+    if (!schema) return;
+    schema = this.deref(schema);
+
+    if (schema.allOf) {
+      schema.allOf.forEach(member => this.validateValue(value, member, path, errors));
+    }
+
+    if (schema.anyOf && !schema.anyOf.some(member => this.validate(value, member, path).length === 0)) {
+      errors.push({ path, message: 'does not match any of the allowed schemas' });
+    }
+
+    if (schema.oneOf) {
+      const matches = schema.oneOf.filter(member => this.validate(value, member, path).length === 0).length;
+      if (matches !== 1) {
+        errors.push({ path, message: matches === 0 ? 'does not match any of the allowed schemas' : 'matches more than one schema' });
+      }
+    }
+
+    if (value === null) {
+      const nullable = schema.nullable || (Array.isArray(schema.type) && schema.type.includes('null'));
+      if (!nullable && (schema.type || schema.properties)) {
+        errors.push({ path, message: 'must not be null' });
+      }
+      return;
+    }
+
+    if (schema.enum && !schema.enum.some(option => this.isEqual(option, value))) {
+      errors.push({ path, message: `must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+      return;
+    }
+
+    if (schema.const !== undefined && !this.isEqual(schema.const, value)) {
+      errors.push({ path, message: `must equal ${JSON.stringify(schema.const)}` });
+      return;
+    }
+
+    const types = Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : [];
+    if (types.length > 0 && !types.some(type => this.matchesType(value, type))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}` });
+      return;
+    }
+
+    if (typeof value === 'string') {
+      this.validateString(value, schema, path, errors);
+    } else if (typeof value === 'number') {
+      this.validateNumber(value, schema, path, errors);
+    } else if (Array.isArray(value)) {
+      this.validateArray(value, schema, path, errors);
+    } else if (typeof value === 'object') {
+      this.validateObject(value, schema, path, errors);
+    }
+  }
+
+  validateString(value, schema, path, errors) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push({ path, message: `must match pattern ${schema.pattern}` });
+    }
+    if (FORMAT_PATTERNS[schema.format] && !FORMAT_PATTERNS[schema.format].test(value)) {
+      errors.push({ path, message: `must be a valid ${schema.format}` });
+    }
+  }
+
+  validateNumber(value, schema, path, errors) {
+    // OpenAPI 3.0 uses boolean exclusive flags, 3.1 uses numeric bounds
+    const exclusiveMinimum = typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum
+      : schema.exclusiveMinimum === true ? schema.minimum : undefined;
+    const exclusiveMaximum = typeof schema.exclusiveMaximum === 'number' ? schema.exclusiveMaximum
+      : schema.exclusiveMaximum === true ? schema.maximum : undefined;
+
+    if (exclusiveMinimum !== undefined && value <= exclusiveMinimum) {
+      errors.push({ path, message: `must be greater than ${exclusiveMinimum}` });
+    } else if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be at least ${schema.minimum}` });
+    }
+
+    if (exclusiveMaximum !== undefined && value >= exclusiveMaximum) {
+      errors.push({ path, message: `must be less than ${exclusiveMaximum}` });
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be at most ${schema.maximum}` });
+    }
+
+    if (schema.multipleOf && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+      errors.push({ path, message: `must be a multiple of ${schema.multipleOf}` });
+    }
+  }
+
+  validateArray(value, schema, path, errors) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must contain at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      errors.push({ path, message: 'must not contain duplicate items' });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => this.validateValue(item, schema.items, `${path}[${index}]`, errors));
+    }
+  }
+
+  validateObject(value, schema, path, errors) {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(name => {
+      // readOnly properties are set by the server and not sent in requests
+      if (value[name] === undefined && !(properties[name] && this.deref(properties[name]).readOnly)) {
+        errors.push({ path: `${path}.${name}`, message: 'is required' });
+      }
+    });
+
+    Object.entries(value).forEach(([name, propertyValue]) => {
+      if (properties[name]) {
+        this.validateValue(propertyValue, properties[name], `${path}.${name}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${name}`, message: 'is not allowed' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        this.validateValue(propertyValue, schema.additionalProperties, `${path}.${name}`, errors);
+      }
+    });
+
+    const count = Object.keys(value).length;
+    if (schema.minProperties !== undefined && count < schema.minProperties) {
+      errors.push({ path, message: `must have at least ${schema.minProperties} properties` });
+    }
+    if (schema.maxProperties !== undefined && count > schema.maxProperties) {
+      errors.push({ path, message: `must have at most ${schema.maxProperties} properties` });
+    }
+  }
+
+  matchesType(value, type) {
+    switch (type) {
+      case 'integer':
+        return Number.isInteger(value);
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+      case 'null':
+        return value === null;
+      default:
+        return typeof value === type;
+    }
+  }
+
+  isEqual(a, b) {
+    return a === b || JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * Convert a form/query string to the type its schema expects
+   * @param {string} text - Raw input
+   * @param {Object} schema - Parameter schema
+   * @returns {any} Typed value, or the original text if it cannot be converted
+   */
+  coerceValue(text, schema) {
+    const type = this.getSchemaType(schema);
+    const trimmed = String(text).trim();
+
+    switch (type) {
+      case 'integer':
+      case 'number':
+        return trimmed !== '' && !Number.isNaN(Number(trimmed)) ? Number(trimmed) : text;
+      case 'boolean':
+        return trimmed === 'true' ? true : trimmed === 'false' ? false : text;
+      case 'array':
+        if (trimmed.startsWith('[')) {
+          try { return JSON.parse(trimmed); } catch { return text; }
+        }
+        return trimmed === '' ? [] : trimmed.split(',').map(item => this.coerceValue(item, this.resolveSchema(schema).items || {}));
+      case 'object':
+        try { return JSON.parse(trimmed); } catch { return text; }
+      default:
+        return text;
+    }
+  }
+}
+
+export default OpenAPISpec;
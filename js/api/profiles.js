@@ -0,0 +1,422 @@
+/**
+ * FILE: js/api/profiles.js
+ * Connection Profiles
+ * NCS-API Website - Named backends with their own URLs, credentials and default headers
+ *
+ * The environments from config/api.js are always available as built-in profiles; their
+ * URLs can be edited but they cannot be removed. Profiles are kept in local storage, and
+ * API keys and tokens separately with AES-GCM encryption (see js/utils/storage.js), so
+ * nothing secret is stored in plain text.
+ *
+ * Switching profiles reconfigures the shared APIClient (and any attached clients), moves
+ * the config/api.js URL builders to the new backend and emits EVENTS.API_PROFILE_CHANGE.
+ */
+
+import { ENV, CURRENT_ENV, API_BASE_URLS, WS_BASE_URLS, setApiBaseUrls } from '../config/api.js';
+import { EVENTS } from '../config/constants.js';
+import { eventBus } from '../core/eventBusNew.js';
+import storage from '../utils/storage.js';
+import { apiClient } from './client.js';
+
+const PROFILES_KEY = 'connection-profiles';
+const CREDENTIALS_KEY = 'connection-credentials';
+const PERSIST_OPTIONS = { defaultTTL: 0 }; // Profiles never expire
+
+export const AUTH_TYPES = {
+  NONE: 'none',
+  API_KEY: 'apiKey',
+  BEARER: 'bearer'
+};
+
+const ENVIRONMENT_NAMES = {
+  [ENV.DEVELOPMENT]: 'Local',
+  [ENV.STAGING]: 'Staging',
+  [ENV.PRODUCTION]: 'Production'
+};
+
+export const BUILT_IN_PROFILES = Object.values(ENV).map(env => ({
+  id: env,
+  name: ENVIRONMENT_NAMES[env] || env,
+  baseURL: API_BASE_URLS[env],
+  wsURL: WS_BASE_URLS[env],
+  auth: { type: AUTH_TYPES.NONE },
+  headers: {},
+  builtIn: true
+}));
+
+/**
+ * Error raised for invalid profiles and operations
+ */
+export class ProfileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProfileError';
+  }
+}
+
+/* ===================================
+   Helpers
+   =================================== */
+
+/**
+ * WebSocket URL of the same host, following the /ws convention of the built-in environments
+ */
+export function deriveWsUrl(baseURL) {
+  const url = new URL(baseURL);
+  return `${url.protocol === 'https:' ? 'wss:' : 'ws:'}//${url.host}/ws`;
+}
+
+/**
+ * Validate a profile and bring it into its stored form (no credential)
+ * @throws {ProfileError} If a field is invalid
+ */
+export function normalizeProfile(profile) {
+  const name = String(profile.name || '').trim();
+  if (!name) {
+    throw new ProfileError('Profile name is required');
+  }
+
+  const baseURL = String(profile.baseURL || '').trim().replace(/\/+$/, '');
+  if (!/^https?:\/\/[^/]+/.test(baseURL)) {
+    throw new ProfileError('Base URL must start with http:// or https://');
+  }
+
+  const wsURL = String(profile.wsURL || deriveWsUrl(baseURL)).trim().replace(/\/+$/, '');
+  if (!/^wss?:\/\/[^/]+/.test(wsURL)) {
+    throw new ProfileError('WebSocket URL must start with ws:// or wss://');
+  }
+
+  const type = profile.auth?.type || AUTH_TYPES.NONE;
+  if (!Object.values(AUTH_TYPES).includes(type)) {
+    throw new ProfileError(`Unknown auth type: ${type}`);
+  }
+
+  const headers = {};
+  Object.entries(profile.headers || {}).forEach(([key, value]) => {
+    const header = key.trim();
+    if (!header) return;
+
+    // Headers are stored unencrypted, credentials belong in the auth settings
+    if (header.toLowerCase() === 'authorization') {
+      throw new ProfileError('Set credentials in the profile auth settings, not as an Authorization header');
+    }
+    headers[header] = String(value);
+  });
+
+  return {
+    id: profile.id,
+    name,
+    baseURL,
+    wsURL,
+    auth: { type },
+    headers,
+    builtIn: Boolean(profile.builtIn)
+  };
+}
+
+/**
+ * Parse "Name: value" lines, as entered in the profile forms
+ */
+export function parseHeaderLines(text) {
+  const headers = {};
+  String(text || '').split('\n').forEach(line => {
+    const index = line.indexOf(':');
+    if (index > 0) {
+      headers[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+    }
+  });
+  return headers;
+}
+
+export function formatHeaderLines(headers = {}) {
+  return Object.entries(headers).map(([key, value]) => `${key}: ${value}`).join('\n');
+}
+
+/* ===================================
+   Profile Manager
+   =================================== */
+
+export class ConnectionProfileManager {
+  /**
+   * @param {Object} options - Manager options
+   * @param {Object} options.client - APIClient to configure (default: the shared client)
+   * @param {Object} options.storage - storage.local-style store with get/set/getAsync/setAsync
+   * @param {String} options.defaultProfile - Profile used until another one is chosen
+   */
+  constructor(options = {}) {
+    this.options = {
+      client: apiClient,
+      storage: storage.local,
+      defaultProfile: CURRENT_ENV,
+      ...options
+    };
+
+    this.storage = this.options.storage;
+    this.clients = new Set([this.options.client].filter(Boolean));
+    this.profiles = new Map(BUILT_IN_PROFILES.map(profile => [profile.id, { ...profile }]));
+    this.credentials = new Map(); // profile id -> API key or token
+    this.activeId = this.options.defaultProfile;
+    this.eventHandlers = new Map();
+
+    // Resolves once credentials are decrypted and the active profile is applied
+    this.ready = this.load();
+  }
+
+  /**
+   * Restore saved profiles, decrypt credentials and apply the active profile
+   */
+  async load() {
+    const saved = this.storage.get(PROFILES_KEY);
+    if (saved) {
+      (saved.profiles || []).forEach(profile => {
+        this.profiles.set(profile.id, profile);
+      });
+      if (this.profiles.has(saved.activeId)) {
+        this.activeId = saved.activeId;
+      }
+    }
+
+    try {
+      const credentials = await this.storage.getAsync(CREDENTIALS_KEY, {}, { enableEncryption: true });
+      Object.entries(credentials || {}).forEach(([id, credential]) => {
+        if (this.profiles.has(id)) {
+          this.credentials.set(id, credential);
+        }
+      });
+    } catch (error) {
+      // E.g. a locked passphrase key: profiles still work, without credentials
+      console.warn('🔐 Connection credentials could not be decrypted:', error.message);
+      this.emit('error', error);
+    }
+
+    if (!this.profiles.has(this.activeId)) {
+      this.activeId = CURRENT_ENV;
+    }
+    this.apply();
+
+    return this;
+  }
+
+  /**
+   * Profiles
+   */
+  list() {
+    return Array.from(this.profiles.values()).map(profile => this.describe(profile));
+  }
+
+  get(id) {
+    const profile = this.profiles.get(id);
+    return profile ? this.describe(profile) : null;
+  }
+
+  getActive() {
+    return this.get(this.activeId);
+  }
+
+  /**
+   * Public view of a profile: credentials are never handed out, only whether one is set
+   */
+  describe(profile) {
+    return {
+      ...profile,
+      auth: { ...profile.auth },
+      headers: { ...profile.headers },
+      hasCredential: this.credentials.has(profile.id),
+      active: profile.id === this.activeId
+    };
+  }
+
+  /**
+   * Create or update a profile
+   * @param {Object} input - Profile fields; `credential` sets (or with '' clears) the API key
+   *   or token, leaving it out keeps the stored one
+   * @returns {Promise<Object>} Saved profile
+   * @throws {ProfileError} If the profile is invalid
+   */
+  async save(input) {
+    await this.ready;
+
+    const existing = input.id ? this.profiles.get(input.id) : null;
+    if (input.id && !existing) {
+      throw new ProfileError(`Unknown connection profile: ${input.id}`);
+    }
+
+    const profile = normalizeProfile({ ...existing, ...input, builtIn: existing?.builtIn });
+    profile.id = existing ? existing.id : this.createId(profile.name);
+
+    if (profile.auth.type === AUTH_TYPES.NONE || input.credential === '') {
+      this.credentials.delete(profile.id);
+    } else if (input.credential) {
+      this.credentials.set(profile.id, String(input.credential));
+    }
+
+    this.profiles.set(profile.id, profile);
+    await this.persist({ credentials: true });
+
+    if (profile.id === this.activeId) {
+      this.apply();
+    } else {
+      this.notify();
+    }
+
+    return this.describe(profile);
+  }
+
+  /**
+   * Delete a custom profile; removing the active one switches to the default environment
+   * @throws {ProfileError} For built-in profiles
+   */
+  async remove(id) {
+    await this.ready;
+
+    const profile = this.profiles.get(id);
+    if (!profile) return false;
+    if (profile.builtIn) {
+      throw new ProfileError(`${profile.name} is a built-in profile and cannot be removed`);
+    }
+
+    this.profiles.delete(id);
+    this.credentials.delete(id);
+
+    if (this.activeId === id) {
+      this.activeId = this.profiles.has(this.options.defaultProfile) ? this.options.defaultProfile : CURRENT_ENV;
+      await this.persist({ credentials: true });
+      this.apply();
+    } else {
+      await this.persist({ credentials: true });
+      this.notify();
+    }
+
+    return true;
+  }
+
+  /**
+   * Switch to another profile
+   * @returns {Promise<Object>} Active profile
+   */
+  async activate(id) {
+    await this.ready;
+
+    if (!this.profiles.has(id)) {
+      throw new ProfileError(`Unknown connection profile: ${id}`);
+    }
+    if (id === this.activeId) {
+      return this.getActive();
+    }
+
+    this.activeId = id;
+    await this.persist();
+    this.apply();
+
+    return this.getActive();
+  }
+
+  /**
+   * Keep another client on the active profile, e.g. a component's own APIClient
+   * @returns {Function} Detaches the client again
+   */
+  attach(client) {
+    this.clients.add(client);
+    client.setConnection(this.getConnection());
+    return () => this.clients.delete(client);
+  }
+
+  /**
+   * Client settings for the active profile
+   */
+  getConnection(id = this.activeId) {
+    const profile = this.profiles.get(id);
+    const credential = this.credentials.get(id) || null;
+
+    return {
+      profileId: id,
+      baseURL: profile.baseURL,
+      wsURL: profile.wsURL,
+      apiKey: profile.auth.type === AUTH_TYPES.API_KEY ? credential : null,
+      accessToken: profile.auth.type === AUTH_TYPES.BEARER ? credential : null,
+      headers: { ...profile.headers }
+    };
+  }
+
+  apply() {
+    const connection = this.getConnection();
+
+    this.clients.forEach(client => client.setConnection(connection));
+    setApiBaseUrls(connection.baseURL, connection.wsURL);
+
+    console.log(`🔀 Connection profile: ${this.profiles.get(this.activeId).name} (${connection.baseURL})`);
+    this.notify();
+  }
+
+  notify() {
+    const detail = { profile: this.getActive(), profiles: this.list() };
+    this.emit('change', detail);
+    eventBus.emit(EVENTS.API_PROFILE_CHANGE, detail);
+  }
+
+  /**
+   * Persistence
+   */
+  async persist({ credentials = false } = {}) {
+    this.storage.set(PROFILES_KEY, {
+      activeId: this.activeId,
+      profiles: Array.from(this.profiles.values())
+    }, PERSIST_OPTIONS);
+
+    if (credentials) {
+      await this.storage.setAsync(CREDENTIALS_KEY, Object.fromEntries(this.credentials), {
+        ...PERSIST_OPTIONS,
+        enableEncryption: true
+      });
+    }
+  }
+
+  createId(name) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+    let id = slug;
+    for (let i = 2; this.profiles.has(id); i++) {
+      id = `${slug}-${i}`;
+    }
+    return id;
+  }
+
+  /**
+   * Events: 'change' ({ profile, profiles }) and 'error'
+   */
+  on(event, handler) {
+    if (!this.eventHandlers.has(event)) {
+      this.eventHandlers.set(event, new Set());
+    }
+    this.eventHandlers.get(event).add(handler);
+    return () => this.off(event, handler);
+  }
+
+  off(event, handler) {
+    this.eventHandlers.get(event)?.delete(handler);
+  }
+
+  emit(event, data) {
+    this.eventHandlers.get(event)?.forEach(handler => {
+      try {
+        handler(data);
+      } catch (error) {
+        console.error(`Error in connection profile ${event} handler:`, error);
+      }
+    });
+  }
+}
+
+// Created on first use so importing this module does not touch storage
+let connectionProfiles = null;
+
+/**
+ * Shared profile manager for the shared APIClient; await its `ready` promise before saving
+ */
+export function getConnectionProfiles() {
+  if (!connectionProfiles) {
+    connectionProfiles = new ConnectionProfileManager();
+  }
+  return connectionProfiles;
+}
+
+export default ConnectionProfileManager;
@@ -0,0 +1,233 @@
+/**
+ * FILE: js/api/resilience.js
+ * Request Resilience Helpers
+ * NCS-API Website - HTTP errors, retry backoff with jitter, Retry-After parsing and circuit breakers
+ */
+
+export const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Statuses that mean "try again later" regardless of the request method
+export const THROTTLE_STATUSES = [429, 503];
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/* ===================================
+   Errors
+   =================================== */
+
+export class HTTPError extends Error {
+  /**
+   * @param {Response} response - Failed response
+   * @param {*} data - Parsed response body, if any
+   */
+  constructor(response, data = null) {
+    super(`HTTP ${response.status}: ${response.statusText}`);
+    this.name = 'HTTPError';
+    this.status = response.status;
+    this.statusText = response.statusText;
+    this.data = data;
+    this.retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+  }
+}
+
+export class CircuitOpenError extends Error {
+  constructor(endpoint, retryAt) {
+    super(`Circuit open for ${endpoint}, retry after ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.endpoint = endpoint;
+    this.retryAt = retryAt;
+  }
+}
+
+/* ===================================
+   Retry helpers
+   =================================== */
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in ms, or null if absent/invalid
+ */
+export function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with jitter
+ * @param {number} attempt - Zero-based retry number
+ * @param {Object} policy - { baseDelay, maxDelay, jitter } where jitter is 0..1
+ * @returns {number} Delay in ms
+ */
+export function computeBackoff(attempt, { baseDelay = 1000, maxDelay = 30000, jitter = 0.5 } = {}) {
+  const exponential = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+  return Math.round(exponential * (1 - jitter * Math.random()));
+}
+
+/**
+ * Whether an error is worth retrying for an idempotent request
+ * @param {Error} error - Request error
+ * @param {Array<number>} retryOn - Retryable HTTP statuses
+ */
+export function isRetryableError(error, retryOn = []) {
+  if (error instanceof HTTPError) {
+    return retryOn.includes(error.status);
+  }
+  // fetch() rejects with TypeError on network failures
+  return error.name === 'TimeoutError' || error.name === 'TypeError';
+}
+
+/**
+ * Whether an error says the backend itself is unhealthy (counts against the circuit)
+ */
+export function isServerFailure(error) {
+  if (error instanceof HTTPError) {
+    return error.status >= 500;
+  }
+  return error.name === 'TimeoutError' || error.name === 'TypeError';
+}
+
+export function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/* ===================================
+   Circuit Breaker
+   =================================== */
+
+/**
+ * Stops calling an endpoint after repeated failures, then lets a trial request
+ * through once the reset timeout has passed.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {string} name - Endpoint key
+   * @param {Object} options - Breaker options
+   * @param {number} options.failureThreshold - Consecutive failures before opening
+   * @param {number} options.resetTimeout - Time in ms before a trial request is allowed
+   * @param {number} options.halfOpenRequests - Trial requests allowed while half-open
+   * @param {Function} options.onStateChange - (breaker, previousState) => void
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = {
+      failureThreshold: 5,
+      resetTimeout: 30000,
+      halfOpenRequests: 1,
+      onStateChange: null,
+      ...options
+    };
+
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trials = 0;
+    this.lastFailure = null;
+    this.stats = { successes: 0, failures: 0, rejected: 0 };
+  }
+
+  get nextAttemptAt() {
+    return this.openedAt === null ? null : this.openedAt + this.options.resetTimeout;
+  }
+
+  /**
+   * Whether a request may be sent now (counts half-open trials)
+   */
+  canRequest() {
+    if (this.state === CIRCUIT_STATES.OPEN && Date.now() >= this.nextAttemptAt) {
+      this.transition(CIRCUIT_STATES.HALF_OPEN);
+    }
+
+    if (this.state === CIRCUIT_STATES.CLOSED) return true;
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN && this.trials < this.options.halfOpenRequests) {
+      this.trials++;
+      return true;
+    }
+
+    this.stats.rejected++;
+    return false;
+  }
+
+  /**
+   * Give back a half-open trial slot, e.g. when the trial request was cancelled
+   */
+  releaseTrial() {
+    if (this.state === CIRCUIT_STATES.HALF_OPEN && this.trials > 0) {
+      this.trials--;
+    }
+  }
+
+  recordSuccess() {
+    this.stats.successes++;
+    this.failures = 0;
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      this.transition(CIRCUIT_STATES.CLOSED);
+    }
+  }
+
+  recordFailure(error = null) {
+    this.stats.failures++;
+    this.failures++;
+    this.lastFailure = error ? error.message : null;
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN ||
+        (this.state === CIRCUIT_STATES.CLOSED && this.failures >= this.options.failureThreshold)) {
+      this.transition(CIRCUIT_STATES.OPEN);
+    }
+  }
+
+  reset() {
+    this.failures = 0;
+    this.transition(CIRCUIT_STATES.CLOSED);
+  }
+
+  transition(state) {
+    if (state === this.state) return;
+
+    const previousState = this.state;
+    this.state = state;
+    this.trials = 0;
+    this.openedAt = state === CIRCUIT_STATES.OPEN ? Date.now() : (state === CIRCUIT_STATES.CLOSED ? null : this.openedAt);
+
+    if (typeof this.options.onStateChange === 'function') {
+      this.options.onStateChange(this, previousState);
+    }
+  }
+
+  getState() {
+    return {
+      endpoint: this.name,
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt,
+      retryAt: this.state === CIRCUIT_STATES.CLOSED ? null : this.nextAttemptAt,
+      lastFailure: this.lastFailure,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+/**
+ * Group endpoints by route so /cluster/abc/status and /cluster/def/status share a breaker
+ * @param {string} endpoint - Request path, optionally with a query string
+ * @returns {string} Endpoint key such as /cluster/:id/status
+ */
+export function getEndpointKey(endpoint) {
+  return endpoint
+    .split('?')[0]
+    .replace(/\/[^/]*\d[^/]*(?=\/|$)/g, '/:id') || '/';
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,666 @@
+/**
+ * FILE: js/api/stream.js
+ * Streaming Clustering
+ * NCS-API Website - Push mini-batches of points to /cluster/stream and receive incremental assignments
+ *
+ * WebSocket transport (one socket per stream):
+ *   -> { type: 'stream:open', id, algorithm, parameters }
+ *   <- { type: 'stream:opened', id, streamId, algorithm, parameters, centroids, counts, pointsSeen }
+ *   -> { type: 'stream:batch', streamId, seq, points }
+ *   <- { type: 'stream:update', streamId, seq, offset, assignments, centroids, counts, pointsSeen, inertia }
+ *   -> { type: 'stream:close', streamId }
+ *   <- { type: 'stream:closed', streamId, summary }
+ *   <- { type: 'stream:error', streamId, seq, error }
+ *
+ * NDJSON transport (fetch):
+ *   POST   /cluster/stream              { algorithm, parameters } -> same fields as stream:opened
+ *   POST   /cluster/stream/:streamId    NDJSON { seq, points } lines -> NDJSON stream:update lines
+ *   DELETE /cluster/stream/:streamId    -> { streamId, summary }
+ *
+ * Backpressure: at most maxInFlight batches may be unacknowledged, and a batch only counts as
+ * acknowledged once its update has been handed to listeners on an animation frame. A producer
+ * awaiting push() is therefore held to the rate the UI can draw (and stalls in hidden tabs).
+ */
+
+import { ENDPOINTS, API_CONFIG } from '../config/api.js';
+import { EVENTS } from '../config/constants.js';
+import { eventBus } from '../core/eventBusNew.js';
+import { apiClient } from './client.js';
+
+const NDJSON_TYPE = 'application/x-ndjson';
+
+export const STREAM_STATES = {
+  IDLE: 'idle',
+  OPENING: 'opening',
+  OPEN: 'open',
+  CLOSING: 'closing',
+  CLOSED: 'closed',
+  FAILED: 'failed'
+};
+
+export const STREAM_TRANSPORTS = {
+  AUTO: 'auto', // WebSocket when available, NDJSON otherwise
+  WEBSOCKET: 'websocket',
+  NDJSON: 'ndjson'
+};
+
+/* ===================================
+   Helpers
+   =================================== */
+
+/**
+ * Feature vector for a streamed point: arrays are used as-is, objects contribute x, y and z
+ */
+export function toVector(point) {
+  if (Array.isArray(point)) return point.map(Number);
+  return point.z !== undefined ?
+    [Number(point.x), Number(point.y), Number(point.z)] :
+    [Number(point.x), Number(point.y)];
+}
+
+function getBatchesPath(streamId) {
+  return ENDPOINTS.CLUSTERING.STREAM_BATCHES.replace(':streamId', encodeURIComponent(streamId));
+}
+
+function createAbortError(message) {
+  return new DOMException(message, 'AbortError');
+}
+
+function nextFrame(callback) {
+  if (typeof requestAnimationFrame === 'function') {
+    requestAnimationFrame(callback);
+  } else {
+    setTimeout(callback, 16);
+  }
+}
+
+/**
+ * Read an NDJSON response body line by line
+ */
+async function readNdjson(response, onMessage, signal) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const cancel = () => reader.cancel().catch(() => {});
+  let buffer = '';
+
+  signal.addEventListener('abort', cancel, { once: true });
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.filter(line => line.trim()).forEach(line => onMessage(JSON.parse(line)));
+
+      if (done) break;
+    }
+    if (buffer.trim()) {
+      onMessage(JSON.parse(buffer));
+    }
+  } finally {
+    signal.removeEventListener('abort', cancel);
+  }
+}
+
+/* ===================================
+   Transports
+   =================================== */
+
+/**
+ * Transports share one shape:
+ *   open(spec) -> stream info, send(batch), finish() -> summary, disconnect()
+ * and pass stream:update / stream:error messages to stream.handleMessage.
+ */
+
+function createWebSocketTransport(stream) {
+  let socket = null;
+  let streamId = null;
+  let pendingClose = null;
+  let disconnected = false;
+
+  return {
+    name: STREAM_TRANSPORTS.WEBSOCKET,
+
+    open({ algorithm, parameters }) {
+      return new Promise((resolve, reject) => {
+        const id = `open_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        let opened = false;
+
+        const rejectOpen = (error) => {
+          clearTimeout(timer);
+          if (!opened) reject(error);
+        };
+        const timer = setTimeout(() => {
+          rejectOpen(new Error('Stream connection timeout'));
+          socket.close();
+        }, stream.options.openTimeout);
+
+        socket = new WebSocket(stream.options.client.config.wsURL);
+
+        socket.onopen = () => {
+          socket.send(JSON.stringify({ type: 'stream:open', id, algorithm, parameters }));
+        };
+
+        socket.onmessage = (event) => {
+          let message;
+          try {
+            message = JSON.parse(event.data);
+          } catch (error) {
+            console.error('Failed to parse stream message:', error);
+            return;
+          }
+
+          if (!opened) {
+            if (message.id !== id) return;
+            if (message.type === 'stream:error') {
+              const error = new Error(message.error);
+              error.rejected = true; // Refused by the server, not a connection problem
+              rejectOpen(error);
+              return;
+            }
+            opened = true;
+            clearTimeout(timer);
+            streamId = message.streamId;
+            resolve(message);
+            return;
+          }
+
+          if (message.streamId !== streamId) return;
+          if (message.type === 'stream:closed') {
+            pendingClose?.resolve(message.summary);
+          } else {
+            stream.handleMessage(message);
+          }
+        };
+
+        socket.onerror = () => rejectOpen(new Error('Stream connection failed'));
+
+        socket.onclose = () => {
+          rejectOpen(new Error('Stream connection closed'));
+          if (opened && !disconnected) {
+            const error = new Error('Stream connection lost');
+            pendingClose?.reject(error);
+            stream.fail(error);
+          }
+        };
+      });
+    },
+
+    send(batch) {
+      socket.send(JSON.stringify({ type: 'stream:batch', streamId, seq: batch.seq, points: batch.vectors }));
+    },
+
+    finish() {
+      return new Promise((resolve, reject) => {
+        pendingClose = { resolve, reject };
+        socket.send(JSON.stringify({ type: 'stream:close', streamId }));
+      });
+    },
+
+    disconnect() {
+      disconnected = true;
+      pendingClose?.reject(createAbortError('Stream was closed'));
+      if (socket && socket.readyState !== WebSocket.CLOSED) {
+        socket.close();
+      }
+    }
+  };
+}
+
+/**
+ * Batches queued while a request is in flight go out together in the next NDJSON body
+ */
+function createNdjsonTransport(stream) {
+  const { client } = stream.options;
+  const controller = new AbortController();
+  const queue = [];
+  let streamId = null;
+  let sending = false;
+  let finished = false;
+
+  const flush = async () => {
+    if (sending || queue.length === 0) return;
+    sending = true;
+
+    const batches = queue.splice(0);
+    try {
+      const response = await client.request(getBatchesPath(streamId), {
+        method: 'POST',
+        body: batches.map(batch => `${JSON.stringify({ seq: batch.seq, points: batch.vectors })}\n`).join(''),
+        headers: {
+          'Content-Type': NDJSON_TYPE,
+          'Accept': NDJSON_TYPE
+        },
+        signal: controller.signal,
+        stream: true,
+        invalidates: []
+      });
+      await readNdjson(response, message => stream.handleMessage(message), controller.signal);
+    } catch (error) {
+      if (!controller.signal.aborted) stream.fail(error);
+      return;
+    } finally {
+      sending = false;
+    }
+
+    flush();
+  };
+
+  return {
+    name: STREAM_TRANSPORTS.NDJSON,
+
+    async open({ algorithm, parameters }) {
+      const info = await client.post(ENDPOINTS.CLUSTERING.STREAM_CLUSTER, { algorithm, parameters }, {
+        signal: controller.signal,
+        invalidates: []
+      });
+      streamId = info.streamId;
+      return info;
+    },
+
+    send(batch) {
+      queue.push(batch);
+      flush();
+    },
+
+    async finish() {
+      const result = await client.delete(getBatchesPath(streamId), { signal: controller.signal, invalidates: [] });
+      finished = true;
+      return result.summary;
+    },
+
+    disconnect() {
+      controller.abort();
+
+      // Release the server session when the stream is abandoned midway
+      if (streamId && !finished) {
+        finished = true;
+        client.delete(getBatchesPath(streamId), { retry: false, invalidates: [] })
+          .catch(error => console.warn('⚠️ Failed to close stream on the server:', error.message));
+      }
+    }
+  };
+}
+
+/* ===================================
+   Cluster Stream
+   =================================== */
+
+export class ClusterStream {
+  /**
+   * @param {Object} options - Stream options
+   * @param {NCSApiClient} options.client - API client (base URL, WebSocket URL, auth)
+   * @param {string} options.transport - 'auto', 'websocket' or 'ndjson'
+   * @param {string} options.algorithm - Streaming algorithm (the API supports kmeans)
+   * @param {Object} options.parameters - Algorithm parameters, e.g. { k: 3 }
+   * @param {number} options.batchSize - Points per mini-batch
+   * @param {number} options.maxInFlight - Unacknowledged batches before push() waits
+   * @param {boolean} options.emitEvents - Publish updates on the event bus for RealTimeChart and others
+   * @param {Function} options.onUpdate - (update) => void, called at most once per frame
+   * @param {Function} options.onStateChange - (state, stream) => void
+   */
+  constructor(options = {}) {
+    this.options = {
+      client: apiClient,
+      transport: STREAM_TRANSPORTS.AUTO,
+      algorithm: 'kmeans',
+      parameters: {},
+      batchSize: API_CONFIG.stream.batchSize,
+      maxInFlight: API_CONFIG.stream.maxInFlight,
+      openTimeout: API_CONFIG.stream.openTimeout,
+      emitEvents: true,
+      onUpdate: null,
+      onStateChange: null,
+      ...options
+    };
+
+    this.state = STREAM_STATES.IDLE;
+    this.streamId = null;
+    this.transport = null;
+    this.openPromise = null;
+    this.closePromise = null;
+    this.seq = 0;
+    this.inFlight = new Map(); // seq -> batch awaiting its update
+    this.received = []; // Batches answered since the last frame
+    this.frameScheduled = false;
+    this.waiters = []; // Callers waiting for a free slot or a drained pipeline
+    this.centroids = [];
+    this.counts = [];
+    this.summary = null;
+    this.error = null;
+    this.eventHandlers = new Map();
+    this.stats = {
+      pointsSent: 0,
+      pointsAcked: 0,
+      batchesSent: 0,
+      batchesAcked: 0,
+      totalLatency: 0,
+      startedAt: null
+    };
+
+    if (typeof this.options.onUpdate === 'function') {
+      this.on('update', this.options.onUpdate);
+    }
+  }
+
+  get isOpen() {
+    return this.state === STREAM_STATES.OPEN;
+  }
+
+  /**
+   * Open the stream (push() opens it on first use)
+   * @returns {Promise<Object>} Stream info from the server
+   */
+  open() {
+    if (!this.openPromise) {
+      this.openPromise = this.connect();
+    }
+    return this.openPromise;
+  }
+
+  async connect() {
+    if (this.state !== STREAM_STATES.IDLE) {
+      throw this.error || new Error(`Cannot open a ${this.state} stream`);
+    }
+
+    this.setState(STREAM_STATES.OPENING);
+    const spec = { algorithm: this.options.algorithm, parameters: this.options.parameters };
+
+    try {
+      const info = await this.openTransport(spec);
+      if (this.state !== STREAM_STATES.OPENING) {
+        throw this.error || createAbortError('Stream was aborted');
+      }
+
+      this.streamId = info.streamId;
+      this.centroids = info.centroids || [];
+      this.counts = info.counts || [];
+      this.stats.startedAt = performance.now();
+      this.setState(STREAM_STATES.OPEN);
+      console.log(`🌊 Cluster stream ${this.streamId} open over ${this.transport.name}`);
+
+      return info;
+
+    } catch (error) {
+      this.fail(error);
+      throw error;
+    }
+  }
+
+  async openTransport(spec) {
+    const { transport } = this.options;
+    const canUseSocket = typeof WebSocket !== 'undefined';
+
+    if (transport === STREAM_TRANSPORTS.WEBSOCKET || (transport === STREAM_TRANSPORTS.AUTO && canUseSocket)) {
+      this.transport = createWebSocketTransport(this);
+      try {
+        return await this.transport.open(spec);
+      } catch (error) {
+        this.transport.disconnect();
+        if (transport !== STREAM_TRANSPORTS.AUTO || error.rejected || this.state !== STREAM_STATES.OPENING) {
+          throw error;
+        }
+        console.warn('⚠️ Stream WebSocket unavailable, falling back to NDJSON:', error.message);
+      }
+    }
+
+    this.transport = createNdjsonTransport(this);
+    return this.transport.open(spec);
+  }
+
+  /**
+   * Send points in mini-batches, waiting whenever maxInFlight batches are unacknowledged
+   * @param {Array<Array<number>|Object>} points - Vectors or { x, y[, z] } objects
+   * @returns {Promise<void>} Resolves once the last batch has been sent
+   */
+  async push(points) {
+    await this.open();
+
+    for (let start = 0; start < points.length; start += this.options.batchSize) {
+      await this.waitForSlot();
+      this.sendBatch(points.slice(start, start + this.options.batchSize));
+    }
+  }
+
+  async waitForSlot() {
+    while (this.state === STREAM_STATES.OPEN && this.inFlight.size >= this.options.maxInFlight) {
+      await new Promise(resolve => this.waiters.push(resolve));
+    }
+
+    if (this.state !== STREAM_STATES.OPEN) {
+      throw this.error || new Error(`Cannot push to a ${this.state} stream`);
+    }
+  }
+
+  sendBatch(points) {
+    const batch = {
+      seq: this.seq++,
+      points,
+      vectors: points.map(toVector),
+      sentAt: performance.now()
+    };
+
+    this.inFlight.set(batch.seq, batch);
+    this.stats.batchesSent++;
+    this.stats.pointsSent += points.length;
+
+    try {
+      this.transport.send(batch);
+    } catch (error) {
+      this.fail(error);
+    }
+  }
+
+  /**
+   * Wait for every batch in flight, then close the server session
+   * @returns {Promise<Object>} Final centroids and counts
+   */
+  async close() {
+    if (this.state === STREAM_STATES.IDLE) {
+      this.setState(STREAM_STATES.CLOSED);
+      return null;
+    }
+    if (this.state === STREAM_STATES.CLOSED && !this.closePromise) return this.summary;
+    if (this.state === STREAM_STATES.FAILED) throw this.error;
+
+    await this.open();
+    if (!this.closePromise) {
+      this.closePromise = this.finish();
+    }
+    return this.closePromise;
+  }
+
+  async finish() {
+    this.setState(STREAM_STATES.CLOSING);
+
+    try {
+      while (this.state === STREAM_STATES.CLOSING && this.inFlight.size > 0) {
+        await new Promise(resolve => this.waiters.push(resolve));
+      }
+      if (this.state !== STREAM_STATES.CLOSING) {
+        throw this.error || createAbortError('Stream was aborted');
+      }
+
+      this.summary = await this.transport.finish();
+      this.transport.disconnect();
+      this.setState(STREAM_STATES.CLOSED);
+      this.emit('close', this.summary);
+      console.log(`✅ Cluster stream ${this.streamId} closed after ${this.stats.pointsAcked} points`);
+
+      return this.summary;
+
+    } catch (error) {
+      this.fail(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop immediately, dropping batches in flight
+   */
+  abort() {
+    this.stop(STREAM_STATES.CLOSED, createAbortError('Stream was aborted'));
+  }
+
+  fail(error) {
+    if (this.stop(STREAM_STATES.FAILED, error)) {
+      console.error('❌ Cluster stream failed:', error.message);
+      this.emit('error', error);
+    }
+  }
+
+  /**
+   * @returns {boolean} Whether the stream was still running
+   */
+  stop(state, error) {
+    if ([STREAM_STATES.CLOSED, STREAM_STATES.FAILED].includes(this.state)) return false;
+
+    this.error = error;
+    this.transport?.disconnect();
+    this.inFlight.clear();
+    this.received = [];
+    this.setState(state);
+    this.releaseWaiters();
+
+    return true;
+  }
+
+  /* ===================================
+     Incoming updates
+     =================================== */
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'stream:update': {
+        const batch = this.inFlight.get(message.seq);
+        if (!batch || batch.update) return;
+
+        batch.update = message;
+        batch.receivedAt = performance.now();
+        this.received.push(batch);
+        this.scheduleFrame();
+        break;
+      }
+
+      case 'stream:error':
+        this.fail(new Error(message.error || 'Stream failed'));
+        break;
+
+      default:
+        console.warn('Unknown stream message type:', message.type);
+    }
+  }
+
+  scheduleFrame() {
+    if (this.frameScheduled) return;
+
+    this.frameScheduled = true;
+    nextFrame(() => this.deliver());
+  }
+
+  /**
+   * Hand everything answered since the last frame to listeners as one update, then free the slots
+   */
+  deliver() {
+    this.frameScheduled = false;
+
+    const batches = this.received.splice(0);
+    if (batches.length === 0) return;
+
+    const latest = batches[batches.length - 1].update;
+    const pointCount = batches.reduce((sum, batch) => sum + batch.points.length, 0);
+    const latency = batches.reduce((sum, batch) => sum + batch.receivedAt - batch.sentAt, 0);
+
+    batches.forEach(batch => this.inFlight.delete(batch.seq));
+    this.stats.batchesAcked += batches.length;
+    this.stats.pointsAcked += pointCount;
+    this.stats.totalLatency += latency;
+    this.centroids = latest.centroids;
+    this.counts = latest.counts;
+
+    const update = {
+      streamId: this.streamId,
+      offset: batches[0].update.offset,
+      points: batches.flatMap(batch => batch.points),
+      assignments: batches.flatMap(batch => batch.update.assignments),
+      centroids: latest.centroids,
+      counts: latest.counts,
+      pointsSeen: latest.pointsSeen,
+      inertia: batches.reduce((sum, batch) => sum + batch.update.inertia * batch.points.length, 0) / pointCount,
+      batches: batches.length,
+      latency: latency / batches.length
+    };
+
+    this.emit('update', update);
+
+    if (this.options.emitEvents) {
+      const timestamp = Date.now();
+      eventBus.emit(EVENTS.CLUSTERING_STREAM_UPDATE, update);
+      eventBus.emit(EVENTS.DATA_STREAM, { channel: 'stream inertia', value: update.inertia, timestamp });
+      eventBus.emit(EVENTS.DATA_STREAM, { channel: 'stream points/s', value: this.getStats().throughput, timestamp });
+    }
+
+    this.releaseWaiters();
+  }
+
+  releaseWaiters() {
+    this.waiters.splice(0).forEach(resolve => resolve());
+  }
+
+  getStats() {
+    const { totalLatency, startedAt, ...counts } = this.stats;
+    const elapsed = startedAt === null ? 0 : (performance.now() - startedAt) / 1000;
+
+    return {
+      ...counts,
+      inFlight: this.inFlight.size,
+      averageLatency: counts.batchesAcked > 0 ? totalLatency / counts.batchesAcked : 0,
+      throughput: elapsed > 0 ? counts.pointsAcked / elapsed : 0 // Acknowledged points per second
+    };
+  }
+
+  setState(state) {
+    this.state = state;
+    if (typeof this.options.onStateChange === 'function') {
+      this.options.onStateChange(state, this);
+    }
+  }
+
+  /* ===================================
+     Events: update, close, error
+     =================================== */
+
+  on(event, handler) {
+    if (!this.eventHandlers.has(event)) {
+      this.eventHandlers.set(event, []);
+    }
+    this.eventHandlers.get(event).push(handler);
+  }
+
+  off(event, handler) {
+    const handlers = this.eventHandlers.get(event);
+    if (handlers) {
+      const index = handlers.indexOf(handler);
+      if (index > -1) {
+        handlers.splice(index, 1);
+      }
+    }
+  }
+
+  emit(event, data) {
+    const handlers = this.eventHandlers.get(event);
+    if (handlers) {
+      [...handlers].forEach(handler => {
+        try {
+          handler(data);
+        } catch (error) {
+          console.error(`Error in stream ${event} handler:`, error);
+        }
+      });
+    }
+  }
+}
+
+export default ClusterStream;
@@ -0,0 +1,368 @@
+/**
+ * FILE: js/api/upload.js
+ * Chunked Dataset Upload
+ * NCS-API Website - Resumable uploads to /data/upload with per-chunk SHA-256 hashes
+ *
+ * Protocol:
+ *   POST   /data/upload                       { fileName, fileSize, mimeType, chunkSize } -> upload session
+ *   GET    /data/upload/:uploadId             -> session with receivedChunks
+ *   PUT    /data/upload/:uploadId/chunks/:i   raw bytes, X-Chunk-Hash: sha256 hex
+ *   POST   /data/upload/:uploadId/complete    { fileHash } -> dataset summary and validation
+ *   DELETE /data/upload/:uploadId             cancel
+ *
+ * The file hash is the SHA-256 of the chunk hashes concatenated in order, so it can be
+ * checked without hashing the whole file in one pass.
+ */
+
+import { ENDPOINTS, API_CONFIG } from '../config/api.js';
+import storage from '../utils/storage.js';
+import { sha256Hex } from '../utils/crypto.js';
+import { apiClient } from './client.js';
+import { HTTPError } from './resilience.js';
+
+const STORAGE_PREFIX = 'upload:';
+
+export const UPLOAD_STATES = {
+  IDLE: 'idle',
+  UPLOADING: 'uploading',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed'
+};
+
+/* ===================================
+   Helpers
+   =================================== */
+
+/**
+ * Identify a file across page reloads (the File object itself cannot be persisted)
+ */
+export function getFileFingerprint(file) {
+  return [file.name, file.size, file.lastModified || 0].join(':');
+}
+
+function fillPath(pattern, params) {
+  return Object.entries(params).reduce(
+    (path, [key, value]) => path.replace(`:${key}`, encodeURIComponent(value)),
+    pattern
+  );
+}
+
+/**
+ * Interrupted uploads that can be resumed by selecting the same file again
+ * @returns {Array<Object>} Persisted upload states
+ */
+export function getPendingUploads() {
+  return storage.local.keys()
+    .filter(key => key.startsWith(STORAGE_PREFIX))
+    .map(key => storage.local.get(key))
+    .filter(Boolean);
+}
+
+export function discardPendingUpload(fingerprint) {
+  storage.local.delete(`${STORAGE_PREFIX}${fingerprint}`);
+}
+
+/* ===================================
+   Chunked Upload
+   =================================== */
+
+export class ChunkedUpload {
+  /**
+   * @param {File|Blob} file - File to upload (Blobs need a name option)
+   * @param {Object} options - Upload options
+   * @param {NCSApiClient} options.client - API client to send through
+   * @param {number} options.chunkSize - Bytes per chunk
+   * @param {boolean} options.persist - Save progress so the upload can resume after a reload
+   * @param {Function} options.onProgress - ({ loaded, total, percent, uploadedChunks, totalChunks }) => void
+   * @param {Function} options.onStateChange - (state, upload) => void
+   */
+  constructor(file, options = {}) {
+    this.file = file;
+    this.options = {
+      client: apiClient,
+      chunkSize: API_CONFIG.upload.chunkSize,
+      persist: true,
+      name: file.name,
+      onProgress: null,
+      onStateChange: null,
+      ...options
+    };
+
+    this.fileName = this.options.name || 'dataset';
+    this.fingerprint = getFileFingerprint({ name: this.fileName, size: file.size, lastModified: file.lastModified });
+    this.state = UPLOAD_STATES.IDLE;
+    this.uploadId = null;
+    this.chunkSize = this.options.chunkSize;
+    this.chunkHashes = [];
+    this.received = new Set();
+    this.result = null;
+    this.error = null;
+    this.controller = null;
+    this.runPromise = null;
+
+    this.restore();
+  }
+
+  get totalChunks() {
+    return Math.max(1, Math.ceil(this.file.size / this.chunkSize));
+  }
+
+  /**
+   * Whether persisted state from an earlier session was found
+   */
+  get isResumed() {
+    return this.uploadId !== null && this.state === UPLOAD_STATES.IDLE;
+  }
+
+  getProgress() {
+    let loaded = 0;
+    this.received.forEach(index => {
+      const { start, end } = this.getChunkRange(index);
+      loaded += end - start;
+    });
+
+    return {
+      loaded,
+      total: this.file.size,
+      percent: this.file.size > 0 ? (loaded / this.file.size) * 100 : 0,
+      uploadedChunks: this.received.size,
+      totalChunks: this.totalChunks
+    };
+  }
+
+  /**
+   * Start or resume the upload
+   * @returns {Promise<Object|null>} Server result, or null if paused/cancelled first
+   */
+  start() {
+    if (this.state === UPLOAD_STATES.UPLOADING) return this.runPromise;
+    if (this.state === UPLOAD_STATES.COMPLETED) return Promise.resolve(this.result);
+    if (this.state === UPLOAD_STATES.CANCELLED) {
+      return Promise.reject(new Error('Upload was cancelled'));
+    }
+
+    this.error = null;
+    this.controller = new AbortController();
+    this.setState(UPLOAD_STATES.UPLOADING);
+    this.runPromise = this.run();
+
+    return this.runPromise;
+  }
+
+  resume() {
+    return this.start();
+  }
+
+  /**
+   * Stop after aborting the chunk in flight; uploaded chunks are kept
+   */
+  pause() {
+    if (this.state !== UPLOAD_STATES.UPLOADING) return;
+
+    this.setState(UPLOAD_STATES.PAUSED);
+    this.controller.abort();
+  }
+
+  /**
+   * Abort, forget the persisted state and release the server session
+   */
+  async cancel() {
+    if ([UPLOAD_STATES.COMPLETED, UPLOAD_STATES.CANCELLED].includes(this.state)) return;
+
+    this.setState(UPLOAD_STATES.CANCELLED);
+    this.controller?.abort();
+    this.clearPersisted();
+
+    if (this.uploadId) {
+      try {
+        await this.options.client.delete(fillPath(ENDPOINTS.DATA.UPLOAD_STATUS, { uploadId: this.uploadId }));
+      } catch (error) {
+        console.warn('⚠️ Failed to cancel upload on the server:', error.message);
+      }
+    }
+  }
+
+  async run() {
+    // Each run owns its signal, so a quick pause/resume cannot leave two runs sending chunks
+    const { signal } = this.controller;
+
+    try {
+      await this.ensureSession(signal);
+      this.reportProgress();
+
+      for (let index = 0; index < this.totalChunks; index++) {
+        if (this.received.has(index)) continue;
+        if (signal.aborted) return null;
+
+        await this.uploadChunk(index, signal);
+        this.persist();
+        this.reportProgress();
+      }
+
+      const fileHash = await this.getFileHash();
+      if (signal.aborted) return null;
+
+      this.result = await this.options.client.post(
+        fillPath(ENDPOINTS.DATA.UPLOAD_COMPLETE, { uploadId: this.uploadId }),
+        { fileHash },
+        { signal }
+      );
+
+      this.clearPersisted();
+      this.setState(UPLOAD_STATES.COMPLETED);
+      console.log(`✅ Upload complete: ${this.fileName} (${this.totalChunks} chunks)`);
+
+      return this.result;
+
+    } catch (error) {
+      // Aborted by pause() or cancel()
+      if (signal.aborted) return null;
+
+      this.error = error;
+      this.setState(UPLOAD_STATES.FAILED);
+      throw error;
+    }
+  }
+
+  /**
+   * Reuse the persisted server session if it still exists, otherwise open a new one
+   */
+  async ensureSession(signal) {
+    const { client } = this.options;
+
+    if (this.uploadId) {
+      try {
+        const session = await client.get(
+          fillPath(ENDPOINTS.DATA.UPLOAD_STATUS, { uploadId: this.uploadId }),
+          { signal }
+        );
+        this.received = new Set(session.receivedChunks);
+        console.log(`⏯️ Resuming upload ${this.uploadId}: ${this.received.size}/${this.totalChunks} chunks on server`);
+        return;
+      } catch (error) {
+        if (!(error instanceof HTTPError) || error.status !== 404) throw error;
+        console.warn('⚠️ Upload session expired, starting over');
+        this.resetSession();
+      }
+    }
+
+    const session = await client.post(ENDPOINTS.DATA.UPLOAD, {
+      fileName: this.fileName,
+      fileSize: this.file.size,
+      mimeType: this.file.type || 'application/octet-stream',
+      chunkSize: this.chunkSize
+    }, { signal });
+
+    this.uploadId = session.uploadId;
+    this.chunkSize = session.chunkSize || this.chunkSize;
+    this.received = new Set(session.receivedChunks || []);
+    this.persist();
+  }
+
+  async uploadChunk(index, signal) {
+    const buffer = await this.readChunk(index);
+    const hash = await sha256Hex(buffer);
+    this.chunkHashes[index] = hash;
+
+    await this.options.client.request(
+      fillPath(ENDPOINTS.DATA.UPLOAD_CHUNK, { uploadId: this.uploadId, index }),
+      {
+        method: 'PUT',
+        body: buffer,
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'X-Chunk-Hash': hash
+        },
+        signal,
+        invalidates: []
+      }
+    );
+
+    this.received.add(index);
+  }
+
+  async getFileHash() {
+    // Hashes of chunks sent before a reload may be missing if persistence failed
+    for (let index = 0; index < this.totalChunks; index++) {
+      if (!this.chunkHashes[index]) {
+        this.chunkHashes[index] = await sha256Hex(await this.readChunk(index));
+      }
+    }
+    return sha256Hex(this.chunkHashes.join(''));
+  }
+
+  getChunkRange(index) {
+    const start = index * this.chunkSize;
+    return { start, end: Math.min(start + this.chunkSize, this.file.size) };
+  }
+
+  async readChunk(index) {
+    const { start, end } = this.getChunkRange(index);
+    return this.file.slice(start, end).arrayBuffer();
+  }
+
+  resetSession() {
+    this.uploadId = null;
+    this.chunkHashes = [];
+    this.received = new Set();
+    this.chunkSize = this.options.chunkSize;
+  }
+
+  setState(state) {
+    this.state = state;
+    if (typeof this.options.onStateChange === 'function') {
+      this.options.onStateChange(state, this);
+    }
+  }
+
+  reportProgress() {
+    if (typeof this.options.onProgress === 'function') {
+      this.options.onProgress(this.getProgress());
+    }
+  }
+
+  /* ===================================
+     Persistence
+     =================================== */
+
+  get storageKey() {
+    return `${STORAGE_PREFIX}${this.fingerprint}`;
+  }
+
+  persist() {
+    if (!this.options.persist || !this.uploadId) return;
+
+    storage.local.set(this.storageKey, {
+      fingerprint: this.fingerprint,
+      uploadId: this.uploadId,
+      fileName: this.fileName,
+      fileSize: this.file.size,
+      chunkSize: this.chunkSize,
+      chunkHashes: this.chunkHashes,
+      uploadedChunks: this.received.size,
+      totalChunks: this.totalChunks,
+      updatedAt: Date.now()
+    }, { ttl: API_CONFIG.upload.resumeTTL });
+  }
+
+  restore() {
+    if (!this.options.persist) return;
+
+    const saved = storage.local.get(this.storageKey);
+    if (!saved || saved.fileSize !== this.file.size) return;
+
+    this.uploadId = saved.uploadId;
+    this.chunkSize = saved.chunkSize;
+    this.chunkHashes = saved.chunkHashes || [];
+  }
+
+  clearPersisted() {
+    if (this.options.persist) {
+      storage.local.delete(this.storageKey);
+    }
+  }
+}
+
+export default ChunkedUpload;
@@ -8,11 +8,23 @@
  * - Event-based communication
  * - Connection health monitoring
  * - Heartbeat/ping-pong
+ * - Binary frames for bulk datasets and results, negotiated on connect
  * - Error handling
  */
 
 import { CONFIG, EVENTS } from '../config/constants.js';
 import { eventBus } from '../core/eventBusNew.js';
+import {
+    FRAME_ENCODING,
+    isFrame,
+    decodeFrame,
+    encodeDataset,
+    decodeDataset,
+    datasetFromFrame,
+    datasetToRows,
+    resultFromFrame,
+    withFrameMeta
+} from '../utils/binaryFrame.js';
 
 export class WebSocketManager {
     constructor(options = {}) {
@@ -22,13 +34,15 @@ export class WebSocketManager {
             reconnectDelay: 1000,
             maxReconnectDelay: 30000,
             heartbeatInterval: 30000,
-            enableCompression: true,
+            enableCompression: true, // Offer binary frames for bulk data when connecting
+            binaryThreshold: 1000, // Rows before a dataset is sent as a frame
             enableLogging: true,
             ...options
         };
         
         this.ws = null;
         this.connectionState = 'disconnected'; // disconnected, connecting, connected, reconnecting
+        this.encoding = 'json'; // FRAME_ENCODING once the server accepted binary frames
         this.lastConnectedAt = null;
         this.reconnectAttempt = 0;
         this.messageQueue = [];
@@ -80,6 +94,7 @@ export class WebSocketManager {
                 
                 // Create WebSocket connection
                 this.ws = new WebSocket(this.options.url);
+                this.ws.binaryType = 'arraybuffer';
                 
                 // Setup event listeners
                 this.ws.addEventListener('open', this.eventHandlers.open);
@@ -156,8 +171,7 @@ export class WebSocketManager {
                 message.id = this.generateRequestId();
             }
             
-            const messageString = JSON.stringify(message);
-            this.ws.send(messageString);
+            this.ws.send(this.encodeMessage(message));
             
             this.stats.messagesSent++;
             this.stats.lastActivity = Date.now();
@@ -190,6 +204,41 @@ export class WebSocketManager {
         }
     }
 
+    /**
+     * Wire format for a message: large datasets go out as a binary frame (the rest of the
+     * message rides along in the frame metadata) once the server accepted frames
+     */
+    encodeMessage(message) {
+        const { data, ...envelope } = message;
+        
+        if (this.encoding !== FRAME_ENCODING) {
+            return JSON.stringify(isFrame(data) ? { ...envelope, data: datasetToRows(decodeDataset(data)) } : message);
+        }
+        
+        if (isFrame(data)) {
+            return withFrameMeta(data, { envelope });
+        }
+        
+        if (Array.isArray(data) && data.length >= this.options.binaryThreshold) {
+            return encodeDataset(data, { meta: { envelope } });
+        }
+        
+        return JSON.stringify(message);
+    }
+
+    /**
+     * Message from a binary frame: the envelope from its metadata, the decoded payload as data
+     */
+    decodeMessage(buffer) {
+        const frame = decodeFrame(buffer);
+        const { envelope = {}, kind } = frame.meta;
+        
+        return {
+            ...envelope,
+            data: kind === 'dataset' ? datasetFromFrame(frame) : resultFromFrame(frame)
+        };
+    }
+
     /**
      * Subscribe to server events
      */
@@ -283,6 +332,7 @@ export class WebSocketManager {
         this.connectionState = 'connected';
         this.lastConnectedAt = Date.now();
         this.reconnectAttempt = 0;
+        this.encoding = 'json';
         
         // Clear connection timer
         if (this.connectionTimer) {
@@ -300,6 +350,14 @@ export class WebSocketManager {
         // Start heartbeat
         this.startHeartbeat();
         
+        // Offer binary frames; messages stay JSON until the server's welcome
+        if (this.options.enableCompression) {
+            this.send({
+                type: 'hello',
+                encodings: [FRAME_ENCODING, 'json']
+            });
+        }
+        
         // Process queued messages
         this.processMessageQueue();
         
@@ -311,8 +369,15 @@ export class WebSocketManager {
     }
 
     handleMessage(event) {
+        if (typeof Blob !== 'undefined' && event.data instanceof Blob) {
+            event.data.arrayBuffer().then(data => this.handleMessage({ data }));
+            return;
+        }
+        
         try {
-            const message = JSON.parse(event.data);
+            const message = typeof event.data === 'string' ?
+                JSON.parse(event.data) :
+                this.decodeMessage(event.data);
             
             this.stats.messagesReceived++;
             this.stats.lastActivity = Date.now();
@@ -335,6 +400,10 @@ export class WebSocketManager {
                     this.handleHeartbeat(message);
                     break;
                     
+                case 'welcome':
+                    this.encoding = message.encoding === FRAME_ENCODING ? FRAME_ENCODING : 'json';
+                    break;
+                    
                 case 'error':
                     this.handleServerError(message);
                     break;
@@ -352,6 +421,7 @@ export class WebSocketManager {
     handleClose(event) {
         const wasConnected = this.connectionState === 'connected';
         this.connectionState = 'disconnected';
+        this.encoding = 'json';
         
         // Clear heartbeat
         this.stopHeartbeat();
@@ -571,6 +641,7 @@ export class WebSocketManager {
         return {
             state: this.connectionState,
             connected: this.connectionState === 'connected',
+            encoding: this.encoding,
             lastConnectedAt: this.lastConnectedAt,
             reconnectAttempt: this.reconnectAttempt,
             queueSize: this.messageQueue.length,
@@ -4,8 +4,49 @@
  * Ideal for discovering clusters of arbitrary shapes and handling noise/outliers
  */
 
-import { EventBus } from '../core/eventBusNew.js';
-import { calculateDistance, normalizeData } from '../utils/math.js';
+import { createSpatialIndex } from './SpatialIndex.js';
+
+/**
+ * Distance between feature vectors, each dimension scaled by its weight (1 when unweighted)
+ */
+function vectorDistance(a, b, metric, weights = null) {
+    const weight = d => (weights && weights[d] !== undefined ? weights[d] : 1);
+    let sum = 0;
+
+    switch (metric) {
+        case 'euclidean':
+            for (let d = 0; d < a.length; d++) {
+                const diff = (a[d] - b[d]) * weight(d);
+                sum += diff * diff;
+            }
+            return Math.sqrt(sum);
+        case 'manhattan':
+            for (let d = 0; d < a.length; d++) {
+                sum += Math.abs(a[d] - b[d]) * weight(d);
+            }
+            return sum;
+        case 'chebyshev':
+            for (let d = 0; d < a.length; d++) {
+                sum = Math.max(sum, Math.abs(a[d] - b[d]) * weight(d));
+            }
+            return sum;
+        case 'cosine': {
+            let normA = 0;
+            let normB = 0;
+            for (let d = 0; d < a.length; d++) {
+                const wa = a[d] * weight(d);
+                const wb = b[d] * weight(d);
+                sum += wa * wb;
+                normA += wa * wa;
+                normB += wb * wb;
+            }
+            const norm = Math.sqrt(normA * normB);
+            return norm > 0 ? 1 - sum / norm : 0;
+        }
+        default:
+            throw new Error(`Unknown distance metric: ${metric}`);
+    }
+}
 
 export class DBSCANAlgorithm {
     constructor(options = {}) {
@@ -30,6 +71,9 @@ export class DBSCANAlgorithm {
         this.enableNoiseAnalysis = options.enableNoiseAnalysis !== false;
         this.enableHierarchicalAnalysis = options.enableHierarchicalAnalysis || false;
         
+        // ({ step, progress, ... }) => void, progress in percent
+        this.onProgress = options.onProgress || null;
+        
         // State variables
         this.clusters = [];
         this.labels = []; // -1 for noise, 0+ for cluster IDs
@@ -37,6 +81,7 @@ export class DBSCANAlgorithm {
         this.borderPoints = new Set();
         this.noisePoints = new Set();
         this.neighborhoodCache = new Map();
+        this.spatialIndex = null;
         this.features = [];
         this.processedData = [];
         
@@ -75,7 +120,7 @@ export class DBSCANAlgorithm {
             this.resetState();
             
             // Validate and preprocess data
-            await this.preprocessData(data);
+            await this.preprocessData(data, options);
             
             // Auto-estimate parameters if needed
             if (this.autoEstimateParams) {
@@ -102,17 +147,14 @@ export class DBSCANAlgorithm {
             
             this.isRunning = false;
             
-            EventBus.emit('dbscan:clustering_complete', {
-                result,
-                stats: this.stats,
-                parameters: result.parameters
-            });
+            this.currentStep = 'complete';
+            this.progress = 100;
+            this.reportProgress({ stats: this.stats });
             
             return result;
             
         } catch (error) {
             this.isRunning = false;
-            EventBus.emit('dbscan:clustering_error', { error: error.message });
             throw error;
         }
     }
@@ -127,23 +169,36 @@ export class DBSCANAlgorithm {
         this.borderPoints.clear();
         this.noisePoints.clear();
         this.neighborhoodCache.clear();
+        this.spatialIndex = null;
         this.processedData = [];
         this.progress = 0;
         this.currentStep = 'initializing';
     }
 
+    /**
+     * Report the current step and progress to onProgress
+     * @param {Object} details - Extra fields for the step, e.g. points processed so far
+     */
+    reportProgress(details = {}) {
+        if (this.onProgress) {
+            this.onProgress({
+                step: this.currentStep,
+                progress: this.progress,
+                ...details
+            });
+        }
+    }
+
     /**
      * Preprocess input data
      * @param {Array} data - Raw input data
+     * @param {Object} options - Clustering options (normalize: false keeps raw features)
      */
-    async preprocessData(data) {
+    async preprocessData(data, options = {}) {
         this.currentStep = 'preprocessing';
         this.progress = 10;
         
-        EventBus.emit('dbscan:progress', { 
-            step: this.currentStep, 
-            progress: this.progress 
-        });
+        this.reportProgress();
 
         // Validate input
         if (!Array.isArray(data) || data.length === 0) {
@@ -232,10 +287,7 @@ export class DBSCANAlgorithm {
         this.currentStep = 'parameter_estimation';
         this.progress = 30;
         
-        EventBus.emit('dbscan:progress', { 
-            step: this.currentStep, 
-            progress: this.progress 
-        });
+        this.reportProgress();
 
         // Estimate minPts if not provided
         if (this.minPts === null) {
@@ -247,7 +299,7 @@ export class DBSCANAlgorithm {
             this.eps = await this.estimateEpsParameter();
         }
 
-        EventBus.emit('dbscan:parameters_estimated', {
+        this.reportProgress({
             eps: this.eps,
             minPts: this.minPts,
             method: 'k_nearest_neighbors'
@@ -260,28 +312,20 @@ export class DBSCANAlgorithm {
      */
     async estimateEpsParameter() {
         const k = this.minPts; // Use minPts as k
-        const sampleSize = Math.min(1000, this.processedData.length); // Sample for performance
-        const sampleData = this.processedData.slice(0, sampleSize);
+        const sampleSize = Math.min(1000, this.processedData.length); // Sample query points for performance
+        const step = this.processedData.length / sampleSize;
+        const index = this.getSpatialIndex();
         
-        // Calculate k-NN distances for each sample point
+        // Calculate k-NN distances for each sample point against the full dataset
         const kDistances = [];
         
-        for (let i = 0; i < sampleData.length; i++) {
-            const point = sampleData[i];
-            const distances = [];
-            
-            // Calculate distances to all other points
-            for (let j = 0; j < sampleData.length; j++) {
-                if (i !== j) {
-                    const distance = this.calculateDistance(point.features, sampleData[j].features);
-                    distances.push(distance);
-                }
-            }
+        for (let i = 0; i < sampleSize; i++) {
+            const point = this.processedData[Math.floor(i * step)];
             
-            // Sort and get k-th nearest distance
-            distances.sort((a, b) => a - b);
-            if (distances.length >= k) {
-                kDistances.push(distances[k - 1]);
+            // k + 1 because the point itself is its own nearest neighbor
+            const neighbors = index.knnQuery(point.features, k + 1);
+            if (neighbors.length > k) {
+                kDistances.push(neighbors[k].distance);
             }
         }
         
@@ -393,9 +437,7 @@ export class DBSCANAlgorithm {
             this.progress = 40 + Math.floor((processedCount / totalPoints) * 40);
             
             if (processedCount % 100 === 0) {
-                EventBus.emit('dbscan:progress', { 
-                    step: this.currentStep, 
-                    progress: this.progress,
+                this.reportProgress({
                     processed: processedCount,
                     total: totalPoints
                 });
@@ -440,13 +482,9 @@ export class DBSCANAlgorithm {
 
         const neighbors = [];
         
-        // Linear search (could be optimized with spatial indexing)
-        for (const otherPoint of this.processedData) {
-            if (point.id !== otherPoint.id) {
-                const distance = this.calculateDistance(point.features, otherPoint.features);
-                if (distance <= this.eps) {
-                    neighbors.push(otherPoint);
-                }
+        for (const index of this.getSpatialIndex().rangeQuery(point.features, this.eps)) {
+            if (index !== point.id) {
+                neighbors.push(this.processedData[index]);
             }
         }
 
@@ -455,6 +493,25 @@ export class DBSCANAlgorithm {
         return neighbors;
     }
 
+    /**
+     * Build (or reuse) the spatial index over processed feature vectors
+     * @returns {Object} Spatial index supporting rangeQuery and knnQuery
+     */
+    getSpatialIndex() {
+        if (!this.spatialIndex) {
+            const vectors = this.processedData.map(point => point.features);
+            
+            // Weighted features need the custom distance, which trees can't bound
+            this.spatialIndex = createSpatialIndex(vectors, {
+                metric: this.distanceMetric,
+                bruteForce: !this.useKDTree || Boolean(this.weightedFeatures),
+                distance: (a, b) => this.calculateDistance(a, b)
+            });
+        }
+        
+        return this.spatialIndex;
+    }
+
     /**
      * Expand cluster from core point
      * @param {Object} corePoint - Core point to expand from
@@ -469,8 +526,8 @@ export class DBSCANAlgorithm {
         const queue = [...neighbors];
         const processed = new Set([corePoint.id]);
         
-        while (queue.length > 0) {
-            const neighbor = queue.shift();
+        for (let head = 0; head < queue.length; head++) {
+            const neighbor = queue[head];
             
             if (processed.has(neighbor.id)) {
                 continue;
@@ -561,10 +618,7 @@ export class DBSCANAlgorithm {
         this.currentStep = 'post_processing';
         this.progress = 85;
         
-        EventBus.emit('dbscan:progress', { 
-            step: this.currentStep, 
-            progress: this.progress 
-        });
+        this.reportProgress();
 
         // Remove empty clusters
         this.clusters = this.clusters.filter(cluster => cluster && cluster.length > 0);
@@ -675,10 +729,7 @@ export class DBSCANAlgorithm {
         this.currentStep = 'quality_metrics';
         this.progress = 95;
         
-        EventBus.emit('dbscan:progress', { 
-            step: this.currentStep, 
-            progress: this.progress 
-        });
+        this.reportProgress();
 
         // Only calculate metrics if we have clusters
         if (this.stats.numClusters > 0) {
@@ -829,7 +880,7 @@ export class DBSCANAlgorithm {
      * @returns {Number} Distance
      */
     calculateDistance(vector1, vector2) {
-        return calculateDistance(vector1, vector2, this.distanceMetric, this.weightedFeatures);
+        return vectorDistance(vector1, vector2, this.distanceMetric, this.weightedFeatures);
     }
 
     /**
@@ -0,0 +1,580 @@
+/**
+ * Gaussian Mixture Model Implementation
+ * Expectation-maximization with full, diagonal or spherical covariances,
+ * k-means++ initialization and BIC/AIC model selection.
+ * Every point gets a membership probability for each component (soft assignment).
+ */
+
+import { seededRandom } from './KMeans.js';
+
+const LOG_2PI = Math.log(2 * Math.PI);
+
+export const COVARIANCE_TYPES = ['full', 'diag', 'spherical'];
+
+export class GaussianMixture {
+    constructor(k, options = {}) {
+        this.k = k;
+        this.options = {
+            covarianceType: 'full', // 'full', 'diag', 'spherical'
+            maxIterations: 100,
+            tolerance: 1e-3, // Change in mean log-likelihood that counts as converged
+            regCovar: 1e-6, // Added to covariance diagonals to keep them positive definite
+            seed: null, // For reproducible results
+            onProgress: null, // ({ iteration, maxIterations, logLikelihood, converged }) => void
+            debug: false,
+            ...options
+        };
+
+        if (!COVARIANCE_TYPES.includes(this.options.covarianceType)) {
+            throw new Error(`Unknown covariance type: ${this.options.covarianceType}`);
+        }
+
+        // Model parameters
+        this.weights = [];
+        this.means = [];
+        this.covariances = []; // d x d matrices for every covariance type
+
+        // Algorithm state
+        this.responsibilities = [];
+        this.labels = [];
+        this.logLikelihood = -Infinity;
+        this.iterations = 0;
+        this.converged = false;
+        this.executionTime = 0;
+
+        // Random number generator for reproducible results
+        this.rng = this.options.seed ? seededRandom(this.options.seed) : Math.random;
+    }
+
+    /**
+     * Fit the model to data
+     * @param {Array} data - Array of numeric vectors
+     * @returns {Object} Clustering results
+     */
+    fit(data) {
+        const startTime = performance.now();
+
+        this.initialize(data);
+
+        while (!this.converged && this.iterations < this.options.maxIterations) {
+            this.step();
+        }
+
+        // Responsibilities for the final parameters
+        this.logLikelihood = this.expectation();
+        this.labels = this.responsibilities.map(row => argMax(row));
+
+        this.executionTime = performance.now() - startTime;
+
+        if (this.options.debug) {
+            console.log('✅ Gaussian mixture completed', {
+                iterations: this.iterations,
+                converged: this.converged,
+                logLikelihood: this.logLikelihood,
+                executionTime: `${this.executionTime.toFixed(2)}ms`
+            });
+        }
+
+        return this.getResults();
+    }
+
+    /**
+     * Reset the model and place the initial components on k-means++ seeds
+     * @param {Array} data - Array of numeric vectors
+     */
+    initialize(data) {
+        if (!this.validateInput(data)) {
+            throw new Error('Invalid input data for Gaussian mixture clustering');
+        }
+
+        this.data = data;
+        this.n = data.length;
+        this.dimensions = data[0].length;
+        this.iterations = 0;
+        this.converged = false;
+        this.logLikelihood = -Infinity;
+
+        // Hard-assign every point to its nearest seed and estimate the components from that
+        const seeds = this.initializeKMeansPlusPlusSeeds();
+        this.responsibilities = data.map(point => {
+            const row = new Array(this.k).fill(0);
+            row[argMin(seeds.map(seed => squaredDistance(point, seed)))] = 1;
+            return row;
+        });
+        this.maximization();
+        this.labels = this.responsibilities.map(row => argMax(row));
+    }
+
+    /**
+     * One EM iteration; initialize() must have been called
+     * @returns {Object} { logLikelihood, converged }
+     */
+    step() {
+        const logLikelihood = this.expectation();
+        this.maximization();
+
+        this.iterations++;
+        this.converged = Math.abs(logLikelihood - this.logLikelihood) < this.options.tolerance;
+        this.logLikelihood = logLikelihood;
+        this.labels = this.responsibilities.map(row => argMax(row));
+
+        if (typeof this.options.onProgress === 'function') {
+            this.options.onProgress({
+                iteration: this.iterations,
+                maxIterations: this.options.maxIterations,
+                logLikelihood,
+                converged: this.converged
+            });
+        }
+
+        if (this.options.debug && this.iterations % 10 === 0) {
+            console.log(`Iteration ${this.iterations}, log-likelihood: ${logLikelihood.toFixed(4)}`);
+        }
+
+        return { logLikelihood, converged: this.converged };
+    }
+
+    /**
+     * E-step: membership probabilities under the current parameters
+     * @returns {Number} Mean log-likelihood per point
+     */
+    expectation() {
+        const { logProbabilities, logLikelihood } = this.estimateLogProbabilities(this.data);
+        this.responsibilities = logProbabilities.map(row => row.map(Math.exp));
+        return logLikelihood;
+    }
+
+    /**
+     * M-step: weights, means and covariances from the responsibilities
+     */
+    maximization() {
+        const { n, k, dimensions: d } = this;
+        const { covarianceType, regCovar } = this.options;
+
+        const totals = new Array(k).fill(0);
+        const means = Array.from({ length: k }, () => new Array(d).fill(0));
+
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < k; j++) {
+                const r = this.responsibilities[i][j];
+                totals[j] += r;
+                for (let a = 0; a < d; a++) {
+                    means[j][a] += r * this.data[i][a];
+                }
+            }
+        }
+
+        // Small floor so an empty component does not divide by zero
+        totals.forEach((total, j) => {
+            totals[j] = total + 10 * Number.EPSILON;
+            for (let a = 0; a < d; a++) {
+                means[j][a] /= totals[j];
+            }
+        });
+
+        const covariances = Array.from({ length: k }, () =>
+            Array.from({ length: d }, () => new Array(d).fill(0)));
+
+        for (let i = 0; i < n; i++) {
+            const point = this.data[i];
+            for (let j = 0; j < k; j++) {
+                const r = this.responsibilities[i][j];
+                if (r === 0) continue;
+
+                const covariance = covariances[j];
+                for (let a = 0; a < d; a++) {
+                    const diffA = point[a] - means[j][a];
+                    if (covarianceType === 'full') {
+                        for (let b = 0; b <= a; b++) {
+                            covariance[a][b] += r * diffA * (point[b] - means[j][b]);
+                        }
+                    } else {
+                        covariance[a][a] += r * diffA * diffA;
+                    }
+                }
+            }
+        }
+
+        covariances.forEach((covariance, j) => {
+            for (let a = 0; a < d; a++) {
+                for (let b = 0; b <= a; b++) {
+                    covariance[a][b] /= totals[j];
+                    covariance[b][a] = covariance[a][b];
+                }
+            }
+
+            if (covarianceType === 'spherical') {
+                // One variance shared by all dimensions
+                let variance = 0;
+                for (let a = 0; a < d; a++) {
+                    variance += covariance[a][a];
+                }
+                for (let a = 0; a < d; a++) {
+                    covariance[a][a] = variance / d;
+                }
+            }
+
+            for (let a = 0; a < d; a++) {
+                covariance[a][a] += regCovar;
+            }
+        });
+
+        this.weights = totals.map(total => total / n);
+        this.means = means;
+        this.covariances = covariances;
+        this.choleskyFactors = covariances.map((covariance, j) => this.choleskyDecomposition(covariance, j));
+    }
+
+    /**
+     * Log of weight × density for every point and component, normalized per point
+     * @param {Array} data - Array of numeric vectors
+     * @returns {Object} { logProbabilities, logLikelihood } with the mean log-likelihood
+     */
+    estimateLogProbabilities(data) {
+        const d = this.dimensions;
+        const logNormalizers = this.choleskyFactors.map((factor, j) => {
+            let logDeterminant = 0;
+            for (let a = 0; a < d; a++) {
+                logDeterminant += 2 * Math.log(factor[a][a]);
+            }
+            return Math.log(this.weights[j]) - 0.5 * (d * LOG_2PI + logDeterminant);
+        });
+
+        let totalLogLikelihood = 0;
+        const logProbabilities = data.map(point => {
+            const row = this.choleskyFactors.map((factor, j) =>
+                logNormalizers[j] - 0.5 * this.mahalanobisSquared(point, this.means[j], factor));
+
+            const logSum = logSumExp(row);
+            totalLogLikelihood += logSum;
+            return row.map(value => value - logSum);
+        });
+
+        return { logProbabilities, logLikelihood: totalLogLikelihood / data.length };
+    }
+
+    /**
+     * Squared Mahalanobis distance, solving L·y = x - mean with the Cholesky factor L
+     */
+    mahalanobisSquared(point, mean, factor) {
+        const d = this.dimensions;
+        const y = new Array(d);
+        let sum = 0;
+
+        for (let a = 0; a < d; a++) {
+            let value = point[a] - mean[a];
+            for (let b = 0; b < a; b++) {
+                value -= factor[a][b] * y[b];
+            }
+            y[a] = value / factor[a][a];
+            sum += y[a] * y[a];
+        }
+
+        return sum;
+    }
+
+    /**
+     * Lower-triangular L with L·Lᵀ = covariance
+     */
+    choleskyDecomposition(covariance, component) {
+        const d = covariance.length;
+        const factor = Array.from({ length: d }, () => new Array(d).fill(0));
+
+        for (let a = 0; a < d; a++) {
+            for (let b = 0; b <= a; b++) {
+                let sum = covariance[a][b];
+                for (let c = 0; c < b; c++) {
+                    sum -= factor[a][c] * factor[b][c];
+                }
+
+                if (a === b) {
+                    if (!(sum > 0)) {
+                        throw new Error(`Covariance of component ${component} is not positive definite, try a larger regCovar`);
+                    }
+                    factor[a][a] = Math.sqrt(sum);
+                } else {
+                    factor[a][b] = sum / factor[b][b];
+                }
+            }
+        }
+
+        return factor;
+    }
+
+    /**
+     * K-means++ seeds drawn with the model's random number generator
+     */
+    initializeKMeansPlusPlusSeeds() {
+        const seeds = [[...this.data[Math.floor(this.rng() * this.n)]]];
+        const distances = this.data.map(point => squaredDistance(point, seeds[0]));
+
+        while (seeds.length < this.k) {
+            const totalDistance = distances.reduce((sum, distance) => sum + distance, 0);
+            let chosenIndex = Math.floor(this.rng() * this.n);
+
+            // Choose the next seed with probability proportional to squared distance
+            if (totalDistance > 0) {
+                let randomValue = this.rng() * totalDistance;
+                for (let i = 0; i < this.n; i++) {
+                    randomValue -= distances[i];
+                    if (randomValue <= 0) {
+                        chosenIndex = i;
+                        break;
+                    }
+                }
+            }
+
+            const seed = [...this.data[chosenIndex]];
+            seeds.push(seed);
+            this.data.forEach((point, i) => {
+                distances[i] = Math.min(distances[i], squaredDistance(point, seed));
+            });
+        }
+
+        return seeds;
+    }
+
+    /**
+     * Membership probabilities for new data
+     * @param {Array} data - Array of numeric vectors or a single vector
+     * @returns {Array} One row of k probabilities per point
+     */
+    predictProba(data) {
+        if (this.means.length === 0) {
+            throw new Error('Model must be fitted before prediction');
+        }
+
+        const points = Array.isArray(data[0]) ? data : [data];
+        const probabilities = this.estimateLogProbabilities(points).logProbabilities
+            .map(row => row.map(Math.exp));
+
+        return Array.isArray(data[0]) ? probabilities : probabilities[0];
+    }
+
+    /**
+     * Most likely component for new data
+     */
+    predict(data) {
+        const probabilities = this.predictProba(data);
+        return Array.isArray(data[0]) ? probabilities.map(row => argMax(row)) : argMax(probabilities);
+    }
+
+    /**
+     * Mean log-likelihood of data under the model
+     */
+    score(data = this.data) {
+        return this.estimateLogProbabilities(data).logLikelihood;
+    }
+
+    /**
+     * Number of free parameters, used by the information criteria
+     */
+    countParameters() {
+        const { k, dimensions: d } = this;
+        const covarianceParameters = {
+            full: k * d * (d + 1) / 2,
+            diag: k * d,
+            spherical: k
+        }[this.options.covarianceType];
+
+        return (k - 1) + k * d + covarianceParameters;
+    }
+
+    /**
+     * Bayesian information criterion (lower is better)
+     */
+    bic(data = this.data) {
+        return -2 * this.score(data) * data.length + this.countParameters() * Math.log(data.length);
+    }
+
+    /**
+     * Akaike information criterion (lower is better)
+     */
+    aic(data = this.data) {
+        return -2 * this.score(data) * data.length + 2 * this.countParameters();
+    }
+
+    /**
+     * Validate input data
+     */
+    validateInput(data) {
+        if (!Array.isArray(data) || data.length === 0) {
+            return false;
+        }
+
+        if (data.length < this.k) {
+            console.warn('⚠️ Number of data points is less than the number of components');
+            return false;
+        }
+
+        if (!Array.isArray(data[0])) {
+            return false;
+        }
+
+        const dimensions = data[0].length;
+        return data.every(point => Array.isArray(point) && point.length === dimensions &&
+            point.every(value => Number.isFinite(value)));
+    }
+
+    /**
+     * Get clustering results
+     */
+    getResults() {
+        const total = this.n * this.logLikelihood;
+        const parameters = this.countParameters();
+
+        return {
+            means: this.means,
+            covariances: this.covariances,
+            weights: this.weights,
+            labels: this.labels,
+            probabilities: this.responsibilities,
+            confidences: this.responsibilities.map(row => Math.max(...row)),
+            covarianceType: this.options.covarianceType,
+            logLikelihood: this.logLikelihood,
+            bic: -2 * total + parameters * Math.log(this.n),
+            aic: -2 * total + 2 * parameters,
+            iterations: this.iterations,
+            converged: this.converged,
+            executionTime: this.executionTime,
+            clusterSizes: this.getClusterSizes()
+        };
+    }
+
+    /**
+     * Get cluster sizes (hard assignments)
+     */
+    getClusterSizes() {
+        const sizes = new Array(this.k).fill(0);
+        this.labels.forEach(label => sizes[label]++);
+        return sizes;
+    }
+
+    /**
+     * Export clustering results for visualization (first two dimensions)
+     */
+    exportForVisualization() {
+        return {
+            points: this.data.map((point, index) => ({
+                x: point[0],
+                y: point[1],
+                cluster: this.labels[index],
+                confidence: Math.max(...this.responsibilities[index]),
+                id: index
+            })),
+            components: this.means.map((mean, index) => ({
+                x: mean[0],
+                y: mean[1],
+                cluster: index,
+                weight: this.weights[index],
+                covariance: [
+                    [this.covariances[index][0][0], this.covariances[index][0][1]],
+                    [this.covariances[index][1][0], this.covariances[index][1][1]]
+                ]
+            })),
+            metadata: {
+                k: this.k,
+                covarianceType: this.options.covarianceType,
+                iterations: this.iterations,
+                converged: this.converged,
+                logLikelihood: this.logLikelihood,
+                executionTime: this.executionTime
+            }
+        };
+    }
+
+    /**
+     * Static method: Choose the number of components (and optionally the covariance type)
+     * by fitting each candidate and keeping the lowest BIC or AIC
+     * @param {Array} data - Array of numeric vectors
+     * @param {Object} options - GaussianMixture options plus minK, maxK, criterion ('bic' or 'aic')
+     *   and covarianceTypes to compare
+     */
+    static selectModel(data, options = {}) {
+        const {
+            minK = 1,
+            maxK = 10,
+            criterion = 'bic',
+            covarianceTypes = [options.covarianceType || 'full'],
+            ...modelOptions
+        } = options;
+
+        if (!['bic', 'aic'].includes(criterion)) {
+            throw new Error(`Unknown model selection criterion: ${criterion}`);
+        }
+
+        const results = [];
+        let best = null;
+
+        for (const covarianceType of covarianceTypes) {
+            for (let k = minK; k <= Math.min(maxK, data.length); k++) {
+                const model = new GaussianMixture(k, { ...modelOptions, covarianceType, debug: false });
+                const result = model.fit(data);
+                const candidate = {
+                    k,
+                    covarianceType,
+                    bic: result.bic,
+                    aic: result.aic,
+                    logLikelihood: result.logLikelihood,
+                    converged: result.converged
+                };
+                results.push(candidate);
+
+                if (!best || candidate[criterion] < best.candidate[criterion]) {
+                    best = { candidate, model, result };
+                }
+            }
+        }
+
+        return {
+            optimalK: best.candidate.k,
+            covarianceType: best.candidate.covarianceType,
+            criterion,
+            results,
+            model: best.model,
+            recommendation: best.result
+        };
+    }
+}
+
+/* ===================================
+   Helpers
+   =================================== */
+
+function squaredDistance(point1, point2) {
+    let sum = 0;
+    for (let i = 0; i < point1.length; i++) {
+        const diff = point1[i] - point2[i];
+        sum += diff * diff;
+    }
+    return sum;
+}
+
+function logSumExp(values) {
+    const max = Math.max(...values);
+    if (max === -Infinity) return max;
+
+    let sum = 0;
+    for (const value of values) {
+        sum += Math.exp(value - max);
+    }
+    return max + Math.log(sum);
+}
+
+function argMax(values) {
+    let index = 0;
+    for (let i = 1; i < values.length; i++) {
+        if (values[i] > values[index]) index = i;
+    }
+    return index;
+}
+
+function argMin(values) {
+    let index = 0;
+    for (let i = 1; i < values.length; i++) {
+        if (values[i] < values[index]) index = i;
+    }
+    return index;
+}
+
+export default GaussianMixture;
@@ -0,0 +1,533 @@
+/**
+ * HDBSCAN (Hierarchical DBSCAN) Implementation
+ * Builds the DBSCAN hierarchy over every eps at once: core distances, a minimum spanning
+ * tree under mutual reachability, the condensed cluster tree and excess-of-mass selection.
+ * Handles clusters of differing density without an eps parameter, and reports how strongly
+ * each point belongs to its cluster (membership strength) and how much of an outlier it is (GLOSH).
+ */
+
+import { createSpatialIndex } from './SpatialIndex.js';
+
+export const CLUSTER_SELECTION_METHODS = ['eom', 'leaf'];
+
+export class HDBSCAN {
+    constructor(options = {}) {
+        this.options = {
+            minClusterSize: 5, // Smallest group of points that counts as a cluster
+            minSamples: null, // Neighbours for the core distance, defaults to minClusterSize
+            clusterSelectionMethod: 'eom', // 'eom' (excess of mass) or 'leaf'
+            allowSingleCluster: false, // Whether the root may be selected as the only cluster
+            metric: 'euclidean', // 'euclidean', 'manhattan' or 'chebyshev'
+            onProgress: null, // ({ phase, iteration, maxIterations, progress }) => void
+            debug: false,
+            ...options
+        };
+
+        if (!CLUSTER_SELECTION_METHODS.includes(this.options.clusterSelectionMethod)) {
+            throw new Error(`Unknown cluster selection method: ${this.options.clusterSelectionMethod}`);
+        }
+        if (!Number.isInteger(this.options.minClusterSize) || this.options.minClusterSize < 2) {
+            throw new Error('minClusterSize must be an integer of at least 2');
+        }
+
+        // Algorithm state
+        this.coreDistances = null;
+        this.minimumSpanningTree = []; // [{ from, to, distance }], sorted by distance
+        this.condensedTree = []; // [{ parent, child, lambda, size }]; children below numPoints are points
+        this.stabilities = new Map(); // Condensed cluster id -> stability
+        this.selectedClusters = []; // Condensed cluster ids, in label order
+        this.labels = [];
+        this.probabilities = [];
+        this.outlierScores = [];
+        this.numPoints = 0;
+        this.executionTime = 0;
+    }
+
+    /**
+     * Fit the model to data
+     * @param {Array} data - Array of numeric vectors
+     * @returns {Object} Clustering results
+     */
+    fit(data) {
+        const startTime = performance.now();
+
+        this.validateInput(data);
+        this.numPoints = data.length;
+
+        this.computeCoreDistances(data);
+        this.buildMinimumSpanningTree(data);
+        this.condenseTree(this.buildSingleLinkageTree());
+        this.computeStabilities();
+        this.selectClusters();
+        this.assignLabels();
+        this.computeOutlierScores();
+
+        this.executionTime = performance.now() - startTime;
+
+        if (this.options.debug) {
+            console.log('✅ HDBSCAN completed', {
+                clusters: this.selectedClusters.length,
+                noise: this.labels.filter(label => label === -1).length,
+                executionTime: `${this.executionTime.toFixed(2)}ms`
+            });
+        }
+
+        return this.getResults();
+    }
+
+    /**
+     * Distance to the minSamples-th nearest neighbour (the point itself included)
+     */
+    computeCoreDistances(data) {
+        const k = Math.min(this.options.minSamples || this.options.minClusterSize, data.length);
+        this.spatialIndex = createSpatialIndex(data, { metric: this.options.metric });
+        this.coreDistances = new Float64Array(data.length);
+
+        for (let i = 0; i < data.length; i++) {
+            const neighbors = this.spatialIndex.knnQuery(data[i], k);
+            this.coreDistances[i] = neighbors[neighbors.length - 1].distance;
+
+            if (i % 500 === 0) {
+                this.reportProgress('core_distances', i, data.length);
+            }
+        }
+    }
+
+    /**
+     * Prim's algorithm over the complete mutual reachability graph, where
+     * d_mreach(a, b) = max(core(a), core(b), d(a, b)). O(n²) time, O(n) memory.
+     */
+    buildMinimumSpanningTree(data) {
+        const n = data.length;
+        const distance = this.spatialIndex.distance;
+        const inTree = new Uint8Array(n);
+        const bestDistance = new Float64Array(n).fill(Infinity);
+        const bestSource = new Int32Array(n);
+        const edges = [];
+
+        let current = 0;
+        inTree[current] = 1;
+
+        for (let step = 1; step < n; step++) {
+            const currentCore = this.coreDistances[current];
+            let next = -1;
+            let nextDistance = Infinity;
+
+            for (let j = 0; j < n; j++) {
+                if (inTree[j]) continue;
+
+                const reachability = Math.max(currentCore, this.coreDistances[j], distance(data[current], data[j]));
+                if (reachability < bestDistance[j]) {
+                    bestDistance[j] = reachability;
+                    bestSource[j] = current;
+                }
+                if (bestDistance[j] < nextDistance) {
+                    nextDistance = bestDistance[j];
+                    next = j;
+                }
+            }
+
+            edges.push({ from: bestSource[next], to: next, distance: nextDistance });
+            inTree[next] = 1;
+            current = next;
+
+            if (step % 500 === 0) {
+                this.reportProgress('minimum_spanning_tree', step, n);
+            }
+        }
+
+        this.minimumSpanningTree = edges.sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * Merge the spanning tree edges in order; node n + i is created by the i-th merge
+     * @returns {Object} { left, right, distance, size } typed arrays indexed by merge
+     */
+    buildSingleLinkageTree() {
+        const n = this.numPoints;
+        const merges = n - 1;
+        const tree = {
+            left: new Int32Array(merges),
+            right: new Int32Array(merges),
+            distance: new Float64Array(merges),
+            size: new Int32Array(merges)
+        };
+
+        // Union-find over points, tracking the tree node that currently represents each set
+        const parent = new Int32Array(n);
+        const node = new Int32Array(n);
+        const size = new Int32Array(n).fill(1);
+        for (let i = 0; i < n; i++) {
+            parent[i] = i;
+            node[i] = i;
+        }
+        const find = (i) => {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]];
+                i = parent[i];
+            }
+            return i;
+        };
+
+        this.minimumSpanningTree.forEach(({ from, to, distance }, index) => {
+            let a = find(from);
+            let b = find(to);
+            if (size[a] < size[b]) [a, b] = [b, a];
+
+            tree.left[index] = node[a];
+            tree.right[index] = node[b];
+            tree.distance[index] = distance;
+            tree.size[index] = size[a] + size[b];
+
+            parent[b] = a;
+            size[a] += size[b];
+            node[a] = n + index;
+        });
+
+        return tree;
+    }
+
+    /**
+     * Walk the single-linkage tree from the root, keeping only splits where both sides
+     * have at least minClusterSize points; smaller sides fall out of their parent as points.
+     * Condensed cluster ids start at numPoints (the root) so they never clash with point indices.
+     */
+    condenseTree(tree) {
+        const n = this.numPoints;
+        const { minClusterSize } = this.options;
+        const condensed = [];
+
+        if (n === 1) {
+            this.condensedTree = [{ parent: 1, child: 0, lambda: Infinity, size: 1 }];
+            return;
+        }
+
+        const sizeOf = (node) => node < n ? 1 : tree.size[node - n];
+        const lambdaOf = (distance) => distance > 0 ? 1 / distance : Infinity;
+
+        // Every point below a single-linkage node leaves the cluster at the same lambda
+        const fallOut = (node, parent, lambda) => {
+            const stack = [node];
+            while (stack.length > 0) {
+                const current = stack.pop();
+                if (current < n) {
+                    condensed.push({ parent, child: current, lambda, size: 1 });
+                } else {
+                    stack.push(tree.left[current - n], tree.right[current - n]);
+                }
+            }
+        };
+
+        let nextCluster = n + 1;
+        // [single-linkage node, condensed cluster it belongs to]
+        const stack = [[2 * n - 2, n]];
+
+        while (stack.length > 0) {
+            const [node, cluster] = stack.pop();
+            const merge = node - n;
+            const left = tree.left[merge];
+            const right = tree.right[merge];
+            const lambda = lambdaOf(tree.distance[merge]);
+            const leftSize = sizeOf(left);
+            const rightSize = sizeOf(right);
+            const leftIsCluster = leftSize >= minClusterSize;
+            const rightIsCluster = rightSize >= minClusterSize;
+
+            if (leftIsCluster && rightIsCluster) {
+                // A true split: both sides become new clusters
+                [[left, leftSize], [right, rightSize]].forEach(([child, childSize]) => {
+                    const childCluster = nextCluster++;
+                    condensed.push({ parent: cluster, child: childCluster, lambda, size: childSize });
+                    stack.push([child, childCluster]);
+                });
+            } else {
+                // The cluster carries on through the large side; the small sides lose their points
+                [[left, leftIsCluster], [right, rightIsCluster]].forEach(([child, isCluster]) => {
+                    if (isCluster) {
+                        stack.push([child, cluster]);
+                    } else {
+                        fallOut(child, cluster, lambda);
+                    }
+                });
+            }
+        }
+
+        this.condensedTree = condensed;
+        this.reportProgress('condensed_tree', 1, 1);
+    }
+
+    /**
+     * Stability of a cluster: sum over its points and child clusters of
+     * (lambda at which they leave - lambda at which the cluster was born) * size
+     */
+    computeStabilities() {
+        const birth = new Map([[this.numPoints, 0]]);
+        this.condensedTree.forEach(({ child, lambda }) => {
+            if (child >= this.numPoints) {
+                birth.set(child, lambda);
+            }
+        });
+
+        this.stabilities = new Map(Array.from(birth.keys(), cluster => [cluster, 0]));
+        this.condensedTree.forEach(({ parent, lambda, size }) => {
+            // Points merged at distance zero would contribute an infinite lambda
+            const leaveLambda = Number.isFinite(lambda) ? lambda : birth.get(parent);
+            this.stabilities.set(parent, this.stabilities.get(parent) + (leaveLambda - birth.get(parent)) * size);
+        });
+    }
+
+    /**
+     * Excess of mass: keep a cluster unless its descendants are together more stable.
+     * 'leaf' selects the leaves of the condensed tree instead.
+     */
+    selectClusters() {
+        const root = this.numPoints;
+        const childClusters = this.getChildClusters();
+        const clusters = Array.from(this.stabilities.keys()).sort((a, b) => a - b);
+        const candidates = this.options.allowSingleCluster ? clusters : clusters.filter(cluster => cluster !== root);
+        const isSelected = new Map(candidates.map(cluster => [cluster, true]));
+
+        if (this.options.clusterSelectionMethod === 'leaf') {
+            candidates.forEach(cluster => {
+                isSelected.set(cluster, childClusters.get(cluster).length === 0);
+            });
+            // With allowSingleCluster a tree that never splits still yields the root
+        } else {
+            const subtreeStability = new Map(this.stabilities);
+
+            // Children have higher ids than their parents, so this visits the leaves first
+            for (let i = candidates.length - 1; i >= 0; i--) {
+                const cluster = candidates[i];
+                const childStability = childClusters.get(cluster)
+                    .reduce((sum, child) => sum + subtreeStability.get(child), 0);
+
+                if (childStability > this.stabilities.get(cluster)) {
+                    isSelected.set(cluster, false);
+                    subtreeStability.set(cluster, childStability);
+                } else {
+                    this.getDescendantClusters(cluster, childClusters)
+                        .forEach(descendant => isSelected.set(descendant, false));
+                }
+            }
+        }
+
+        this.selectedClusters = candidates.filter(cluster => isSelected.get(cluster));
+        this.reportProgress('cluster_selection', 1, 1);
+    }
+
+    /**
+     * Label every point with the selected cluster above it in the condensed tree (-1 for noise)
+     * and its membership strength: its leave lambda relative to the cluster's densest point
+     */
+    assignLabels() {
+        const n = this.numPoints;
+        const parentOf = new Map();
+        const pointEdges = new Array(n);
+        const deepestLambda = new Map(); // Largest lambda among each cluster's direct children
+
+        this.condensedTree.forEach(edge => {
+            if (edge.child < n) {
+                pointEdges[edge.child] = edge;
+            } else {
+                parentOf.set(edge.child, edge.parent);
+            }
+            deepestLambda.set(edge.parent, Math.max(deepestLambda.get(edge.parent) || 0, edge.lambda));
+        });
+
+        const labelOf = new Map(this.selectedClusters.map((cluster, label) => [cluster, label]));
+
+        this.labels = new Array(n).fill(-1);
+        this.probabilities = new Array(n).fill(0);
+
+        for (let i = 0; i < n; i++) {
+            const { parent, lambda } = pointEdges[i];
+
+            let cluster = parent;
+            while (cluster !== undefined && !labelOf.has(cluster)) {
+                cluster = parentOf.get(cluster);
+            }
+            if (cluster === undefined) continue;
+
+            this.labels[i] = labelOf.get(cluster);
+
+            const maxLambda = deepestLambda.get(cluster);
+            this.probabilities[i] = Number.isFinite(maxLambda)
+                ? Math.min(lambda, maxLambda) / maxLambda
+                : (Number.isFinite(lambda) ? 0 : 1);
+        }
+    }
+
+    /**
+     * GLOSH: 1 - (lambda at which the point leaves) / (largest lambda anywhere below its cluster)
+     */
+    computeOutlierScores() {
+        const n = this.numPoints;
+        const subtreeLambda = new Map();
+
+        // Children come after their parents, so walking backwards pushes maxima up the tree
+        for (let i = this.condensedTree.length - 1; i >= 0; i--) {
+            const { parent, child, lambda } = this.condensedTree[i];
+            const childLambda = child < n ? lambda : Math.max(lambda, subtreeLambda.get(child) || 0);
+            subtreeLambda.set(parent, Math.max(subtreeLambda.get(parent) || 0, childLambda));
+        }
+
+        this.outlierScores = new Array(n).fill(0);
+        this.condensedTree.forEach(({ parent, child, lambda }) => {
+            if (child >= n) return;
+
+            const maxLambda = subtreeLambda.get(parent);
+            if (Number.isFinite(maxLambda) && maxLambda > 0) {
+                this.outlierScores[child] = (maxLambda - lambda) / maxLambda;
+            } else {
+                this.outlierScores[child] = Number.isFinite(lambda) ? 1 : 0;
+            }
+        });
+    }
+
+    /**
+     * Condensed cluster id -> ids of its child clusters
+     */
+    getChildClusters() {
+        const children = new Map(Array.from(this.stabilities.keys(), cluster => [cluster, []]));
+        this.condensedTree.forEach(({ parent, child }) => {
+            if (child >= this.numPoints) {
+                children.get(parent).push(child);
+            }
+        });
+        return children;
+    }
+
+    getDescendantClusters(cluster, childClusters = this.getChildClusters()) {
+        const descendants = [];
+        const stack = [...childClusters.get(cluster)];
+        while (stack.length > 0) {
+            const current = stack.pop();
+            descendants.push(current);
+            stack.push(...childClusters.get(current));
+        }
+        return descendants;
+    }
+
+    /**
+     * Condensed tree as nested cluster nodes for the Dendrogram chart.
+     * Heights are distances (1 / lambda): a node sits at the distance where it splits into its
+     * child clusters, or where its last points fall away if it never splits.
+     * @returns {Object|null} Root node: { id, name, height, size, isLeaf, stability, selected, clusterId, children }
+     */
+    getCondensedTreeHierarchy() {
+        if (this.condensedTree.length === 0) return null;
+
+        const n = this.numPoints;
+        const childClusters = this.getChildClusters();
+        const sizes = new Map([[n, n]]);
+        const splitLambda = new Map();
+        const deepestLambda = new Map();
+
+        this.condensedTree.forEach(({ parent, child, lambda, size }) => {
+            if (child >= n) {
+                sizes.set(child, size);
+                splitLambda.set(parent, lambda);
+            }
+            if (Number.isFinite(lambda)) {
+                deepestLambda.set(parent, Math.max(deepestLambda.get(parent) || 0, lambda));
+            }
+        });
+
+        const labelOf = new Map(this.selectedClusters.map((cluster, label) => [cluster, label]));
+        const toHeight = (lambda) => lambda > 0 ? 1 / lambda : 0;
+
+        const buildNode = (cluster) => {
+            const children = childClusters.get(cluster).map(buildNode);
+            const selected = labelOf.has(cluster);
+
+            return {
+                id: cluster,
+                name: selected ? `Cluster ${labelOf.get(cluster) + 1}` : `Node ${cluster - n}`,
+                height: toHeight(children.length > 0 ? splitLambda.get(cluster) : deepestLambda.get(cluster)),
+                size: sizes.get(cluster),
+                isLeaf: children.length === 0,
+                stability: this.stabilities.get(cluster),
+                selected,
+                clusterId: selected ? labelOf.get(cluster) : -1,
+                ...(children.length > 0 ? { children } : {})
+            };
+        };
+
+        return buildNode(n);
+    }
+
+    /**
+     * Label new points with the cluster of their nearest fitted neighbour within its core distance
+     * @param {Array} data - Array of numeric vectors
+     * @returns {Array<Number>} Labels, -1 for noise
+     */
+    predict(data) {
+        if (!this.spatialIndex) {
+            throw new Error('Model must be fitted before prediction');
+        }
+
+        return data.map(point => {
+            const [nearest] = this.spatialIndex.knnQuery(point, 1);
+            return nearest.distance <= this.coreDistances[nearest.index] ? this.labels[nearest.index] : -1;
+        });
+    }
+
+    validateInput(data) {
+        if (!Array.isArray(data) || data.length === 0) {
+            throw new Error('Data must be a non-empty array');
+        }
+
+        const dimensions = data[0].length;
+        if (!dimensions) {
+            throw new Error('Data points must be numeric vectors');
+        }
+        if (data.some(point => point.length !== dimensions || point.some(value => !Number.isFinite(value)))) {
+            throw new Error('All data points must be finite vectors of the same length');
+        }
+    }
+
+    reportProgress(phase, iteration, maxIterations) {
+        if (this.options.onProgress) {
+            this.options.onProgress({
+                phase,
+                iteration,
+                maxIterations,
+                progress: maxIterations > 0 ? iteration / maxIterations : 1
+            });
+        }
+    }
+
+    getResults() {
+        const clusterSizes = this.getClusterSizes();
+
+        return {
+            labels: this.labels,
+            probabilities: this.probabilities,
+            outlierScores: this.outlierScores,
+            numClusters: this.selectedClusters.length,
+            numNoise: this.labels.filter(label => label === -1).length,
+            clusterSizes,
+            stabilities: this.selectedClusters.map(cluster => this.stabilities.get(cluster)),
+            condensedTree: this.condensedTree,
+            dendrogram: this.getCondensedTreeHierarchy(),
+            parameters: {
+                minClusterSize: this.options.minClusterSize,
+                minSamples: this.options.minSamples || this.options.minClusterSize,
+                clusterSelectionMethod: this.options.clusterSelectionMethod,
+                allowSingleCluster: this.options.allowSingleCluster,
+                metric: this.options.metric
+            },
+            executionTime: this.executionTime
+        };
+    }
+
+    getClusterSizes() {
+        const sizes = new Array(this.selectedClusters.length).fill(0);
+        this.labels.forEach(label => {
+            if (label >= 0) sizes[label]++;
+        });
+        return sizes;
+    }
+}
+
+export default HDBSCAN;
@@ -4,9 +4,75 @@
  * Includes multiple linkage criteria and dendrogram generation for visualization
  */
 
-import { EventBus } from '../core/eventBusNew.js';
 import { calculateDistance } from '../utils/math.js';
 
+// Linkages satisfying the reducibility property the nearest-neighbor chain relies on
+const NN_CHAIN_LINKAGES = ['single', 'complete', 'average', 'ward'];
+
+// Limit of the pairwise implementation used for the other linkages (O(n³))
+const PAIRWISE_MAX_POINTS = 5000;
+
+// Above this the condensed distance matrix is stored in single precision (800 MB at 20,000 points)
+const FLOAT64_MATRIX_MAX_POINTS = 8000;
+
+/**
+ * Lance–Williams updates: distance from cluster k to the union of clusters i and j
+ * (dki, dkj, dij, ni, nj, nk)
+ */
+const LANCE_WILLIAMS_UPDATES = {
+    single: (dki, dkj) => Math.min(dki, dkj),
+    complete: (dki, dkj) => Math.max(dki, dkj),
+    average: (dki, dkj, dij, ni, nj) => (ni * dki + nj * dkj) / (ni + nj),
+    ward: (dki, dkj, dij, ni, nj, nk) => ((ni + nk) * dki + (nj + nk) * dkj - nk * dij) / (ni + nj + nk)
+};
+
+function squaredDistance(coordinates, a, b, dimensions) {
+    let sum = 0;
+    for (let d = 0; d < dimensions; d++) {
+        const diff = coordinates[a + d] - coordinates[b + d];
+        sum += diff * diff;
+    }
+    return sum;
+}
+
+/**
+ * Distance between two vectors stored in a flat coordinate array
+ * @param {String} metric - euclidean, manhattan, cosine, or ward (half the squared Euclidean distance)
+ * @param {Number} dimensions - Vector length
+ * @returns {Function} (coordinates, offsetA, offsetB) => distance
+ */
+function createVectorDistance(metric, dimensions) {
+    switch (metric) {
+        case 'euclidean':
+            return (coordinates, a, b) => Math.sqrt(squaredDistance(coordinates, a, b, dimensions));
+        case 'ward':
+            return (coordinates, a, b) => squaredDistance(coordinates, a, b, dimensions) / 2;
+        case 'manhattan':
+            return (coordinates, a, b) => {
+                let sum = 0;
+                for (let d = 0; d < dimensions; d++) {
+                    sum += Math.abs(coordinates[a + d] - coordinates[b + d]);
+                }
+                return sum;
+            };
+        case 'cosine':
+            return (coordinates, a, b) => {
+                let dot = 0;
+                let normA = 0;
+                let normB = 0;
+                for (let d = 0; d < dimensions; d++) {
+                    dot += coordinates[a + d] * coordinates[b + d];
+                    normA += coordinates[a + d] * coordinates[a + d];
+                    normB += coordinates[b + d] * coordinates[b + d];
+                }
+                const norm = Math.sqrt(normA * normB);
+                return norm > 0 ? 1 - dot / norm : 0;
+            };
+        default:
+            throw new Error(`Unknown distance metric: ${metric}`);
+    }
+}
+
 export class HierarchicalClustering {
     constructor(options = {}) {
         // Core algorithm parameters
@@ -17,7 +83,7 @@ export class HierarchicalClustering {
         this.distanceThreshold = options.distanceThreshold || null; // Alternative to numClusters
         
         // Performance options
-        this.maxPoints = options.maxPoints || 5000; // Performance limit
+        this.maxPoints = options.maxPoints || 20000; // Performance limit, O(n²) memory
         this.enableOptimizations = options.enableOptimizations !== false;
         this.useMemoryEfficientMode = options.useMemoryEfficientMode || false;
         
@@ -29,6 +95,9 @@ export class HierarchicalClustering {
         this.calculateCopheneticCorrelation = options.calculateCopheneticCorrelation !== false;
         this.enableClusterValidation = options.enableClusterValidation !== false;
         
+        // ({ step, progress, ... }) => void, progress in percent
+        this.onProgress = options.onProgress || null;
+        
         // State variables
         this.clusters = [];
         this.dendrogram = null;
@@ -99,23 +168,32 @@ export class HierarchicalClustering {
             
             this.isRunning = false;
             
-            EventBus.emit('hierarchical:clustering_complete', {
-                result,
-                method: this.method,
-                linkage: this.linkage,
-                clusters: result.numClusters,
-                stats: this.stats
-            });
+            this.currentStep = 'complete';
+            this.progress = 100;
+            this.reportProgress();
             
             return result;
             
         } catch (error) {
             this.isRunning = false;
-            EventBus.emit('hierarchical:clustering_error', { error: error.message });
             throw error;
         }
     }
 
+    /**
+     * Report the current step and progress to onProgress
+     * @param {Object} details - Extra fields for the step, e.g. merges so far
+     */
+    reportProgress(details = {}) {
+        if (this.onProgress) {
+            this.onProgress({
+                step: this.currentStep,
+                progress: this.progress,
+                ...details
+            });
+        }
+    }
+
     /**
      * Preprocess input data
      * @param {Array} data - Raw input data
@@ -124,10 +202,7 @@ export class HierarchicalClustering {
         this.currentStep = 'preprocessing';
         this.progress = 5;
         
-        EventBus.emit('hierarchical:progress', {
-            step: this.currentStep,
-            progress: this.progress
-        });
+        this.reportProgress();
 
         // Validate input
         if (!Array.isArray(data) || data.length === 0) {
@@ -138,6 +213,11 @@ export class HierarchicalClustering {
             throw new Error(`Dataset too large (${data.length} > ${this.maxPoints}). Consider sampling or using a different algorithm.`);
         }
 
+        if (this.method === 'agglomerative' && !NN_CHAIN_LINKAGES.includes(this.linkage) &&
+            data.length > PAIRWISE_MAX_POINTS) {
+            throw new Error(`Dataset too large for ${this.linkage} linkage (${data.length} > ${PAIRWISE_MAX_POINTS}). Use single, complete, average or ward linkage for larger datasets.`);
+        }
+
         // Extract features
         const firstPoint = data[0];
         if (typeof firstPoint !== 'object' || firstPoint === null) {
@@ -170,17 +250,275 @@ export class HierarchicalClustering {
 
     /**
      * Run agglomerative (bottom-up) clustering
+     * Reducible linkages (single, complete, average, ward) use the nearest-neighbor chain over a
+     * condensed distance matrix with Lance–Williams updates: O(n²) time and memory instead of
+     * rescanning every cluster pair after each merge
      * @returns {Promise<Object>} Clustering results
      */
     async runAgglomerativeClustering() {
         this.currentStep = 'agglomerative_clustering';
         this.progress = 20;
         
-        EventBus.emit('hierarchical:progress', {
-            step: this.currentStep,
-            progress: this.progress
+        this.reportProgress();
+
+        if (!NN_CHAIN_LINKAGES.includes(this.linkage)) {
+            return this.runPairwiseAgglomeration();
+        }
+
+        const matrix = await this.buildDistanceMatrix();
+        const merges = await this.runNearestNeighborChain(matrix);
+
+        // Merges come out of the chain in discovery order, replay them from the closest up
+        merges.sort((a, b) => a.distance - b.distance);
+        const finalClusters = this.replayMerges(merges);
+
+        this.stats.mergeSteps = this.mergeHistory.length;
+        this.stats.finalClusters = finalClusters.length;
+        this.stats.maxDistance = this.mergeHistory.length > 0 ? 
+            this.mergeHistory[this.mergeHistory.length - 1].distance : 0;
+
+        // Assign final cluster IDs to points
+        this.assignClusterIds(finalClusters);
+
+        return {
+            clusters: this.clusters,
+            numClusters: finalClusters.length,
+            mergeHistory: this.mergeHistory,
+            finalDistance: this.stats.maxDistance
+        };
+    }
+
+    /**
+     * Build the condensed (upper triangle, row-major) distance matrix
+     * Ward stores half the squared Euclidean distance, which is the SSE increase of merging two
+     * points, so the Lance–Williams updates yield the same heights as calculateWardLinkage
+     * @returns {Promise<Float64Array|Float32Array>} n(n-1)/2 pairwise distances
+     */
+    async buildDistanceMatrix() {
+        const n = this.processedData.length;
+        const dimensions = this.features.length;
+        const coordinates = new Float64Array(n * dimensions);
+        this.processedData.forEach((point, index) => {
+            coordinates.set(point.features, index * dimensions);
+        });
+
+        const MatrixType = this.useMemoryEfficientMode || n > FLOAT64_MATRIX_MAX_POINTS ?
+            Float32Array : Float64Array;
+        const matrix = new MatrixType(n * (n - 1) / 2);
+        const distance = createVectorDistance(this.linkage === 'ward' ? 'ward' : this.distanceMetric, dimensions);
+
+        let index = 0;
+        for (let i = 0; i < n - 1; i++) {
+            const offset = i * dimensions;
+            for (let j = i + 1; j < n; j++) {
+                matrix[index++] = distance(coordinates, offset, j * dimensions);
+            }
+
+            if (i % 500 === 499) {
+                this.progress = 20 + Math.floor((index / matrix.length) * 20);
+                this.reportProgress();
+                
+                // Allow UI updates
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        return matrix;
+    }
+
+    /**
+     * Nearest-neighbor chain: follow nearest neighbors until two clusters are each other's
+     * nearest neighbor, merge them and update their distances in place (Lance–Williams)
+     * @param {Float64Array|Float32Array} matrix - Condensed distance matrix, overwritten
+     * @returns {Promise<Array>} All n - 1 merges as { a, b, distance }, with a and b the
+     *   indices of a point in each merged cluster
+     */
+    async runNearestNeighborChain(matrix) {
+        const n = this.processedData.length;
+        const sizes = new Float64Array(n).fill(1);
+        const chain = new Int32Array(n);
+        let chainLength = 0;
+
+        // Active cluster slots; a merged cluster keeps the slot of its second cluster
+        const active = new Int32Array(n);
+        const positions = new Int32Array(n);
+        for (let i = 0; i < n; i++) {
+            active[i] = i;
+            positions[i] = i;
+        }
+        let activeCount = n;
+
+        // Entry (i, j), i < j, of the condensed matrix is at rowOffsets[i] + j
+        const rowOffsets = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            rowOffsets[i] = n * i - (i * (i + 1)) / 2 - i - 1;
+        }
+        const indexOf = (i, j) => (i < j ? rowOffsets[i] + j : rowOffsets[j] + i);
+        const update = LANCE_WILLIAMS_UPDATES[this.linkage];
+        const merges = [];
+
+        while (activeCount > 1) {
+            if (chainLength === 0) {
+                chain[chainLength++] = active[0];
+            }
+
+            // Grow the chain until its last two clusters are reciprocal nearest neighbors
+            let a, b, distance;
+            for (;;) {
+                a = chain[chainLength - 1];
+                b = chainLength > 1 ? chain[chainLength - 2] : -1;
+                // Ties go to the previous cluster so the chain cannot cycle
+                distance = b >= 0 ? matrix[indexOf(a, b)] : Infinity;
+
+                for (let k = 0; k < activeCount; k++) {
+                    const c = active[k];
+                    if (c === a) continue;
+
+                    const d = matrix[indexOf(a, c)];
+                    if (d < distance) {
+                        distance = d;
+                        b = c;
+                    }
+                }
+
+                if (b < 0) {
+                    throw new Error('Distances must be finite numbers');
+                }
+                if (chainLength > 1 && b === chain[chainLength - 2]) {
+                    break;
+                }
+                chain[chainLength++] = b;
+            }
+            chainLength -= 2;
+
+            merges.push({ a, b, distance });
+
+            // Distances from the merged cluster (slot b) to every other active cluster
+            const sizeA = sizes[a];
+            const sizeB = sizes[b];
+            for (let k = 0; k < activeCount; k++) {
+                const c = active[k];
+                if (c === a || c === b) continue;
+
+                const indexB = indexOf(b, c);
+                matrix[indexB] = update(matrix[indexOf(a, c)], matrix[indexB], distance, sizeA, sizeB, sizes[c]);
+            }
+            sizes[b] = sizeA + sizeB;
+
+            // Retire slot a
+            const last = active[--activeCount];
+            active[positions[a]] = last;
+            positions[last] = positions[a];
+
+            if (merges.length % 100 === 0) {
+                this.progress = 40 + Math.floor((merges.length / (n - 1)) * 40);
+                this.reportProgress({
+                    mergeStep: merges.length,
+                    clustersRemaining: activeCount
+                });
+                
+                // Allow UI updates
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        return merges;
+    }
+
+    /**
+     * Replay sorted merges into mergeHistory, stopping at numClusters or distanceThreshold
+     * Cluster ids and the order of the final clusters and their points match the pairwise
+     * implementation: points keep their index, merge k becomes `merge_k` and a merge lists the
+     * older cluster first
+     * @param {Array} merges - Merges from runNearestNeighborChain, sorted by distance
+     * @returns {Array} Final clusters
+     */
+    replayMerges(merges) {
+        const n = this.processedData.length;
+        const targetClusters = Math.min(this.numClusters || 1, n);
+
+        // Union-find over points; nodes are points (0..n-1) followed by merges (n + step)
+        const parents = new Int32Array(n);
+        const rootNodes = new Int32Array(n);
+        const nodeSizes = new Int32Array(2 * n - 1).fill(1);
+        const children = [];
+        for (let i = 0; i < n; i++) {
+            parents[i] = i;
+            rootNodes[i] = i;
+        }
+
+        const find = (i) => {
+            while (parents[i] !== i) {
+                parents[i] = parents[parents[i]];
+                i = parents[i];
+            }
+            return i;
+        };
+        const nodeId = (node) => (node < n ? node : `merge_${node - n}`);
+
+        this.mergeHistory = [];
+        for (const merge of merges) {
+            if (n - this.mergeHistory.length <= targetClusters) break;
+            
+            // Check distance threshold if specified
+            if (this.distanceThreshold !== null && merge.distance > this.distanceThreshold) {
+                break;
+            }
+
+            const step = this.mergeHistory.length;
+            const rootA = find(merge.a);
+            const rootB = find(merge.b);
+            const first = Math.min(rootNodes[rootA], rootNodes[rootB]);
+            const second = Math.max(rootNodes[rootA], rootNodes[rootB]);
+            const node = n + step;
+
+            children.push([first, second]);
+            nodeSizes[node] = nodeSizes[first] + nodeSizes[second];
+            parents[rootA] = rootB;
+            rootNodes[rootB] = node;
+
+            this.mergeHistory.push({
+                step,
+                cluster1: nodeId(first),
+                cluster2: nodeId(second),
+                distance: merge.distance,
+                newClusterId: nodeId(node),
+                newClusterSize: nodeSizes[node]
+            });
+        }
+
+        // Remaining clusters, unmerged points first, then merges in the order they happened
+        const finalNodes = [];
+        for (let i = 0; i < n; i++) {
+            if (find(i) === i) {
+                finalNodes.push(rootNodes[i]);
+            }
+        }
+        finalNodes.sort((a, b) => a - b);
+
+        return finalNodes.map(root => {
+            const points = [];
+            const stack = [root];
+            while (stack.length > 0) {
+                const node = stack.pop();
+                if (node < n) {
+                    points.push(this.processedData[node]);
+                } else {
+                    const [first, second] = children[node - n];
+                    stack.push(second, first);
+                }
+            }
+
+            return { id: nodeId(root), points, size: points.length };
         });
+    }
 
+    /**
+     * Agglomerative clustering by rescanning all cluster pairs after each merge, for linkages
+     * the nearest-neighbor chain cannot handle (centroid linkage can produce inversions)
+     * @returns {Promise<Object>} Clustering results
+     */
+    async runPairwiseAgglomeration() {
         // Initialize clusters - each point starts as its own cluster
         let activeClusters = this.processedData.map((point, index) => ({
             id: index,
@@ -237,9 +575,7 @@ export class HierarchicalClustering {
             this.progress = 20 + Math.floor((mergeStep / totalMergeSteps) * 60);
             
             if (mergeStep % 10 === 0) {
-                EventBus.emit('hierarchical:progress', {
-                    step: this.currentStep,
-                    progress: this.progress,
+                this.reportProgress({
                     mergeStep,
                     clustersRemaining: activeClusters.length
                 });
@@ -568,9 +904,7 @@ export class HierarchicalClustering {
             splitStep++;
             this.progress = 20 + Math.floor((splitStep / (this.numClusters - 1)) * 60);
             
-            EventBus.emit('hierarchical:progress', {
-                step: this.currentStep,
-                progress: this.progress,
+            this.reportProgress({
                 splitStep,
                 clustersCount: activeClusters.length
             });
@@ -816,10 +1150,7 @@ export class HierarchicalClustering {
         this.currentStep = 'post_processing';
         this.progress = 85;
         
-        EventBus.emit('hierarchical:progress', {
-            step: this.currentStep,
-            progress: this.progress
-        });
+        this.reportProgress();
 
         // Calculate cluster statistics
         result.clusterStats = this.calculateClusterStatistics();
@@ -929,10 +1260,7 @@ export class HierarchicalClustering {
         this.currentStep = 'quality_metrics';
         this.progress = 95;
         
-        EventBus.emit('hierarchical:progress', {
-            step: this.currentStep,
-            progress: this.progress
-        });
+        this.reportProgress();
 
         // Calculate cophenetic correlation if requested
         if (this.calculateCopheneticCorrelation && this.method === 'agglomerative') {
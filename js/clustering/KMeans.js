@@ -1,8 +1,22 @@
 /**
  * K-means Clustering Algorithm Implementation
  * High-performance client-side clustering for data visualization
+ * Mini-batch mode and partialFit() update centroids incrementally for large or streaming data
  */
 
+/**
+ * Seeded random number generator for reproducible results
+ * @param {Number} seed - Non-zero seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+export function seededRandom(seed) {
+    let s = seed;
+    return function() {
+        s = Math.sin(s) * 10000;
+        return s - Math.floor(s);
+    };
+}
+
 export class KMeans {
     constructor(k, options = {}) {
         this.k = k;
@@ -11,6 +25,11 @@ export class KMeans {
             tolerance: 0.001,
             initMethod: 'kmeans++', // 'random', 'kmeans++', 'manual'
             distanceMetric: 'euclidean', // 'euclidean', 'manhattan'
+            miniBatch: false, // Update centroids from random batches instead of the full data
+            batchSize: 1024, // Points per mini-batch
+            maxNoImprovement: 10, // Mini-batches without a lower smoothed inertia before stopping
+            silhouetteSampleSize: null, // Points scored for the silhouette; null for all (2000 in mini-batch mode)
+            onProgress: null, // ({ iteration, maxIterations, movement, inertia, converged }) => void
             debug: false,
             seed: null, // For reproducible results
             ...options
@@ -24,6 +43,10 @@ export class KMeans {
         this.inertia = 0;
         this.executionTime = 0;
         
+        // Points seen per centroid, the learning rate of mini-batch and online updates
+        this.counts = [];
+        this.pendingPoints = []; // partialFit() points held until there are k to initialize from
+        
         // Performance tracking
         this.metrics = {
             totalDistance: 0,
@@ -66,35 +89,45 @@ export class KMeans {
         this.reset();
         
         try {
-            // Initialize centroids
+            // Initialize centroids; mini-batch mode seeds from a sample instead of every point
             const initStart = performance.now();
-            this.initializeCentroids();
+            this.initializeCentroids(this.options.miniBatch ? this.sampleData(this.getInitSampleSize()) : this.data);
             this.metrics.durations.initialization = performance.now() - initStart;
             
-            // Main algorithm loop
-            while (!this.converged && this.iterations < this.options.maxIterations) {
-                this.iterations++;
+            if (this.options.miniBatch) {
+                this.runMiniBatch();
                 
-                // Assign points to clusters
                 const assignStart = performance.now();
-                const newLabels = this.assignPointsToClusters();
+                this.labels = this.assignPointsToClusters();
                 this.metrics.durations.assignment += performance.now() - assignStart;
-                
-                // Update centroids
-                const updateStart = performance.now();
-                const newCentroids = this.updateCentroids(newLabels);
-                this.metrics.durations.update += performance.now() - updateStart;
-                
-                // Check for convergence
-                this.converged = this.checkConvergence(this.centroids, newCentroids);
-                
-                // Update state
-                this.labels = newLabels;
-                this.centroids = newCentroids;
-                
-                if (this.options.debug && this.iterations % 10 === 0) {
-                    console.log(`Iteration ${this.iterations}, inertia: ${this.calculateInertia().toFixed(4)}`);
+            } else {
+                // Main algorithm loop
+                while (!this.converged && this.iterations < this.options.maxIterations) {
+                    this.iterations++;
+                    
+                    // Assign points to clusters
+                    const assignStart = performance.now();
+                    const newLabels = this.assignPointsToClusters();
+                    this.metrics.durations.assignment += performance.now() - assignStart;
+                    
+                    // Update centroids
+                    const updateStart = performance.now();
+                    const newCentroids = this.updateCentroids(newLabels);
+                    this.metrics.durations.update += performance.now() - updateStart;
+                    
+                    // Check for convergence
+                    this.converged = this.checkConvergence(this.centroids, newCentroids);
+                    
+                    // Update state
+                    this.labels = newLabels;
+                    this.centroids = newCentroids;
+                    
+                    if (this.options.debug && this.iterations % 10 === 0) {
+                        console.log(`Iteration ${this.iterations}, inertia: ${this.calculateInertia().toFixed(4)}`);
+                    }
                 }
+                
+                this.counts = this.getClusterSizes();
             }
             
             // Calculate final metrics
@@ -157,22 +190,174 @@ export class KMeans {
         return Array.isArray(data[0]) ? predictions : predictions[0];
     }
 
+    /**
+     * Online k-means: move the centroids towards a batch of new points without revisiting
+     * earlier ones. Points are held until there are k of them to initialize from.
+     * @param {Array} points - Array of numeric vectors
+     * @returns {Object} { labels, centroids, counts, iterations, movement, converged }; labels is null until initialized
+     */
+    partialFit(points) {
+        if (!Array.isArray(points) || points.length === 0 || !Array.isArray(points[0])) {
+            throw new Error('partialFit expects a non-empty array of points');
+        }
+        
+        if (this.centroids.length === 0) {
+            this.pendingPoints.push(...points);
+            if (this.pendingPoints.length < this.k) {
+                return { labels: null, centroids: [], counts: [], iterations: 0, movement: Infinity, converged: false };
+            }
+            
+            points = this.pendingPoints;
+            this.pendingPoints = [];
+            this.dimensions = points[0].length;
+            this.counts = new Array(this.k).fill(0);
+            this.initializeCentroids(points);
+        }
+        
+        if (points.some(point => point.length !== this.dimensions)) {
+            throw new Error(`partialFit expects points with ${this.dimensions} dimensions`);
+        }
+        
+        const { labels, movement, inertia } = this.updateCentroidsOnline(points);
+        this.iterations++;
+        this.converged = movement <= this.options.tolerance;
+        this.reportProgress(movement, inertia / points.length);
+        
+        return {
+            labels,
+            centroids: this.centroids,
+            counts: this.counts,
+            iterations: this.iterations,
+            movement,
+            converged: this.converged
+        };
+    }
+
+    /**
+     * Mini-batch k-means (Sculley, 2010): every iteration assigns a random batch and updates
+     * the centroids online. Stops when no centroid moves more than the tolerance, or when the
+     * smoothed batch inertia has not improved for maxNoImprovement batches.
+     */
+    runMiniBatch() {
+        const batchSize = Math.min(this.options.batchSize, this.n);
+        // Weight of the newest batch in the smoothed inertia, about its share of the data
+        const alpha = Math.min(1, (2 * batchSize) / (this.n + 1));
+        let smoothedInertia = null;
+        let bestInertia = Infinity;
+        let noImprovement = 0;
+        
+        while (!this.converged && this.iterations < this.options.maxIterations) {
+            this.iterations++;
+            
+            const updateStart = performance.now();
+            const { movement, inertia } = this.updateCentroidsOnline(this.sampleData(batchSize));
+            this.metrics.durations.update += performance.now() - updateStart;
+            
+            const batchInertia = inertia / batchSize;
+            smoothedInertia = smoothedInertia === null ? batchInertia : smoothedInertia * (1 - alpha) + batchInertia * alpha;
+            
+            if (smoothedInertia < bestInertia) {
+                bestInertia = smoothedInertia;
+                noImprovement = 0;
+            } else {
+                noImprovement++;
+            }
+            
+            this.converged = movement <= this.options.tolerance || noImprovement >= this.options.maxNoImprovement;
+            this.reportProgress(movement, smoothedInertia);
+            
+            if (this.options.debug && this.iterations % 10 === 0) {
+                console.log(`Mini-batch ${this.iterations}, smoothed inertia: ${smoothedInertia.toFixed(4)}`);
+            }
+        }
+    }
+
+    /**
+     * Assign points to the current centroids, then move each centroid towards its points
+     * with a learning rate of 1 / (points it has seen)
+     * @returns {Object} { labels, movement (largest centroid shift), inertia (sum of squared distances) }
+     */
+    updateCentroidsOnline(points) {
+        const previous = this.centroids.map(centroid => [...centroid]);
+        const labels = new Array(points.length);
+        let inertia = 0;
+        
+        for (let i = 0; i < points.length; i++) {
+            let minDistance = Infinity;
+            let closestCluster = 0;
+            
+            for (let j = 0; j < this.k; j++) {
+                const distance = this.calculateDistance(points[i], previous[j]);
+                if (distance < minDistance) {
+                    minDistance = distance;
+                    closestCluster = j;
+                }
+            }
+            
+            labels[i] = closestCluster;
+            inertia += minDistance * minDistance;
+        }
+        
+        for (let i = 0; i < points.length; i++) {
+            const cluster = labels[i];
+            const centroid = this.centroids[cluster];
+            this.counts[cluster]++;
+            const learningRate = 1 / this.counts[cluster];
+            
+            for (let d = 0; d < this.dimensions; d++) {
+                centroid[d] += learningRate * (points[i][d] - centroid[d]);
+            }
+        }
+        
+        const movement = previous.reduce((max, centroid, j) =>
+            Math.max(max, this.calculateDistance(centroid, this.centroids[j])), 0);
+        
+        return { labels, movement, inertia };
+    }
+
+    reportProgress(movement, inertia) {
+        if (this.options.onProgress) {
+            this.options.onProgress({
+                iteration: this.iterations,
+                maxIterations: this.options.maxIterations,
+                movement,
+                inertia,
+                converged: this.converged
+            });
+        }
+    }
+
+    /**
+     * Random points from the fitted data, with replacement
+     */
+    sampleData(size) {
+        return Array.from({ length: size }, () => this.data[Math.floor(this.rng() * this.n)]);
+    }
+
+    /**
+     * Points used to seed mini-batch centroids, as in scikit-learn: 3 batches, at least 3k
+     */
+    getInitSampleSize() {
+        return Math.min(this.n, Math.max(3 * this.options.batchSize, 3 * this.k));
+    }
+
     /**
      * Initialize centroids using specified method
+     * @param {Array} data - Points to initialize from, the fitted data by default
      */
-    initializeCentroids() {
+    initializeCentroids(data = this.data) {
         switch (this.options.initMethod) {
             case 'random':
-                this.initializeRandomCentroids();
+                this.initializeRandomCentroids(data);
                 break;
             case 'kmeans++':
-                this.initializeKMeansPlusPlusCentroids();
+                this.initializeKMeansPlusPlusCentroids(data);
                 break;
             case 'manual':
                 if (!this.options.initialCentroids) {
                     throw new Error('Manual initialization requires initialCentroids option');
                 }
-                this.centroids = [...this.options.initialCentroids];
+                this.centroids = this.options.initialCentroids.map(centroid => [...centroid]);
                 break;
             default:
                 throw new Error(`Unknown initialization method: ${this.options.initMethod}`);
@@ -186,11 +371,11 @@ export class KMeans {
     /**
      * Random centroid initialization
      */
-    initializeRandomCentroids() {
+    initializeRandomCentroids(data = this.data) {
         this.centroids = [];
         
         // Find data bounds
-        const bounds = this.getDataBounds();
+        const bounds = this.getDataBounds(data);
         
         for (let i = 0; i < this.k; i++) {
             const centroid = [];
@@ -206,12 +391,13 @@ export class KMeans {
     /**
      * K-means++ centroid initialization (better initial placement)
      */
-    initializeKMeansPlusPlusCentroids() {
+    initializeKMeansPlusPlusCentroids(data = this.data) {
         this.centroids = [];
+        const n = data.length;
         
         // Choose first centroid randomly
-        const firstIndex = Math.floor(this.rng() * this.n);
-        this.centroids.push([...this.data[firstIndex]]);
+        const firstIndex = Math.floor(this.rng() * n);
+        this.centroids.push([...data[firstIndex]]);
         
         // Choose remaining centroids
         for (let i = 1; i < this.k; i++) {
@@ -219,11 +405,11 @@ export class KMeans {
             let totalDistance = 0;
             
             // Calculate distances to nearest centroid for each point
-            for (let j = 0; j < this.n; j++) {
+            for (let j = 0; j < n; j++) {
                 let minDistance = Infinity;
                 
                 for (let c = 0; c < this.centroids.length; c++) {
-                    const distance = this.calculateDistance(this.data[j], this.centroids[c]);
+                    const distance = this.calculateDistance(data[j], this.centroids[c]);
                     minDistance = Math.min(minDistance, distance);
                 }
                 
@@ -236,7 +422,7 @@ export class KMeans {
             let randomValue = this.rng() * totalDistance;
             let chosenIndex = 0;
             
-            for (let j = 0; j < this.n; j++) {
+            for (let j = 0; j < n; j++) {
                 randomValue -= distances[j];
                 if (randomValue <= 0) {
                     chosenIndex = j;
@@ -244,7 +430,7 @@ export class KMeans {
                 }
             }
             
-            this.centroids.push([...this.data[chosenIndex]]);
+            this.centroids.push([...data[chosenIndex]]);
         }
     }
 
@@ -383,27 +569,47 @@ export class KMeans {
     calculateSilhouetteScore() {
         if (this.k <= 1) return 0;
         
+        const sample = this.getSilhouetteSample();
         let totalScore = 0;
         
-        for (let i = 0; i < this.n; i++) {
-            const a = this.calculateWithinClusterDistance(i);
-            const b = this.calculateNearestClusterDistance(i);
+        for (const i of sample) {
+            const a = this.calculateWithinClusterDistance(i, sample);
+            const b = this.calculateNearestClusterDistance(i, sample);
             
             const silhouette = (b - a) / Math.max(a, b);
             totalScore += silhouette;
         }
         
-        return totalScore / this.n;
+        return totalScore / sample.length;
+    }
+
+    /**
+     * Indices of the points scored for the silhouette; it is quadratic in their number
+     */
+    getSilhouetteSample() {
+        const sampleSize = this.options.silhouetteSampleSize ?? (this.options.miniBatch ? 2000 : null);
+        const indices = Array.from({ length: this.n }, (_, i) => i);
+        
+        if (!sampleSize || sampleSize >= this.n) {
+            return indices;
+        }
+        
+        // Partial Fisher-Yates shuffle
+        for (let i = 0; i < sampleSize; i++) {
+            const j = i + Math.floor(this.rng() * (this.n - i));
+            [indices[i], indices[j]] = [indices[j], indices[i]];
+        }
+        return indices.slice(0, sampleSize);
     }
 
     /**
      * Calculate average distance to points in same cluster
      */
-    calculateWithinClusterDistance(pointIndex) {
+    calculateWithinClusterDistance(pointIndex, sample = this.getSilhouetteSample()) {
         const clusterIndex = this.labels[pointIndex];
         const clusterPoints = [];
         
-        for (let i = 0; i < this.n; i++) {
+        for (const i of sample) {
             if (i !== pointIndex && this.labels[i] === clusterIndex) {
                 clusterPoints.push(i);
             }
@@ -422,7 +628,7 @@ export class KMeans {
     /**
      * Calculate average distance to nearest cluster
      */
-    calculateNearestClusterDistance(pointIndex) {
+    calculateNearestClusterDistance(pointIndex, sample = this.getSilhouetteSample()) {
         const currentCluster = this.labels[pointIndex];
         let minDistance = Infinity;
         
@@ -430,7 +636,7 @@ export class KMeans {
             if (cluster === currentCluster) continue;
             
             const clusterPoints = [];
-            for (let i = 0; i < this.n; i++) {
+            for (const i of sample) {
                 if (this.labels[i] === cluster) {
                     clusterPoints.push(i);
                 }
@@ -453,16 +659,16 @@ export class KMeans {
     /**
      * Get data bounds for each dimension
      */
-    getDataBounds() {
+    getDataBounds(data = this.data) {
         const bounds = [];
         
         for (let d = 0; d < this.dimensions; d++) {
             let min = Infinity;
             let max = -Infinity;
             
-            for (let i = 0; i < this.n; i++) {
-                min = Math.min(min, this.data[i][d]);
-                max = Math.max(max, this.data[i][d]);
+            for (let i = 0; i < data.length; i++) {
+                min = Math.min(min, data[i][d]);
+                max = Math.max(max, data[i][d]);
             }
             
             bounds.push({ min, max });
@@ -508,6 +714,8 @@ export class KMeans {
         this.converged = false;
         this.inertia = 0;
         this.executionTime = 0;
+        this.counts = new Array(this.k).fill(0);
+        this.pendingPoints = [];
         this.metrics = {
             totalDistance: 0,
             withinClusterSumSquares: 0,
@@ -579,11 +787,7 @@ export class KMeans {
      * Seeded random number generator for reproducible results
      */
     seededRandom(seed) {
-        let s = seed;
-        return function() {
-            s = Math.sin(s) * 10000;
-            return s - Math.floor(s);
-        };
+        return seededRandom(seed);
     }
 
     /**
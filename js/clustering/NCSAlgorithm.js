@@ -1,597 +1,602 @@
 /**
- * Data Parser Module for NCS-API-Website
- * Handles parsing and processing of various data formats (CSV, JSON, Excel)
- * Provides robust data type detection and normalization
+ * NCS (Neural Clustering System) Algorithm Implementation
+ * Client-side clustering with automatic cluster count estimation,
+ * competitive-learning prototype optimization and per-point confidence scoring
  */
 
-import { EventBus } from '../core/eventBusNew.js';
+export class NCSAlgorithm {
+    constructor(options = {}) {
+        this.options = {
+            numClusters: 'auto', // Number or 'auto' for estimation
+            maxClusters: 10, // Upper bound for automatic estimation
+            maxIterations: 50, // Competitive learning epochs
+            refinementIterations: 100, // Lloyd refinement iterations
+            tolerance: 1e-4,
+            learningRate: 0.5, // Initial learning rate
+            finalLearningRate: 0.01,
+            neighborhoodRange: null, // Initial neural gas range, defaults to k / 2
+            batchSize: 2000, // Points sampled per epoch
+            sampleSize: 1000, // Points used for cluster count estimation
+            confidenceThreshold: 0.5, // Points below this are flagged as uncertain
+            normalize: true,
+            seed: null, // For reproducible results
+            onProgress: null, // ({ phase, iteration, maxIterations, progress }) => void
+            debug: false,
+            ...options
+        };
+
+        // Algorithm state
+        this.centroids = [];
+        this.labels = [];
+        this.confidences = [];
+        this.qualityScores = [];
+        this.numClusters = 0;
+        this.iterations = 0;
+        this.converged = false;
+        this.executionTime = 0;
+
+        // Phase tracking for progress reporting
+        this.phases = ['initialization', 'optimization', 'refinement'];
+        this.totalSteps = 0;
+        this.currentStep = 0;
+
+        this.metrics = {
+            estimation: [],
+            silhouetteScore: 0,
+            inertia: 0,
+            durations: {
+                initialization: 0,
+                optimization: 0,
+                refinement: 0,
+                total: 0
+            }
+        };
 
-export class DataParser {
-    constructor() {
-        this.supportedFormats = ['csv', 'json', 'xlsx', 'xls', 'tsv'];
-        this.maxFileSize = 50 * 1024 * 1024; // 50MB limit
-        this.delimiter = ',';
-        this.hasHeader = true;
+        // Random number generator for reproducible results
+        this.rng = this.options.seed ? this.seededRandom(this.options.seed) : Math.random;
     }
 
     /**
-     * Parse file based on its type
-     * @param {File|String} input - File object or raw string data
-     * @param {Object} options - Parsing options
-     * @returns {Promise<Object>} Parsed data with metadata
+     * Fit the model to data
+     * @param {Array} data - Array of numeric vectors or objects with numeric fields
+     * @returns {Object} Clustering results
      */
-    async parseFile(input, options = {}) {
-        try {
-            // Validate input
-            if (input instanceof File) {
-                this.validateFile(input);
-                const fileType = this.detectFileType(input.name);
-                const content = await this.readFile(input);
-                return await this.parseContent(content, fileType, options);
-            } else if (typeof input === 'string') {
-                // Assume CSV format for string input
-                return await this.parseContent(input, 'csv', options);
-            } else {
-                throw new Error('Invalid input type. Expected File object or string.');
-            }
-        } catch (error) {
-            EventBus.emit('parser:error', { error: error.message, timestamp: Date.now() });
-            throw error;
+    fit(data) {
+        const startTime = performance.now();
+
+        this.data = this.extractVectors(data);
+        this.n = this.data.length;
+        this.dimensions = this.data[0].length;
+        this.reset();
+
+        const k = this.options.numClusters;
+        const estimationSteps = typeof k === 'number' ? 0 : this.getCandidateRange().length;
+        this.totalSteps = 1 + estimationSteps + this.options.maxIterations + this.options.refinementIterations;
+
+        // Phase 1: normalize and estimate number of clusters
+        let phaseStart = performance.now();
+        this.reportProgress('initialization');
+        this.vectors = this.options.normalize ? this.normalizeVectors(this.data) : this.data.map(v => [...v]);
+        this.numClusters = typeof k === 'number' ?
+            Math.max(1, Math.min(k, this.n)) :
+            this.estimateClusterCount();
+        this.centroids = this.initializePrototypes(this.vectors, this.numClusters);
+        this.metrics.durations.initialization = performance.now() - phaseStart;
+
+        // Phase 2: competitive learning (neural gas) over prototypes
+        phaseStart = performance.now();
+        this.optimizePrototypes();
+        this.metrics.durations.optimization = performance.now() - phaseStart;
+
+        // Phase 3: Lloyd refinement, pruning and scoring
+        phaseStart = performance.now();
+        this.refinePrototypes();
+        this.scorePoints();
+        this.metrics.durations.refinement = performance.now() - phaseStart;
+
+        // Refinement usually converges early, so close out the progress range
+        this.currentStep = this.totalSteps - 1;
+        this.reportProgress('refinement');
+
+        this.executionTime = performance.now() - startTime;
+        this.metrics.durations.total = this.executionTime;
+
+        if (this.options.debug) {
+            console.log('✅ NCS completed', {
+                clusters: this.numClusters,
+                iterations: this.iterations,
+                qualityScore: this.qualityScore,
+                confidence: this.confidence,
+                executionTime: `${this.executionTime.toFixed(2)}ms`
+            });
         }
+
+        return this.getResults();
     }
 
     /**
-     * Validate file before processing
-     * @param {File} file - File to validate
+     * Predict cluster labels for new data
      */
-    validateFile(file) {
-        // Check file size
-        if (file.size > this.maxFileSize) {
-            throw new Error(`File size (${Math.round(file.size / 1024 / 1024)}MB) exceeds maximum limit (${this.maxFileSize / 1024 / 1024}MB)`);
+    predict(data) {
+        if (this.centroids.length === 0) {
+            throw new Error('Model must be fitted before prediction');
         }
 
-        // Check file type
-        const fileType = this.detectFileType(file.name);
-        if (!this.supportedFormats.includes(fileType)) {
-            throw new Error(`Unsupported file format: ${fileType}. Supported formats: ${this.supportedFormats.join(', ')}`);
-        }
+        const single = !Array.isArray(data) || !(Array.isArray(data[0]) || typeof data[0] === 'object');
+        const vectors = this.extractVectors(single ? [data] : data)
+            .map(vector => this.applyNormalization(vector));
+
+        const predictions = vectors.map(vector => this.findNearest(vector, this.centroids).index);
+        return single ? predictions[0] : predictions;
     }
 
     /**
-     * Detect file type from filename
-     * @param {String} filename - Name of the file
-     * @returns {String} File type
+     * Convert input points to numeric vectors
      */
-    detectFileType(filename) {
-        const extension = filename.split('.').pop().toLowerCase();
-        switch (extension) {
-            case 'csv': return 'csv';
-            case 'tsv': return 'tsv';
-            case 'json': return 'json';
-            case 'xlsx': return 'xlsx';
-            case 'xls': return 'xls';
-            default: return 'csv'; // Default to CSV
+    extractVectors(data) {
+        if (!Array.isArray(data) || data.length === 0) {
+            throw new Error('Input data must be a non-empty array');
         }
-    }
 
-    /**
-     * Read file content
-     * @param {File} file - File to read
-     * @returns {Promise<String|ArrayBuffer>} File content
-     */
-    readFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            
-            reader.onload = (event) => resolve(event.target.result);
-            reader.onerror = (error) => reject(new Error('Failed to read file: ' + error.message));
-            
-            const fileType = this.detectFileType(file.name);
-            if (['xlsx', 'xls'].includes(fileType)) {
-                reader.readAsArrayBuffer(file);
-            } else {
-                reader.readAsText(file);
+        const first = data[0];
+        let vectors;
+
+        if (Array.isArray(first)) {
+            vectors = data.map(point => point.map(Number));
+        } else if (typeof first === 'object' && first !== null) {
+            const keys = first.x !== undefined && first.y !== undefined ?
+                ['x', 'y', ...(first.z !== undefined ? ['z'] : [])] :
+                Object.keys(first).filter(key => typeof first[key] === 'number' && !['id', 'cluster', 'true_cluster'].includes(key));
+
+            if (keys.length === 0) {
+                throw new Error('No numeric features found in data');
             }
-        });
+            this.featureKeys = keys;
+            vectors = data.map(point => keys.map(key => Number(point[key])));
+        } else {
+            throw new Error('Data points must be arrays or objects');
+        }
+
+        for (let i = 0; i < vectors.length; i++) {
+            if (vectors[i].length !== vectors[0].length || vectors[i].some(value => !Number.isFinite(value))) {
+                throw new Error(`Invalid or missing numeric value at index ${i}`);
+            }
+        }
+
+        return vectors;
     }
 
     /**
-     * Parse content based on format
-     * @param {String|ArrayBuffer} content - Raw content
-     * @param {String} type - File type
-     * @param {Object} options - Parsing options
-     * @returns {Promise<Object>} Parsed data
+     * Z-score normalize vectors, keeping statistics for denormalization
      */
-    async parseContent(content, type, options = {}) {
-        const startTime = performance.now();
-        
-        let result;
-        switch (type) {
-            case 'csv':
-                result = await this.parseCSV(content, options);
-                break;
-            case 'tsv':
-                result = await this.parseCSV(content, { ...options, delimiter: '\t' });
-                break;
-            case 'json':
-                result = await this.parseJSON(content, options);
-                break;
-            case 'xlsx':
-            case 'xls':
-                result = await this.parseExcel(content, options);
-                break;
-            default:
-                throw new Error(`Unsupported file type: ${type}`);
+    normalizeVectors(vectors) {
+        const means = new Array(this.dimensions).fill(0);
+        const stds = new Array(this.dimensions).fill(0);
+
+        for (const vector of vectors) {
+            for (let d = 0; d < this.dimensions; d++) means[d] += vector[d];
         }
+        for (let d = 0; d < this.dimensions; d++) means[d] /= vectors.length;
 
-        const parseTime = performance.now() - startTime;
-        
-        // Add metadata
-        result.metadata = {
-            ...result.metadata,
-            parseTime: Math.round(parseTime),
-            fileType: type,
-            timestamp: Date.now()
-        };
+        for (const vector of vectors) {
+            for (let d = 0; d < this.dimensions; d++) stds[d] += (vector[d] - means[d]) ** 2;
+        }
+        for (let d = 0; d < this.dimensions; d++) {
+            stds[d] = Math.sqrt(stds[d] / vectors.length) || 1; // Constant features keep scale 1
+        }
 
-        EventBus.emit('parser:success', { 
-            rowCount: result.data.length,
-            columnCount: result.headers.length,
-            parseTime,
-            fileType: type
-        });
+        this.featureStats = { means, stds };
+        return vectors.map(vector => this.applyNormalization(vector));
+    }
 
-        return result;
+    /**
+     * Apply stored normalization to a vector
+     */
+    applyNormalization(vector) {
+        if (!this.featureStats) return [...vector];
+        const { means, stds } = this.featureStats;
+        return vector.map((value, d) => (value - means[d]) / stds[d]);
     }
 
     /**
-     * Parse CSV content
-     * @param {String} content - CSV content
-     * @param {Object} options - Parsing options
-     * @returns {Promise<Object>} Parsed CSV data
+     * Map a normalized vector back to the original feature space
      */
-    async parseCSV(content, options = {}) {
-        const delimiter = options.delimiter || this.delimiter;
-        const hasHeader = options.hasHeader !== undefined ? options.hasHeader : this.hasHeader;
-        
-        // Split content into lines
-        const lines = content.split(/\r?\n/).filter(line => line.trim().length > 0);
-        
-        if (lines.length === 0) {
-            throw new Error('CSV file is empty');
-        }
+    denormalize(vector) {
+        if (!this.featureStats) return [...vector];
+        const { means, stds } = this.featureStats;
+        return vector.map((value, d) => value * stds[d] + means[d]);
+    }
 
-        // Parse header
-        let headers = [];
-        let dataStartIndex = 0;
+    /**
+     * Candidate cluster counts for automatic estimation
+     */
+    getCandidateRange() {
+        const upper = Math.min(this.options.maxClusters, Math.max(2, Math.floor(Math.sqrt(this.n / 2))));
+        const candidates = [];
+        for (let k = 2; k <= upper && k < this.n; k++) candidates.push(k);
+        return candidates;
+    }
 
-        if (hasHeader) {
-            headers = this.parseCSVLine(lines[0], delimiter);
-            dataStartIndex = 1;
-        } else {
-            // Generate default headers
-            const firstLine = this.parseCSVLine(lines[0], delimiter);
-            headers = firstLine.map((_, index) => `Column_${index + 1}`);
-        }
+    /**
+     * Estimate the number of clusters by maximizing silhouette on a sample
+     * @returns {Number} Estimated cluster count
+     */
+    estimateClusterCount() {
+        const candidates = this.getCandidateRange();
+        if (candidates.length === 0) return 1;
+
+        const sample = this.sampleVectors(this.vectors, this.options.sampleSize);
+        let bestK = candidates[0];
+        let bestScore = -Infinity;
+
+        for (const k of candidates) {
+            let centroids = this.initializePrototypes(sample, k);
+            let labels = [];
+
+            for (let iter = 0; iter < 30; iter++) {
+                labels = sample.map(vector => this.findNearest(vector, centroids).index);
+                const updated = this.computeMeans(sample, labels, centroids);
+                const shift = this.maxShift(centroids, updated);
+                centroids = updated;
+                if (shift < this.options.tolerance) break;
+            }
 
-        // Validate headers
-        this.validateHeaders(headers);
-
-        // Parse data rows
-        const data = [];
-        const errors = [];
-        
-        for (let i = dataStartIndex; i < lines.length; i++) {
-            try {
-                const values = this.parseCSVLine(lines[i], delimiter);
-                
-                // Skip empty rows
-                if (values.every(value => value === '')) continue;
-                
-                // Ensure row has correct number of columns
-                while (values.length < headers.length) {
-                    values.push('');
-                }
-                
-                // Truncate if too many columns
-                if (values.length > headers.length) {
-                    values.splice(headers.length);
-                }
+            const score = this.calculateSilhouette(sample, labels, k);
+            this.metrics.estimation.push({ k, silhouette: score });
 
-                // Create row object
-                const row = {};
-                headers.forEach((header, index) => {
-                    row[header] = this.parseValue(values[index]);
-                });
-                
-                data.push(row);
-            } catch (error) {
-                errors.push({ line: i + 1, error: error.message });
+            if (score > bestScore) {
+                bestScore = score;
+                bestK = k;
             }
+
+            this.reportProgress('initialization');
         }
 
-        return {
-            data,
-            headers,
-            metadata: {
-                totalRows: data.length,
-                totalColumns: headers.length,
-                errors: errors.length > 0 ? errors : null,
-                delimiter,
-                hasHeader
-            }
-        };
+        return bestK;
     }
 
     /**
-     * Parse CSV line with proper quote handling
-     * @param {String} line - CSV line
-     * @param {String} delimiter - Field delimiter
-     * @returns {Array} Parsed values
+     * K-means++ style prototype seeding
      */
-    parseCSVLine(line, delimiter = ',') {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-        let i = 0;
-
-        while (i < line.length) {
-            const char = line[i];
-            const nextChar = line[i + 1];
-
-            if (char === '"') {
-                if (inQuotes && nextChar === '"') {
-                    // Escaped quote
-                    current += '"';
-                    i += 2;
-                } else {
-                    // Toggle quote state
-                    inQuotes = !inQuotes;
-                    i++;
+    initializePrototypes(vectors, k) {
+        const prototypes = [[...vectors[Math.floor(this.rng() * vectors.length)]]];
+        const minDistances = vectors.map(vector => this.squaredDistance(vector, prototypes[0]));
+
+        while (prototypes.length < k) {
+            const total = minDistances.reduce((sum, d) => sum + d, 0);
+            let chosen = Math.floor(this.rng() * vectors.length);
+
+            if (total > 0) {
+                let target = this.rng() * total;
+                for (let i = 0; i < vectors.length; i++) {
+                    target -= minDistances[i];
+                    if (target <= 0) {
+                        chosen = i;
+                        break;
+                    }
                 }
-            } else if (char === delimiter && !inQuotes) {
-                // Field separator
-                values.push(current.trim());
-                current = '';
-                i++;
-            } else {
-                current += char;
-                i++;
             }
-        }
 
-        // Add final value
-        values.push(current.trim());
+            const prototype = [...vectors[chosen]];
+            prototypes.push(prototype);
 
-        return values;
+            for (let i = 0; i < vectors.length; i++) {
+                minDistances[i] = Math.min(minDistances[i], this.squaredDistance(vectors[i], prototype));
+            }
+        }
+
+        return prototypes;
     }
 
     /**
-     * Parse JSON content
-     * @param {String} content - JSON content
-     * @param {Object} options - Parsing options
-     * @returns {Promise<Object>} Parsed JSON data
+     * Neural gas optimization: every prototype moves toward each sample,
+     * weighted by its distance rank, with annealed learning rate and range
      */
-    async parseJSON(content, options = {}) {
-        let jsonData;
-        
-        try {
-            jsonData = JSON.parse(content);
-        } catch (error) {
-            throw new Error('Invalid JSON format: ' + error.message);
-        }
+    optimizePrototypes() {
+        const { maxIterations, learningRate, finalLearningRate, batchSize } = this.options;
+        const k = this.centroids.length;
+        const initialRange = this.options.neighborhoodRange || Math.max(k / 2, 0.5);
+        const finalRange = 0.01;
+
+        for (let epoch = 0; epoch < maxIterations; epoch++) {
+            const t = maxIterations > 1 ? epoch / (maxIterations - 1) : 1;
+            const rate = learningRate * Math.pow(finalLearningRate / learningRate, t);
+            const range = initialRange * Math.pow(finalRange / initialRange, t);
+            const batch = this.sampleVectors(this.vectors, batchSize);
+
+            for (const vector of batch) {
+                const ranked = this.centroids
+                    .map((centroid, index) => ({ index, distance: this.squaredDistance(vector, centroid) }))
+                    .sort((a, b) => a.distance - b.distance);
+
+                for (let rank = 0; rank < ranked.length; rank++) {
+                    const influence = rate * Math.exp(-rank / range);
+                    if (influence < 1e-6) break;
+
+                    const centroid = this.centroids[ranked[rank].index];
+                    for (let d = 0; d < this.dimensions; d++) {
+                        centroid[d] += influence * (vector[d] - centroid[d]);
+                    }
+                }
+            }
 
-        // Handle different JSON structures
-        let data, headers;
+            this.iterations++;
+            this.reportProgress('optimization');
+        }
+    }
 
-        if (Array.isArray(jsonData)) {
-            if (jsonData.length === 0) {
-                throw new Error('JSON array is empty');
-            }
-            
-            // Extract headers from first object
-            if (typeof jsonData[0] === 'object' && jsonData[0] !== null) {
-                headers = Object.keys(jsonData[0]);
-                data = jsonData.map(item => {
-                    const row = {};
-                    headers.forEach(header => {
-                        row[header] = this.parseValue(item[header]);
-                    });
-                    return row;
-                });
-            } else {
-                // Array of primitives
-                headers = ['Value'];
-                data = jsonData.map(value => ({ Value: this.parseValue(value) }));
+    /**
+     * Lloyd refinement until convergence, then drop empty prototypes
+     */
+    refinePrototypes() {
+        const { refinementIterations, tolerance } = this.options;
+
+        for (let iter = 0; iter < refinementIterations; iter++) {
+            this.labels = this.vectors.map(vector => this.findNearest(vector, this.centroids).index);
+            const updated = this.computeMeans(this.vectors, this.labels, this.centroids);
+            const shift = this.maxShift(this.centroids, updated);
+            this.centroids = updated;
+            this.iterations++;
+            this.reportProgress('refinement');
+
+            if (shift < tolerance) {
+                this.converged = true;
+                break;
             }
-        } else if (typeof jsonData === 'object' && jsonData !== null) {
-            // Single object - convert to array
-            headers = Object.keys(jsonData);
-            data = [{}];
-            headers.forEach(header => {
-                data[0][header] = this.parseValue(jsonData[header]);
-            });
-        } else {
-            throw new Error('JSON must contain an array or object');
         }
 
-        this.validateHeaders(headers);
-
-        return {
-            data,
-            headers,
-            metadata: {
-                totalRows: data.length,
-                totalColumns: headers.length,
-                originalFormat: 'json'
+        this.labels = this.vectors.map(vector => this.findNearest(vector, this.centroids).index);
+
+        // Remove prototypes that lost all their points and relabel contiguously
+        const sizes = new Array(this.centroids.length).fill(0);
+        this.labels.forEach(label => sizes[label]++);
+        const remap = [];
+        const kept = [];
+        sizes.forEach((size, index) => {
+            if (size > 0) {
+                remap[index] = kept.length;
+                kept.push(this.centroids[index]);
             }
-        };
-    }
+        });
 
-    /**
-     * Parse Excel content (placeholder - requires external library)
-     * @param {ArrayBuffer} content - Excel content
-     * @param {Object} options - Parsing options
-     * @returns {Promise<Object>} Parsed Excel data
-     */
-    async parseExcel(content, options = {}) {
-        // This would require a library like SheetJS (xlsx)
-        // For now, throw an error suggesting CSV export
-        throw new Error('Excel parsing requires additional libraries. Please export your data as CSV format.');
+        this.centroids = kept;
+        this.labels = this.labels.map(label => remap[label]);
+        this.numClusters = kept.length;
     }
 
     /**
-     * Parse and normalize value based on type detection
-     * @param {String} value - Raw value
-     * @returns {*} Parsed value
+     * Compute per-point confidence and quality scores.
+     * Confidence is the margin between the nearest and second nearest prototype.
+     * Quality is a silhouette over mean squared distances, which can be computed
+     * exactly from each cluster's second moment without pairwise distances.
      */
-    parseValue(value) {
-        if (value === null || value === undefined) {
-            return null;
-        }
-
-        const stringValue = String(value).trim();
-        
-        // Handle empty values
-        if (stringValue === '' || stringValue.toLowerCase() === 'null' || stringValue.toLowerCase() === 'na') {
-            return null;
+    scorePoints() {
+        const k = this.numClusters;
+        const sizes = new Array(k).fill(0);
+        const spread = new Array(k).fill(0);
+
+        for (let i = 0; i < this.n; i++) {
+            const label = this.labels[i];
+            sizes[label]++;
+            spread[label] += this.squaredDistance(this.vectors[i], this.centroids[label]);
         }
+        for (let c = 0; c < k; c++) spread[c] = sizes[c] > 0 ? spread[c] / sizes[c] : 0;
+
+        this.confidences = new Array(this.n);
+        this.qualityScores = new Array(this.n);
+        let inertia = 0;
+
+        for (let i = 0; i < this.n; i++) {
+            const vector = this.vectors[i];
+            const own = this.labels[i];
+            const distances = this.centroids.map(centroid => this.squaredDistance(vector, centroid));
+            inertia += distances[own];
+
+            let nearestOther = Infinity;
+            let nearestOtherSpread = 0;
+            for (let c = 0; c < k; c++) {
+                if (c !== own && distances[c] < nearestOther) {
+                    nearestOther = distances[c];
+                    nearestOtherSpread = spread[c];
+                }
+            }
 
-        // Boolean detection
-        const lowerValue = stringValue.toLowerCase();
-        if (lowerValue === 'true' || lowerValue === 'yes' || lowerValue === '1') {
-            return true;
-        }
-        if (lowerValue === 'false' || lowerValue === 'no' || lowerValue === '0') {
-            return false;
-        }
+            if (k < 2) {
+                this.confidences[i] = 1;
+                this.qualityScores[i] = 0;
+                continue;
+            }
 
-        // Number detection
-        const numberValue = Number(stringValue);
-        if (!isNaN(numberValue) && isFinite(numberValue)) {
-            return numberValue;
-        }
+            const d1 = Math.sqrt(distances[own]);
+            const d2 = Math.sqrt(nearestOther);
+            this.confidences[i] = d2 > 0 ? 1 - d1 / d2 : 0;
 
-        // Date detection (basic)
-        const dateValue = Date.parse(stringValue);
-        if (!isNaN(dateValue)) {
-            return new Date(dateValue);
+            const a = Math.sqrt(distances[own] + spread[own]);
+            const b = Math.sqrt(nearestOther + nearestOtherSpread);
+            this.qualityScores[i] = Math.max(a, b) > 0 ? (b - a) / Math.max(a, b) : 0;
         }
 
-        // Return as string
-        return stringValue;
+        const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+        this.metrics.inertia = inertia;
+        this.metrics.silhouetteScore = mean(this.qualityScores);
+        this.confidence = mean(this.confidences);
+        this.qualityScore = Math.max(0, this.metrics.silhouetteScore);
     }
 
     /**
-     * Validate headers for clustering compatibility
-     * @param {Array} headers - Column headers
+     * Silhouette score on a (small) sample
      */
-    validateHeaders(headers) {
-        if (!Array.isArray(headers) || headers.length === 0) {
-            throw new Error('No valid headers found');
-        }
+    calculateSilhouette(vectors, labels, k) {
+        if (k < 2) return 0;
+
+        let total = 0;
+        for (let i = 0; i < vectors.length; i++) {
+            const sums = new Array(k).fill(0);
+            const counts = new Array(k).fill(0);
+
+            for (let j = 0; j < vectors.length; j++) {
+                if (i === j) continue;
+                sums[labels[j]] += Math.sqrt(this.squaredDistance(vectors[i], vectors[j]));
+                counts[labels[j]]++;
+            }
 
-        // Check for duplicate headers
-        const duplicates = headers.filter((header, index) => headers.indexOf(header) !== index);
-        if (duplicates.length > 0) {
-            throw new Error(`Duplicate headers found: ${duplicates.join(', ')}`);
-        }
+            const own = labels[i];
+            if (counts[own] === 0) continue; // Singleton clusters score 0
+
+            const a = sums[own] / counts[own];
+            let b = Infinity;
+            for (let c = 0; c < k; c++) {
+                if (c !== own && counts[c] > 0) b = Math.min(b, sums[c] / counts[c]);
+            }
 
-        // Check for invalid header names
-        const invalidHeaders = headers.filter(header => 
-            typeof header !== 'string' || header.trim() === '' || header.length > 100
-        );
-        if (invalidHeaders.length > 0) {
-            throw new Error('Invalid header names detected');
+            if (b !== Infinity) total += (b - a) / Math.max(a, b);
         }
+
+        return total / vectors.length;
     }
 
     /**
-     * Get data summary for visualization
-     * @param {Array} data - Parsed data
-     * @param {Array} headers - Column headers
-     * @returns {Object} Data summary
+     * Mean of assigned vectors per prototype, keeping empty prototypes in place
      */
-    getDataSummary(data, headers) {
-        if (!data || data.length === 0) {
-            return { error: 'No data to summarize' };
+    computeMeans(vectors, labels, previous) {
+        const sums = previous.map(() => new Array(this.dimensions).fill(0));
+        const counts = new Array(previous.length).fill(0);
+
+        for (let i = 0; i < vectors.length; i++) {
+            const label = labels[i];
+            counts[label]++;
+            for (let d = 0; d < this.dimensions; d++) sums[label][d] += vectors[i][d];
         }
 
-        const summary = {
-            totalRows: data.length,
-            totalColumns: headers.length,
-            columns: {}
-        };
-
-        headers.forEach(header => {
-            const values = data.map(row => row[header]).filter(val => val !== null && val !== undefined);
-            const nonNullCount = values.length;
-            const nullCount = data.length - nonNullCount;
-
-            const columnSummary = {
-                name: header,
-                type: this.detectColumnType(values),
-                nullCount,
-                nonNullCount,
-                nullPercentage: Math.round((nullCount / data.length) * 100)
-            };
-
-            // Type-specific statistics
-            if (columnSummary.type === 'number') {
-                const numericValues = values.filter(val => typeof val === 'number');
-                if (numericValues.length > 0) {
-                    columnSummary.min = Math.min(...numericValues);
-                    columnSummary.max = Math.max(...numericValues);
-                    columnSummary.mean = numericValues.reduce((sum, val) => sum + val, 0) / numericValues.length;
-                    columnSummary.median = this.calculateMedian(numericValues);
-                }
-            } else if (columnSummary.type === 'string') {
-                const uniqueValues = [...new Set(values)];
-                columnSummary.uniqueCount = uniqueValues.length;
-                columnSummary.mostCommon = this.getMostCommonValue(values);
-            }
-
-            summary.columns[header] = columnSummary;
-        });
-
-        return summary;
+        return sums.map((sum, c) => counts[c] > 0 ? sum.map(value => value / counts[c]) : [...previous[c]]);
     }
 
     /**
-     * Detect column data type
-     * @param {Array} values - Column values
-     * @returns {String} Detected type
+     * Largest prototype displacement between two iterations
      */
-    detectColumnType(values) {
-        if (values.length === 0) return 'unknown';
-
-        const types = values.map(val => {
-            if (typeof val === 'number') return 'number';
-            if (typeof val === 'boolean') return 'boolean';
-            if (val instanceof Date) return 'date';
-            return 'string';
-        });
-
-        // Return the most common type
-        const typeCounts = types.reduce((acc, type) => {
-            acc[type] = (acc[type] || 0) + 1;
-            return acc;
-        }, {});
-
-        return Object.keys(typeCounts).reduce((a, b) => 
-            typeCounts[a] > typeCounts[b] ? a : b
-        );
+    maxShift(oldCentroids, newCentroids) {
+        let shift = 0;
+        for (let c = 0; c < oldCentroids.length; c++) {
+            shift = Math.max(shift, Math.sqrt(this.squaredDistance(oldCentroids[c], newCentroids[c])));
+        }
+        return shift;
     }
 
     /**
-     * Calculate median value
-     * @param {Array} values - Numeric values
-     * @returns {Number} Median value
+     * Find the nearest prototype to a vector
      */
-    calculateMedian(values) {
-        const sorted = [...values].sort((a, b) => a - b);
-        const mid = Math.floor(sorted.length / 2);
-        return sorted.length % 2 === 0 
-            ? (sorted[mid - 1] + sorted[mid]) / 2 
-            : sorted[mid];
+    findNearest(vector, centroids) {
+        let index = 0;
+        let distance = Infinity;
+        for (let c = 0; c < centroids.length; c++) {
+            const d = this.squaredDistance(vector, centroids[c]);
+            if (d < distance) {
+                distance = d;
+                index = c;
+            }
+        }
+        return { index, distance };
     }
 
     /**
-     * Get most common value in array
-     * @param {Array} values - Values to analyze
-     * @returns {*} Most common value
+     * Squared Euclidean distance
      */
-    getMostCommonValue(values) {
-        const counts = values.reduce((acc, val) => {
-            acc[val] = (acc[val] || 0) + 1;
-            return acc;
-        }, {});
-
-        return Object.keys(counts).reduce((a, b) => 
-            counts[a] > counts[b] ? a : b
-        );
+    squaredDistance(a, b) {
+        let sum = 0;
+        for (let d = 0; d < a.length; d++) {
+            const diff = a[d] - b[d];
+            sum += diff * diff;
+        }
+        return sum;
     }
 
     /**
-     * Export data to different formats
-     * @param {Array} data - Data to export
-     * @param {Array} headers - Column headers
-     * @param {String} format - Export format
-     * @returns {String} Formatted data
+     * Random sample without replacement (whole set if small enough)
      */
-    exportData(data, headers, format = 'csv') {
-        switch (format.toLowerCase()) {
-            case 'csv':
-                return this.exportToCSV(data, headers);
-            case 'json':
-                return this.exportToJSON(data);
-            case 'tsv':
-                return this.exportToCSV(data, headers, '\t');
-            default:
-                throw new Error(`Unsupported export format: ${format}`);
+    sampleVectors(vectors, size) {
+        if (vectors.length <= size) return vectors;
+
+        const indices = Array.from({ length: vectors.length }, (_, i) => i);
+        for (let i = 0; i < size; i++) {
+            const j = i + Math.floor(this.rng() * (indices.length - i));
+            [indices[i], indices[j]] = [indices[j], indices[i]];
         }
+        return indices.slice(0, size).map(i => vectors[i]);
     }
 
     /**
-     * Export data to CSV format
-     * @param {Array} data - Data to export
-     * @param {Array} headers - Column headers
-     * @param {String} delimiter - Field delimiter
-     * @returns {String} CSV string
+     * Report progress through the onProgress callback
      */
-    exportToCSV(data, headers, delimiter = ',') {
-        const csvLines = [];
-        
-        // Add headers
-        csvLines.push(headers.map(header => this.escapeCSVValue(header, delimiter)).join(delimiter));
-        
-        // Add data rows
-        data.forEach(row => {
-            const values = headers.map(header => {
-                const value = row[header];
-                return this.escapeCSVValue(value, delimiter);
+    reportProgress(phase) {
+        this.currentStep = Math.min(this.currentStep + 1, this.totalSteps);
+
+        if (typeof this.options.onProgress === 'function') {
+            this.options.onProgress({
+                phase,
+                iteration: this.currentStep,
+                maxIterations: this.totalSteps,
+                progress: Math.round(this.currentStep / this.totalSteps * 100),
+                clusters: this.numClusters
             });
-            csvLines.push(values.join(delimiter));
-        });
-        
-        return csvLines.join('\n');
+        }
     }
 
     /**
-     * Export data to JSON format
-     * @param {Array} data - Data to export
-     * @returns {String} JSON string
+     * Reset algorithm state
      */
-    exportToJSON(data) {
-        return JSON.stringify(data, null, 2);
+    reset() {
+        this.centroids = [];
+        this.labels = [];
+        this.confidences = [];
+        this.qualityScores = [];
+        this.numClusters = 0;
+        this.iterations = 0;
+        this.converged = false;
+        this.currentStep = 0;
+        this.featureStats = null;
+        this.metrics.estimation = [];
     }
 
     /**
-     * Escape CSV value with quotes if necessary
-     * @param {*} value - Value to escape
-     * @param {String} delimiter - Field delimiter
-     * @returns {String} Escaped value
+     * Get clustering results (centroids in original feature space)
      */
-    escapeCSVValue(value, delimiter = ',') {
-        if (value === null || value === undefined) {
-            return '';
-        }
+    getResults() {
+        const clusterSizes = new Array(this.numClusters).fill(0);
+        this.labels.forEach(label => clusterSizes[label]++);
 
-        const stringValue = String(value);
-        
-        // Check if value needs quoting
-        if (stringValue.includes(delimiter) || stringValue.includes('"') || stringValue.includes('\n')) {
-            // Escape quotes by doubling them
-            const escapedValue = stringValue.replace(/"/g, '""');
-            return `"${escapedValue}"`;
-        }
-        
-        return stringValue;
+        const round = value => Math.round(value * 10000) / 10000;
+
+        return {
+            centroids: this.centroids.map(centroid => this.denormalize(centroid)),
+            labels: this.labels,
+            confidences: this.confidences.map(round),
+            qualityScores: this.qualityScores.map(round),
+            uncertainPoints: this.confidences
+                .map((confidence, index) => confidence < this.options.confidenceThreshold ? index : -1)
+                .filter(index => index !== -1),
+            numClusters: this.numClusters,
+            clusterSizes,
+            qualityScore: round(this.qualityScore),
+            confidence: round(this.confidence),
+            silhouetteScore: round(this.metrics.silhouetteScore),
+            inertia: this.metrics.inertia,
+            iterations: this.iterations,
+            converged: this.converged,
+            executionTime: this.executionTime,
+            metrics: this.metrics
+        };
     }
-}
 
-// Create singleton instance
-export const dataParser = new DataParser();
+    /**
+     * Seeded random number generator for reproducible results
+     */
+    seededRandom(seed) {
+        let s = seed;
+        return function() {
+            s = Math.sin(s) * 10000;
+            return s - Math.floor(s);
+        };
+    }
+}
 
-// Export for direct use
-export default DataParser;
\ No newline at end of file
+export default NCSAlgorithm;
@@ -0,0 +1,488 @@
+/**
+ * OPTICS (Ordering Points To Identify the Clustering Structure) Implementation
+ * Computes a cluster ordering with core and reachability distances once; clusters are then
+ * extracted from the ordering, either with the ξ (xi) steepness method or DBSCAN-style at any
+ * eps up to maxEps, so changing the extraction never recomputes the ordering.
+ */
+
+import { createSpatialIndex } from './SpatialIndex.js';
+
+export const EXTRACTION_METHODS = ['xi', 'dbscan'];
+
+/**
+ * Binary min-heap of [reachability, index] with lazy deletion of outdated entries
+ */
+class SeedQueue {
+    constructor() {
+        this.heap = [];
+    }
+
+    get size() {
+        return this.heap.length;
+    }
+
+    push(reachability, index) {
+        const heap = this.heap;
+        heap.push([reachability, index]);
+
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (!this.less(heap[i], heap[parent])) break;
+            [heap[i], heap[parent]] = [heap[parent], heap[i]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const heap = this.heap;
+        const top = heap[0];
+        const last = heap.pop();
+
+        if (heap.length > 0) {
+            heap[0] = last;
+            let i = 0;
+            while (true) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < heap.length && this.less(heap[left], heap[smallest])) smallest = left;
+                if (right < heap.length && this.less(heap[right], heap[smallest])) smallest = right;
+                if (smallest === i) break;
+                [heap[i], heap[smallest]] = [heap[smallest], heap[i]];
+                i = smallest;
+            }
+        }
+
+        return top;
+    }
+
+    // Ties go to the lower index so the ordering is deterministic
+    less(a, b) {
+        return a[0] < b[0] || (a[0] === b[0] && a[1] < b[1]);
+    }
+}
+
+/**
+ * DBSCAN-style labels from an OPTICS ordering: a point starts a new cluster when it is not
+ * reachable within eps but is a core point at eps; unreachable non-core points are noise (-1)
+ * @param {Object} result - { ordering, reachability, coreDistances }
+ * @param {Number} eps - Extraction radius, at most the maxEps used for the ordering
+ * @returns {Array<Number>} Labels by point index
+ */
+export function extractDBSCANLabels({ ordering, reachability, coreDistances }, eps) {
+    const labels = new Array(ordering.length).fill(-1);
+    let label = -1;
+
+    ordering.forEach(index => {
+        if (reachability[index] > eps) {
+            if (coreDistances[index] <= eps) {
+                label++;
+                labels[index] = label;
+            }
+        } else {
+            labels[index] = label;
+        }
+    });
+
+    return labels;
+}
+
+/**
+ * ξ-steep clusters of a reachability plot (Ankerst et al., with the predecessor correction of
+ * Schubert & Gertz). Clusters are [start, end] ranges of ordering positions, nested clusters
+ * before the clusters that contain them.
+ * @param {Object} result - { ordering, reachability, predecessor }
+ * @param {Object} options - { xi, minSamples, minClusterSize, predecessorCorrection }
+ * @returns {Array<Object>} [{ start, end }]
+ */
+export function extractXiClusters({ ordering, reachability, predecessor }, options = {}) {
+    const { xi = 0.05, minSamples = 5, predecessorCorrection = true } = options;
+    const minClusterSize = options.minClusterSize || minSamples;
+    const n = ordering.length;
+    const xiComplement = 1 - xi;
+
+    // Plot values in ordering order, with a closing Infinity so every valley has a right edge
+    const plot = ordering.map(index => reachability[index]);
+    plot.push(Infinity);
+    const plotPredecessor = ordering.map(index => predecessor[index]);
+
+    // Infinity / Infinity is NaN, which counts as neither up nor down
+    const ratio = Array.from({ length: n }, (_, i) => plot[i] / plot[i + 1]);
+    const steepUp = ratio.map(value => value <= xiComplement);
+    const steepDown = ratio.map(value => value >= 1 / xiComplement);
+    const down = ratio.map(value => value > 1);
+    const up = ratio.map(value => value < 1);
+
+    // A steep area continues through at most minSamples consecutive points that are not steep
+    // but do not turn back either; a point going the reverse way ends it
+    const extendRegion = (steep, reverse, start) => {
+        let nonSteep = 0;
+        let end = start;
+        for (let i = start; i < n; i++) {
+            if (steep[i]) {
+                nonSteep = 0;
+                end = i;
+            } else if (!reverse[i]) {
+                nonSteep++;
+                if (nonSteep > minSamples) break;
+            } else {
+                break;
+            }
+        }
+        return end;
+    };
+
+    // Drop steep down areas that the plot has since risen above, and raise the others' maximum in between
+    const filterDownAreas = (areas, mib) => {
+        if (!Number.isFinite(mib)) return [];
+        const kept = areas.filter(area => mib <= plot[area.start] * xiComplement);
+        kept.forEach(area => {
+            area.mib = Math.max(area.mib, mib);
+        });
+        return kept;
+    };
+
+    // Shrink the cluster from the right until its last point's predecessor lies inside it
+    const correctPredecessor = (start, end) => {
+        while (start < end) {
+            if (plot[start] > plot[end]) return [start, end];
+            const endPredecessor = plotPredecessor[end];
+            for (let i = start; i < end; i++) {
+                if (ordering[i] === endPredecessor) return [start, end];
+            }
+            end--;
+        }
+        return null;
+    };
+
+    let downAreas = [];
+    const clusters = [];
+    let index = 0;
+    let mib = 0; // Maximum reachability in between
+
+    for (let steepIndex = 0; steepIndex < n; steepIndex++) {
+        if (!steepUp[steepIndex] && !steepDown[steepIndex]) continue;
+        if (steepIndex < index) continue;
+
+        for (let i = index; i <= steepIndex; i++) {
+            mib = Math.max(mib, plot[i]);
+        }
+        downAreas = filterDownAreas(downAreas, mib);
+
+        if (steepDown[steepIndex]) {
+            const end = extendRegion(steepDown, up, steepIndex);
+            downAreas.push({ start: steepIndex, end, mib: 0 });
+            index = end + 1;
+            mib = plot[index];
+            continue;
+        }
+
+        const upStart = steepIndex;
+        const upEnd = extendRegion(steepUp, down, upStart);
+        index = upEnd + 1;
+        mib = plot[index];
+
+        const upClusters = [];
+        downAreas.forEach(area => {
+            let start = area.start;
+            let end = upEnd;
+
+            // The valley must end above the highest point inside it
+            if (plot[end + 1] * xiComplement < area.mib) return;
+
+            // Trim the higher side so both edges sit at about the same level
+            const downMax = plot[area.start];
+            if (downMax * xiComplement >= plot[end + 1]) {
+                while (plot[start + 1] > plot[end + 1] && start < area.end) start++;
+            } else if (plot[end + 1] * xiComplement >= downMax) {
+                while (plot[end - 1] > downMax && end > upStart) end--;
+            }
+
+            if (predecessorCorrection) {
+                const corrected = correctPredecessor(start, end);
+                if (!corrected) return;
+                [start, end] = corrected;
+            }
+
+            if (end - start + 1 < minClusterSize) return;
+            if (start > area.end || end < upStart) return;
+
+            upClusters.push({ start, end });
+        });
+
+        // Areas further in are the smaller clusters, which go first
+        clusters.push(...upClusters.reverse());
+    }
+
+    return clusters;
+}
+
+/**
+ * Flat labels from ξ clusters: the smallest clusters win, larger ones only label points left over
+ * @param {Array<Number>} ordering - Cluster ordering
+ * @param {Array<Object>} clusters - [{ start, end }] from extractXiClusters
+ * @returns {Array<Number>} Labels by point index, -1 for noise
+ */
+export function extractXiLabels(ordering, clusters) {
+    const ordered = new Array(ordering.length).fill(-1);
+    let label = 0;
+
+    clusters.forEach(({ start, end }) => {
+        for (let i = start; i <= end; i++) {
+            if (ordered[i] !== -1) return;
+        }
+        ordered.fill(label, start, end + 1);
+        label++;
+    });
+
+    const labels = new Array(ordering.length);
+    ordering.forEach((index, position) => {
+        labels[index] = ordered[position];
+    });
+    return labels;
+}
+
+export class OPTICS {
+    constructor(options = {}) {
+        this.options = {
+            minSamples: 5, // Neighbours (the point included) needed for a core point
+            maxEps: Infinity, // Largest radius searched; smaller is faster but caps DBSCAN extraction
+            metric: 'euclidean', // 'euclidean', 'manhattan' or 'chebyshev'
+            clusterMethod: 'xi', // 'xi' or 'dbscan'
+            xi: 0.05, // Minimum relative steepness of a cluster boundary
+            eps: null, // Radius for 'dbscan' extraction, defaults to maxEps
+            minClusterSize: null, // Smallest ξ cluster, defaults to minSamples
+            predecessorCorrection: true,
+            onProgress: null, // ({ phase, iteration, maxIterations, progress }) => void
+            debug: false,
+            ...options
+        };
+
+        if (!EXTRACTION_METHODS.includes(this.options.clusterMethod)) {
+            throw new Error(`Unknown cluster extraction method: ${this.options.clusterMethod}`);
+        }
+        if (!Number.isInteger(this.options.minSamples) || this.options.minSamples < 1) {
+            throw new Error('minSamples must be a positive integer');
+        }
+
+        // Algorithm state
+        this.ordering = [];
+        this.reachability = [];
+        this.coreDistances = [];
+        this.predecessor = [];
+        this.labels = [];
+        this.xiClusters = [];
+        this.spatialIndex = null;
+        this.executionTime = 0;
+    }
+
+    /**
+     * Compute the ordering and extract clusters
+     * @param {Array} data - Array of numeric vectors
+     * @returns {Object} Clustering results
+     */
+    fit(data) {
+        const startTime = performance.now();
+
+        this.validateInput(data);
+        this.computeCoreDistances(data);
+        this.computeOrdering(data);
+
+        if (this.options.clusterMethod === 'dbscan') {
+            this.extractDBSCAN(this.options.eps ?? this.options.maxEps);
+        } else {
+            this.extractXi();
+        }
+
+        this.executionTime = performance.now() - startTime;
+
+        if (this.options.debug) {
+            console.log('✅ OPTICS completed', {
+                clusters: this.getNumClusters(),
+                noise: this.labels.filter(label => label === -1).length,
+                executionTime: `${this.executionTime.toFixed(2)}ms`
+            });
+        }
+
+        return this.getResults();
+    }
+
+    /**
+     * Distance to the minSamples-th nearest neighbour, Infinity beyond maxEps
+     */
+    computeCoreDistances(data) {
+        const k = Math.min(this.options.minSamples, data.length);
+        this.spatialIndex = createSpatialIndex(data, { metric: this.options.metric });
+        this.coreDistances = new Array(data.length);
+
+        for (let i = 0; i < data.length; i++) {
+            const neighbors = this.spatialIndex.knnQuery(data[i], k);
+            const distance = neighbors[neighbors.length - 1].distance;
+            this.coreDistances[i] = distance <= this.options.maxEps ? distance : Infinity;
+
+            if (i % 500 === 0) {
+                this.reportProgress('core_distances', i, data.length);
+            }
+        }
+    }
+
+    /**
+     * Expand from each unprocessed point, always visiting the closest reachable point next
+     */
+    computeOrdering(data) {
+        const n = data.length;
+        const distance = this.spatialIndex.distance;
+        const processed = new Uint8Array(n);
+
+        this.ordering = [];
+        this.reachability = new Array(n).fill(Infinity);
+        this.predecessor = new Array(n).fill(-1);
+
+        const expand = (point) => {
+            processed[point] = 1;
+            this.ordering.push(point);
+
+            if (this.ordering.length % 500 === 0) {
+                this.reportProgress('ordering', this.ordering.length, n);
+            }
+
+            const coreDistance = this.coreDistances[point];
+            if (!Number.isFinite(coreDistance)) return;
+
+            this.spatialIndex.rangeQuery(data[point], this.options.maxEps).forEach(neighbor => {
+                if (processed[neighbor]) return;
+
+                const reachability = Math.max(coreDistance, distance(data[point], data[neighbor]));
+                if (reachability < this.reachability[neighbor]) {
+                    this.reachability[neighbor] = reachability;
+                    this.predecessor[neighbor] = point;
+                    seeds.push(reachability, neighbor);
+                }
+            });
+        };
+
+        const seeds = new SeedQueue();
+
+        for (let start = 0; start < n; start++) {
+            if (processed[start]) continue;
+            expand(start);
+
+            while (seeds.size > 0) {
+                const [reachability, point] = seeds.pop();
+                // Skip entries superseded by a smaller reachability
+                if (processed[point] || reachability !== this.reachability[point]) continue;
+                expand(point);
+            }
+        }
+    }
+
+    /**
+     * Re-extract DBSCAN-style clusters at a new radius from the stored ordering
+     * @param {Number} eps - Extraction radius, at most maxEps
+     * @returns {Array<Number>} Labels by point index
+     */
+    extractDBSCAN(eps) {
+        if (eps > this.options.maxEps) {
+            throw new Error(`eps (${eps}) cannot exceed the maxEps (${this.options.maxEps}) of the ordering`);
+        }
+
+        this.options.clusterMethod = 'dbscan';
+        this.options.eps = eps;
+        this.xiClusters = [];
+        this.labels = extractDBSCANLabels(this, eps);
+        return this.labels;
+    }
+
+    /**
+     * Re-extract ξ clusters from the stored ordering
+     * @param {Object} options - Overrides for xi, minClusterSize and predecessorCorrection
+     * @returns {Array<Number>} Labels by point index
+     */
+    extractXi(options = {}) {
+        Object.assign(this.options, options, { clusterMethod: 'xi' });
+
+        this.xiClusters = extractXiClusters(this, {
+            xi: this.options.xi,
+            minSamples: this.options.minSamples,
+            minClusterSize: this.options.minClusterSize,
+            predecessorCorrection: this.options.predecessorCorrection
+        });
+        this.labels = extractXiLabels(this.ordering, this.xiClusters);
+        return this.labels;
+    }
+
+    /**
+     * Reachability plot values in cluster order
+     * @returns {Array<Object>} [{ index, reachability, coreDistance }]
+     */
+    getReachabilityPlot() {
+        return this.ordering.map(index => ({
+            index,
+            reachability: this.reachability[index],
+            coreDistance: this.coreDistances[index]
+        }));
+    }
+
+    getNumClusters() {
+        return this.labels.reduce((max, label) => Math.max(max, label + 1), 0);
+    }
+
+    validateInput(data) {
+        if (!Array.isArray(data) || data.length === 0) {
+            throw new Error('Data must be a non-empty array');
+        }
+
+        const dimensions = data[0].length;
+        if (!dimensions) {
+            throw new Error('Data points must be numeric vectors');
+        }
+        if (data.some(point => point.length !== dimensions || point.some(value => !Number.isFinite(value)))) {
+            throw new Error('All data points must be finite vectors of the same length');
+        }
+    }
+
+    reportProgress(phase, iteration, maxIterations) {
+        if (this.options.onProgress) {
+            this.options.onProgress({
+                phase,
+                iteration,
+                maxIterations,
+                progress: maxIterations > 0 ? iteration / maxIterations : 1
+            });
+        }
+    }
+
+    getResults() {
+        const numClusters = this.getNumClusters();
+        const clusterSizes = new Array(numClusters).fill(0);
+        this.labels.forEach(label => {
+            if (label >= 0) clusterSizes[label]++;
+        });
+
+        return {
+            labels: this.labels,
+            ordering: this.ordering,
+            reachability: this.reachability,
+            coreDistances: this.coreDistances,
+            predecessor: this.predecessor,
+            xiClusters: this.xiClusters,
+            numClusters,
+            numNoise: this.labels.filter(label => label === -1).length,
+            clusterSizes,
+            parameters: {
+                minSamples: this.options.minSamples,
+                maxEps: this.options.maxEps,
+                metric: this.options.metric,
+                clusterMethod: this.options.clusterMethod,
+                xi: this.options.xi,
+                eps: this.options.eps,
+                minClusterSize: this.options.minClusterSize || this.options.minSamples,
+                predecessorCorrection: this.options.predecessorCorrection
+            },
+            executionTime: this.executionTime
+        };
+    }
+}
+
+export default OPTICS;
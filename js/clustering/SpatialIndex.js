@@ -0,0 +1,361 @@
+/**
+ * Spatial Indexing for Neighbor Queries
+ * KD-tree for low-dimensional data, ball tree for higher dimensions and
+ * a brute-force fallback for non-metric distances. Shared by DBSCAN and the clustering worker.
+ */
+
+/**
+ * Supported distance metrics (all satisfy the triangle inequality)
+ */
+const METRICS = {
+    euclidean(a, b) {
+        let sum = 0;
+        for (let d = 0; d < a.length; d++) {
+            const diff = a[d] - b[d];
+            sum += diff * diff;
+        }
+        return Math.sqrt(sum);
+    },
+
+    manhattan(a, b) {
+        let sum = 0;
+        for (let d = 0; d < a.length; d++) {
+            sum += Math.abs(a[d] - b[d]);
+        }
+        return sum;
+    },
+
+    chebyshev(a, b) {
+        let max = 0;
+        for (let d = 0; d < a.length; d++) {
+            max = Math.max(max, Math.abs(a[d] - b[d]));
+        }
+        return max;
+    }
+};
+
+/**
+ * Sorted candidate list for k-nearest-neighbor queries
+ */
+class NeighborList {
+    constructor(k) {
+        this.k = k;
+        this.items = [];
+    }
+
+    get worst() {
+        return this.items.length < this.k ? Infinity : this.items[this.items.length - 1].distance;
+    }
+
+    push(index, distance) {
+        if (distance >= this.worst) return;
+
+        let pos = this.items.length;
+        while (pos > 0 && this.items[pos - 1].distance > distance) pos--;
+        this.items.splice(pos, 0, { index, distance });
+
+        if (this.items.length > this.k) this.items.pop();
+    }
+}
+
+/**
+ * Base class for binary space-partitioning trees.
+ * Subclasses provide the node bound and its lower-bound distance.
+ */
+class SpatialTree {
+    constructor(points, options = {}) {
+        this.points = points;
+        this.metric = options.metric || 'euclidean';
+        this.leafSize = options.leafSize || 16;
+        this.distance = METRICS[this.metric];
+
+        if (!this.distance) {
+            throw new Error(`Unsupported metric for spatial tree: ${this.metric}`);
+        }
+
+        this.dimensions = points.length > 0 ? points[0].length : 0;
+        this.indices = new Int32Array(points.length);
+        for (let i = 0; i < points.length; i++) this.indices[i] = i;
+
+        this.root = points.length > 0 ? this.buildNode(0, points.length) : null;
+    }
+
+    get size() {
+        return this.points.length;
+    }
+
+    /**
+     * Recursively build a node over indices[start, end)
+     */
+    buildNode(start, end) {
+        const node = { start, end, left: null, right: null };
+        this.computeBound(node);
+
+        if (end - start <= this.leafSize) {
+            return node;
+        }
+
+        const dim = this.widestDimension(start, end);
+        const mid = (start + end) >> 1;
+        this.select(start, end - 1, mid, dim);
+
+        node.left = this.buildNode(start, mid);
+        node.right = this.buildNode(mid, end);
+        return node;
+    }
+
+    /**
+     * Dimension with the largest spread in a range
+     */
+    widestDimension(start, end) {
+        let bestDim = 0;
+        let bestSpread = -1;
+
+        for (let d = 0; d < this.dimensions; d++) {
+            let min = Infinity;
+            let max = -Infinity;
+            for (let i = start; i < end; i++) {
+                const value = this.points[this.indices[i]][d];
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+            if (max - min > bestSpread) {
+                bestSpread = max - min;
+                bestDim = d;
+            }
+        }
+
+        return bestDim;
+    }
+
+    /**
+     * Quickselect so that indices[k] holds the median along dim
+     */
+    select(left, right, k, dim) {
+        const indices = this.indices;
+        const value = i => this.points[indices[i]][dim];
+
+        while (right > left) {
+            const pivot = value((left + right) >> 1);
+            let i = left;
+            let j = right;
+
+            while (i <= j) {
+                while (value(i) < pivot) i++;
+                while (value(j) > pivot) j--;
+                if (i <= j) {
+                    const tmp = indices[i];
+                    indices[i] = indices[j];
+                    indices[j] = tmp;
+                    i++;
+                    j--;
+                }
+            }
+
+            if (k <= j) right = j;
+            else if (k >= i) left = i;
+            else break;
+        }
+    }
+
+    /**
+     * Find all points within radius of the query
+     * @param {Array} query - Query vector
+     * @param {Number} radius - Search radius (inclusive)
+     * @returns {Array<Number>} Indices of points within radius
+     */
+    rangeQuery(query, radius) {
+        const result = [];
+        if (!this.root) return result;
+
+        const stack = [this.root];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (this.minDistance(node, query) > radius) continue;
+
+            if (node.left === null) {
+                for (let i = node.start; i < node.end; i++) {
+                    const index = this.indices[i];
+                    if (this.distance(query, this.points[index]) <= radius) {
+                        result.push(index);
+                    }
+                }
+            } else {
+                stack.push(node.left, node.right);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Find the k nearest points to the query
+     * @param {Array} query - Query vector
+     * @param {Number} k - Number of neighbors
+     * @returns {Array<{index: Number, distance: Number}>} Neighbors, nearest first
+     */
+    knnQuery(query, k) {
+        const neighbors = new NeighborList(k);
+        if (this.root) this.searchKnn(this.root, query, neighbors);
+        return neighbors.items;
+    }
+
+    searchKnn(node, query, neighbors) {
+        if (this.minDistance(node, query) >= neighbors.worst) return;
+
+        if (node.left === null) {
+            for (let i = node.start; i < node.end; i++) {
+                const index = this.indices[i];
+                neighbors.push(index, this.distance(query, this.points[index]));
+            }
+            return;
+        }
+
+        // Visit the closer child first to tighten the bound early
+        const leftDistance = this.minDistance(node.left, query);
+        const rightDistance = this.minDistance(node.right, query);
+        const [first, second] = leftDistance <= rightDistance ?
+            [node.left, node.right] :
+            [node.right, node.left];
+
+        this.searchKnn(first, query, neighbors);
+        this.searchKnn(second, query, neighbors);
+    }
+}
+
+/**
+ * KD-tree with axis-aligned bounding boxes
+ */
+export class KDTree extends SpatialTree {
+    computeBound(node) {
+        const min = new Array(this.dimensions).fill(Infinity);
+        const max = new Array(this.dimensions).fill(-Infinity);
+
+        for (let i = node.start; i < node.end; i++) {
+            const point = this.points[this.indices[i]];
+            for (let d = 0; d < this.dimensions; d++) {
+                if (point[d] < min[d]) min[d] = point[d];
+                if (point[d] > max[d]) max[d] = point[d];
+            }
+        }
+
+        node.min = min;
+        node.max = max;
+    }
+
+    /**
+     * Lower bound on the distance from the query to any point in the box
+     */
+    minDistance(node, query) {
+        let sum = 0;
+        let max = 0;
+
+        for (let d = 0; d < this.dimensions; d++) {
+            const gap = query[d] < node.min[d] ? node.min[d] - query[d] :
+                        query[d] > node.max[d] ? query[d] - node.max[d] : 0;
+
+            if (this.metric === 'euclidean') sum += gap * gap;
+            else if (this.metric === 'manhattan') sum += gap;
+            else max = Math.max(max, gap);
+        }
+
+        return this.metric === 'euclidean' ? Math.sqrt(sum) :
+               this.metric === 'manhattan' ? sum : max;
+    }
+}
+
+/**
+ * Ball tree with centroid/radius bounds, better suited to higher dimensions
+ */
+export class BallTree extends SpatialTree {
+    computeBound(node) {
+        const center = new Array(this.dimensions).fill(0);
+        const count = node.end - node.start;
+
+        for (let i = node.start; i < node.end; i++) {
+            const point = this.points[this.indices[i]];
+            for (let d = 0; d < this.dimensions; d++) center[d] += point[d];
+        }
+        for (let d = 0; d < this.dimensions; d++) center[d] /= count;
+
+        let radius = 0;
+        for (let i = node.start; i < node.end; i++) {
+            radius = Math.max(radius, this.distance(center, this.points[this.indices[i]]));
+        }
+
+        node.center = center;
+        node.radius = radius;
+    }
+
+    /**
+     * Lower bound via the triangle inequality
+     */
+    minDistance(node, query) {
+        return Math.max(0, this.distance(query, node.center) - node.radius);
+    }
+}
+
+/**
+ * Linear-scan index for arbitrary distance functions
+ */
+export class BruteForceIndex {
+    constructor(points, options = {}) {
+        this.points = points;
+        this.distance = options.distance || METRICS[options.metric || 'euclidean'];
+
+        if (!this.distance) {
+            throw new Error(`Unsupported metric: ${options.metric}`);
+        }
+    }
+
+    get size() {
+        return this.points.length;
+    }
+
+    rangeQuery(query, radius) {
+        const result = [];
+        for (let i = 0; i < this.points.length; i++) {
+            if (this.distance(query, this.points[i]) <= radius) result.push(i);
+        }
+        return result;
+    }
+
+    knnQuery(query, k) {
+        const neighbors = new NeighborList(k);
+        for (let i = 0; i < this.points.length; i++) {
+            neighbors.push(i, this.distance(query, this.points[i]));
+        }
+        return neighbors.items;
+    }
+}
+
+/**
+ * Create the most suitable index for the data
+ * @param {Array<Array<Number>>} points - Feature vectors
+ * @param {Object} options - Index options
+ * @param {String} options.metric - 'euclidean', 'manhattan' or 'chebyshev'
+ * @param {Function} options.distance - Distance used when the metric is unsupported or brute force is forced
+ * @param {Boolean} options.bruteForce - Always use a linear scan
+ * @param {Number} options.leafSize - Points per leaf
+ * @param {Number} options.kdTreeMaxDimensions - Above this a ball tree is used
+ * @returns {KDTree|BallTree|BruteForceIndex} Spatial index
+ */
+export function createSpatialIndex(points, options = {}) {
+    const metric = options.metric || 'euclidean';
+    const dimensions = points.length > 0 ? points[0].length : 0;
+    const kdTreeMaxDimensions = options.kdTreeMaxDimensions || 8;
+
+    if (options.bruteForce || !METRICS[metric]) {
+        return new BruteForceIndex(points, { metric, distance: options.distance });
+    }
+
+    if (points.length <= (options.leafSize || 16)) {
+        return new BruteForceIndex(points, { metric });
+    }
+
+    return dimensions <= kdTreeMaxDimensions ?
+        new KDTree(points, { ...options, metric }) :
+        new BallTree(points, { ...options, metric });
+}
+
+export default createSpatialIndex;
@@ -3,15 +3,21 @@
  * Interactive API documentation and testing tool
  * 
  * Features:
+ * - Endpoints, parameter forms and examples generated from the OpenAPI document
+ * - Request validation against OpenAPI schemas
  * - Live API endpoint testing
  * - Request/response viewer
  * - Code generation for multiple languages
- * - Authentication handling
+ * - Connection profiles (base URL, credentials, default headers)
  * - Response caching
  */
 
 import { EventBus } from '../core/eventBusNew.js';
-import { APIClient } from '../api/client.js';
+import { EVENTS } from '../config/constants.js';
+import { getEndpointPath } from '../config/api.js';
+import { apiClient } from '../api/client.js';
+import { getConnectionProfiles, AUTH_TYPES, parseHeaderLines, formatHeaderLines } from '../api/profiles.js';
+import { OpenAPISpec } from '../api/openapi.js';
 import { CodeGenerator } from './CodeGenerator.js';
 import { Modal } from './Modal.js';
 import { Toast } from './Toast.js';
@@ -19,21 +25,27 @@ import { Toast } from './Toast.js';
 export class ApiExplorer {
     constructor(container) {
         this.container = container;
-        this.apiClient = new APIClient();
+        this.apiClient = apiClient;
+        this.profiles = getConnectionProfiles();
         this.eventBus = EventBus.getInstance();
         this.codeGenerator = new CodeGenerator();
+        this.handleProfileChange = this.handleProfileChange.bind(this);
         
         this.state = {
             currentEndpoint: null,
             requestData: {},
             responseData: null,
             isLoading: false,
-            authToken: localStorage.getItem('ncs_api_token') || '',
+            profile: null,
+            editingProfileId: null, // null: new profile
             selectedLanguage: 'javascript',
             history: JSON.parse(localStorage.getItem('api_explorer_history') || '[]')
         };
 
-        // API endpoints configuration
+        // Loaded OpenAPI document, if any
+        this.spec = null;
+
+        // Built-in endpoints, replaced once the OpenAPI document loads
         this.endpoints = {
             clustering: {
                 path: '/api/v1/cluster',
@@ -110,7 +122,9 @@ export class ApiExplorer {
     init() {
         this.createLayout();
         this.bindEvents();
+        this.setupProfiles();
         this.loadDefaultEndpoint();
+        this.loadSpecification();
         
         console.log('🔧 API Explorer initialized');
     }
@@ -131,25 +145,60 @@ export class ApiExplorer {
                         </div>
                     </div>
                     
+                    <div class="spec-source">
+                        <span class="spec-source-text" id="spec-source-text">Built-in endpoints</span>
+                        <div class="spec-actions">
+                            <button class="btn btn-sm" id="reload-spec-btn" title="Reload OpenAPI document from the server">Reload</button>
+                            <button class="btn btn-sm" id="load-spec-file-btn" title="Load an OpenAPI 3 JSON file">Load File</button>
+                            <input type="file" id="spec-file-input" accept=".json,application/json" style="display: none;">
+                        </div>
+                    </div>
+                    
                     <div class="endpoints-list" id="endpoints-list">
                         ${this.renderEndpointsList()}
                     </div>
                     
-                    <!-- Authentication Section -->
+                    <!-- Connection Section -->
                     <div class="auth-section">
-                        <h4>🔐 Authentication</h4>
+                        <h4>🔐 Connection</h4>
                         <div class="auth-controls">
-                            <input 
-                                type="password" 
-                                id="auth-token-input" 
-                                placeholder="API Token (optional)"
-                                value="${this.state.authToken}"
-                                class="form-input"
-                            >
-                            <button class="btn btn-sm" id="save-token-btn">Save</button>
+                            <select id="explorer-profile-select" class="form-input" aria-label="Connection profile"></select>
+                            <button class="btn btn-sm" id="edit-profile-btn">Edit</button>
+                            <button class="btn btn-sm" id="new-profile-btn">New</button>
                         </div>
+                        <p class="auth-note" id="profile-summary"></p>
+
+                        <form class="profile-form" id="profile-form" style="display: none;">
+                            <label class="form-label" for="profile-name-input">Name</label>
+                            <input type="text" id="profile-name-input" class="form-input" required>
+
+                            <label class="form-label" for="profile-base-url-input">Base URL</label>
+                            <input type="url" id="profile-base-url-input" class="form-input" placeholder="https://api.example.com/v1" required>
+
+                            <label class="form-label" for="profile-ws-url-input">WebSocket URL</label>
+                            <input type="text" id="profile-ws-url-input" class="form-input" placeholder="Derived from the base URL">
+
+                            <label class="form-label" for="profile-auth-select">Authentication</label>
+                            <select id="profile-auth-select" class="form-input">
+                                <option value="${AUTH_TYPES.NONE}">None</option>
+                                <option value="${AUTH_TYPES.API_KEY}">API key</option>
+                                <option value="${AUTH_TYPES.BEARER}">Bearer token</option>
+                            </select>
+
+                            <input type="password" id="profile-credential-input" class="form-input" autocomplete="off">
+
+                            <label class="form-label" for="profile-headers-input">Default headers</label>
+                            <textarea id="profile-headers-input" class="form-input" rows="3" placeholder="X-Team: analytics"></textarea>
+
+                            <div class="profile-form-actions">
+                                <button type="submit" class="btn btn-sm btn-primary">Save</button>
+                                <button type="button" class="btn btn-sm" id="delete-profile-btn">Delete</button>
+                                <button type="button" class="btn btn-sm" id="cancel-profile-btn">Cancel</button>
+                            </div>
+                        </form>
+
                         <p class="auth-note">
-                            API token is optional for testing. 
+                            Credentials are stored encrypted in this browser. 
                             <a href="#" id="get-token-link">Get your token</a>
                         </p>
                     </div>
@@ -202,6 +251,8 @@ export class ApiExplorer {
                                 </div>
                             </div>
                             
+                            <div class="body-fields params-grid" id="body-fields" style="display: none;"></div>
+                            
                             <div class="code-editor">
                                 <textarea 
                                     id="request-body-editor" 
@@ -211,6 +262,8 @@ export class ApiExplorer {
                                 ></textarea>
                             </div>
                         </div>
+
+                        <div class="validation-errors" id="validation-errors" style="display: none;"></div>
                     </div>
 
                     <!-- Response Section -->
@@ -289,14 +342,34 @@ export class ApiExplorer {
      * Render endpoints list
      */
     renderEndpointsList() {
-        return Object.entries(this.endpoints).map(([key, endpoint]) => `
-            <div class="endpoint-item" data-endpoint="${key}">
+        const renderItem = ([key, endpoint]) => `
+            <div class="endpoint-item${endpoint.deprecated ? ' deprecated' : ''}" data-endpoint="${key}">
                 <div class="endpoint-header">
                     <span class="method-badge method-${endpoint.method.toLowerCase()}">${endpoint.method}</span>
-                    <span class="endpoint-title">${endpoint.title}</span>
+                    <span class="endpoint-title">${this.escapeHTML(endpoint.title)}</span>
                 </div>
-                <div class="endpoint-path">${endpoint.path}</div>
-                <div class="endpoint-desc">${endpoint.description}</div>
+                <div class="endpoint-path">${this.escapeHTML(endpoint.path)}</div>
+                <div class="endpoint-desc">${this.escapeHTML(endpoint.description)}</div>
+            </div>
+        `;
+
+        const entries = Object.entries(this.endpoints);
+        if (!entries.some(([, endpoint]) => endpoint.tag)) {
+            return entries.map(renderItem).join('');
+        }
+
+        // Group OpenAPI operations by their first tag
+        const groups = new Map();
+        entries.forEach(entry => {
+            const tag = entry[1].tag || 'Other';
+            if (!groups.has(tag)) groups.set(tag, []);
+            groups.get(tag).push(entry);
+        });
+
+        return Array.from(groups, ([tag, items]) => `
+            <div class="endpoint-group">
+                <h5 class="endpoint-group-title">${this.escapeHTML(tag)}</h5>
+                ${items.map(renderItem).join('')}
             </div>
         `).join('');
     }
@@ -366,9 +439,34 @@ export class ApiExplorer {
             this.copyResponse();
         });
 
-        // Save token button
-        document.getElementById('save-token-btn').addEventListener('click', () => {
-            this.saveAuthToken();
+        // Connection profiles
+        document.getElementById('explorer-profile-select').addEventListener('change', (e) => {
+            this.switchProfile(e.target.value);
+        });
+
+        document.getElementById('edit-profile-btn').addEventListener('click', () => {
+            this.openProfileForm(this.state.profile);
+        });
+
+        document.getElementById('new-profile-btn').addEventListener('click', () => {
+            this.openProfileForm(null);
+        });
+
+        document.getElementById('profile-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveProfile();
+        });
+
+        document.getElementById('profile-auth-select').addEventListener('change', () => {
+            this.updateCredentialInput();
+        });
+
+        document.getElementById('delete-profile-btn').addEventListener('click', () => {
+            this.deleteProfile();
+        });
+
+        document.getElementById('cancel-profile-btn').addEventListener('click', () => {
+            this.closeProfileForm();
         });
 
         // Toggle headers button
@@ -401,8 +499,88 @@ export class ApiExplorer {
 
         // Request body editor changes
         document.getElementById('request-body-editor').addEventListener('input', () => {
+            this.syncBodyFields();
+            this.validateRequest();
+        });
+
+        // Body field changes are written into the JSON body
+        document.getElementById('body-fields').addEventListener('input', (e) => {
+            if (e.target.dataset.in === 'body') {
+                this.updateBodyField(e.target);
+            }
+        });
+
+        // Parameter changes
+        document.getElementById('params-grid').addEventListener('input', () => {
             this.validateRequest();
         });
+
+        // OpenAPI document loading
+        document.getElementById('reload-spec-btn').addEventListener('click', () => {
+            this.loadSpecification(undefined, { notify: true });
+        });
+
+        document.getElementById('load-spec-file-btn').addEventListener('click', () => {
+            document.getElementById('spec-file-input').click();
+        });
+
+        document.getElementById('spec-file-input').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.loadSpecification(file, { notify: true });
+            }
+            e.target.value = '';
+        });
+    }
+
+    /**
+     * Load the OpenAPI document and rebuild the endpoint list from it
+     * @param {string|File} source - URL or file (defaults to the API's /openapi.json)
+     * @param {Object} options - { notify } to report the outcome with a toast
+     * @returns {Promise<boolean>} True if the document was loaded
+     */
+    async loadSpecification(source, options = {}) {
+        try {
+            const spec = await OpenAPISpec.load(source);
+            const endpoints = spec.getEndpoints();
+            if (Object.keys(endpoints).length === 0) {
+                throw new Error('The document defines no operations');
+            }
+
+            const previous = this.state.currentEndpoint;
+            this.spec = spec;
+            this.endpoints = endpoints;
+            document.getElementById('endpoints-list').innerHTML = this.renderEndpointsList();
+
+            const title = `${spec.info.title || 'OpenAPI'} ${spec.info.version || ''}`.trim();
+            this.updateSpecSource(source instanceof Blob ? `${title} (${source.name || 'file'})` : title);
+
+            // Keep the selected operation if it still exists
+            const keys = Object.keys(endpoints);
+            const match = previous && keys.find(key => 
+                endpoints[key].method === previous.method && endpoints[key].path === previous.path
+            );
+            this.selectEndpoint(match || keys[0]);
+
+            if (options.notify) {
+                Toast.show(`Loaded ${keys.length} endpoints from OpenAPI document`, 'success');
+            }
+            return true;
+
+        } catch (error) {
+            console.warn('Failed to load OpenAPI document:', error);
+            if (!this.spec) {
+                this.updateSpecSource('Built-in endpoints (OpenAPI document unavailable)');
+            }
+            if (options.notify) {
+                Toast.show(`Could not load OpenAPI document: ${error.message}`, 'error');
+            }
+            return false;
+        }
+    }
+
+    updateSpecSource(text) {
+        document.getElementById('spec-source-text').textContent = text;
     }
 
     /**
@@ -435,11 +613,18 @@ export class ApiExplorer {
         });
         document.querySelector(`[data-endpoint="${endpointKey}"]`).classList.add('active');
 
-        // Show/hide sections based on method
-        const showBody = endpoint.method !== 'GET';
+        // Show/hide sections based on method, or on the documented request body
+        const showBody = endpoint.source === 'openapi' ? Boolean(endpoint.requestBody) : endpoint.method !== 'GET';
         document.getElementById('request-body').style.display = showBody ? 'block' : 'none';
         document.getElementById('request-params').style.display = 'block';
 
+        if (endpoint.requestBody) {
+            const contentTypeSelect = document.getElementById('content-type-select');
+            if (Array.from(contentTypeSelect.options).some(option => option.value === endpoint.requestBody.contentType)) {
+                contentTypeSelect.value = endpoint.requestBody.contentType;
+            }
+        }
+
         // Render parameters
         this.renderParameters();
 
@@ -447,12 +632,13 @@ export class ApiExplorer {
         document.getElementById('send-request-btn').disabled = false;
 
         // Load example if available
-        if (endpoint.example && Object.keys(endpoint.example).length > 0) {
-            document.getElementById('request-body-editor').value = 
-                JSON.stringify(endpoint.example, null, 2);
-        }
+        const hasExample = endpoint.example !== undefined && endpoint.example !== null &&
+            (typeof endpoint.example !== 'object' || Object.keys(endpoint.example).length > 0);
+        document.getElementById('request-body-editor').value = hasExample ? JSON.stringify(endpoint.example, null, 2) : '';
 
-        this.validateRequest();
+        this.renderBodyFields();
+        this.validateRequest({ showErrors: false });
+        this.showValidationErrors([]);
     }
 
     /**
@@ -477,33 +663,203 @@ export class ApiExplorer {
 
     /**
      * Render individual parameter
+     * @param {Object} param - { name, type, description, in, schema, enum, default, example }
+     * @param {boolean} required - Whether a value is required
+     * @param {string} fieldName - Input name, dotted for nested body fields
      */
-    renderParameter(param, required) {
+    renderParameter(param, required, fieldName = param.name) {
+        const location = param.in || 'query';
+
         return `
             <div class="param-row">
                 <div class="param-info">
-                    <span class="param-name">${param.name}</span>
+                    <span class="param-name">${this.escapeHTML(param.name)}</span>
                     ${required ? '<span class="param-required">*</span>' : ''}
-                    <span class="param-type">${param.type}</span>
+                    <span class="param-type">${this.escapeHTML(param.type)}</span>
+                    ${param.in && !['query', 'body'].includes(param.in) ? `<span class="param-location">${param.in}</span>` : ''}
                 </div>
-                <div class="param-description">${param.description}</div>
+                <div class="param-description">${this.escapeHTML(param.description)}</div>
+                ${this.renderParameterInput(param, required, fieldName, location)}
+            </div>
+        `;
+    }
+
+    /**
+     * Input control matching a parameter's schema
+     */
+    renderParameterInput(param, required, fieldName, location) {
+        const schema = param.schema || {};
+        const attributes = `class="param-input" data-param="${this.escapeHTML(fieldName)}" data-in="${location}" ${required ? 'required' : ''}`;
+        const hint = param.example !== undefined ? param.example : param.default;
+        const placeholder = hint !== undefined
+            ? `e.g. ${typeof hint === 'object' ? JSON.stringify(hint) : hint}`
+            : `Enter ${param.name}`;
+
+        const options = param.enum || (param.type === 'boolean' ? [true, false] : null);
+        if (options) {
+            return `
+                <select ${attributes}>
+                    <option value="">${required ? 'Select…' : '(not set)'}</option>
+                    ${options.map(option => `
+                        <option value="${this.escapeHTML(String(option))}" ${option === param.default ? 'selected' : ''}>${this.escapeHTML(String(option))}</option>
+                    `).join('')}
+                </select>
+            `;
+        }
+
+        if (param.type === 'integer' || param.type === 'number') {
+            return `
                 <input 
-                    type="text" 
-                    class="param-input" 
-                    data-param="${param.name}"
-                    placeholder="Enter ${param.name}"
-                    ${required ? 'required' : ''}
+                    type="number" 
+                    ${attributes}
+                    ${schema.minimum !== undefined ? `min="${schema.minimum}"` : ''}
+                    ${schema.maximum !== undefined ? `max="${schema.maximum}"` : ''}
+                    step="${param.type === 'integer' ? 1 : 'any'}"
+                    placeholder="${this.escapeHTML(placeholder)}"
                 >
-            </div>
+            `;
+        }
+
+        const itemType = schema.items && this.spec ? this.spec.getSchemaType(schema.items) : null;
+        if (param.type === 'object' || (param.type === 'array' && ['object', 'array'].includes(itemType))) {
+            return `<textarea ${attributes} rows="3" placeholder="${this.escapeHTML(placeholder)} (JSON)"></textarea>`;
+        }
+
+        return `
+            <input 
+                type="text" 
+                ${attributes}
+                placeholder="${this.escapeHTML(param.type === 'array' ? 'Comma-separated values' : placeholder)}"
+            >
         `;
     }
 
+    /**
+     * Render form fields for the documented request body, including nested objects
+     */
+    renderBodyFields() {
+        const container = document.getElementById('body-fields');
+        const requestBody = this.state.currentEndpoint && this.state.currentEndpoint.requestBody;
+        const schema = requestBody && this.spec ? this.spec.resolveSchema(requestBody.schema) : null;
+
+        if (!schema || !schema.properties) {
+            container.innerHTML = '';
+            container.style.display = 'none';
+            return;
+        }
+
+        container.innerHTML = this.renderSchemaFields(schema, '');
+        container.style.display = 'block';
+        this.syncBodyFields();
+    }
+
+    renderSchemaFields(schema, prefix, depth = 0) {
+        const required = schema.required || [];
+
+        return Object.entries(schema.properties || {}).map(([name, property]) => {
+            const propertySchema = this.spec.resolveSchema(property);
+            if (propertySchema.readOnly) return '';
+
+            const fieldName = prefix ? `${prefix}.${name}` : name;
+            const type = this.spec.getSchemaType(propertySchema);
+
+            if (type === 'object' && propertySchema.properties && depth < 3) {
+                return `
+                    <fieldset class="param-group">
+                        <legend>${this.escapeHTML(name)}${required.includes(name) ? ' <span class="param-required">*</span>' : ''}</legend>
+                        ${this.renderSchemaFields(propertySchema, fieldName, depth + 1)}
+                    </fieldset>
+                `;
+            }
+
+            return this.renderParameter({
+                name,
+                in: 'body',
+                type,
+                description: propertySchema.description || '',
+                schema: propertySchema,
+                enum: propertySchema.enum || null,
+                default: propertySchema.default,
+                example: propertySchema.example
+            }, required.includes(name), fieldName);
+        }).join('');
+    }
+
+    /**
+     * Write a body field into the JSON body editor
+     */
+    updateBodyField(input) {
+        const editor = document.getElementById('request-body-editor');
+        let body;
+        try {
+            body = editor.value.trim() ? JSON.parse(editor.value) : {};
+        } catch (e) {
+            Toast.show('Fix the JSON body before editing fields', 'error');
+            return;
+        }
+        if (!body || typeof body !== 'object' || Array.isArray(body)) body = {};
+
+        const keys = input.dataset.param.split('.');
+        const last = keys.pop();
+        const target = keys.reduce((current, key) => {
+            if (!current[key] || typeof current[key] !== 'object') current[key] = {};
+            return current[key];
+        }, body);
+
+        if (input.value === '') {
+            delete target[last];
+        } else {
+            const schema = this.getBodyFieldSchema(input.dataset.param);
+            target[last] = schema ? this.spec.coerceValue(input.value, schema) : input.value;
+        }
+
+        editor.value = JSON.stringify(body, null, 2);
+        this.validateRequest();
+    }
+
+    /**
+     * Fill body fields from the JSON body editor
+     */
+    syncBodyFields() {
+        let body;
+        try {
+            body = JSON.parse(document.getElementById('request-body-editor').value || '{}');
+        } catch (e) {
+            return;
+        }
+
+        document.querySelectorAll('#body-fields [data-in="body"]').forEach(input => {
+            if (input === document.activeElement) return;
+            const value = input.dataset.param.split('.').reduce((current, key) => current?.[key], body);
+            input.value = value === undefined || value === null ? ''
+                : typeof value === 'object' && input.tagName === 'TEXTAREA' ? JSON.stringify(value)
+                : Array.isArray(value) ? value.join(',')
+                : String(value);
+        });
+    }
+
+    getBodyFieldSchema(fieldName) {
+        const requestBody = this.state.currentEndpoint.requestBody;
+        return fieldName.split('.').reduce((schema, key) => {
+            const resolved = schema && this.spec.resolveSchema(schema);
+            return resolved && resolved.properties ? resolved.properties[key] : null;
+        }, requestBody.schema);
+    }
+
     /**
      * Send API request
      */
     async sendRequest() {
         if (!this.state.currentEndpoint) return;
 
+        // Check the request against the OpenAPI schema first
+        const errors = this.getValidationErrors();
+        this.showValidationErrors(errors);
+        if (errors.length > 0) {
+            Toast.show(`Request is invalid: ${errors[0].path} ${errors[0].message}`, 'error');
+            return;
+        }
+
         this.state.isLoading = true;
         this.updateSendButton(true);
 
@@ -513,8 +869,12 @@ export class ApiExplorer {
             // Prepare request
             const request = this.prepareRequest();
             
-            // Send request via API client
-            const response = await this.apiClient.request(request);
+            // Send request via API client, which adds the profile's auth and default headers
+            const response = await this.apiClient.request(getEndpointPath(request.url, this.apiClient.config.baseURL), {
+                method: request.method,
+                headers: request.headers,
+                body: request.body !== undefined ? JSON.stringify(request.body) : undefined
+            });
             
             const endTime = Date.now();
             const duration = endTime - startTime;
@@ -551,9 +911,9 @@ export class ApiExplorer {
         if (pathParams) {
             pathParams.forEach(param => {
                 const paramName = param.slice(1, -1);
-                const input = document.querySelector(`[data-param="${paramName}"]`);
+                const input = document.querySelector(`#params-grid [data-param="${paramName}"]`);
                 if (input && input.value) {
-                    url = url.replace(param, input.value);
+                    url = url.replace(param, encodeURIComponent(input.value));
                 }
             });
         }
@@ -566,11 +926,6 @@ export class ApiExplorer {
             }
         };
 
-        // Add auth token if provided
-        if (this.state.authToken) {
-            request.headers['Authorization'] = `Bearer ${this.state.authToken}`;
-        }
-
         // Add request body for non-GET requests
         if (endpoint.method !== 'GET') {
             const bodyText = document.getElementById('request-body-editor').value.trim();
@@ -583,11 +938,23 @@ export class ApiExplorer {
             }
         }
 
-        // Add query parameters
+        // Add query and header parameters
         const queryParams = new URLSearchParams();
-        document.querySelectorAll('.param-input').forEach(input => {
-            if (input.value && !url.includes(`{${input.dataset.param}}`)) {
-                queryParams.append(input.dataset.param, input.value);
+        document.querySelectorAll('#params-grid .param-input').forEach(input => {
+            const name = input.dataset.param;
+            if (!input.value || endpoint.path.includes(`{${name}}`)) return;
+
+            const location = input.dataset.in || 'query';
+            const param = this.getParameter(name, location);
+
+            if (location === 'header') {
+                request.headers[name] = input.value;
+            } else if (location === 'query') {
+                // Arrays use the default form/explode style: ?id=1&id=2
+                const values = param && param.type === 'array' && this.spec
+                    ? [].concat(this.spec.coerceValue(input.value, param.schema))
+                    : [input.value];
+                values.forEach(value => queryParams.append(name, value));
             }
         });
 
@@ -719,11 +1086,18 @@ export class ApiExplorer {
      * Check API status
      */
     async checkApiStatus() {
+        const profileId = this.state.profile?.id;
+        this.updateApiStatus('unknown', 'Checking...');
+
         try {
-            const response = await this.apiClient.get('/api/v1/status');
-            this.updateApiStatus('online', 'API Online');
+            await this.apiClient.get('/health', { retry: false });
+            if (profileId === this.state.profile?.id) {
+                this.updateApiStatus('online', 'API Online');
+            }
         } catch (error) {
-            this.updateApiStatus('offline', 'API Offline');
+            if (profileId === this.state.profile?.id) {
+                this.updateApiStatus('offline', 'API Offline');
+            }
         }
     }
 
@@ -761,6 +1135,8 @@ export class ApiExplorer {
         if (this.state.currentEndpoint && this.state.currentEndpoint.example) {
             document.getElementById('request-body-editor').value = 
                 JSON.stringify(this.state.currentEndpoint.example, null, 2);
+            this.syncBodyFields();
+            this.validateRequest();
         }
     }
 
@@ -780,11 +1156,142 @@ export class ApiExplorer {
         Toast.show('Response copied to clipboard', 'success');
     }
 
-    saveAuthToken() {
-        const token = document.getElementById('auth-token-input').value;
-        this.state.authToken = token;
-        localStorage.setItem('ncs_api_token', token);
-        Toast.show('API token saved', 'success');
+    /**
+     * Connection profiles
+     */
+    setupProfiles() {
+        this.eventBus.on(EVENTS.API_PROFILE_CHANGE, this.handleProfileChange);
+        this.renderProfiles(this.profiles.getActive(), this.profiles.list());
+        this.profiles.ready.then(() => this.migrateLegacyToken());
+    }
+
+    /**
+     * Tokens saved by earlier versions in plain localStorage move into the active
+     * profile's encrypted credential
+     */
+    async migrateLegacyToken() {
+        const token = localStorage.getItem('ncs_api_token');
+        if (!token) return;
+
+        try {
+            const profile = this.profiles.getActive();
+            if (!profile.hasCredential) {
+                await this.profiles.save({ id: profile.id, auth: { type: AUTH_TYPES.BEARER }, credential: token });
+            }
+            localStorage.removeItem('ncs_api_token');
+        } catch (error) {
+            console.warn('Failed to migrate saved API token:', error);
+        }
+    }
+
+    handleProfileChange({ profile, profiles }) {
+        const moved = this.state.profile && 
+            (this.state.profile.id !== profile.id || this.state.profile.baseURL !== profile.baseURL);
+
+        this.renderProfiles(profile, profiles);
+
+        // Another backend may expose a different API
+        if (moved) {
+            this.checkApiStatus();
+            this.loadSpecification();
+        }
+    }
+
+    renderProfiles(profile, profiles) {
+        this.state.profile = profile;
+        this.codeGenerator.setProfile(profile);
+
+        const select = document.getElementById('explorer-profile-select');
+        select.innerHTML = profiles.map(item => `
+            <option value="${this.escapeHTML(item.id)}" ${item.active ? 'selected' : ''}>${this.escapeHTML(item.name)}</option>
+        `).join('');
+
+        const auth = {
+            [AUTH_TYPES.NONE]: 'no authentication',
+            [AUTH_TYPES.API_KEY]: profile.hasCredential ? 'API key' : 'API key not set',
+            [AUTH_TYPES.BEARER]: profile.hasCredential ? 'bearer token' : 'bearer token not set'
+        }[profile.auth.type];
+        document.getElementById('profile-summary').textContent = `${profile.baseURL} · ${auth}`;
+    }
+
+    async switchProfile(id) {
+        try {
+            await this.profiles.activate(id);
+            this.closeProfileForm();
+        } catch (error) {
+            Toast.show(`Could not switch profile: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Show the profile form for a profile, or an empty one for a new profile
+     */
+    openProfileForm(profile) {
+        this.state.editingProfileId = profile ? profile.id : null;
+
+        document.getElementById('profile-name-input').value = profile ? profile.name : '';
+        document.getElementById('profile-base-url-input').value = profile ? profile.baseURL : '';
+        document.getElementById('profile-ws-url-input').value = profile ? profile.wsURL : '';
+        document.getElementById('profile-auth-select').value = profile ? profile.auth.type : AUTH_TYPES.API_KEY;
+        document.getElementById('profile-headers-input').value = profile ? formatHeaderLines(profile.headers) : '';
+        document.getElementById('delete-profile-btn').disabled = !profile || profile.builtIn;
+
+        this.updateCredentialInput();
+        document.getElementById('profile-form').style.display = 'block';
+    }
+
+    closeProfileForm() {
+        document.getElementById('profile-form').style.display = 'none';
+        document.getElementById('profile-credential-input').value = '';
+    }
+
+    updateCredentialInput() {
+        const input = document.getElementById('profile-credential-input');
+        const type = document.getElementById('profile-auth-select').value;
+        const profile = this.state.editingProfileId && this.profiles.get(this.state.editingProfileId);
+
+        input.style.display = type === AUTH_TYPES.NONE ? 'none' : 'block';
+        input.placeholder = profile?.hasCredential
+            ? 'Leave empty to keep the saved credential'
+            : (type === AUTH_TYPES.API_KEY ? 'API key' : 'Bearer token');
+    }
+
+    async saveProfile() {
+        const credential = document.getElementById('profile-credential-input').value.trim();
+
+        try {
+            const profile = await this.profiles.save({
+                id: this.state.editingProfileId || undefined,
+                name: document.getElementById('profile-name-input').value,
+                baseURL: document.getElementById('profile-base-url-input').value,
+                wsURL: document.getElementById('profile-ws-url-input').value,
+                auth: { type: document.getElementById('profile-auth-select').value },
+                headers: parseHeaderLines(document.getElementById('profile-headers-input').value),
+                ...(credential ? { credential } : {})
+            });
+
+            if (!profile.active) {
+                await this.profiles.activate(profile.id);
+            }
+
+            this.closeProfileForm();
+            Toast.show(`Profile "${profile.name}" saved`, 'success');
+        } catch (error) {
+            Toast.show(`Could not save profile: ${error.message}`, 'error');
+        }
+    }
+
+    async deleteProfile() {
+        const id = this.state.editingProfileId;
+        if (!id) return;
+
+        try {
+            await this.profiles.remove(id);
+            this.closeProfileForm();
+            Toast.show('Profile deleted', 'info');
+        } catch (error) {
+            Toast.show(`Could not delete profile: ${error.message}`, 'error');
+        }
     }
 
     toggleHeaders() {
@@ -812,12 +1319,92 @@ export class ApiExplorer {
         Toast.show('History cleared', 'info');
     }
 
-    validateRequest() {
-        // Basic validation logic
+    validateRequest(options = {}) {
         const sendBtn = document.getElementById('send-request-btn');
         const hasEndpoint = !!this.state.currentEndpoint;
         
         sendBtn.disabled = !hasEndpoint || this.state.isLoading;
+
+        if (hasEndpoint && options.showErrors !== false) {
+            this.showValidationErrors(this.getValidationErrors());
+        }
+    }
+
+    /**
+     * Validate parameters and body against the OpenAPI document.
+     * Built-in endpoints have no schema and are not validated.
+     * @returns {Array<{path: string, message: string}>} Validation errors
+     */
+    getValidationErrors() {
+        const endpoint = this.state.currentEndpoint;
+        if (!endpoint || endpoint.source !== 'openapi' || !this.spec) return [];
+
+        const errors = [];
+
+        [...endpoint.parameters.required, ...endpoint.parameters.optional].forEach(param => {
+            const input = document.querySelector(`#params-grid [data-param="${param.name}"][data-in="${param.in}"]`);
+            const value = input ? input.value : '';
+
+            if (value === '') {
+                if (param.required) {
+                    errors.push({ path: `${param.in}.${param.name}`, message: 'is required' });
+                }
+                return;
+            }
+            errors.push(...this.spec.validate(this.spec.coerceValue(value, param.schema), param.schema, `${param.in}.${param.name}`));
+        });
+
+        if (endpoint.requestBody) {
+            const bodyText = document.getElementById('request-body-editor').value.trim();
+            if (!bodyText) {
+                if (endpoint.requestBody.required) {
+                    errors.push({ path: 'body', message: 'is required' });
+                }
+            } else {
+                try {
+                    errors.push(...this.spec.validate(JSON.parse(bodyText), endpoint.requestBody.schema, 'body'));
+                } catch (e) {
+                    errors.push({ path: 'body', message: 'is not valid JSON' });
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    showValidationErrors(errors) {
+        const container = document.getElementById('validation-errors');
+
+        if (errors.length === 0) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = `
+            <h5>Request does not match the API schema</h5>
+            <ul>
+                ${errors.slice(0, 20).map(error => `
+                    <li><code>${this.escapeHTML(error.path)}</code> ${this.escapeHTML(error.message)}</li>
+                `).join('')}
+            </ul>
+            ${errors.length > 20 ? `<p>…and ${errors.length - 20} more</p>` : ''}
+        `;
+        container.style.display = 'block';
+    }
+
+    getParameter(name, location) {
+        const { required, optional } = this.state.currentEndpoint.parameters;
+        return [...required, ...optional].find(param => param.name === name && (param.in || 'query') === location);
+    }
+
+    escapeHTML(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
     formatBytes(bytes) {
@@ -832,6 +1419,7 @@ export class ApiExplorer {
      * Cleanup component
      */
     destroy() {
+        this.eventBus.off(EVENTS.API_PROFILE_CHANGE, this.handleProfileChange);
         console.log('🔧 API Explorer destroyed');
     }
 }
\ No newline at end of file
@@ -0,0 +1,498 @@
+/**
+ * FILE: js/components/BatchJobQueue.js
+ * BatchJobQueue Component - Run parameter sweeps as batch clustering jobs
+ * NCS-API Website
+ *
+ * Features:
+ * - Parameter grid over every dataset loaded in the session
+ * - Per-job status, progress and retry/cancel actions
+ * - Comparison table of finished jobs, best silhouette first
+ * - ZIP export of the comparison and each job's results
+ */
+
+import { BatchJobManager, BATCH_JOB_STATES, buildParameterSweep, formatParameters } from '../api/batch.js';
+
+const DEFAULT_GRIDS = {
+    kmeans: 'k=2,3,4,5',
+    dbscan: 'eps=0.3,0.5,0.8; minPts=3,5',
+    hierarchical: 'linkage=ward,average,complete; numClusters=3',
+    ncs: 'layers=2,3; learningRate=0.01'
+};
+
+const STATUS_ICONS = {
+    [BATCH_JOB_STATES.PENDING]: '⏳',
+    [BATCH_JOB_STATES.QUEUED]: '⏳',
+    [BATCH_JOB_STATES.RUNNING]: '⚙️',
+    [BATCH_JOB_STATES.COMPLETED]: '✅',
+    [BATCH_JOB_STATES.FAILED]: '❌',
+    [BATCH_JOB_STATES.CANCELLED]: '⏹️'
+};
+
+/**
+ * Parse "k=2,3,4; maxIterations=100" into { k: [2, 3, 4], maxIterations: [100] }
+ */
+export function parseParameterGrid(text) {
+    return text.split(/[;\n]/)
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .reduce((grid, entry) => {
+            const [key, values = ''] = entry.split('=').map(part => part.trim());
+            if (!key || !values) {
+                throw new Error(`Expected name=value1,value2 but got "${entry}"`);
+            }
+            grid[key] = values.split(',').map(value => {
+                const trimmed = value.trim();
+                return trimmed !== '' && Number.isFinite(Number(trimmed)) ? Number(trimmed) : trimmed;
+            });
+            return grid;
+        }, {});
+}
+
+export class BatchJobQueue {
+    constructor(container, options = {}) {
+        this.container = container;
+
+        // Configuration
+        this.config = {
+            client: undefined, // BatchJobManager falls back to the shared apiClient
+            algorithms: ['kmeans', 'dbscan', 'hierarchical', 'ncs'],
+            algorithm: 'kmeans',
+            managerOptions: {}, // pollInterval, maxRetries, retryDelay, realTime
+            exportFilename: 'batch-results.zip',
+            ...options
+        };
+
+        // State management
+        this.state = {
+            datasets: new Map(),
+            algorithm: this.config.algorithm,
+            grid: DEFAULT_GRIDS[this.config.algorithm] || '',
+            isSubmitting: false,
+            isExporting: false
+        };
+
+        this.manager = new BatchJobManager({
+            ...(this.config.client ? { client: this.config.client } : {}),
+            ...this.config.managerOptions
+        });
+
+        // Event callbacks
+        this.callbacks = {
+            onJobUpdate: null,
+            onComplete: null,
+            onError: null
+        };
+
+        this.renderFrame = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the batch job queue
+     */
+    init() {
+        try {
+            console.log('🗂️ Initializing BatchJobQueue...');
+
+            this.createLayout();
+            this.bindEvents();
+
+            this.manager.on('job', (job) => {
+                this.scheduleRender();
+                this.triggerCallback('onJobUpdate', job);
+            });
+            this.manager.on('complete', (comparison) => {
+                this.render();
+                const { counts } = this.manager.getSummary();
+                this.showMessage(
+                    `Batch finished: ${counts.completed} completed, ${counts.failed} failed, ${counts.cancelled} cancelled`,
+                    counts.failed > 0 ? 'warning' : 'success'
+                );
+                this.triggerCallback('onComplete', comparison);
+            });
+
+            console.log('✅ BatchJobQueue initialized successfully');
+
+        } catch (error) {
+            console.error('❌ Failed to initialize BatchJobQueue:', error);
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Create the queue layout
+     */
+    createLayout() {
+        this.container.innerHTML = `
+            <div class="batch-queue">
+                <div class="batch-sweep">
+                    <div class="batch-datasets" data-role="datasets"></div>
+                    <div class="form-group">
+                        <label class="form-label" for="batch-algorithm">Algorithm</label>
+                        <select class="form-select" id="batch-algorithm" data-role="algorithm">
+                            ${this.config.algorithms.map(algorithm => `
+                                <option value="${algorithm}" ${algorithm === this.state.algorithm ? 'selected' : ''}>${algorithm}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="batch-grid">Parameter grid</label>
+                        <input type="text" class="form-input" id="batch-grid" data-role="grid"
+                               value="${this.escapeHTML(this.state.grid)}" placeholder="k=2,3,4; maxIterations=100">
+                    </div>
+                    <button class="action-button action-button-primary" data-action="submit">
+                        Run sweep
+                    </button>
+                </div>
+                <div class="batch-summary" data-role="summary"></div>
+                <div class="batch-jobs" data-role="jobs"></div>
+                <div class="batch-comparison" data-role="comparison"></div>
+                <div class="action-button-group">
+                    <button class="action-button action-button-secondary" data-action="retry-failed">Retry failed</button>
+                    <button class="action-button action-button-secondary" data-action="cancel-all">Cancel all</button>
+                    <button class="action-button action-button-secondary" data-action="export">Export ZIP</button>
+                </div>
+            </div>
+        `;
+
+        this.elements = {
+            datasets: this.container.querySelector('[data-role="datasets"]'),
+            algorithm: this.container.querySelector('[data-role="algorithm"]'),
+            grid: this.container.querySelector('[data-role="grid"]'),
+            summary: this.container.querySelector('[data-role="summary"]'),
+            jobs: this.container.querySelector('[data-role="jobs"]'),
+            comparison: this.container.querySelector('[data-role="comparison"]')
+        };
+
+        this.render();
+    }
+
+    bindEvents() {
+        this.elements.algorithm.addEventListener('change', (e) => {
+            // Keep an edited grid, only swap in the defaults of the new algorithm
+            if (this.elements.grid.value === (DEFAULT_GRIDS[this.state.algorithm] || '')) {
+                this.elements.grid.value = DEFAULT_GRIDS[e.target.value] || '';
+            }
+            this.state.algorithm = e.target.value;
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const { action, jobId, dataset } = button.dataset;
+            switch (action) {
+                case 'submit':
+                    this.submitSweep();
+                    break;
+                case 'retry-job':
+                    this.manager.retryJob(jobId).catch(error => this.showError(error.message));
+                    break;
+                case 'cancel-job':
+                    this.manager.cancelJob(jobId);
+                    break;
+                case 'retry-failed':
+                    this.manager.retryFailed().catch(error => this.showError(error.message));
+                    break;
+                case 'cancel-all':
+                    this.manager.cancel();
+                    break;
+                case 'export':
+                    this.exportResults();
+                    break;
+                case 'remove-dataset':
+                    this.removeDataset(dataset);
+                    break;
+            }
+        });
+    }
+
+    /* ===================================
+       Rendering
+       =================================== */
+
+    scheduleRender() {
+        if (this.renderFrame) return;
+
+        this.renderFrame = requestAnimationFrame(() => {
+            this.renderFrame = null;
+            this.render();
+        });
+    }
+
+    render() {
+        const { jobs } = this.manager;
+        const summary = this.manager.getSummary();
+        const hasFinished = jobs.some(job => job.status === BATCH_JOB_STATES.COMPLETED);
+        const hasRetryable = jobs.some(job =>
+            [BATCH_JOB_STATES.FAILED, BATCH_JOB_STATES.CANCELLED].includes(job.status));
+
+        this.elements.datasets.innerHTML = this.renderDatasets();
+        this.elements.summary.innerHTML = jobs.length === 0 ? '' : `
+            <div class="progress-label">
+                <span>${summary.counts.completed}/${summary.total} jobs completed</span>
+                <span>${summary.progress}%</span>
+            </div>
+            <div class="progress-bar">
+                <div class="progress-fill" style="width: ${summary.progress}%"></div>
+            </div>
+        `;
+        this.elements.jobs.innerHTML = jobs.map(job => this.renderJob(job)).join('');
+        this.elements.comparison.innerHTML = hasFinished ? this.renderComparison() : '';
+
+        this.setButtonState('submit', !this.state.isSubmitting && this.state.datasets.size > 0);
+        this.setButtonState('retry-failed', hasRetryable);
+        this.setButtonState('cancel-all', summary.running);
+        this.setButtonState('export', hasFinished && !this.state.isExporting);
+    }
+
+    renderDatasets() {
+        if (this.state.datasets.size === 0) {
+            return '<div class="batch-empty">Load a dataset to add it to the sweep</div>';
+        }
+
+        return Array.from(this.state.datasets.entries()).map(([name, data]) => `
+            <span class="batch-dataset">
+                ${this.escapeHTML(name)} (${data.length})
+                <button class="batch-dataset-remove" data-action="remove-dataset"
+                        data-dataset="${this.escapeHTML(name)}" title="Remove from sweep">✕</button>
+            </span>
+        `).join('');
+    }
+
+    renderJob(job) {
+        const isActive = [BATCH_JOB_STATES.PENDING, BATCH_JOB_STATES.QUEUED, BATCH_JOB_STATES.RUNNING]
+            .includes(job.status);
+        const canRetry = [BATCH_JOB_STATES.FAILED, BATCH_JOB_STATES.CANCELLED].includes(job.status);
+
+        return `
+            <div class="batch-job batch-job-${job.status}" data-job-id="${job.id}">
+                <div class="batch-job-header">
+                    <span class="batch-job-status" title="${job.status}">${STATUS_ICONS[job.status]}</span>
+                    <span class="batch-job-name">${this.escapeHTML(job.name)}</span>
+                    ${job.attempts > 1 ? `<span class="batch-job-attempts">attempt ${job.attempts}</span>` : ''}
+                    ${isActive ? `<button class="batch-job-action" data-action="cancel-job" data-job-id="${job.id}">Cancel</button>` : ''}
+                    ${canRetry ? `<button class="batch-job-action" data-action="retry-job" data-job-id="${job.id}">Retry</button>` : ''}
+                </div>
+                ${isActive ? `
+                    <div class="progress-bar">
+                        <div class="progress-fill" style="width: ${job.progress}%"></div>
+                    </div>
+                    <div class="batch-job-phase">${this.escapeHTML(job.phase)}</div>
+                ` : ''}
+                ${job.error ? `<div class="batch-job-error">${this.escapeHTML(job.error)}</div>` : ''}
+            </div>
+        `;
+    }
+
+    renderComparison() {
+        const rows = this.manager.getComparison()
+            .filter(row => row.status === BATCH_JOB_STATES.COMPLETED)
+            .sort((a, b) => (b.silhouetteScore ?? -Infinity) - (a.silhouetteScore ?? -Infinity));
+
+        return `
+            <h4 class="results-section-title">Comparison</h4>
+            <table class="batch-comparison-table">
+                <thead>
+                    <tr>
+                        <th>Dataset</th>
+                        <th>Algorithm</th>
+                        <th>Parameters</th>
+                        <th>Clusters</th>
+                        <th>Silhouette</th>
+                        <th>Davies-Bouldin</th>
+                        <th>Inertia</th>
+                        <th>Time</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map((row, index) => `
+                        <tr class="${index === 0 ? 'batch-comparison-best' : ''}">
+                            <td>${this.escapeHTML(row.dataset ?? '-')}</td>
+                            <td>${this.escapeHTML(row.algorithm)}</td>
+                            <td>${this.escapeHTML(row.parameters)}</td>
+                            <td>${row.numClusters ?? '-'}</td>
+                            <td>${this.formatMetric(row.silhouetteScore, 3)}</td>
+                            <td>${this.formatMetric(row.daviesBouldinIndex, 3)}</td>
+                            <td>${this.formatMetric(row.inertia, 1)}</td>
+                            <td>${row.executionTime !== null ? `${row.executionTime}ms` : '-'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    setButtonState(action, enabled) {
+        const button = this.container.querySelector(`.action-button[data-action="${action}"]`);
+        if (button) {
+            button.disabled = !enabled;
+        }
+    }
+
+    /* ===================================
+       Actions
+       =================================== */
+
+    /**
+     * Submit one job per dataset and grid combination
+     */
+    async submitSweep() {
+        if (this.state.isSubmitting) return;
+
+        let grid;
+        try {
+            grid = parseParameterGrid(this.elements.grid.value);
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        const datasets = Array.from(this.state.datasets.entries()).map(([name, data]) => ({ name, data }));
+        const specs = buildParameterSweep(datasets, this.state.algorithm, grid);
+        if (specs.length === 0) {
+            this.showError('Add at least one dataset to the sweep');
+            return;
+        }
+
+        this.state.isSubmitting = true;
+        this.render();
+
+        try {
+            await this.manager.submit(specs);
+            this.showMessage(`Submitted ${specs.length} jobs (${this.state.algorithm} ${formatParameters(grid)})`, 'info');
+        } catch (error) {
+            this.showError(`Batch submission failed: ${error.message}`);
+        } finally {
+            this.state.isSubmitting = false;
+            this.render();
+        }
+    }
+
+    async exportResults() {
+        this.state.isExporting = true;
+        this.render();
+
+        try {
+            await this.manager.exportResults(this.config.exportFilename);
+        } catch (error) {
+            this.showError(`Export failed: ${error.message}`);
+        } finally {
+            this.state.isExporting = false;
+            this.render();
+        }
+    }
+
+    /* ===================================
+       Helpers
+       =================================== */
+
+    formatMetric(value, digits) {
+        return typeof value === 'number' && Number.isFinite(value) ? value.toFixed(digits) : '-';
+    }
+
+    escapeHTML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    triggerCallback(eventName, data) {
+        if (this.callbacks[eventName]) {
+            this.callbacks[eventName](data);
+        }
+    }
+
+    showMessage(message, type = 'info') {
+        console.log(`🗂️ ${message}`);
+
+        if (window.NCS && window.NCS.toast) {
+            window.NCS.toast.show(message, type);
+        }
+    }
+
+    showError(message) {
+        console.error('BatchJobQueue error:', message);
+
+        if (window.NCS && window.NCS.toast) {
+            window.NCS.toast.show(message, 'error');
+        }
+
+        this.triggerCallback('onError', { message });
+    }
+
+    /**
+     * Public API methods
+     */
+
+    /**
+     * Include a dataset in the next sweep (replaces a dataset with the same name)
+     * @param {string} name - Dataset name shown in the queue and the comparison
+     * @param {Array} data - Points to cluster
+     */
+    addDataset(name, data) {
+        this.state.datasets.set(name, data);
+        this.render();
+    }
+
+    removeDataset(name) {
+        this.state.datasets.delete(name);
+        this.render();
+    }
+
+    on(event, callback) {
+        const eventMap = {
+            'jobupdate': 'onJobUpdate',
+            'complete': 'onComplete',
+            'error': 'onError'
+        };
+
+        const callbackName = eventMap[event];
+        if (callbackName) {
+            this.callbacks[callbackName] = callback;
+        }
+    }
+
+    getComparison() {
+        return this.manager.getComparison();
+    }
+
+    /**
+     * Handle errors gracefully
+     */
+    handleError(error) {
+        this.container.innerHTML = `
+            <div class="batch-error">
+                <div style="text-align: center; color: var(--color-error-500); padding: 2rem;">
+                    <div style="font-size: 2rem; margin-bottom: 1rem;">⚠️</div>
+                    <div>Batch Queue Error</div>
+                    <div style="font-size: 0.875rem; margin-top: 0.5rem; color: var(--color-text-tertiary);">
+                        ${this.escapeHTML(error.message)}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Cleanup resources; submitted jobs keep running on the server
+     */
+    destroy() {
+        console.log('🧹 Cleaning up BatchJobQueue...');
+
+        cancelAnimationFrame(this.renderFrame);
+        this.manager.dispose();
+        this.state.datasets.clear();
+
+        Object.keys(this.callbacks).forEach(key => {
+            this.callbacks[key] = null;
+        });
+
+        this.container.innerHTML = '';
+    }
+}
+
+export default BatchJobQueue;
@@ -4,7 +4,7 @@
  * 
  * Features:
  * - Real-time clustering visualization
- * - Multiple algorithm support (K-means, DBSCAN, Hierarchical)
+ * - Multiple algorithm support (K-means, DBSCAN, Hierarchical, Gaussian Mixture)
  * - Interactive parameter controls
  * - Canvas and WebGL rendering
  * - Data upload and processing
@@ -14,9 +14,11 @@
 
 import { CanvasRenderer } from '../visualizations/renderers/CanvasRenderer.js';
 import { KMeans } from '../clustering/KMeans.js';
+import { GaussianMixture } from '../clustering/GaussianMixture.js';
 import { ColorPalette } from '../utils/colors.js';
-import { MathUtils } from '../utils/math.js';
+import { calculateDistance } from '../utils/math.js';
 import { CONFIG } from '../config/constants.js';
+import { toVector } from '../api/stream.js';
 
 export class ClusterVisualizer {
     constructor(container, options = {}) {
@@ -34,10 +36,14 @@ export class ClusterVisualizer {
             showConnections: false,
             showCentroids: true,
             showTrails: false,
+            showCovariances: true, // Gaussian mixture ellipses at 1 and 2 standard deviations
             algorithm: 'kmeans',
             clusterCount: 3,
             maxIterations: 100,
             convergenceThreshold: 0.001,
+            covarianceType: 'full', // Gaussian mixture: 'full', 'diag', 'spherical'
+            streamTransition: 250, // ms for centroids to glide to a streamed update
+            maxStreamPoints: 5000, // Oldest streamed points are dropped beyond this
             ...options
         };
         
@@ -64,12 +70,16 @@ export class ClusterVisualizer {
             frameCount: 0
         };
         
+        // Attached ClusterStream (see attachStream)
+        this.streaming = null;
+        
         // Clustering state
         this.clustering = {
             algorithm: null,
             isConverged: false,
             iterations: 0,
             inertia: 0,
+            logLikelihood: null, // Gaussian mixture only
             silhouetteScore: 0,
             history: []
         };
@@ -81,6 +91,7 @@ export class ClusterVisualizer {
             zoom: 1,
             pan: { x: 0, y: 0 },
             selection: null,
+            selectedPoints: null, // Set of highlighted point indices, e.g. a reachability valley
             hoveredPoint: null,
             showTooltip: false
         };
@@ -197,7 +208,7 @@ export class ClusterVisualizer {
      */
     setupColorPalette() {
         this.colorPalette = new ColorPalette();
-        this.colors = this.colorPalette.getClusterColors(this.config.clusterCount);
+        this.colors = this.colorPalette.getColors(this.colorPalette.currentPalette, this.config.clusterCount);
     }
 
     /**
@@ -254,6 +265,7 @@ export class ClusterVisualizer {
         this.data.points = points.map(p => ({...p}));
         this.data.original = points.map(p => ({...p}));
         this.data.normalized = this.normalizeData(points);
+        this.ui.selectedPoints = null;
         
         // Reset clustering state
         this.resetClustering();
@@ -272,6 +284,97 @@ export class ClusterVisualizer {
         console.log(`📊 Data loaded: ${points.length} points`);
     }
 
+    /**
+     * Show clustering results computed elsewhere, e.g. by the clustering worker
+     * @param {Array} clusters - { pointIndices, centroid, confidences, covariance } per cluster;
+     *   confidences and covariance come with soft clusterings (Gaussian mixture)
+     */
+    setClusters(clusters) {
+        this.resetClustering();
+        
+        if (clusters.length > this.config.clusterCount) {
+            this.config.clusterCount = clusters.length;
+            this.updateColors();
+        }
+        
+        clusters.forEach((cluster, index) => {
+            (cluster.pointIndices || []).forEach((pointIndex, i) => {
+                const point = this.data.points[pointIndex];
+                if (!point) return;
+                
+                point.cluster = index;
+                if (cluster.confidences) {
+                    point.confidence = cluster.confidences[i];
+                }
+            });
+        });
+        
+        this.data.centroids = clusters
+            .map((cluster, index) => cluster.centroid && {
+                x: cluster.centroid.x,
+                y: cluster.centroid.y,
+                cluster: index,
+                color: this.colors[index % this.colors.length],
+                ...(cluster.covariance ? { covariance: cluster.covariance } : {})
+            })
+            .filter(Boolean);
+        
+        this.data.clusters = clusters.map((cluster, index) =>
+            this.data.points.filter(point => point.cluster === index));
+        
+        this.render();
+    }
+
+    /**
+     * Recolour points from a label per point (-1 for noise), e.g. when a linked
+     * ReachabilityPlot re-extracts clusters; centroids become the cluster means
+     * @param {Array|null} labels - Labels in data order, null to clear the clustering
+     */
+    setLabels(labels) {
+        this.resetClustering();
+        if (!labels) {
+            this.render();
+            return;
+        }
+        
+        const numClusters = labels.reduce((max, label) => Math.max(max, label + 1), 0);
+        if (numClusters > this.config.clusterCount) {
+            this.config.clusterCount = numClusters;
+            this.updateColors();
+        }
+        
+        this.data.points.forEach((point, index) => {
+            point.cluster = labels[index] ?? -1;
+        });
+        
+        this.data.clusters = Array.from({ length: numClusters }, (_, index) =>
+            this.data.points.filter(point => point.cluster === index));
+        
+        this.data.centroids = this.data.clusters
+            .map((points, index) => points.length > 0 && {
+                x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+                y: points.reduce((sum, point) => sum + point.y, 0) / points.length,
+                cluster: index,
+                color: this.colors[index % this.colors.length]
+            })
+            .filter(Boolean);
+        
+        this.render();
+    }
+
+    /**
+     * Highlight points by index; the rest are faded until clearSelection()
+     */
+    setSelectedPoints(indices) {
+        this.ui.selectedPoints = new Set(indices);
+        this.render();
+    }
+
+    clearSelection() {
+        this.ui.selectedPoints = null;
+        this.render();
+    }
+
     /**
      * Normalize data to [0,1] range
      */
@@ -300,7 +403,7 @@ export class ClusterVisualizer {
      * Update color palette based on cluster count
      */
     updateColors() {
-        this.colors = this.colorPalette.getClusterColors(this.config.clusterCount);
+        this.colors = this.colorPalette.getColors(this.colorPalette.currentPalette, this.config.clusterCount);
     }
 
     /**
@@ -323,6 +426,18 @@ export class ClusterVisualizer {
                     tolerance: this.config.convergenceThreshold
                 });
                 break;
+            case 'gmm':
+                if (options.k) {
+                    this.config.clusterCount = options.k;
+                    this.updateColors();
+                }
+                this.clustering.algorithm = new GaussianMixture(this.config.clusterCount, {
+                    covarianceType: this.config.covarianceType,
+                    maxIterations: this.config.maxIterations,
+                    tolerance: options.tolerance || this.config.convergenceThreshold,
+                    seed: this.config.seed
+                });
+                break;
             default:
                 throw new Error(`Unsupported algorithm: ${algorithm}`);
         }
@@ -382,6 +497,7 @@ export class ClusterVisualizer {
         this.clustering.isConverged = false;
         this.clustering.iterations = 0;
         this.clustering.inertia = 0;
+        this.clustering.logLikelihood = null;
         this.clustering.silhouetteScore = 0;
         this.clustering.history = [];
         
@@ -391,6 +507,7 @@ export class ClusterVisualizer {
         // Reset point clusters
         this.data.points.forEach(point => {
             point.cluster = -1;
+            delete point.confidence;
         });
         
         this.data.clusters = [];
@@ -437,7 +554,9 @@ export class ClusterVisualizer {
         
         try {
             // Perform clustering step
-            const result = this.clustering.algorithm.step(this.data.normalized);
+            const result = this.clustering.algorithm instanceof GaussianMixture ?
+                this.stepGaussianMixture(this.clustering.algorithm) :
+                this.clustering.algorithm.step(this.data.normalized);
             
             if (result) {
                 // Update data with clustering results
@@ -472,6 +591,32 @@ export class ClusterVisualizer {
         this.performance.lastRenderTime = performance.now() - startTime;
     }
 
+    /**
+     * One EM iteration of a Gaussian mixture, in the clustering step result format
+     */
+    stepGaussianMixture(model) {
+        // Fit in the space the points are drawn in so the ellipses line up with them
+        if (!model.data) {
+            model.initialize(this.data.points.map(point => [point.x, point.y]));
+        }
+        
+        const { logLikelihood, converged } = model.step();
+        this.clustering.logLikelihood = logLikelihood;
+        
+        return {
+            assignments: model.labels,
+            confidences: model.responsibilities.map(row => Math.max(...row)),
+            centroids: model.means.map(([x, y], index) => ({
+                x,
+                y,
+                covariance: model.covariances[index],
+                weight: model.weights[index]
+            })),
+            logLikelihood,
+            converged
+        };
+    }
+
     /**
      * Update clustering results
      */
@@ -483,13 +628,21 @@ export class ClusterVisualizer {
             });
         }
         
+        // Membership probability of the assigned cluster (soft clustering)
+        if (result.confidences) {
+            this.data.points.forEach((point, index) => {
+                point.confidence = result.confidences[index];
+            });
+        }
+        
         // Update centroids
         if (result.centroids) {
             this.data.centroids = result.centroids.map((centroid, index) => ({
                 x: centroid.x,
                 y: centroid.y,
                 cluster: index,
-                color: this.colors[index % this.colors.length]
+                color: this.colors[index % this.colors.length],
+                ...(centroid.covariance ? { covariance: centroid.covariance } : {})
             }));
         }
         
@@ -523,6 +676,151 @@ export class ClusterVisualizer {
         console.log(`📊 Silhouette score: ${this.clustering.silhouetteScore.toFixed(4)}`);
     }
 
+    /**
+     * Animate a ClusterStream: streamed points appear with their assignment and centroids glide
+     * to each update. The stream delivers at most one update per frame.
+     * @param {ClusterStream} stream - Stream from js/api/stream.js
+     * @returns {Function} Detaches the stream
+     */
+    attachStream(stream) {
+        this.detachStream();
+        this.stopClustering();
+        this.resetClustering();
+        
+        const handleUpdate = update => this.applyStreamUpdate(update);
+        stream.on('update', handleUpdate);
+        
+        this.streaming = {
+            stream,
+            vectors: [],
+            clusters: [],
+            ids: [],
+            from: [],
+            to: [],
+            current: [],
+            transitionStart: 0,
+            frameId: null,
+            unsubscribe: () => stream.off('update', handleUpdate)
+        };
+        
+        this.data.points = [];
+        this.data.original = [];
+        this.data.normalized = [];
+        this.render();
+        
+        console.log('🌊 Stream attached to ClusterVisualizer');
+        return () => this.detachStream();
+    }
+
+    detachStream() {
+        if (!this.streaming) return;
+        
+        this.streaming.unsubscribe();
+        if (this.streaming.frameId) {
+            cancelAnimationFrame(this.streaming.frameId);
+        }
+        this.streaming = null;
+    }
+
+    /**
+     * Add the points from a stream update and start the centroid transition
+     */
+    applyStreamUpdate(update) {
+        const streaming = this.streaming;
+        if (!streaming) return;
+        
+        update.points.forEach((point, index) => {
+            streaming.vectors.push(toVector(point));
+            streaming.clusters.push(update.assignments[index]);
+            streaming.ids.push(update.offset + index);
+        });
+        
+        const excess = streaming.vectors.length - this.config.maxStreamPoints;
+        if (excess > 0) {
+            streaming.vectors.splice(0, excess);
+            streaming.clusters.splice(0, excess);
+            streaming.ids.splice(0, excess);
+        }
+        
+        // Glide from where the centroids are drawn now; new centroids appear in place
+        streaming.from = update.centroids.map((centroid, index) => streaming.current[index] || centroid);
+        streaming.to = update.centroids;
+        streaming.transitionStart = performance.now();
+        
+        if (update.centroids.length > this.config.clusterCount) {
+            this.config.clusterCount = update.centroids.length;
+            this.updateColors();
+        }
+        
+        this.clustering.iterations = update.pointsSeen;
+        this.clustering.inertia = update.inertia;
+        
+        if (this.callbacks.onClusteringUpdate) {
+            this.callbacks.onClusteringUpdate(update, this.clustering);
+        }
+        
+        if (!streaming.frameId) {
+            this.animateStream();
+        }
+    }
+
+    /**
+     * Interpolate centroids towards the latest update and redraw
+     */
+    animateStream() {
+        const streaming = this.streaming;
+        if (!streaming) return;
+        
+        const elapsed = performance.now() - streaming.transitionStart;
+        const t = this.config.streamTransition > 0 ? Math.min(1, elapsed / this.config.streamTransition) : 1;
+        const eased = 1 - Math.pow(1 - t, 3);
+        
+        streaming.current = streaming.to.map((target, index) =>
+            target.map((value, d) => streaming.from[index][d] + (value - streaming.from[index][d]) * eased));
+        
+        this.updateStreamData();
+        this.render();
+        
+        streaming.frameId = t < 1 ? requestAnimationFrame(() => this.animateStream()) : null;
+    }
+
+    /**
+     * Map streamed vectors and centroids into the [0, 1] space the renderer draws
+     */
+    updateStreamData() {
+        const { vectors, clusters, ids, current } = this.streaming;
+        const all = vectors.concat(current);
+        if (all.length === 0) return;
+        
+        const xs = all.map(vector => vector[0]);
+        const ys = all.map(vector => vector[1]);
+        const xMin = Math.min(...xs);
+        const yMin = Math.min(...ys);
+        const xRange = Math.max(...xs) - xMin || 1;
+        const yRange = Math.max(...ys) - yMin || 1;
+        const padding = 0.05;
+        
+        const toCanvas = vector => ({
+            x: padding + (vector[0] - xMin) / xRange * (1 - 2 * padding),
+            y: padding + (vector[1] - yMin) / yRange * (1 - 2 * padding)
+        });
+        
+        this.data.points = vectors.map((vector, index) => ({
+            ...toCanvas(vector),
+            id: ids[index],
+            cluster: clusters[index]
+        }));
+        
+        this.data.centroids = current.map((centroid, index) => ({
+            ...toCanvas(centroid),
+            cluster: index,
+            color: this.colors[index % this.colors.length]
+        }));
+        
+        this.data.clusters = this.data.centroids.map((centroid, index) =>
+            this.data.points.filter(point => point.cluster === index));
+    }
+
     /**
      * Calculate clustering quality metrics
      */
@@ -537,7 +835,7 @@ export class ClusterVisualizer {
         this.data.points.forEach(point => {
             if (point.cluster >= 0 && point.cluster < this.data.centroids.length) {
                 const centroid = this.data.centroids[point.cluster];
-                const distance = MathUtils.euclideanDistance(point, centroid);
+                const distance = calculateDistance(point, centroid);
                 inertia += distance * distance;
             }
         });
@@ -562,7 +860,7 @@ export class ClusterVisualizer {
             const sameCluster = points.filter(p => p.cluster === point.cluster && p !== point);
             let a = 0;
             if (sameCluster.length > 0) {
-                a = sameCluster.reduce((sum, p) => sum + MathUtils.euclideanDistance(point, p), 0) / sameCluster.length;
+                a = sameCluster.reduce((sum, p) => sum + calculateDistance(point, p), 0) / sameCluster.length;
             }
             
             // Calculate minimum average distance to points in other clusters (b)
@@ -572,7 +870,7 @@ export class ClusterVisualizer {
                 
                 const otherCluster = points.filter(p => p.cluster === cluster);
                 if (otherCluster.length > 0) {
-                    const avgDistance = otherCluster.reduce((sum, p) => sum + MathUtils.euclideanDistance(point, p), 0) / otherCluster.length;
+                    const avgDistance = otherCluster.reduce((sum, p) => sum + calculateDistance(point, p), 0) / otherCluster.length;
                     b = Math.min(b, avgDistance);
                 }
             }
@@ -607,6 +905,11 @@ export class ClusterVisualizer {
                 this.renderConnections();
             }
             
+            // Render covariance ellipses beneath the points
+            if (this.config.showCovariances) {
+                this.renderCovarianceEllipses();
+            }
+            
             // Render data points
             this.renderPoints();
             
@@ -660,6 +963,15 @@ export class ClusterVisualizer {
                 color = this.colors[point.cluster];
             }
             
+            // Fade points by membership probability when the clustering is soft,
+            // and points outside the highlighted selection
+            let alpha = point.confidence !== undefined && this.ui.hoveredPoint !== index ?
+                0.25 + 0.75 * point.confidence : 1;
+            if (this.ui.selectedPoints && !this.ui.selectedPoints.has(index)) {
+                alpha *= 0.15;
+            }
+            this.renderer.setGlobalAlpha(alpha);
+            
             // Highlight hovered point
             if (this.ui.hoveredPoint === index) {
                 this.renderer.setFillStyle(color);
@@ -672,6 +984,44 @@ export class ClusterVisualizer {
                 this.renderer.fillCircle(x, y, this.config.pointSize);
             }
         });
+        
+        this.renderer.setGlobalAlpha(1);
+    }
+
+    /**
+     * Render Gaussian mixture components as ellipses at 1 and 2 standard deviations
+     */
+    renderCovarianceEllipses() {
+        const { width, height } = this.config;
+        
+        this.data.centroids.forEach(centroid => {
+            if (!centroid.covariance) return;
+            
+            // Covariance of the first two dimensions in canvas units
+            const a = centroid.covariance[0][0] * width * width;
+            const b = centroid.covariance[0][1] * width * height;
+            const c = centroid.covariance[1][1] * height * height;
+            
+            // Eigen-decomposition of the symmetric 2x2 matrix
+            const mean = (a + c) / 2;
+            const spread = Math.sqrt(((a - c) / 2) ** 2 + b * b);
+            const radiusX = Math.sqrt(Math.max(mean + spread, 0));
+            const radiusY = Math.sqrt(Math.max(mean - spread, 0));
+            const rotation = Math.atan2(2 * b, a - c) / 2;
+            
+            const x = centroid.x * width;
+            const y = centroid.y * height;
+            const color = centroid.color || '#999999';
+            
+            this.renderer.setFillStyle(color + '1a');
+            this.renderer.fillEllipse(x, y, radiusX * 2, radiusY * 2, rotation);
+            
+            this.renderer.setStrokeStyle(color + '80');
+            this.renderer.setLineWidth(1);
+            [1, 2].forEach(scale => {
+                this.renderer.drawEllipse(x, y, radiusX * scale, radiusY * scale, rotation);
+            });
+        });
     }
 
     /**
@@ -791,7 +1141,9 @@ export class ClusterVisualizer {
             `Clusters: ${this.config.clusterCount}`,
             `Points: ${this.data.points.length}`,
             `Iterations: ${this.clustering.iterations}`,
-            `Inertia: ${this.clustering.inertia.toFixed(4)}`,
+            this.clustering.logLikelihood !== null ?
+                `Log-likelihood: ${this.clustering.logLikelihood.toFixed(4)}` :
+                `Inertia: ${this.clustering.inertia.toFixed(4)}`,
             `Silhouette: ${this.clustering.silhouetteScore.toFixed(4)}`,
             `FPS: ${this.animation.fps}`
         ];
@@ -832,6 +1184,10 @@ export class ClusterVisualizer {
             `Cluster: ${point.cluster >= 0 ? point.cluster : 'Unassigned'}`
         ];
         
+        if (point.confidence !== undefined) {
+            tooltip.push(`Membership: ${(point.confidence * 100).toFixed(1)}%`);
+        }
+        
         const padding = 8;
         const lineHeight = 16;
         const maxWidth = Math.max(...tooltip.map(t => this.renderer.measureText(t).width));
@@ -1337,6 +1693,7 @@ export class ClusterVisualizer {
         
         // Stop animations
         this.stopClustering();
+        this.detachStream();
         
         // Remove event listeners
         this.canvas.removeEventListener('mousedown', this.handleMouseDown.bind(this));
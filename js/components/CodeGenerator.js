@@ -6,13 +6,21 @@
  * - Support for JavaScript, Python, cURL, PHP, Java, and more
  * - Request/response examples
  * - Authentication handling
+ * - Base URL and default headers from the active connection profile
  * - Error handling patterns
  * - Copy-to-clipboard functionality
  */
 
+import { resolveApiUrl } from '../config/api.js';
+
+// Shown instead of the profile's credential, which never ends up in generated code
+const API_KEY_PLACEHOLDER = 'YOUR_API_KEY';
+
 export class CodeGenerator {
     constructor() {
         this.baseUrl = 'https://api.ncs.com';
+        this.defaultHeaders = {};
+        this.authHeader = null;
         this.generators = {
             javascript: this.generateJavaScript.bind(this),
             python: this.generatePython.bind(this),
@@ -38,7 +46,27 @@ export class CodeGenerator {
             throw new Error(`Unsupported language: ${language}`);
         }
         
-        return generator(request);
+        return generator(this.withProfile(request));
+    }
+
+    /**
+     * Target a connection profile (see js/api/profiles.js): its base URL and default
+     * headers, and an Authorization placeholder when it uses a credential
+     */
+    setProfile(profile) {
+        this.baseUrl = profile.baseURL;
+        this.defaultHeaders = { ...profile.headers };
+        this.authHeader = profile.auth?.type && profile.auth.type !== 'none'
+            ? `Bearer ${API_KEY_PLACEHOLDER}`
+            : null;
+    }
+
+    withProfile(request) {
+        const headers = { ...this.defaultHeaders, ...request.headers };
+        if (this.authHeader && !Object.keys(headers).some(key => key.toLowerCase() === 'authorization')) {
+            headers['Authorization'] = this.authHeader;
+        }
+        return { ...request, headers };
     }
 
     /**
@@ -1132,7 +1160,7 @@ suspend fun main() {
 
     // Helper methods for formatting
     getFullUrl(path) {
-        return path.startsWith('http') ? path : `${this.baseUrl}${path}`;
+        return resolveApiUrl(path, this.baseUrl);
     }
 
     formatHeaders(headers) {
@@ -16,6 +16,8 @@
  */
 
 import { CONFIG } from '../config/constants.js';
+import { parseXLSX } from '../data/xlsx.js';
+import { ChunkedUpload, UPLOAD_STATES, getPendingUploads, discardPendingUpload } from '../api/upload.js';
 
 export class DataUploader {
     constructor(container, options = {}) {
@@ -31,6 +33,8 @@ export class DataUploader {
             enableUrlImport: true,
             enableClipboard: true,
             enableBatch: false,
+            serverUpload: false, // Also send processed files to /data/upload in resumable chunks
+            uploadOptions: {}, // Passed to ChunkedUpload (client, chunkSize, ...)
             presets: {
                 iris: '/assets/data/iris.csv',
                 customers: '/assets/data/customers.csv',
@@ -69,7 +73,8 @@ export class DataUploader {
             onFileProcess: null,
             onDataReady: null,
             onError: null,
-            onProgress: null
+            onProgress: null,
+            onUploadComplete: null
         };
         
         // File validation rules
@@ -166,6 +171,10 @@ export class DataUploader {
                             </div>
                         </div>
 
+                        <div class="pending-uploads" id="pending-uploads">
+                            ${this.renderPendingUploads()}
+                        </div>
+
                         <div class="file-list" id="file-list">
                             ${this.renderFileList()}
                         </div>
@@ -231,7 +240,7 @@ export class DataUploader {
 
                 <div class="upload-progress" id="upload-progress" style="display: none;">
                     <div class="progress-label">
-                        <span>Processing...</span>
+                        <span id="progress-message">Processing...</span>
                         <span id="progress-percent">0%</span>
                     </div>
                     <div class="progress-bar">
@@ -277,13 +286,16 @@ export class DataUploader {
                         <div class="file-meta">
                             ${this.formatFileSize(file.size)} • ${file.type.toUpperCase()}
                             ${file.recordCount ? ` • ${file.recordCount} records` : ''}
+                            ${this.renderUploadStatus(file)}
                         </div>
+                        ${this.renderExcelOptions(file)}
                     </div>
                 </div>
                 <div class="file-status">
                     ${this.getFileStatusIcon(file.status)}
                 </div>
                 <div class="file-actions">
+                    ${this.renderUploadActions(file)}
                     <button class="file-action-btn" data-action="preview" title="Preview">
                         👁️
                     </button>
@@ -295,6 +307,95 @@ export class DataUploader {
         `).join('');
     }
 
+    /**
+     * Upload progress shown in the file meta line
+     */
+    renderUploadStatus(file) {
+        if (!file.upload) return '';
+
+        const labels = {
+            [UPLOAD_STATES.UPLOADING]: `Uploading ${Math.round(file.uploadProgress || 0)}%`,
+            [UPLOAD_STATES.PAUSED]: `Upload paused at ${Math.round(file.uploadProgress || 0)}%`,
+            [UPLOAD_STATES.COMPLETED]: 'Uploaded',
+            [UPLOAD_STATES.CANCELLED]: 'Upload cancelled',
+            [UPLOAD_STATES.FAILED]: 'Upload failed'
+        };
+
+        const label = labels[file.upload.state];
+        return label ? ` • ${label}` : '';
+    }
+
+    renderUploadActions(file) {
+        if (!file.upload) return '';
+
+        switch (file.upload.state) {
+            case UPLOAD_STATES.UPLOADING:
+                return `
+                    <button class="file-action-btn" data-action="pause-upload" title="Pause upload">⏸️</button>
+                    <button class="file-action-btn" data-action="cancel-upload" title="Cancel upload">⏹️</button>
+                `;
+            case UPLOAD_STATES.PAUSED:
+            case UPLOAD_STATES.FAILED:
+                return `
+                    <button class="file-action-btn" data-action="resume-upload" title="Resume upload">▶️</button>
+                    <button class="file-action-btn" data-action="cancel-upload" title="Cancel upload">⏹️</button>
+                `;
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Interrupted uploads from an earlier visit; selecting the same file resumes them
+     */
+    renderPendingUploads() {
+        if (!this.config.serverUpload) return '';
+
+        const active = new Set(this.state.files.map(file => file.upload?.fingerprint));
+
+        return getPendingUploads()
+            .filter(upload => !active.has(upload.fingerprint))
+            .map(upload => `
+                <div class="pending-upload" data-fingerprint="${this.escapeAttribute(upload.fingerprint)}">
+                    <span class="pending-upload-text">
+                        ⏸️ ${this.escapeAttribute(upload.fileName)}: ${upload.uploadedChunks}/${upload.totalChunks} chunks uploaded.
+                        Choose the same file again to resume.
+                    </span>
+                    <button class="file-action-btn" data-action="discard-upload" title="Discard">🗑️</button>
+                </div>
+            `).join('');
+    }
+
+    /**
+     * Render sheet and header row pickers for Excel workbooks
+     */
+    renderExcelOptions(file) {
+        if (!file.sheetNames) {
+            return '';
+        }
+
+        const options = file.excelOptions || {};
+        const sheetOptions = file.sheetNames.map(name => `
+            <option value="${this.escapeAttribute(name)}" ${name === options.sheet ? 'selected' : ''}>
+                ${this.escapeAttribute(name)}
+            </option>
+        `).join('');
+
+        return `
+            <div class="file-excel-options">
+                <label class="form-label">
+                    Sheet
+                    <select class="form-select excel-sheet-select">${sheetOptions}</select>
+                </label>
+                <label class="form-label">
+                    Header row
+                    <input type="number" class="form-input excel-header-row" min="1" 
+                           value="${options.headerRow || 1}">
+                </label>
+            </div>
+        `;
+    }
+
     /**
      * Render preset data options
      */
@@ -513,6 +614,12 @@ export class DataUploader {
     bindFileListEvents() {
         this.container.addEventListener('click', (e) => {
             const actionBtn = e.target.closest('.file-action-btn');
+            if (actionBtn && actionBtn.dataset.action === 'discard-upload') {
+                discardPendingUpload(actionBtn.closest('.pending-upload').dataset.fingerprint);
+                this.updatePendingUploads();
+                return;
+            }
+
             if (actionBtn) {
                 const fileItem = actionBtn.closest('.file-item');
                 const fileIndex = parseInt(fileItem.dataset.fileIndex);
@@ -525,11 +632,62 @@ export class DataUploader {
                     case 'remove':
                         this.removeFile(fileIndex);
                         break;
+                    case 'pause-upload':
+                        this.state.files[fileIndex].upload?.pause();
+                        break;
+                    case 'resume-upload':
+                        this.resumeUpload(fileIndex);
+                        break;
+                    case 'cancel-upload':
+                        this.state.files[fileIndex].upload?.cancel();
+                        break;
+                }
+            }
+        });
+
+        // Excel sheet / header row selection
+        this.container.addEventListener('change', (e) => {
+            const fileItem = e.target.closest('.file-item');
+            if (!fileItem) return;
+
+            const fileIndex = parseInt(fileItem.dataset.fileIndex);
+            if (e.target.classList.contains('excel-sheet-select')) {
+                // A new sheet gets its header row detected again
+                this.reprocessExcelFile(fileIndex, { sheet: e.target.value });
+            } else if (e.target.classList.contains('excel-header-row')) {
+                const headerRow = parseInt(e.target.value);
+                if (headerRow >= 1) {
+                    this.reprocessExcelFile(fileIndex, { 
+                        ...this.state.files[fileIndex].excelOptions, 
+                        headerRow 
+                    });
                 }
             }
         });
     }
 
+    /**
+     * Re-read an Excel file with a different sheet or header row
+     */
+    async reprocessExcelFile(index, excelOptions) {
+        const fileObj = this.state.files[index];
+        if (!fileObj) return;
+
+        fileObj.excelOptions = excelOptions;
+        fileObj.error = null;
+
+        try {
+            await this.processFile(fileObj);
+            if (this.config.showPreview) {
+                this.previewFileData(fileObj.data, fileObj.name);
+            }
+        } catch (error) {
+            this.showError(`${fileObj.name}: ${error.message}`);
+        }
+
+        this.updateFileList();
+    }
+
     /**
      * Bind preview events
      */
@@ -659,6 +817,10 @@ export class DataUploader {
                 try {
                     this.updateProgress((i / this.state.files.length) * 100);
                     await this.processFile(fileObj);
+
+                    if (this.config.serverUpload) {
+                        await this.uploadFile(fileObj);
+                    }
                 } catch (error) {
                     fileObj.status = 'error';
                     fileObj.error = error.message;
@@ -687,14 +849,18 @@ export class DataUploader {
             fileObj.status = 'processing';
             this.updateFileList();
 
-            const text = await this.readFileAsText(fileObj.file);
             const processor = this.processors[fileObj.type];
             
             if (!processor) {
                 throw new Error(`No processor available for ${fileObj.type} files`);
             }
 
-            const data = await processor(text, fileObj);
+            // Workbooks are binary; everything else is read as text
+            const content = ['xlsx', 'xls'].includes(fileObj.type) ?
+                await this.readFileAsArrayBuffer(fileObj.file) :
+                await this.readFileAsText(fileObj.file);
+
+            const data = await processor(content, fileObj);
             
             if (!data || data.length === 0) {
                 throw new Error('No valid data found in file');
@@ -713,6 +879,59 @@ export class DataUploader {
         }
     }
 
+    /**
+     * Send a processed file to the API in chunks; resumes a persisted upload of the same file
+     */
+    async uploadFile(fileObj) {
+        fileObj.upload = new ChunkedUpload(fileObj.file, {
+            ...this.config.uploadOptions,
+            onProgress: (progress) => {
+                fileObj.uploadProgress = progress.percent;
+                this.updateProgress(progress.percent, `Uploading ${fileObj.name} (${progress.uploadedChunks}/${progress.totalChunks} chunks)`);
+            },
+            onStateChange: () => {
+                this.updateFileList();
+            }
+        });
+
+        if (fileObj.upload.isResumed) {
+            console.log(`⏯️ Resuming interrupted upload of ${fileObj.name}`);
+        }
+
+        this.updatePendingUploads();
+        await this.runUpload(fileObj);
+    }
+
+    async runUpload(fileObj) {
+        try {
+            const result = await fileObj.upload.start();
+
+            if (result) {
+                fileObj.datasetId = result.datasetId;
+                this.triggerCallback('onUploadComplete', { file: fileObj, result });
+            }
+        } catch (error) {
+            // Local data stays usable; the upload can be resumed from the file list
+            this.showError(`Upload of ${fileObj.name} failed: ${error.message}`);
+        }
+    }
+
+    async resumeUpload(index) {
+        const fileObj = this.state.files[index];
+        if (!fileObj?.upload) return;
+
+        this.showProgress();
+        await this.runUpload(fileObj);
+        this.hideProgress();
+    }
+
+    updatePendingUploads() {
+        const pending = this.container.querySelector('#pending-uploads');
+        if (pending) {
+            pending.innerHTML = this.renderPendingUploads();
+        }
+    }
+
     /**
      * Process CSV file
      */
@@ -894,10 +1113,52 @@ export class DataUploader {
     /**
      * Process Excel file
      */
-    async processExcel(text, fileObj) {
-        // This would require a library like SheetJS
-        // For now, we'll throw an error suggesting CSV export
-        throw new Error('Excel files not yet supported. Please export as CSV format.');
+    async processExcel(buffer, fileObj) {
+        if (fileObj.type === 'xls') {
+            throw new Error('Legacy .xls workbooks are not supported. Please save as .xlsx or CSV.');
+        }
+
+        const { data: records, headers, summary } = parseXLSX(buffer, fileObj.excelOptions || {});
+
+        // Remember the workbook layout so the user can switch sheet or header row
+        fileObj.sheetNames = summary.sheetNames;
+        fileObj.excelOptions = { sheet: summary.sheet, headerRow: summary.headerRow };
+
+        const xCol = this.findColumn(headers, ['x', 'longitude', 'lng', 'lon', 'x_coord']);
+        const yCol = this.findColumn(headers, ['y', 'latitude', 'lat', 'y_coord']);
+        
+        if (xCol === -1 || yCol === -1) {
+            throw new Error(`Could not find x and y columns in sheet "${summary.sheet}" (header row ${summary.headerRow}). Expected columns named: x, y, longitude, latitude, etc.`);
+        }
+
+        const data = [];
+
+        records.forEach(record => {
+            const x = Number(record[headers[xCol]]);
+            const y = Number(record[headers[yCol]]);
+
+            if (record[headers[xCol]] === null || record[headers[yCol]] === null || isNaN(x) || isNaN(y)) {
+                return;
+            }
+
+            const point = { x, y, id: data.length, cluster: -1 };
+
+            // Add additional features if available
+            headers.forEach((header, index) => {
+                if (index !== xCol && index !== yCol && record[header] !== null) {
+                    const value = record[header];
+                    point[header] = value instanceof Date ? value.toISOString() : value;
+                }
+            });
+
+            data.push(point);
+        });
+
+        if (data.length === 0) {
+            throw new Error('No valid data points found');
+        }
+
+        return data;
     }
 
     /**
@@ -1105,6 +1366,7 @@ export class DataUploader {
     removeFile(index) {
         if (index >= 0 && index < this.state.files.length) {
             const file = this.state.files[index];
+            file.upload?.cancel();
             this.state.files.splice(index, 1);
             this.updateFileList();
             this.triggerCallback('onFileRemove', file);
@@ -1161,6 +1423,11 @@ export class DataUploader {
             percentLabel.textContent = `${Math.round(percent)}%`;
         }
 
+        const messageLabel = this.container.querySelector('#progress-message');
+        if (messageLabel) {
+            messageLabel.textContent = message;
+        }
+
         this.triggerCallback('onProgress', { percent, message });
     }
 
@@ -1180,6 +1447,23 @@ export class DataUploader {
         });
     }
 
+    readFileAsArrayBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error('Failed to read file'));
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    escapeAttribute(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
     getFileType(filename) {
         const extension = filename.split('.').pop()?.toLowerCase();
         return this.config.acceptedTypes.includes(extension) ? extension : 'unknown';
@@ -1294,7 +1578,8 @@ export class DataUploader {
             'fileprocess': 'onFileProcess',
             'dataready': 'onDataReady',
             'error': 'onError',
-            'progress': 'onProgress'
+            'progress': 'onProgress',
+            'uploadcomplete': 'onUploadComplete'
         };
 
         const callbackName = eventMap[event];
@@ -1344,6 +1629,9 @@ export class DataUploader {
     destroy() {
         console.log('🧹 Cleaning up DataUploader...');
         
+        // Pause rather than cancel so uploads can resume on the next visit
+        this.state.files.forEach(file => file.upload?.pause());
+        
         // Clear state
         this.state.files = [];
         this.state.processedData = null;
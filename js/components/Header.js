@@ -6,13 +6,17 @@
  * - Responsive navigation menu
  * - Theme toggle functionality
  * - API status indicator
+ * - Connection profile switcher
  * - Mobile hamburger menu
  * - Active route highlighting
  * - Search functionality
  * - Smooth animations
  */
 
-import { CONFIG } from '../config/constants.js';
+import { CONFIG, EVENTS } from '../config/constants.js';
+import { eventBus } from '../core/eventBusNew.js';
+import { apiClient } from '../api/client.js';
+import { getConnectionProfiles } from '../api/profiles.js';
 
 export class Header {
     constructor() {
@@ -53,6 +57,8 @@ export class Header {
             isUserMenuOpen: false,
             activeRoute: '/',
             apiStatus: 'unknown', // 'online', 'degraded', 'offline', 'unknown'
+            openCircuits: [],
+            profile: null,
             scrolled: false
         };
         
@@ -61,6 +67,8 @@ export class Header {
         this.handleResize = this.handleResize.bind(this);
         this.handleKeydown = this.handleKeydown.bind(this);
         this.handleClickOutside = this.handleClickOutside.bind(this);
+        this.handleCircuitChange = this.handleCircuitChange.bind(this);
+        this.handleProfileChange = this.handleProfileChange.bind(this);
         
         this.init();
     }
@@ -89,6 +97,9 @@ export class Header {
             // Setup router integration
             this.setupRouterIntegration();
             
+            // Setup connection profiles (before status monitoring, which checks the active profile)
+            this.setupConnectionProfiles();
+            
             // Setup API status monitoring
             this.setupAPIStatusMonitoring();
             
@@ -184,6 +195,11 @@ export class Header {
                             </div>
                         </div>
 
+                        <!-- Connection profile -->
+                        <div class="profile-switcher">
+                            <select class="profile-select" id="profile-select" aria-label="API connection profile"></select>
+                        </div>
+
                         <!-- API Status -->
                         <div class="api-status" id="api-status">
                             <div class="status-indicator status-unknown"></div>
@@ -264,6 +280,7 @@ export class Header {
             searchSpinner: this.container.querySelector('#search-spinner'),
             themeToggle: this.container.querySelector('#theme-toggle'),
             apiStatus: this.container.querySelector('#api-status'),
+            profileSelect: this.container.querySelector('#profile-select'),
             navLinks: this.container.querySelectorAll('.nav-link'),
             mobileNavLinks: this.container.querySelectorAll('.mobile-nav-link')
         };
@@ -375,20 +392,48 @@ export class Header {
         this.updateActiveNavItem(window.location.pathname);
     }
 
+    /**
+     * Setup connection profile switcher
+     */
+    setupConnectionProfiles() {
+        this.profiles = getConnectionProfiles();
+        this.handleProfileChange({ profile: this.profiles.getActive(), profiles: this.profiles.list() });
+        
+        eventBus.on(EVENTS.API_PROFILE_CHANGE, this.handleProfileChange);
+        
+        if (this.elements.profileSelect) {
+            this.elements.profileSelect.addEventListener('change', async (e) => {
+                try {
+                    await this.profiles.activate(e.target.value);
+                } catch (error) {
+                    console.error('Failed to switch connection profile:', error);
+                    e.target.value = this.state.profile?.id || '';
+                }
+            });
+        }
+    }
+
+    renderProfileOptions(profiles = []) {
+        const select = this.elements?.profileSelect;
+        if (!select) return;
+        
+        // Options are built as elements since profile names are user input
+        select.replaceChildren(...profiles.map(profile => 
+            new Option(profile.name, profile.id, profile.active, profile.active)
+        ));
+    }
+
     /**
      * Setup API status monitoring
      */
     setupAPIStatusMonitoring() {
-        // Listen for API status changes
-        if (window.NCS?.api) {
-            // Check initial status
+        // Check initial status
+        this.checkAPIStatus();
+        
+        // Poll status periodically
+        this.statusInterval = setInterval(() => {
             this.checkAPIStatus();
-            
-            // Poll status periodically
-            setInterval(() => {
-                this.checkAPIStatus();
-            }, 30000); // Check every 30 seconds
-        }
+        }, 30000); // Check every 30 seconds
         
         // Listen for WebSocket connection status
         if (window.NCS?.ws) {
@@ -404,6 +449,9 @@ export class Header {
                 this.updateAPIStatus('offline');
             });
         }
+        
+        // Reflect API client circuit breakers
+        eventBus.on(EVENTS.API_CIRCUIT_CHANGE, this.handleCircuitChange);
     }
 
     /**
@@ -684,23 +732,64 @@ export class Header {
      * API status methods
      */
     async checkAPIStatus() {
+        const profileId = this.state.profile?.id;
+        
         try {
-            if (window.NCS?.api) {
-                const response = await window.NCS.api.get('/health');
-                if (response.status === 'online') {
-                    this.updateAPIStatus('online');
-                } else {
-                    this.updateAPIStatus('degraded');
-                }
+            const response = await apiClient.get('/health', { retry: false });
+            
+            // Ignore answers from a backend that was switched away from meanwhile
+            if (profileId !== this.state.profile?.id) return;
+            
+            if (['online', 'healthy'].includes(response?.status)) {
+                this.updateAPIStatus('online');
+            } else {
+                this.updateAPIStatus('degraded');
             }
         } catch (error) {
+            if (profileId === this.state.profile?.id) {
+                this.updateAPIStatus('offline');
+            }
+        }
+    }
+
+    handleProfileChange({ profile, profiles = [] }) {
+        const switched = this.state.profile && profile && this.state.profile.id !== profile.id;
+        const moved = this.state.profile && profile && this.state.profile.baseURL !== profile.baseURL;
+        
+        this.state.profile = profile;
+        this.renderProfileOptions(profiles);
+        
+        // A different backend starts with a clean slate
+        if (switched || moved) {
+            this.state.openCircuits = [];
+            this.updateAPIStatus('unknown');
+            this.checkAPIStatus();
+        }
+    }
+
+    handleCircuitChange({ openCircuits = [] }) {
+        this.state.openCircuits = openCircuits;
+        
+        if (openCircuits.includes('/health')) {
             this.updateAPIStatus('offline');
+        } else if (openCircuits.length > 0) {
+            this.updateAPIStatus('degraded');
+        } else {
+            this.updateAPIStatus('online');
         }
     }
 
     updateAPIStatus(status) {
         this.state.apiStatus = status;
         
+        if (this.elements?.apiStatus) {
+            const profile = this.state.profile;
+            const target = profile ? `${profile.name} (${profile.baseURL})` : '';
+            this.elements.apiStatus.title = this.state.openCircuits.length > 0
+                ? `${target}\nUnavailable: ${this.state.openCircuits.join(', ')}`.trim()
+                : target;
+        }
+        
         const indicators = this.container.querySelectorAll('.status-indicator');
         const statusTexts = this.container.querySelectorAll('.status-text');
         
@@ -753,12 +842,18 @@ export class Header {
         window.removeEventListener('resize', this.handleResize);
         document.removeEventListener('keydown', this.handleKeydown);
         document.removeEventListener('click', this.handleClickOutside);
+        eventBus.off(EVENTS.API_CIRCUIT_CHANGE, this.handleCircuitChange);
+        eventBus.off(EVENTS.API_PROFILE_CHANGE, this.handleProfileChange);
         
         // Clear timeouts
         if (this.searchTimeout) {
             clearTimeout(this.searchTimeout);
         }
         
+        if (this.statusInterval) {
+            clearInterval(this.statusInterval);
+        }
+        
         // Close mobile menu
         this.closeMobileMenu();
         
@@ -0,0 +1,263 @@
+/**
+ * FILE: js/components/OfflineQueuePanel.js
+ * OfflineQueuePanel Component - Clustering requests waiting for the connection to return
+ * NCS-API Website
+ *
+ * Features:
+ * - Lists queued requests with their status, kept across reloads
+ * - Toast when the service worker reports a replayed request
+ * - Sync now, retry, remove and clear finished actions
+ */
+
+import { getOfflineQueue, QUEUE_STATUS } from '../api/offlineQueue.js';
+import { toast } from './Toast.js';
+
+const STATUS_ICONS = {
+    [QUEUE_STATUS.PENDING]: '⏳',
+    [QUEUE_STATUS.SYNCING]: '⚙️',
+    [QUEUE_STATUS.COMPLETED]: '✅',
+    [QUEUE_STATUS.FAILED]: '❌'
+};
+
+const STATUS_LABELS = {
+    [QUEUE_STATUS.PENDING]: 'Waiting for connection',
+    [QUEUE_STATUS.SYNCING]: 'Sending...',
+    [QUEUE_STATUS.COMPLETED]: 'Sent',
+    [QUEUE_STATUS.FAILED]: 'Failed'
+};
+
+export class OfflineQueuePanel {
+    constructor(container, options = {}) {
+        this.container = container;
+
+        // Configuration
+        this.config = {
+            queue: undefined, // Defaults to the shared offline queue
+            showToasts: true,
+            ...options
+        };
+
+        this.queue = this.config.queue || getOfflineQueue();
+        this.unsubscribers = [];
+
+        // Event callbacks
+        this.callbacks = {
+            onResult: null
+        };
+
+        this.init();
+    }
+
+    /**
+     * Initialize the panel
+     */
+    init() {
+        try {
+            console.log('📴 Initializing OfflineQueuePanel...');
+
+            this.createLayout();
+            this.bindEvents();
+
+            this.unsubscribers.push(
+                this.queue.on('change', () => this.render()),
+                this.queue.on('result', (entry) => this.handleResult(entry))
+            );
+            this.queue.ready.then(() => this.render());
+
+            console.log('✅ OfflineQueuePanel initialized successfully');
+
+        } catch (error) {
+            console.error('❌ Failed to initialize OfflineQueuePanel:', error);
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Create the panel layout
+     */
+    createLayout() {
+        this.container.innerHTML = `
+            <div class="offline-queue">
+                <div class="offline-queue-summary" data-role="summary"></div>
+                <div class="offline-queue-entries" data-role="entries"></div>
+                <div class="action-button-group">
+                    <button class="action-button action-button-secondary" data-action="sync">Sync now</button>
+                    <button class="action-button action-button-secondary" data-action="clear">Clear finished</button>
+                </div>
+            </div>
+        `;
+
+        this.elements = {
+            summary: this.container.querySelector('[data-role="summary"]'),
+            entries: this.container.querySelector('[data-role="entries"]')
+        };
+
+        this.render();
+    }
+
+    bindEvents() {
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const { action, entryId } = button.dataset;
+            const done = (promise) => promise.catch(error => this.showMessage(error.message, 'error'));
+
+            switch (action) {
+                case 'sync':
+                    done(this.queue.requestSync());
+                    break;
+                case 'clear':
+                    done(this.queue.clearFinished());
+                    break;
+                case 'retry-entry':
+                    done(this.queue.retry(entryId));
+                    break;
+                case 'remove-entry':
+                    done(this.queue.remove(entryId));
+                    break;
+            }
+        });
+    }
+
+    /* ===================================
+       Rendering
+       =================================== */
+
+    render() {
+        const entries = this.queue.list();
+        const pending = this.queue.getPending().length;
+        const finished = entries.length - pending;
+
+        this.elements.summary.textContent = entries.length === 0
+            ? 'No requests waiting. Clustering runs started while offline are kept here until the connection returns.'
+            : `${pending} waiting, ${finished} finished`;
+        this.elements.entries.innerHTML = entries.map(entry => this.renderEntry(entry)).join('');
+
+        this.setButtonState('sync', pending > 0);
+        this.setButtonState('clear', finished > 0);
+    }
+
+    renderEntry(entry) {
+        const { algorithm = 'clustering', rows } = entry.meta || {};
+        const jobId = entry.result?.jobId || entry.result?.job_id;
+        const canRemove = entry.status !== QUEUE_STATUS.SYNCING;
+
+        return `
+            <div class="offline-queue-entry offline-queue-entry-${entry.status}" data-entry-id="${entry.id}">
+                <div class="offline-queue-entry-header">
+                    <span class="offline-queue-entry-status" title="${entry.status}">${STATUS_ICONS[entry.status]}</span>
+                    <span class="offline-queue-entry-name">
+                        ${this.escapeHTML(algorithm)}${rows !== undefined ? ` · ${rows} rows` : ''}
+                    </span>
+                    <span class="offline-queue-entry-time">${this.formatTime(entry.createdAt)}</span>
+                    ${entry.status === QUEUE_STATUS.FAILED ? `<button class="offline-queue-entry-action" data-action="retry-entry" data-entry-id="${entry.id}">Retry</button>` : ''}
+                    ${canRemove ? `<button class="offline-queue-entry-action" data-action="remove-entry" data-entry-id="${entry.id}" title="Remove">✕</button>` : ''}
+                </div>
+                <div class="offline-queue-entry-detail">
+                    ${STATUS_LABELS[entry.status]}${jobId ? ` · job ${this.escapeHTML(jobId)}` : ''}
+                </div>
+                ${entry.error && entry.status !== QUEUE_STATUS.COMPLETED ? `<div class="offline-queue-entry-error">${this.escapeHTML(entry.error)}</div>` : ''}
+            </div>
+        `;
+    }
+
+    setButtonState(action, enabled) {
+        const button = this.container.querySelector(`.action-button[data-action="${action}"]`);
+        if (button) {
+            button.disabled = !enabled;
+        }
+    }
+
+    /* ===================================
+       Helpers
+       =================================== */
+
+    handleResult(entry) {
+        const algorithm = entry.meta?.algorithm || 'clustering';
+
+        if (entry.status === QUEUE_STATUS.COMPLETED) {
+            const jobId = entry.result?.jobId || entry.result?.job_id;
+            this.showMessage(`Queued ${algorithm} request sent${jobId ? ` (job ${jobId})` : ''}`, 'success');
+        } else {
+            this.showMessage(`Queued ${algorithm} request failed: ${entry.error}`, 'error');
+        }
+
+        this.triggerCallback('onResult', entry);
+    }
+
+    formatTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+
+    escapeHTML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    triggerCallback(eventName, data) {
+        if (this.callbacks[eventName]) {
+            this.callbacks[eventName](data);
+        }
+    }
+
+    showMessage(message, type = 'info') {
+        console.log(`📴 ${message}`);
+
+        if (this.config.showToasts) {
+            toast.show(message, type);
+        }
+    }
+
+    /**
+     * Public API methods
+     */
+    on(event, callback) {
+        const eventMap = {
+            'result': 'onResult'
+        };
+
+        const callbackName = eventMap[event];
+        if (callbackName) {
+            this.callbacks[callbackName] = callback;
+        }
+    }
+
+    /**
+     * Handle errors gracefully
+     */
+    handleError(error) {
+        this.container.innerHTML = `
+            <div class="offline-queue-error">
+                <div style="text-align: center; color: var(--color-error-500); padding: 2rem;">
+                    <div style="font-size: 2rem; margin-bottom: 1rem;">⚠️</div>
+                    <div>Offline Queue Error</div>
+                    <div style="font-size: 0.875rem; margin-top: 0.5rem; color: var(--color-text-tertiary);">
+                        ${this.escapeHTML(error.message)}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Cleanup resources; queued requests stay stored and are still replayed
+     */
+    destroy() {
+        console.log('🧹 Cleaning up OfflineQueuePanel...');
+
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+
+        Object.keys(this.callbacks).forEach(key => {
+            this.callbacks[key] = null;
+        });
+
+        this.container.innerHTML = '';
+    }
+}
+
+export default OfflineQueuePanel;
@@ -4,7 +4,7 @@
  * NCS-API Website
  * 
  * Features:
- * - Algorithm selection (K-means, DBSCAN, Hierarchical)
+ * - Algorithm selection (K-means, DBSCAN, Hierarchical, Gaussian Mixture, HDBSCAN, OPTICS)
  * - Dynamic parameter controls
  * - Data upload and management
  * - Visualization settings
@@ -28,7 +28,9 @@ export class ParameterControls {
                     k: 3,
                     maxIterations: 100,
                     tolerance: 0.001,
-                    initMethod: 'random'
+                    initMethod: 'random',
+                    miniBatch: false,
+                    batchSize: 1024
                 },
                 dbscan: {
                     epsilon: 0.1,
@@ -39,6 +41,25 @@ export class ParameterControls {
                     nClusters: 3,
                     linkage: 'ward',
                     distance: 'euclidean'
+                },
+                gmm: {
+                    k: 3,
+                    covarianceType: 'full',
+                    maxIterations: 100,
+                    tolerance: 0.001
+                },
+                hdbscan: {
+                    minClusterSize: 5,
+                    minSamples: 5,
+                    clusterSelectionMethod: 'eom',
+                    metric: 'euclidean'
+                },
+                optics: {
+                    minSamples: 5,
+                    clusterMethod: 'xi',
+                    xi: 0.05,
+                    eps: 0.5,
+                    metric: 'euclidean'
                 }
             },
             visualization: {
@@ -74,7 +95,9 @@ export class ParameterControls {
                     { key: 'k', label: 'Number of Clusters', type: 'range', min: 2, max: 10, step: 1 },
                     { key: 'maxIterations', label: 'Max Iterations', type: 'range', min: 10, max: 500, step: 10 },
                     { key: 'tolerance', label: 'Tolerance', type: 'range', min: 0.0001, max: 0.01, step: 0.0001, format: 'scientific' },
-                    { key: 'initMethod', label: 'Initialization', type: 'select', options: ['random', 'kmeans++', 'manual'] }
+                    { key: 'initMethod', label: 'Initialization', type: 'select', options: ['random', 'kmeans++', 'manual'] },
+                    { key: 'miniBatch', label: 'Mini-Batch Updates', type: 'checkbox' },
+                    { key: 'batchSize', label: 'Batch Size', type: 'range', min: 256, max: 8192, step: 256 }
                 ]
             },
             dbscan: {
@@ -96,6 +119,40 @@ export class ParameterControls {
                     { key: 'linkage', label: 'Linkage Method', type: 'select', options: ['ward', 'complete', 'average', 'single'] },
                     { key: 'distance', label: 'Distance Metric', type: 'select', options: ['euclidean', 'manhattan', 'cosine'] }
                 ]
+            },
+            gmm: {
+                name: 'Gaussian Mixture',
+                description: 'Probabilistic clustering with soft assignments',
+                color: '#10b981',
+                parameters: [
+                    { key: 'k', label: 'Number of Components', type: 'range', min: 1, max: 10, step: 1 },
+                    { key: 'covarianceType', label: 'Covariance Type', type: 'select', options: ['full', 'diag', 'spherical'] },
+                    { key: 'maxIterations', label: 'Max Iterations', type: 'range', min: 10, max: 500, step: 10 },
+                    { key: 'tolerance', label: 'Tolerance', type: 'range', min: 0.0001, max: 0.01, step: 0.0001, format: 'scientific' }
+                ]
+            },
+            hdbscan: {
+                name: 'HDBSCAN',
+                description: 'Hierarchical density-based clustering for varying densities',
+                color: '#f59e0b',
+                parameters: [
+                    { key: 'minClusterSize', label: 'Min Cluster Size', type: 'range', min: 2, max: 50, step: 1 },
+                    { key: 'minSamples', label: 'Min Samples', type: 'range', min: 1, max: 50, step: 1 },
+                    { key: 'clusterSelectionMethod', label: 'Cluster Selection', type: 'select', options: ['eom', 'leaf'] },
+                    { key: 'metric', label: 'Distance Metric', type: 'select', options: ['euclidean', 'manhattan', 'chebyshev'] }
+                ]
+            },
+            optics: {
+                name: 'OPTICS',
+                description: 'Density-based ordering with a reachability plot',
+                color: '#ef4444',
+                parameters: [
+                    { key: 'minSamples', label: 'Min Samples', type: 'range', min: 2, max: 50, step: 1 },
+                    { key: 'clusterMethod', label: 'Cluster Extraction', type: 'select', options: ['xi', 'dbscan'] },
+                    { key: 'xi', label: 'Steepness (ξ)', type: 'range', min: 0.01, max: 0.5, step: 0.01 },
+                    { key: 'eps', label: 'Epsilon (ε)', type: 'range', min: 0.01, max: 2, step: 0.01 },
+                    { key: 'metric', label: 'Distance Metric', type: 'select', options: ['euclidean', 'manhattan', 'chebyshev'] }
+                ]
             }
         };
         
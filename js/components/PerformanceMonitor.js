@@ -35,7 +35,9 @@ export class PerformanceMonitor {
                     totalRequests: 0,
                     averageResponseTime: 0,
                     errorRate: 0,
-                    activeConnections: 0
+                    activeConnections: 0,
+                    retries: 0,
+                    circuits: {}
                 },
                 browser: {
                     fps: 60,
@@ -217,6 +219,14 @@ export class PerformanceMonitor {
                                 <span class="stat-label">Connections</span>
                                 <span class="stat-value" id="api-connections">--</span>
                             </div>
+                            <div class="stat-item">
+                                <span class="stat-label">Retries</span>
+                                <span class="stat-value" id="api-retries">--</span>
+                            </div>
+                            <div class="stat-item">
+                                <span class="stat-label">Open Circuits</span>
+                                <span class="stat-value" id="api-open-circuits">--</span>
+                            </div>
                         </div>
                     </div>
 
@@ -298,6 +308,14 @@ export class PerformanceMonitor {
             this.updateAPIErrorMetrics(data);
         });
 
+        this.eventBus.on(EVENTS.API_REQUEST_RETRY, (data) => {
+            this.updateAPIRetryMetrics(data);
+        });
+
+        this.eventBus.on(EVENTS.API_CIRCUIT_CHANGE, (data) => {
+            this.updateCircuitMetrics(data);
+        });
+
         this.eventBus.on(EVENTS.CLUSTERING_COMPLETED, (data) => {
             this.updateClusteringMetrics(data);
         });
@@ -495,14 +513,17 @@ export class PerformanceMonitor {
         const api = this.state.metrics.api;
         api.totalRequests++;
         
-        // Update average response time
-        if (data.duration) {
-            api.averageResponseTime = (api.averageResponseTime + data.duration) / 2;
-        }
+        // Cache hits never touched the network
+        if (!data.cached) {
+            // Update average response time
+            if (data.duration) {
+                api.averageResponseTime = (api.averageResponseTime + data.duration) / 2;
+            }
 
-        // Update network latency
-        this.state.metrics.network.latency = data.duration || 0;
-        this.state.metrics.network.requests++;
+            // Update network latency
+            this.state.metrics.network.latency = data.duration || 0;
+            this.state.metrics.network.requests++;
+        }
 
         // Update UI
         document.getElementById('api-response-time').textContent = `${api.averageResponseTime.toFixed(0)} ms`;
@@ -530,6 +551,37 @@ export class PerformanceMonitor {
         }
     }
 
+    /**
+     * Update API retry count
+     */
+    updateAPIRetryMetrics(data) {
+        const api = this.state.metrics.api;
+        api.retries++;
+
+        document.getElementById('api-retries').textContent = api.retries.toString();
+    }
+
+    /**
+     * Track circuit breaker state per endpoint
+     */
+    updateCircuitMetrics(data) {
+        const api = this.state.metrics.api;
+        api.circuits[data.endpoint] = data.state;
+
+        const open = Object.values(api.circuits).filter(state => state !== 'closed').length;
+        const element = document.getElementById('api-open-circuits');
+        element.textContent = `${open} / ${Object.keys(api.circuits).length}`;
+        element.title = Object.entries(api.circuits)
+            .map(([endpoint, state]) => `${endpoint}: ${state}`)
+            .join('\n');
+
+        if (data.state === 'open') {
+            this.addAlert(`API circuit opened for ${data.endpoint}`, 'error');
+        } else if (data.state === 'closed' && data.previousState !== 'closed') {
+            this.addAlert(`API circuit recovered for ${data.endpoint}`, 'info');
+        }
+    }
+
     /**
      * Update clustering metrics
      */
@@ -817,6 +869,8 @@ export class PerformanceMonitor {
         // Remove event listeners
         this.eventBus.off(EVENTS.API_REQUEST_SUCCESS);
         this.eventBus.off(EVENTS.API_REQUEST_ERROR);
+        this.eventBus.off(EVENTS.API_REQUEST_RETRY);
+        this.eventBus.off(EVENTS.API_CIRCUIT_CHANGE);
         this.eventBus.off(EVENTS.CLUSTERING_COMPLETED);
         this.eventBus.off(EVENTS.CLUSTERING_PROGRESS);
         
@@ -3,25 +3,38 @@
  * Integrates with actual NCS-API for real clustering
  */
 
-import NCSApiClient from '../api/ncs-client.js';
-import DataProcessor from '../data/processor.js';
+import NCSApiClient from '../api/client.js';
+import DataProcessor from '../data/preprocessor.js';
+import { API_BASE_URL, WS_BASE_URL, API_CONFIG } from '../config/api.js';
+import { ChunkedUpload } from '../api/upload.js';
+import { getConnectionProfiles } from '../api/profiles.js';
+import { isOfflineError } from '../api/offlineQueue.js';
+import { BatchJobQueue } from './BatchJobQueue.js';
+import { OfflineQueuePanel } from './OfflineQueuePanel.js';
 import { EventBus } from '../core/eventBusNew.js';
 
 export class RealPlayground {
     constructor() {
         // Initialize API client and data processor
         this.apiClient = new NCSApiClient({
-            // TODO: Update these URLs to your actual deployed API
-            baseURL: 'https://ncs-api.herokuapp.com/api/v1', // Change this!
-            wsURL: 'wss://ncs-api.herokuapp.com/ws',          // Change this!
+            // Environment URLs from config/api.js (served by the mock server when CONFIG.API.MOCK is enabled)
+            baseURL: API_BASE_URL,
+            wsURL: WS_BASE_URL,
             apiKey: null // Will be set when user provides it
         });
         
+        // Follow the connection profile chosen in the header or API explorer
+        this.profiles = getConnectionProfiles();
+        this.profiles.attach(this.apiClient);
+        
         this.dataProcessor = new DataProcessor();
         
         // State
         this.currentData = null;
         this.currentJob = null;
+        this.activeUpload = null;
+        this.batchQueue = null;
+        this.offlineQueue = null;
         this.selectedAlgorithm = 'kmeans';
         this.algorithmParameters = {};
         this.isProcessing = false;
@@ -37,6 +50,9 @@ export class RealPlayground {
         try {
             console.log('🚀 Initializing Real NCS-API Playground...');
             
+            // Saved credentials are decrypted asynchronously
+            await this.profiles.ready;
+            
             // Test API connection
             await this.testApiConnection();
             
@@ -52,6 +68,14 @@ export class RealPlayground {
             console.log('✅ Real Playground initialized successfully');
             
         } catch (error) {
+            if (isOfflineError(error)) {
+                // Runs started now are queued and sent once the connection returns
+                this.setupEventHandlers();
+                this.initializeUI();
+                this.showMessage('You are offline. Clustering runs will be queued until the connection returns.', 'warning');
+                return;
+            }
+            
             console.warn('⚠️ API connection failed, falling back to simulation mode:', error);
             this.showMessage('API not available. Running in simulation mode.', 'warning');
             // Continue with simulation mode as fallback
@@ -170,8 +194,10 @@ export class RealPlayground {
                 throw new Error(result.error);
             }
             
-            // Validate data with API
-            const validation = await this.apiClient.validateData(result.data);
+            // Validate data with API; large files go up in chunks and are validated server-side
+            const validation = file.size > API_CONFIG.upload.chunkSize ?
+                await this.uploadLargeFile(file) :
+                await this.apiClient.validateData(result.data);
             
             if (!validation.valid) {
                 throw new Error('Data validation failed: ' + validation.errors.join(', '));
@@ -181,9 +207,12 @@ export class RealPlayground {
             this.currentData = {
                 raw: result.data,
                 metadata: result.metadata,
-                validation: validation
+                validation: validation,
+                datasetId: validation.datasetId || null
             };
             
+            this.addBatchDataset();
+            
             // Update UI
             this.updateDataPreview(result);
             this.showMessage(`File "${file.name}" processed successfully! ${result.metadata.rows} rows, ${result.metadata.columns.length} columns.`, 'success');
@@ -198,6 +227,40 @@ export class RealPlayground {
         }
     }
 
+    /**
+     * Upload a large file to /data/upload in resumable chunks
+     * @returns {Promise<Object>} Server-side validation plus the datasetId
+     */
+    async uploadLargeFile(file) {
+        this.activeUpload?.pause();
+        
+        const upload = new ChunkedUpload(file, {
+            client: this.apiClient,
+            onProgress: ({ percent, uploadedChunks, totalChunks }) => {
+                this.showMessage(`Uploading "${file.name}"... ${Math.round(percent)}% (${uploadedChunks}/${totalChunks} chunks)`, 'info');
+            }
+        });
+        this.activeUpload = upload;
+        
+        if (upload.isResumed) {
+            console.log('⏯️ Resuming interrupted upload:', file.name);
+        }
+        
+        try {
+            const result = await upload.start();
+            if (!result) {
+                throw new Error('Upload was paused or cancelled');
+            }
+            
+            return { ...result.validation, datasetId: result.datasetId };
+            
+        } finally {
+            if (this.activeUpload === upload) {
+                this.activeUpload = null;
+            }
+        }
+    }
+
     /**
      * Load real sample data from API
      */
@@ -229,6 +292,8 @@ export class RealPlayground {
                 validation: validation
             };
             
+            this.addBatchDataset();
+            
             // Update UI
             this.updateDataPreview({
                 data: data,
@@ -270,13 +335,21 @@ export class RealPlayground {
                 this.getSelectedColumns()
             );
             
-            // Start clustering job
+            // Start clustering job (kept for replay if the connection is down)
             const job = await this.apiClient.startClustering(
                 clusteringData.data,
                 this.selectedAlgorithm,
-                this.algorithmParameters
+                this.algorithmParameters,
+                { queueOffline: true }
             );
             
+            if (job.queued) {
+                this.showMessage('You are offline. The clustering request was saved and will be sent when the connection returns.', 'info');
+                this.isProcessing = false;
+                this.updateClusteringState('idle', 'Queued offline');
+                return;
+            }
+            
             this.currentJob = job;
             console.log('✅ Clustering job started:', job);
             
@@ -667,6 +740,55 @@ export class RealPlayground {
         document.querySelectorAll('[data-param]').forEach(input => {
             this.updateParameter(input.dataset.param, input.value);
         });
+        
+        // Batch parameter sweeps over the datasets loaded in this session
+        const batchContainer = document.getElementById('batch-jobs');
+        if (batchContainer) {
+            this.batchQueue = new BatchJobQueue(batchContainer, {
+                client: this.apiClient,
+                algorithm: this.selectedAlgorithm
+            });
+            this.addBatchDataset();
+        }
+        
+        // Clustering requests made offline, replayed by the service worker
+        const offlineContainer = document.getElementById('offline-queue');
+        if (offlineContainer) {
+            this.offlineQueue = new OfflineQueuePanel(offlineContainer);
+            this.offlineQueue.on('result', (entry) => this.handleQueuedResult(entry));
+        }
+    }
+
+    /**
+     * Follow a queued request the service worker has sent, unless another run is in progress
+     */
+    async handleQueuedResult(entry) {
+        const jobId = entry.result?.jobId || entry.result?.job_id;
+        if (!jobId || this.isProcessing) return;
+        
+        this.isProcessing = true;
+        this.currentJob = entry.result;
+        this.updateClusteringState('running');
+        
+        await this.subscribeToJobUpdates(jobId);
+        this.pollForResults(jobId);
+    }
+
+    /**
+     * Offer the current dataset to the batch queue's sweeps
+     */
+    addBatchDataset() {
+        if (!this.batchQueue || !this.currentData) return;
+        
+        try {
+            const { data } = this.dataProcessor.prepareForClustering(
+                this.currentData.raw,
+                this.getSelectedColumns()
+            );
+            this.batchQueue.addDataset(this.currentData.metadata?.filename || 'dataset', data);
+        } catch (error) {
+            console.warn('⚠️ Dataset not added to the batch queue:', error.message);
+        }
     }
 
     updateUploadState(state) {
@@ -45,9 +45,19 @@ export const WS_BASE_URLS = {
   [ENV.PRODUCTION]: 'wss://api.ncs-cluster.com/ws'
 };
 
-// Current API base URL
-export const API_BASE_URL = API_BASE_URLS[CURRENT_ENV];
-export const WS_BASE_URL = WS_BASE_URLS[CURRENT_ENV];
+// Current API base URL (follows the active connection profile, see js/api/profiles.js)
+export let API_BASE_URL = API_BASE_URLS[CURRENT_ENV];
+export let WS_BASE_URL = WS_BASE_URLS[CURRENT_ENV];
+
+/**
+ * Point the URL builders at another backend
+ * @param {string} baseURL - API base URL
+ * @param {string} wsURL - WebSocket URL
+ */
+export function setApiBaseUrls(baseURL, wsURL = WS_BASE_URL) {
+  API_BASE_URL = baseURL;
+  WS_BASE_URL = wsURL;
+}
 
 /* ===================================
    API Endpoints
@@ -69,6 +79,7 @@ export const ENDPOINTS = {
     CLUSTER: '/cluster',
     BATCH_CLUSTER: '/cluster/batch',
     STREAM_CLUSTER: '/cluster/stream',
+    STREAM_BATCHES: '/cluster/stream/:streamId',
     ALGORITHMS: '/cluster/algorithms',
     QUALITY_METRICS: '/cluster/quality',
     EXPORT: '/cluster/export'
@@ -77,6 +88,9 @@ export const ENDPOINTS = {
   // Data processing
   DATA: {
     UPLOAD: '/data/upload',
+    UPLOAD_STATUS: '/data/upload/:uploadId',
+    UPLOAD_CHUNK: '/data/upload/:uploadId/chunks/:index',
+    UPLOAD_COMPLETE: '/data/upload/:uploadId/complete',
     VALIDATE: '/data/validate',
     PREPROCESS: '/data/preprocess',
     SAMPLE: '/data/sample',
@@ -177,7 +191,35 @@ export const API_CONFIG = {
       'application/vnd.ms-excel',
       'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
     ],
-    chunkSize: 1024 * 1024 // 1MB chunks
+    chunkSize: 1024 * 1024, // 1MB chunks
+    resumeTTL: 24 * 60 * 60 * 1000 // Keep interrupted upload state for a day
+  },
+
+  // Response cache for GETs that opt in with `cacheResponse`
+  cache: {
+    defaultTTL: 300000, // 5 minutes
+    algorithmsTTL: 3600000, // 1 hour
+    resultsTTL: 3600000 // Finished results never change
+  },
+
+  // Streaming clustering (js/api/stream.js)
+  stream: {
+    batchSize: 100, // Points per mini-batch
+    maxInFlight: 4, // Unacknowledged mini-batches before push() waits
+    openTimeout: 10000
+  },
+
+  // Batch clustering jobs (js/api/batch.js)
+  batch: {
+    pollInterval: 2000, // Status polling while the WebSocket is unavailable
+    maxRetries: 1, // Automatic resubmissions of a failed job
+    retryDelay: 1000
+  },
+
+  // Binary frames for bulk datasets and results (js/utils/binaryFrame.js)
+  binary: {
+    enabled: true, // Used only once the server advertises the encoding
+    minRows: 1000 // Smaller datasets stay JSON, the saving is not worth a format switch
   },
 
   // WebSocket configuration
@@ -210,6 +252,36 @@ export function buildApiUrl(endpoint, params = {}) {
   return url;
 }
 
+/**
+ * Full URL for a path that may already include the base path (e.g. /api/v1/cluster)
+ * @param {string} path - Path or absolute URL
+ * @param {string} baseURL - API base URL
+ * @returns {string} Complete URL
+ */
+export function resolveApiUrl(path, baseURL = API_BASE_URL) {
+  if (/^https?:\/\//.test(path)) return path;
+  
+  const base = baseURL.replace(/\/+$/, '');
+  const basePath = new URL(base).pathname.replace(/\/+$/, '');
+  
+  if (basePath && (path === basePath || path.startsWith(`${basePath}/`))) {
+    return base.slice(0, base.length - basePath.length) + path;
+  }
+  return base + path;
+}
+
+/**
+ * Path relative to the API base URL, the form APIClient.request() expects
+ * @param {string} path - Path, with or without the base path, or absolute URL
+ * @param {string} baseURL - API base URL
+ * @returns {string} Endpoint path
+ */
+export function getEndpointPath(path, baseURL = API_BASE_URL) {
+  const base = baseURL.replace(/\/+$/, '');
+  const url = resolveApiUrl(path, base);
+  return url.startsWith(base) ? url.slice(base.length) || '/' : url;
+}
+
 /**
  * Build WebSocket URL
  * @param {string} path - WebSocket path
@@ -519,7 +591,10 @@ export default {
   WS_BASE_URL,
   ENDPOINTS,
   API_CONFIG,
+  setApiBaseUrls,
   buildApiUrl,
+  resolveApiUrl,
+  getEndpointPath,
   buildWsUrl,
   addQueryParams,
   getClusteringUrl,
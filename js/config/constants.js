@@ -24,6 +24,15 @@ export const API_CONFIG = {
     RATE_LIMIT: {
         REQUESTS_PER_MINUTE: 60,
         CLUSTERING_PER_HOUR: 100
+    },
+
+    // Local mock backend (js/api/mockServer.js), enable with ?mock=true
+    MOCK: {
+        ENABLED: typeof location !== 'undefined' && location.search.includes('mock=true'),
+        LATENCY: 300, // Simulated network delay
+        PROGRESS_INTERVAL: 250, // Delay between job progress events
+        FAILURE_RATE: 0, // Fraction of requests answered with 503
+        REQUIRE_AUTH: false
     }
 };
 
@@ -34,8 +43,8 @@ export const APP_CONFIG = {
     BUILD_DATE: '2025-06-17',
     
     // Environment detection
-    IS_DEVELOPMENT: location.hostname === 'localhost' || location.hostname === '127.0.0.1',
-    IS_PRODUCTION: location.hostname === 'ncs-api.com',
+    IS_DEVELOPMENT: typeof location !== 'undefined' && (location.hostname === 'localhost' || location.hostname === '127.0.0.1'),
+    IS_PRODUCTION: typeof location !== 'undefined' && location.hostname === 'ncs-api.com',
     
     // Feature flags
     FEATURES: {
@@ -137,6 +146,7 @@ export const VISUALIZATION_CONFIG = {
         SCATTER_3D: 'scatter3d',
         HEATMAP: 'heatmap',
         DENDROGRAM: 'dendrogram',
+        REACHABILITY: 'reachability',
         PARALLEL_COORDINATES: 'parallel'
     },
     
@@ -151,7 +161,7 @@ export const VISUALIZATION_CONFIG = {
     CANVAS: {
         MAX_WIDTH: 4096,
         MAX_HEIGHT: 4096,
-        DPI_SCALE: window.devicePixelRatio || 1,
+        DPI_SCALE: (typeof window !== 'undefined' && window.devicePixelRatio) || 1,
         ANTI_ALIASING: true
     },
     
@@ -215,11 +225,15 @@ export const SUCCESS_MESSAGES = {
 
 // Storage Keys
 export const STORAGE_KEYS = {
+    AUTH_TOKEN: 'ncs-auth-token',
+    REFRESH_TOKEN: 'ncs-refresh-token',
+    USER_PROFILE: 'ncs-user-profile',
     THEME_PREFERENCE: 'ncs-theme-preference',
     USER_SETTINGS: 'ncs-user-settings',
     RECENT_DATASETS: 'ncs-recent-datasets',
     ALGORITHM_HISTORY: 'ncs-algorithm-history',
-    PERFORMANCE_CACHE: 'ncs-performance-cache'
+    PERFORMANCE_CACHE: 'ncs-performance-cache',
+    CACHE_PREFIX: 'ncs-cache:'
 };
 
 // Regular Expressions
@@ -242,12 +256,14 @@ export const EVENTS = {
     DATA_LOADED: 'data:loaded',
     DATA_PROCESSED: 'data:processed',
     DATA_ERROR: 'data:error',
+    DATA_STREAM: 'data:stream', // { channel, value, timestamp } samples for RealTimeChart
     
     // Clustering events
     CLUSTERING_START: 'clustering:start',
     CLUSTERING_PROGRESS: 'clustering:progress',
     CLUSTERING_COMPLETE: 'clustering:complete',
     CLUSTERING_ERROR: 'clustering:error',
+    CLUSTERING_STREAM_UPDATE: 'clustering:stream:update',
     
     // UI events
     THEME_CHANGE: 'theme:change',
@@ -258,8 +274,17 @@ export const EVENTS = {
     // Network events
     ONLINE: 'network:online',
     OFFLINE: 'network:offline',
+    OFFLINE_QUEUE_CHANGE: 'network:offline-queue:change',
+    OFFLINE_QUEUE_RESULT: 'network:offline-queue:result',
     API_CONNECTED: 'api:connected',
-    API_DISCONNECTED: 'api:disconnected'
+    API_DISCONNECTED: 'api:disconnected',
+    
+    // API request events
+    API_REQUEST_SUCCESS: 'api:request:success',
+    API_REQUEST_ERROR: 'api:request:error',
+    API_REQUEST_RETRY: 'api:request:retry',
+    API_CIRCUIT_CHANGE: 'api:circuit:change',
+    API_PROFILE_CHANGE: 'api:profile:change'
 };
 
 // URLs and Endpoints
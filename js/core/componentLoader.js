@@ -44,7 +44,8 @@ export class ComponentLoader {
             ['ScatterPlot', './visualizations/charts/ScatterPlot.js'],
             ['ScatterPlot3D', './visualizations/charts/ScatterPlot3D.js'],
             ['Heatmap', './visualizations/charts/Heatmap.js'],
-            ['Dendrogram', './visualizations/charts/Dendrogram.js']
+            ['Dendrogram', './visualizations/charts/Dendrogram.js'],
+            ['ReachabilityPlot', './visualizations/charts/ReachabilityPlot.js']
         ]);
         
         // Component dependencies
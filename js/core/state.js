@@ -1,10 +1,47 @@
 /**
  * FILE: js/core/state.js
  * Global State Management System
- * NCS-API Website - Centralized state store with reactive updates
+ * NCS-API Website - Centralized state store with reactive updates,
+ * undo/redo over the data, clustering and visualization slices
  */
 
 import { EVENTS, UI_STATES, PROCESSING_STATUS, STORAGE_KEYS, DEFAULTS } from '../config/constants.js';
+import { compressString, decompressString, isCompressedString } from '../utils/compression.js';
+
+// Slices covered by undo/redo
+const UNDO_SLICES = ['data', 'clustering', 'visualization'];
+
+// Transient fields and logs that are not worth an undo step
+const UNDO_IGNORED_PATHS = [
+  'data.status',
+  'data.error',
+  'data.history',
+  'clustering.status',
+  'clustering.progress',
+  'clustering.error',
+  'clustering.history',
+  'visualization.rendered',
+  'visualization.error',
+  'visualization.saved'
+];
+
+/**
+ * Deep copy a state value for the undo stack
+ * @param {any} value - Value to copy
+ * @returns {any} Copy
+ */
+function cloneValue(value) {
+  if (value === undefined || value === null || typeof value !== 'object') return value;
+  
+  if (typeof structuredClone === 'function') {
+    try {
+      return structuredClone(value);
+    } catch (error) {
+      // Values holding functions fall back to JSON
+    }
+  }
+  return JSON.parse(JSON.stringify(value));
+}
 
 /* ===================================
    State Store Class
@@ -18,12 +55,29 @@ export class StateStore {
     this.history = [];
     this.maxHistorySize = 50;
     
+    // Undo/redo stacks of { id, label, group, changes: [{ path, before, after }], timestamp }
+    this.undoStack = [];
+    this.redoStack = [];
+    this.undoGroup = null;
+    this.undoGroupDepth = 0;
+    this.undoPersistTimer = null;
+    this.undoStoragePromise = null;
+    this.undoConfig = {
+      maxSize: 100,
+      groupWindow: 1000, // ms within which actions sharing an undoGroup merge
+      persist: false,
+      storageKey: 'state_undo_history',
+      persistTTL: 30 * 24 * 60 * 60 * 1000 // 30 days
+    };
+    
     // Bind methods
     this.subscribe = this.subscribe.bind(this);
     this.unsubscribe = this.unsubscribe.bind(this);
     this.dispatch = this.dispatch.bind(this);
     this.getState = this.getState.bind(this);
     this.setState = this.setState.bind(this);
+    this.undo = this.undo.bind(this);
+    this.redo = this.redo.bind(this);
   }
 
   /**
@@ -47,7 +101,7 @@ export class StateStore {
       user: {
         authenticated: false,
         profile: this.loadFromStorage(STORAGE_KEYS.USER_PROFILE) || null,
-        token: this.loadFromStorage(STORAGE_KEYS.AUTH_TOKEN) || null,
+        token: null, // Restored from encrypted storage by the auth manager
         preferences: this.loadFromStorage(STORAGE_KEYS.PREFERENCES) || {},
         apiKeys: [],
         usage: null
@@ -209,9 +263,21 @@ export class StateStore {
     // Store previous state for history
     const previousState = JSON.parse(JSON.stringify(this.state));
     
+    // Capture undoable values before the change
+    const undoPaths = this.getUndoPaths(processedAction);
+    const undoBefore = undoPaths.map(path => cloneValue(this.getNestedValue(this.state, path)));
+    
     // Apply action to state
     this.applyAction(processedAction);
     
+    if (undoPaths.length > 0) {
+      this.recordUndo(processedAction, undoPaths.map((path, index) => ({
+        path,
+        before: undoBefore[index],
+        after: cloneValue(this.getNestedValue(this.state, path))
+      })));
+    }
+    
     // Add to history
     this.addToHistory({
       action: processedAction,
@@ -335,6 +401,306 @@ export class StateStore {
     }
   }
 
+  /* ===================================
+     Undo / Redo
+     =================================== */
+
+  /**
+   * Configure undo/redo, restoring persisted history when persistence is enabled
+   * @param {Object} options - { maxSize, groupWindow, persist, storageKey, persistTTL }
+   * @returns {Promise<boolean>} True if persisted history was restored
+   */
+  async configureUndo(options = {}) {
+    Object.assign(this.undoConfig, options);
+    this.trimUndoStack();
+    
+    if (!this.undoConfig.persist) return false;
+    return this.restoreUndoHistory();
+  }
+
+  /**
+   * State paths an action changes that should be recorded for undo
+   * @param {Object} action - Action being dispatched
+   * @returns {Array<string>} Paths to snapshot
+   */
+  getUndoPaths(action) {
+    if (action.undoable === false) return [];
+    
+    if (action.type === 'RESET_STATE' && !action.path) {
+      return [...UNDO_SLICES];
+    }
+    
+    if (!action.path || !UNDO_SLICES.includes(action.path.split('.')[0])) return [];
+    
+    const ignored = UNDO_IGNORED_PATHS.some(path => 
+      action.path === path || action.path.startsWith(path + '.')
+    );
+    return ignored ? [] : [action.path];
+  }
+
+  /**
+   * Push changes onto the undo stack, merging into the previous step when grouped
+   * @param {Object} action - Action that caused the changes
+   * @param {Array} changes - [{ path, before, after }]
+   */
+  recordUndo(action, changes) {
+    const now = Date.now();
+    const top = this.undoStack[this.undoStack.length - 1];
+    const group = this.undoGroup ? this.undoGroup.id : action.undoGroup;
+    const canMerge = top && group && top.group === group &&
+      (this.undoGroup || now - top.timestamp <= this.undoConfig.groupWindow);
+    
+    if (canMerge) {
+      changes.forEach(change => {
+        const existing = top.changes.find(item => item.path === change.path);
+        if (existing) {
+          existing.after = change.after;
+        } else {
+          top.changes.push(change);
+        }
+      });
+      top.timestamp = now;
+    } else {
+      this.undoStack.push({
+        id: this.generateId(),
+        label: action.undoLabel || (this.undoGroup && this.undoGroup.label) || action.path || action.type,
+        group: group || null,
+        changes,
+        timestamp: now
+      });
+      this.trimUndoStack();
+    }
+    
+    // A new change invalidates the redo branch
+    this.redoStack = [];
+    this.handleUndoStackChange();
+  }
+
+  /**
+   * Start grouping changes into a single undo step (e.g. while dragging a slider).
+   * Groups nest; the step closes with the outermost endUndoGroup().
+   * @param {string} label - Step label
+   */
+  beginUndoGroup(label) {
+    if (this.undoGroupDepth === 0) {
+      this.undoGroup = { id: this.generateId(), label };
+    }
+    this.undoGroupDepth++;
+  }
+
+  /**
+   * Close the current undo group
+   */
+  endUndoGroup() {
+    if (this.undoGroupDepth === 0) return;
+    
+    this.undoGroupDepth--;
+    if (this.undoGroupDepth === 0) {
+      this.undoGroup = null;
+    }
+  }
+
+  /**
+   * Run a function with all of its changes recorded as one undo step
+   * @param {string} label - Step label
+   * @param {Function} fn - Function to run; may return a promise
+   * @returns {any} Result of fn
+   */
+  withUndoGroup(label, fn) {
+    this.beginUndoGroup(label);
+    
+    let result;
+    try {
+      result = fn();
+    } catch (error) {
+      this.endUndoGroup();
+      throw error;
+    }
+    
+    if (result && typeof result.then === 'function') {
+      return result.finally(() => this.endUndoGroup());
+    }
+    this.endUndoGroup();
+    return result;
+  }
+
+  /**
+   * Undo the last step
+   * @returns {Object|null} Undone step or null if there is nothing to undo
+   */
+  undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return null;
+    
+    // Apply in reverse so parent paths are restored before their children
+    [...entry.changes].reverse().forEach(change => {
+      this.applyUndoValue(change.path, change.before, { type: 'UNDO', label: entry.label });
+    });
+    
+    this.redoStack.push(entry);
+    this.handleUndoStackChange();
+    return entry;
+  }
+
+  /**
+   * Redo the last undone step
+   * @returns {Object|null} Redone step or null if there is nothing to redo
+   */
+  redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) return null;
+    
+    entry.changes.forEach(change => {
+      this.applyUndoValue(change.path, change.after, { type: 'REDO', label: entry.label });
+    });
+    
+    this.undoStack.push(entry);
+    this.handleUndoStackChange();
+    return entry;
+  }
+
+  /**
+   * Write a recorded value back into state without recording it again
+   */
+  applyUndoValue(path, value, action) {
+    this.setNestedValue(this.state, path, cloneValue(value));
+    this.state.app.lastUpdate = Date.now();
+    
+    const undoAction = { ...action, path, timestamp: Date.now() };
+    this.notifyListeners(undoAction);
+    this.autoSave(undoAction);
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Summary of the undo/redo stacks for UI
+   * @returns {Object} Stack sizes and next step labels
+   */
+  getUndoState() {
+    const nextUndo = this.undoStack[this.undoStack.length - 1];
+    const nextRedo = this.redoStack[this.redoStack.length - 1];
+    
+    return {
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+      undoLabel: nextUndo ? nextUndo.label : null,
+      redoLabel: nextRedo ? nextRedo.label : null,
+      undoSize: this.undoStack.length,
+      redoSize: this.redoStack.length
+    };
+  }
+
+  /**
+   * Drop all undo/redo steps
+   */
+  clearUndoHistory() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.undoGroup = null;
+    this.undoGroupDepth = 0;
+    this.handleUndoStackChange();
+  }
+
+  trimUndoStack() {
+    if (this.undoStack.length > this.undoConfig.maxSize) {
+      this.undoStack.splice(0, this.undoStack.length - this.undoConfig.maxSize);
+    }
+  }
+
+  handleUndoStackChange() {
+    this.notifyListeners({ type: 'UNDO_STACK_CHANGE', ...this.getUndoState() });
+    this.scheduleUndoPersist();
+  }
+
+  /**
+   * IndexedDB-backed storage for the undo history, loaded on first use
+   * @returns {Promise<Storage>} Storage instance
+   */
+  getUndoStorage() {
+    if (!this.undoStoragePromise) {
+      this.undoStoragePromise = import('../utils/storage.js')
+        .then(({ getIndexedDBStorage }) => getIndexedDBStorage().ready);
+    }
+    return this.undoStoragePromise;
+  }
+
+  scheduleUndoPersist() {
+    if (!this.undoConfig.persist) return;
+    
+    clearTimeout(this.undoPersistTimer);
+    this.undoPersistTimer = setTimeout(() => this.persistUndoHistory(), 500);
+  }
+
+  /**
+   * Save both stacks with the current values of every path they touch,
+   * so a reload can resume from the same point
+   */
+  async persistUndoHistory() {
+    try {
+      const storage = await this.getUndoStorage();
+      const paths = new Set();
+      [...this.undoStack, ...this.redoStack].forEach(entry => {
+        entry.changes.forEach(change => paths.add(change.path));
+      });
+      
+      const present = {};
+      paths.forEach(path => {
+        present[path] = this.getNestedValue(this.state, path);
+      });
+      
+      const saved = storage.set(this.undoConfig.storageKey, {
+        version: 1,
+        undo: this.undoStack,
+        redo: this.redoStack,
+        present
+      }, { ttl: this.undoConfig.persistTTL });
+      
+      if (!saved) {
+        console.warn('Failed to persist undo history');
+      }
+    } catch (error) {
+      console.warn('Failed to persist undo history', error);
+    }
+  }
+
+  /**
+   * Restore persisted undo history and the state it was recorded against
+   * @returns {Promise<boolean>} True if history was restored
+   */
+  async restoreUndoHistory() {
+    try {
+      const storage = await this.getUndoStorage();
+      const saved = storage.get(this.undoConfig.storageKey);
+      if (!saved || saved.version !== 1 || !Array.isArray(saved.undo) || !Array.isArray(saved.redo)) {
+        return false;
+      }
+      
+      this.undoStack = saved.undo;
+      this.redoStack = saved.redo;
+      this.trimUndoStack();
+      
+      // Parents first so nested values are not overwritten
+      Object.keys(saved.present || {})
+        .sort((a, b) => a.split('.').length - b.split('.').length)
+        .forEach(path => {
+          this.applyUndoValue(path, saved.present[path], { type: 'UNDO_RESTORE' });
+        });
+      
+      this.notifyListeners({ type: 'UNDO_STACK_CHANGE', ...this.getUndoState() });
+      return true;
+    } catch (error) {
+      console.warn('Failed to restore undo history', error);
+      return false;
+    }
+  }
+
   /**
    * Helper: Get nested value from object
    * @param {Object} obj - Object to traverse
@@ -426,7 +792,8 @@ export class StateStore {
     
     try {
       const item = localStorage.getItem(key);
-      return item ? JSON.parse(item) : null;
+      if (!item) return null;
+      return JSON.parse(isCompressedString(item) ? decompressString(item) : item);
     } catch (error) {
       console.warn(`Failed to load from storage: ${key}`, error);
       return null;
@@ -442,7 +809,15 @@ export class StateStore {
     if (typeof window === 'undefined' || !window.localStorage) return;
     
     try {
-      localStorage.setItem(key, JSON.stringify(value));
+      const serialized = JSON.stringify(value);
+      
+      // Large values such as dataset and clustering history are stored compressed
+      if (serialized.length > 1024) {
+        const compressed = compressString(serialized);
+        localStorage.setItem(key, compressed.length < serialized.length ? compressed : serialized);
+      } else {
+        localStorage.setItem(key, serialized);
+      }
     } catch (error) {
       console.warn(`Failed to save to storage: ${key}`, error);
     }
@@ -469,6 +844,7 @@ export class StateStore {
   reset() {
     this.state = this.getInitialState();
     this.history = [];
+    this.clearUndoHistory();
     this.notifyListeners({ type: 'STORE_RESET' });
   }
 }
@@ -727,7 +1103,7 @@ export const actions = {
 
 // Logger middleware
 export const loggerMiddleware = (action, state) => {
-  if (process.env.NODE_ENV === 'development') {
+  if (typeof process !== 'undefined' && process.env.NODE_ENV === 'development') {
     console.group(`🔄 State Action: ${action.type}`);
     console.log('Action:', action);
     console.log('Previous State:', state);
@@ -366,6 +366,357 @@ export class DataGenerator {
         };
     }
 
+    /**
+     * Generate elongated clusters (rotated ellipses)
+     * @param {Object} options - Generation options
+     * @returns {Object} Dataset with elongated clusters
+     */
+    generateElongatedClusters(options) {
+        const {
+            size = 1000,
+            clusters = 3,
+            elongation = 4.0,
+            width = 0.4,
+            noiseLevel = 0.0
+        } = options;
+
+        const data = [];
+        const clusterInfo = [];
+        const pointsPerCluster = Math.floor(size / clusters);
+        const centers = this.generateClusterCenters(clusters, 2, 5.0);
+
+        for (let c = 0; c < clusters; c++) {
+            const center = centers[c];
+            const rotation = this.rng() * Math.PI;
+            const cos = Math.cos(rotation);
+            const sin = Math.sin(rotation);
+            const clusterSize = c === clusters - 1 ? size - (clusters - 1) * pointsPerCluster : pointsPerCluster;
+
+            for (let i = 0; i < clusterSize; i++) {
+                // Sample in the ellipse's own frame, then rotate into place
+                const u = this.generateGaussianRandom() * elongation * width;
+                const v = this.generateGaussianRandom() * width;
+
+                const point = {
+                    id: data.length,
+                    feature_0: center[0] + u * cos - v * sin + this.generateGaussianRandom() * noiseLevel,
+                    feature_1: center[1] + u * sin + v * cos + this.generateGaussianRandom() * noiseLevel,
+                    cluster: c,
+                    true_cluster: c
+                };
+
+                data.push(point);
+            }
+
+            clusterInfo.push({
+                id: c,
+                center: center,
+                size: clusterSize,
+                rotation: rotation,
+                elongation: elongation,
+                color: this.colorPalettes.vibrant[c % this.colorPalettes.vibrant.length]
+            });
+        }
+
+        return {
+            data,
+            features: ['feature_0', 'feature_1'],
+            clusters: clusterInfo,
+            type: 'elongated_clusters',
+            description: `${clusters} elongated elliptical clusters`
+        };
+    }
+
+    /**
+     * Generate hierarchical clusters (sub-clusters nested in parent groups)
+     * @param {Object} options - Generation options
+     * @returns {Object} Dataset with nested cluster structure
+     */
+    generateHierarchicalClusters(options) {
+        const {
+            size = 1000,
+            parentClusters = 3,
+            subClusters = 3,
+            dimensions = 2,
+            parentSeparation = 10.0,
+            childSeparation = 2.5,
+            clusterVariance = 0.3
+        } = options;
+
+        const data = [];
+        const clusterInfo = [];
+        const totalClusters = parentClusters * subClusters;
+        const pointsPerCluster = Math.floor(size / totalClusters);
+        const parentCenters = this.generateClusterCenters(parentClusters, dimensions, parentSeparation);
+
+        for (let p = 0; p < parentClusters; p++) {
+            const childOffsets = this.generateClusterCenters(subClusters, dimensions, childSeparation);
+
+            for (let s = 0; s < subClusters; s++) {
+                const c = p * subClusters + s;
+                const center = parentCenters[p].map((coord, d) => coord + childOffsets[s][d]);
+                const clusterSize = c === totalClusters - 1 ? size - (totalClusters - 1) * pointsPerCluster : pointsPerCluster;
+
+                for (let i = 0; i < clusterSize; i++) {
+                    const point = { id: data.length, cluster: c, true_cluster: c, parent_cluster: p };
+
+                    for (let d = 0; d < dimensions; d++) {
+                        point[`feature_${d}`] = center[d] + this.generateGaussianRandom() * Math.sqrt(clusterVariance);
+                    }
+
+                    data.push(point);
+                }
+
+                clusterInfo.push({
+                    id: c,
+                    parent: p,
+                    center: center,
+                    size: clusterSize,
+                    variance: clusterVariance,
+                    color: this.colorPalettes.vibrant[p % this.colorPalettes.vibrant.length]
+                });
+            }
+        }
+
+        return {
+            data,
+            features: Array.from({ length: dimensions }, (_, i) => `feature_${i}`),
+            clusters: clusterInfo,
+            type: 'hierarchical_clusters',
+            description: `${parentClusters} parent groups with ${subClusters} sub-clusters each`
+        };
+    }
+
+    /**
+     * Generate two interleaving half-moons
+     * @param {Object} options - Generation options
+     * @returns {Object} Dataset with moon-shaped clusters
+     */
+    generateNoisyMoons(options) {
+        const {
+            size = 1000,
+            noiseLevel = 0.1
+        } = options;
+
+        const data = [];
+        const clusterInfo = [];
+        const outerSize = Math.floor(size / 2);
+        const sizes = [outerSize, size - outerSize];
+
+        for (let m = 0; m < 2; m++) {
+            for (let i = 0; i < sizes[m]; i++) {
+                const t = this.rng() * Math.PI;
+
+                // Upper moon centred at origin, lower moon shifted and flipped
+                const x = m === 0 ? Math.cos(t) : 1 - Math.cos(t);
+                const y = m === 0 ? Math.sin(t) : 0.5 - Math.sin(t);
+
+                const point = {
+                    id: data.length,
+                    feature_0: x + this.generateGaussianRandom() * noiseLevel,
+                    feature_1: y + this.generateGaussianRandom() * noiseLevel,
+                    cluster: m,
+                    true_cluster: m
+                };
+
+                data.push(point);
+            }
+
+            clusterInfo.push({
+                id: m,
+                name: m === 0 ? 'Upper Moon' : 'Lower Moon',
+                size: sizes[m],
+                color: this.colorPalettes.warm[m % this.colorPalettes.warm.length]
+            });
+        }
+
+        return {
+            data,
+            features: ['feature_0', 'feature_1'],
+            clusters: clusterInfo,
+            type: 'noisy_moons',
+            description: `Two interleaving half-moons with noise level ${noiseLevel}`
+        };
+    }
+
+    /**
+     * Generate swiss roll manifold
+     * @param {Object} options - Generation options
+     * @returns {Object} 3D swiss roll dataset segmented along the roll
+     */
+    generateSwissRoll(options) {
+        const {
+            size = 1000,
+            segments = 4,
+            height = 20,
+            noiseLevel = 0.1
+        } = options;
+
+        const data = [];
+        const clusterInfo = [];
+        const tMin = 1.5 * Math.PI;
+        const tMax = 4.5 * Math.PI;
+        const segmentLength = (tMax - tMin) / segments;
+
+        for (let i = 0; i < size; i++) {
+            const t = tMin + this.rng() * (tMax - tMin);
+            const segment = Math.min(segments - 1, Math.floor((t - tMin) / segmentLength));
+
+            const point = {
+                id: i,
+                feature_0: t * Math.cos(t) + this.generateGaussianRandom() * noiseLevel,
+                feature_1: this.rng() * height + this.generateGaussianRandom() * noiseLevel,
+                feature_2: t * Math.sin(t) + this.generateGaussianRandom() * noiseLevel,
+                cluster: segment,
+                true_cluster: segment,
+                roll_parameter: t
+            };
+
+            data.push(point);
+        }
+
+        for (let s = 0; s < segments; s++) {
+            clusterInfo.push({
+                id: s,
+                size: data.filter(p => p.cluster === s).length,
+                parameterRange: [tMin + s * segmentLength, tMin + (s + 1) * segmentLength],
+                color: this.colorPalettes.cool[s % this.colorPalettes.cool.length]
+            });
+        }
+
+        return {
+            data,
+            features: ['feature_0', 'feature_1', 'feature_2'],
+            clusters: clusterInfo,
+            type: 'swiss_roll',
+            description: `3D swiss roll with ${segments} segments along the manifold`
+        };
+    }
+
+    /**
+     * Generate anisotropic clusters (Gaussian blobs under a linear transform)
+     * @param {Object} options - Generation options
+     * @returns {Object} Dataset with anisotropic clusters
+     */
+    generateAnisotropicClusters(options) {
+        const {
+            size = 1000,
+            clusters = 3,
+            dimensions = 2,
+            separation = 4.0
+        } = options;
+
+        const data = [];
+        const clusterInfo = [];
+        const pointsPerCluster = Math.floor(size / clusters);
+        const centers = this.generateClusterCenters(clusters, dimensions, separation);
+
+        for (let c = 0; c < clusters; c++) {
+            const center = centers[c];
+            const clusterSize = c === clusters - 1 ? size - (clusters - 1) * pointsPerCluster : pointsPerCluster;
+
+            // Random per-cluster transformation matrix with distinct scales per axis
+            const transform = Array.from({ length: dimensions }, () =>
+                Array.from({ length: dimensions }, () => this.randomBetween(-1, 1))
+            );
+            const scales = Array.from({ length: dimensions }, () => this.randomBetween(0.2, 1.5));
+
+            for (let i = 0; i < clusterSize; i++) {
+                const z = Array.from({ length: dimensions }, (_, d) => this.generateGaussianRandom() * scales[d]);
+                const point = { id: data.length, cluster: c, true_cluster: c };
+
+                for (let d = 0; d < dimensions; d++) {
+                    let value = center[d];
+                    for (let k = 0; k < dimensions; k++) {
+                        value += transform[d][k] * z[k];
+                    }
+                    point[`feature_${d}`] = value;
+                }
+
+                data.push(point);
+            }
+
+            clusterInfo.push({
+                id: c,
+                center: center,
+                size: clusterSize,
+                scales: scales,
+                transform: transform,
+                color: this.colorPalettes.vibrant[c % this.colorPalettes.vibrant.length]
+            });
+        }
+
+        return {
+            data,
+            features: Array.from({ length: dimensions }, (_, i) => `feature_${i}`),
+            clusters: clusterInfo,
+            type: 'anisotropic_clusters',
+            description: `${clusters} anisotropic clusters with different variances per dimension`
+        };
+    }
+
+    /**
+     * Generate clusters with varying densities
+     * @param {Object} options - Generation options
+     * @returns {Object} Dataset with clusters of different spread and size
+     */
+    generateVaryingDensityClusters(options) {
+        const {
+            size = 1000,
+            clusters = 3,
+            dimensions = 2,
+            minVariance = 0.1,
+            maxVariance = 2.5,
+            separation = 6.0
+        } = options;
+
+        const data = [];
+        const clusterInfo = [];
+        const centers = this.generateClusterCenters(clusters, dimensions, separation);
+
+        // Uneven split so dense and sparse clusters also differ in size
+        const weights = Array.from({ length: clusters }, () => 0.5 + this.rng());
+        const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+        let assigned = 0;
+
+        for (let c = 0; c < clusters; c++) {
+            const center = centers[c];
+            const variance = clusters === 1 ?
+                minVariance :
+                minVariance + (maxVariance - minVariance) * (c / (clusters - 1));
+            const clusterSize = c === clusters - 1 ?
+                size - assigned :
+                Math.floor(size * weights[c] / totalWeight);
+            assigned += clusterSize;
+
+            for (let i = 0; i < clusterSize; i++) {
+                const point = { id: data.length, cluster: c, true_cluster: c };
+
+                for (let d = 0; d < dimensions; d++) {
+                    point[`feature_${d}`] = center[d] + this.generateGaussianRandom() * Math.sqrt(variance);
+                }
+
+                data.push(point);
+            }
+
+            clusterInfo.push({
+                id: c,
+                center: center,
+                size: clusterSize,
+                variance: variance,
+                color: this.colorPalettes.vibrant[c % this.colorPalettes.vibrant.length]
+            });
+        }
+
+        return {
+            data,
+            features: Array.from({ length: dimensions }, (_, i) => `feature_${i}`),
+            clusters: clusterInfo,
+            type: 'varying_density',
+            description: `${clusters} clusters with variances from ${minVariance} to ${maxVariance}`
+        };
+    }
+
     /**
      * Generate customer segmentation data
      * @param {Object} options - Generation options
@@ -609,6 +960,287 @@ export class DataGenerator {
         };
     }
 
+    /**
+     * Generate time-series windows with distinct temporal patterns
+     * @param {Object} options - Generation options
+     * @returns {Object} Time-series dataset labelled by pattern
+     */
+    generateTimeSeriesData(options) {
+        const {
+            size = 1000,
+            windowLength = 24,
+            noiseLevel = 0.1
+        } = options;
+
+        const data = [];
+        const clusterInfo = [];
+
+        // Each pattern maps a normalised time t in [0, 1) to a signal value
+        const patterns = [
+            { name: 'Seasonal', signal: (t, phase) => Math.sin(2 * Math.PI * (t * 2 + phase)) },
+            { name: 'Upward Trend', signal: (t) => 2 * t - 1 },
+            { name: 'Downward Trend', signal: (t) => 1 - 2 * t },
+            { name: 'Spike', signal: (t, phase) => Math.exp(-Math.pow((t - phase) * 12, 2)) * 2 - 0.5 }
+        ];
+
+        for (let i = 0; i < size; i++) {
+            const p = Math.floor(this.rng() * patterns.length);
+            const pattern = patterns[p];
+            const phase = this.rng();
+            const amplitude = this.randomBetween(0.8, 1.2);
+            const values = [];
+
+            for (let step = 0; step < windowLength; step++) {
+                const value = amplitude * pattern.signal(step / windowLength, phase) +
+                              this.generateGaussianRandom() * noiseLevel;
+                values.push(value);
+            }
+
+            const mean = values.reduce((sum, v) => sum + v, 0) / windowLength;
+            const std = Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / windowLength);
+            const slope = (values[windowLength - 1] - values[0]) / windowLength;
+            const peakIndex = values.indexOf(Math.max(...values));
+
+            const point = {
+                id: i,
+                timestamp: Date.now() - (size - i) * 60 * 60 * 1000, // Hourly windows
+                mean: Math.round(mean * 10000) / 10000,
+                std: Math.round(std * 10000) / 10000,
+                slope: Math.round(slope * 10000) / 10000,
+                min: Math.round(Math.min(...values) * 10000) / 10000,
+                max: Math.round(Math.max(...values) * 10000) / 10000,
+                peak_position: Math.round(peakIndex / windowLength * 100) / 100,
+                cluster: p,
+                true_cluster: p,
+                pattern: pattern.name
+            };
+
+            data.push(point);
+        }
+
+        patterns.forEach((pattern, index) => {
+            clusterInfo.push({
+                id: index,
+                name: pattern.name,
+                size: data.filter(p => p.cluster === index).length,
+                color: this.colorPalettes.cool[index % this.colorPalettes.cool.length]
+            });
+        });
+
+        return {
+            data,
+            features: ['mean', 'std', 'slope', 'min', 'max', 'peak_position'],
+            clusters: clusterInfo,
+            type: 'time_series',
+            description: `Time-series windows of length ${windowLength} with ${patterns.length} temporal patterns`
+        };
+    }
+
+    /**
+     * Generate e-commerce user behavior data
+     * @param {Object} options - Generation options
+     * @returns {Object} E-commerce behavior dataset
+     */
+    generateEcommerceBehaviorData(options) {
+        const {
+            size = 1000,
+            segments = 4
+        } = options;
+
+        const data = [];
+        const clusterInfo = [];
+        const pointsPerSegment = Math.floor(size / segments);
+
+        const behaviorProfiles = [
+            { name: 'Window Shoppers', sessionsRange: [10, 30], durationRange: [2, 6], pagesRange: [8, 20], conversionRange: [0, 0.02], orderRange: [20, 60] },
+            { name: 'Bargain Hunters', sessionsRange: [15, 40], durationRange: [5, 12], pagesRange: [10, 25], conversionRange: [0.05, 0.15], orderRange: [15, 45] },
+            { name: 'Loyal Buyers', sessionsRange: [8, 20], durationRange: [3, 8], pagesRange: [4, 10], conversionRange: [0.3, 0.6], orderRange: [60, 150] },
+            { name: 'Impulse Buyers', sessionsRange: [2, 8], durationRange: [1, 3], pagesRange: [2, 6], conversionRange: [0.2, 0.4], orderRange: [100, 300] }
+        ];
+
+        for (let s = 0; s < segments; s++) {
+            const profile = behaviorProfiles[s % behaviorProfiles.length];
+            const segmentSize = s === segments - 1 ? size - (segments - 1) * pointsPerSegment : pointsPerSegment;
+
+            for (let i = 0; i < segmentSize; i++) {
+                const sessions = Math.round(this.randomBetween(profile.sessionsRange[0], profile.sessionsRange[1]));
+                const duration = this.randomBetween(profile.durationRange[0], profile.durationRange[1]);
+                const pages = this.randomBetween(profile.pagesRange[0], profile.pagesRange[1]);
+                const conversion = this.randomBetween(profile.conversionRange[0], profile.conversionRange[1]);
+                const orderValue = this.randomBetween(profile.orderRange[0], profile.orderRange[1]);
+
+                // Cart abandonment is loosely inverse to conversion
+                const abandonment = Math.min(1, Math.max(0,
+                    0.8 - conversion + this.generateGaussianRandom() * 0.05
+                ));
+
+                const point = {
+                    id: data.length,
+                    user_id: `USER_${String(data.length).padStart(6, '0')}`,
+                    sessions_per_month: sessions,
+                    avg_session_minutes: Math.round(duration * 10) / 10,
+                    pages_per_session: Math.round(pages * 10) / 10,
+                    conversion_rate: Math.round(conversion * 1000) / 1000,
+                    avg_order_value: Math.round(orderValue * 100) / 100,
+                    cart_abandonment_rate: Math.round(abandonment * 1000) / 1000,
+                    cluster: s,
+                    true_cluster: s,
+                    segment_name: profile.name
+                };
+
+                data.push(point);
+            }
+
+            clusterInfo.push({
+                id: s,
+                name: profile.name,
+                size: segmentSize,
+                profile: profile,
+                color: this.colorPalettes.vibrant[s % this.colorPalettes.vibrant.length]
+            });
+        }
+
+        return {
+            data,
+            features: ['sessions_per_month', 'avg_session_minutes', 'pages_per_session', 'conversion_rate', 'avg_order_value', 'cart_abandonment_rate'],
+            clusters: clusterInfo,
+            type: 'ecommerce_behavior',
+            description: 'E-commerce user behavior dataset with shopping personas'
+        };
+    }
+
+    /**
+     * Generate social network interaction data
+     * @param {Object} options - Generation options
+     * @returns {Object} Social network dataset with user communities
+     */
+    generateSocialNetworkData(options) {
+        const {
+            size = 1000,
+            communities = 4
+        } = options;
+
+        const data = [];
+        const clusterInfo = [];
+        const pointsPerCommunity = Math.floor(size / communities);
+
+        const communityProfiles = [
+            { name: 'Influencers', followers: [5000, 50000], following: [100, 800], posts: [40, 120], engagement: [0.04, 0.1] },
+            { name: 'Casual Users', followers: [50, 500], following: [100, 600], posts: [2, 15], engagement: [0.01, 0.04] },
+            { name: 'Lurkers', followers: [0, 80], following: [200, 1200], posts: [0, 3], engagement: [0, 0.01] },
+            { name: 'Brands', followers: [2000, 20000], following: [10, 200], posts: [20, 60], engagement: [0.005, 0.03] }
+        ];
+
+        for (let c = 0; c < communities; c++) {
+            const profile = communityProfiles[c % communityProfiles.length];
+            const communitySize = c === communities - 1 ? size - (communities - 1) * pointsPerCommunity : pointsPerCommunity;
+
+            for (let i = 0; i < communitySize; i++) {
+                // Follower counts are heavy-tailed, so sample on a log scale
+                const followers = Math.exp(this.randomBetween(
+                    Math.log(profile.followers[0] + 1),
+                    Math.log(profile.followers[1] + 1)
+                )) - 1;
+                const following = this.randomBetween(profile.following[0], profile.following[1]);
+                const posts = this.randomBetween(profile.posts[0], profile.posts[1]);
+                const engagement = this.randomBetween(profile.engagement[0], profile.engagement[1]);
+                const interactions = followers * engagement * Math.max(posts, 1) / 10;
+
+                const point = {
+                    id: data.length,
+                    user_id: `USER_${String(data.length).padStart(6, '0')}`,
+                    followers: Math.round(followers),
+                    following: Math.round(following),
+                    posts_per_month: Math.round(posts),
+                    engagement_rate: Math.round(engagement * 10000) / 10000,
+                    interactions_per_month: Math.round(interactions),
+                    follower_ratio: Math.round(followers / Math.max(following, 1) * 100) / 100,
+                    cluster: c,
+                    true_cluster: c,
+                    community: profile.name
+                };
+
+                data.push(point);
+            }
+
+            clusterInfo.push({
+                id: c,
+                name: profile.name,
+                size: communitySize,
+                profile: profile,
+                color: this.colorPalettes.pastel[c % this.colorPalettes.pastel.length]
+            });
+        }
+
+        return {
+            data,
+            features: ['followers', 'following', 'posts_per_month', 'engagement_rate', 'interactions_per_month', 'follower_ratio'],
+            clusters: clusterInfo,
+            type: 'social_network',
+            description: 'Social network interaction data with user communities'
+        };
+    }
+
+    /**
+     * Generate synthetic image feature vectors
+     * @param {Object} options - Generation options
+     * @returns {Object} High-dimensional image feature dataset
+     */
+    generateImageFeatureData(options) {
+        const {
+            size = 1000,
+            categories = 5,
+            dimensions = 16,
+            noiseLevel = 0.15
+        } = options;
+
+        const data = [];
+        const clusterInfo = [];
+        const pointsPerCategory = Math.floor(size / categories);
+        const categoryNames = ['Animals', 'Vehicles', 'Landscapes', 'Buildings', 'Food', 'People', 'Plants', 'Objects'];
+
+        for (let c = 0; c < categories; c++) {
+            // Sparse non-negative prototype, like pooled CNN activations
+            const prototype = Array.from({ length: dimensions }, () =>
+                this.rng() < 0.3 ? this.randomBetween(0.5, 1.0) : this.randomBetween(0, 0.1)
+            );
+            const categorySize = c === categories - 1 ? size - (categories - 1) * pointsPerCategory : pointsPerCategory;
+
+            for (let i = 0; i < categorySize; i++) {
+                const point = {
+                    id: data.length,
+                    image_id: `IMG_${String(data.length).padStart(6, '0')}`,
+                    cluster: c,
+                    true_cluster: c,
+                    category: categoryNames[c % categoryNames.length]
+                };
+
+                for (let d = 0; d < dimensions; d++) {
+                    const activation = Math.max(0, prototype[d] + this.generateGaussianRandom() * noiseLevel);
+                    point[`feature_${d}`] = Math.round(activation * 10000) / 10000;
+                }
+
+                data.push(point);
+            }
+
+            clusterInfo.push({
+                id: c,
+                name: categoryNames[c % categoryNames.length],
+                size: categorySize,
+                prototype: prototype,
+                color: this.colorPalettes.vibrant[c % this.colorPalettes.vibrant.length]
+            });
+        }
+
+        return {
+            data,
+            features: Array.from({ length: dimensions }, (_, i) => `feature_${i}`),
+            clusters: clusterInfo,
+            type: 'image_features',
+            description: `${categories} image categories as ${dimensions}-dimensional feature vectors`
+        };
+    }
+
     /**
      * Generate outlier dataset for outlier detection testing
      * @param {Object} options - Generation options
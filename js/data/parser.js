@@ -5,6 +5,7 @@
  */
 
 import { EventBus } from '../core/eventBusNew.js';
+import { XLSXReader } from './xlsx.js';
 
 export class DataParser {
     constructor() {
@@ -329,15 +330,36 @@ export class DataParser {
     }
 
     /**
-     * Parse Excel content (placeholder - requires external library)
+     * Parse Excel content (.xlsx workbooks)
      * @param {ArrayBuffer} content - Excel content
      * @param {Object} options - Parsing options
+     * @param {String|Number} options.sheet - Sheet name or zero-based index
+     * @param {Number} options.headerRow - 1-based header row (defaults to first non-empty row)
      * @returns {Promise<Object>} Parsed Excel data
      */
     async parseExcel(content, options = {}) {
-        // This would require a library like SheetJS (xlsx)
-        // For now, throw an error suggesting CSV export
-        throw new Error('Excel parsing requires additional libraries. Please export your data as CSV format.');
+        const bytes = new Uint8Array(content);
+
+        // Legacy .xls files are OLE compound documents, not ZIP archives
+        if (bytes[0] === 0xD0 && bytes[1] === 0xCF && bytes[2] === 0x11 && bytes[3] === 0xE0) {
+            throw new Error('Legacy .xls workbooks are not supported. Please save the file as .xlsx or CSV.');
+        }
+
+        const reader = new XLSXReader(bytes);
+        const { data, headers, summary } = reader.toRecords(options);
+
+        this.validateHeaders(headers);
+
+        // Text cells get the same type detection as CSV values; typed cells are kept
+        data.forEach(row => {
+            headers.forEach(header => {
+                if (typeof row[header] === 'string') {
+                    row[header] = this.parseValue(row[header]);
+                }
+            });
+        });
+
+        return { data, headers, metadata: summary };
     }
 
     /**
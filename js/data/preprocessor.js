@@ -3,6 +3,8 @@
  * Handles CSV, JSON, Excel file processing for NCS-API
  */
 
+import { parseXLSX } from './xlsx.js';
+
 export class DataProcessor {
     constructor() {
         this.supportedFormats = ['csv', 'json', 'xlsx', 'xls', 'txt'];
@@ -12,8 +14,10 @@ export class DataProcessor {
 
     /**
      * Process uploaded file
+     * @param {File} file - Uploaded file
+     * @param {Object} options - Format options (Excel: sheet, headerRow)
      */
-    async processFile(file) {
+    async processFile(file, options = {}) {
         try {
             // Validate file
             this.validateFile(file);
@@ -33,7 +37,7 @@ export class DataProcessor {
                     break;
                 case 'xlsx':
                 case 'xls':
-                    data = await this.processExcel(file);
+                    data = await this.processExcel(file, options);
                     break;
                 default:
                     throw new Error(`Unsupported file format: ${extension}`);
@@ -180,11 +184,21 @@ export class DataProcessor {
     }
 
     /**
-     * Process Excel file (simplified - for full Excel support, use a library like SheetJS)
+     * Process Excel file (.xlsx)
      */
-    async processExcel(file) {
-        // For now, suggest user to export as CSV
-        throw new Error('Excel files not yet supported. Please export your data as CSV and try again.');
+    async processExcel(file, options = {}) {
+        if (this.getFileExtension(file.name).toLowerCase() === 'xls') {
+            throw new Error('Legacy .xls workbooks are not supported. Please save the file as .xlsx or CSV.');
+        }
+        
+        const buffer = await this.readFileAsArrayBuffer(file);
+        const { data } = parseXLSX(buffer, options);
+        
+        if (data.length === 0) {
+            throw new Error('No valid data rows found in worksheet');
+        }
+        
+        return data.slice(0, this.maxRows);
     }
 
     /**
@@ -331,6 +345,25 @@ export class DataProcessor {
         });
     }
 
+    /**
+     * Read file as ArrayBuffer
+     */
+    readFileAsArrayBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            
+            reader.onload = () => {
+                resolve(reader.result);
+            };
+            
+            reader.onerror = () => {
+                reject(new Error('Failed to read file'));
+            };
+            
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
     /**
      * Get file extension
      */
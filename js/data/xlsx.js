@@ -0,0 +1,399 @@
+/**
+ * XLSX Reader for NCS-API-Website
+ * Dependency-free reader for Office Open XML spreadsheets (.xlsx)
+ * Resolves shared strings, inline strings, booleans, numbers and date-formatted cells.
+ * Uses no DOM APIs so it also runs inside web workers.
+ */
+
+import { ZipReader } from '../utils/zip.js';
+
+// Built-in number format ids that Excel renders as dates or times
+const BUILTIN_DATE_FORMATS = new Set([
+    14, 15, 16, 17, 18, 19, 20, 21, 22,
+    27, 28, 29, 30, 31, 32, 33, 34, 35, 36,
+    45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58
+]);
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Serial day 0 in the 1900 system is 1899-12-30 once Excel's fictitious 1900-02-29 is accounted for
+const EPOCH_1900 = Date.UTC(1899, 11, 30);
+const EPOCH_1904 = Date.UTC(1904, 0, 1);
+
+export class XLSXReader {
+    /**
+     * @param {ArrayBuffer|Uint8Array} buffer - Workbook bytes
+     */
+    constructor(buffer) {
+        try {
+            this.zip = new ZipReader(buffer);
+        } catch (error) {
+            throw new Error(`Invalid XLSX file: ${error.message}`);
+        }
+
+        if (!this.zip.has('xl/workbook.xml')) {
+            throw new Error('Invalid XLSX file: workbook.xml not found');
+        }
+
+        this.sharedStrings = this.readSharedStrings();
+        this.dateStyles = this.readDateStyles();
+        this.readWorkbook();
+    }
+
+    /**
+     * Names of the visible and hidden sheets in workbook order
+     * @returns {Array<String>} Sheet names
+     */
+    getSheetNames() {
+        return this.sheets.map(sheet => sheet.name);
+    }
+
+    /**
+     * Read workbook sheet list, relationship targets and date system
+     */
+    readWorkbook() {
+        const workbook = this.zip.readText('xl/workbook.xml');
+        const relsPath = 'xl/_rels/workbook.xml.rels';
+        const targets = new Map();
+
+        if (this.zip.has(relsPath)) {
+            const rels = this.zip.readText(relsPath);
+            for (const match of rels.matchAll(/<Relationship\b([^>]*?)\/?>/g)) {
+                const attrs = parseAttributes(match[1]);
+                targets.set(attrs.Id, attrs.Target);
+            }
+        }
+
+        const workbookPr = workbook.match(/<workbookPr\b([^>]*?)\/?>/);
+        const date1904 = workbookPr ? parseAttributes(workbookPr[1]).date1904 : null;
+        this.date1904 = date1904 === '1' || date1904 === 'true';
+
+        this.sheets = [];
+        for (const match of workbook.matchAll(/<sheet\b([^>]*?)\/?>/g)) {
+            const attrs = parseAttributes(match[1]);
+            const target = targets.get(attrs['r:id']) || `worksheets/sheet${this.sheets.length + 1}.xml`;
+
+            this.sheets.push({
+                name: decodeEntities(attrs.name || `Sheet${this.sheets.length + 1}`),
+                path: target.startsWith('/') ? target.slice(1) : `xl/${target}`,
+                hidden: attrs.state === 'hidden' || attrs.state === 'veryHidden'
+            });
+        }
+
+        if (this.sheets.length === 0) {
+            throw new Error('Workbook contains no sheets');
+        }
+    }
+
+    /**
+     * Read the shared string table
+     * @returns {Array<String>} Shared strings by index
+     */
+    readSharedStrings() {
+        const path = 'xl/sharedStrings.xml';
+        if (!this.zip.has(path)) return [];
+
+        const xml = this.zip.readText(path);
+        const strings = [];
+
+        for (const match of xml.matchAll(/<si\b[^>]*?(?:\/>|>([\s\S]*?)<\/si>)/g)) {
+            strings.push(extractText(match[1] || ''));
+        }
+
+        return strings;
+    }
+
+    /**
+     * Find which cell style indices use a date/time number format
+     * @returns {Set<Number>} Style indices (the cell "s" attribute) that are dates
+     */
+    readDateStyles() {
+        const path = 'xl/styles.xml';
+        const dateStyles = new Set();
+        if (!this.zip.has(path)) return dateStyles;
+
+        const xml = this.zip.readText(path);
+        const customDateFormats = new Set();
+
+        for (const match of xml.matchAll(/<numFmt\b([^>]*?)\/?>/g)) {
+            const attrs = parseAttributes(match[1]);
+            if (isDateFormatCode(decodeEntities(attrs.formatCode || ''))) {
+                customDateFormats.add(Number(attrs.numFmtId));
+            }
+        }
+
+        const cellXfs = xml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/);
+        if (cellXfs) {
+            let index = 0;
+            for (const match of cellXfs[1].matchAll(/<xf\b([^>]*?)\/?>/g)) {
+                const formatId = Number(parseAttributes(match[1]).numFmtId || 0);
+                if (BUILTIN_DATE_FORMATS.has(formatId) || customDateFormats.has(formatId)) {
+                    dateStyles.add(index);
+                }
+                index++;
+            }
+        }
+
+        return dateStyles;
+    }
+
+    /**
+     * Resolve a sheet by name or zero-based index
+     */
+    resolveSheet(sheet = 0) {
+        const resolved = typeof sheet === 'number' ?
+            this.sheets[sheet] :
+            this.sheets.find(candidate => candidate.name === sheet);
+
+        if (!resolved) {
+            throw new Error(`Sheet not found: ${sheet}. Available sheets: ${this.getSheetNames().join(', ')}`);
+        }
+
+        if (!this.zip.has(resolved.path)) {
+            throw new Error(`Worksheet data missing for sheet: ${resolved.name}`);
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Read a sheet as a dense grid of values
+     * @param {String|Number} sheet - Sheet name or zero-based index
+     * @returns {Array<Array>} Rows of cell values (null for empty cells); row i is sheet row i + 1
+     */
+    readSheet(sheet = 0) {
+        const xml = this.zip.readText(this.resolveSheet(sheet).path);
+        const rows = [];
+        let nextRow = 0;
+
+        for (const rowMatch of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+            const rowAttrs = parseAttributes(rowMatch[1]);
+            const rowIndex = rowAttrs.r ? Number(rowAttrs.r) - 1 : nextRow;
+            nextRow = rowIndex + 1;
+
+            const cells = [];
+            let nextColumn = 0;
+
+            for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+                const attrs = parseAttributes(cellMatch[1]);
+                const column = attrs.r ? columnIndex(attrs.r) : nextColumn;
+                nextColumn = column + 1;
+
+                const value = this.readCellValue(attrs, cellMatch[2] || '');
+                if (value !== null) {
+                    while (cells.length < column) cells.push(null);
+                    cells[column] = value;
+                }
+            }
+
+            while (rows.length < rowIndex) rows.push([]);
+            rows[rowIndex] = cells;
+        }
+
+        const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+        return rows.map(row => {
+            while (row.length < width) row.push(null);
+            return row;
+        });
+    }
+
+    /**
+     * Convert a cell's XML to a JavaScript value
+     */
+    readCellValue(attrs, inner) {
+        const type = attrs.t || 'n';
+
+        if (type === 'inlineStr') {
+            const inline = inner.match(/<is>([\s\S]*?)<\/is>/);
+            return inline ? extractText(inline[1]) : null;
+        }
+
+        const valueMatch = inner.match(/<v>([\s\S]*?)<\/v>/);
+        if (!valueMatch) return null;
+        const raw = decodeEntities(valueMatch[1]);
+
+        switch (type) {
+            case 's': {
+                const text = this.sharedStrings[Number(raw)];
+                return text === undefined ? null : text;
+            }
+            case 'str':
+                return raw;
+            case 'b':
+                return raw === '1';
+            case 'e':
+                return null; // #N/A, #DIV/0! and friends
+            case 'd': {
+                const date = new Date(raw);
+                return isNaN(date.getTime()) ? raw : date;
+            }
+            default: {
+                const number = Number(raw);
+                if (!Number.isFinite(number)) return raw;
+                return this.dateStyles.has(Number(attrs.s || 0)) ? this.serialToDate(number) : number;
+            }
+        }
+    }
+
+    /**
+     * Convert an Excel serial date to a Date
+     */
+    serialToDate(serial) {
+        if (this.date1904) {
+            return new Date(EPOCH_1904 + Math.round(serial * MS_PER_DAY));
+        }
+
+        // Serials before the fictitious 1900-02-29 are shifted by one day
+        const adjusted = serial < 60 ? serial + 1 : serial;
+        return new Date(EPOCH_1900 + Math.round(adjusted * MS_PER_DAY));
+    }
+
+    /**
+     * Read a sheet as records keyed by header, in the shape DataParser.parseCSV returns
+     * with the summary in place of its metadata. Columns with neither a header nor any
+     * values (e.g. an empty leading column) are left out.
+     * @param {Object} options - Reading options
+     * @param {String|Number} options.sheet - Sheet name or zero-based index
+     * @param {Number} options.headerRow - 1-based header row; defaults to the first non-empty row
+     * @param {Boolean} options.hasHeader - Set false to generate Column_N headers
+     * @returns {Object} { data, headers, summary }
+     */
+    toRecords(options = {}) {
+        const sheet = this.resolveSheet(options.sheet ?? 0);
+        const rows = this.readSheet(this.sheets.indexOf(sheet));
+        const isBlank = value => value === null || value === undefined || String(value).trim() === '';
+        const isEmpty = row => row.every(isBlank);
+
+        const firstRow = rows.findIndex(row => !isEmpty(row));
+        if (firstRow === -1) {
+            throw new Error(`Sheet "${sheet.name}" is empty`);
+        }
+
+        const hasHeader = options.hasHeader !== false;
+        const headerIndex = options.headerRow ? options.headerRow - 1 : firstRow;
+
+        if (headerIndex < 0 || headerIndex >= rows.length) {
+            throw new Error(`Header row ${options.headerRow} is outside the sheet (1-${rows.length})`);
+        }
+
+        const dataRows = rows.slice(hasHeader ? headerIndex + 1 : headerIndex).filter(row => !isEmpty(row));
+        const headerCells = hasHeader ? rows[headerIndex] : [];
+
+        // Column positions worth keeping; generated names still follow the sheet position
+        const columns = Array.from({ length: rows[0].length }, (_, index) => index).filter(index =>
+            !isBlank(headerCells[index]) || dataRows.some(row => !isBlank(row[index]))
+        );
+        const headers = uniqueHeaders(columns.map(index =>
+            isBlank(headerCells[index]) ? `Column_${index + 1}` : formatHeader(headerCells[index])
+        ));
+
+        const data = dataRows.map(values => {
+            const row = {};
+            headers.forEach((header, i) => {
+                row[header] = values[columns[i]];
+            });
+            return row;
+        });
+
+        return {
+            data,
+            headers,
+            summary: {
+                totalRows: data.length,
+                totalColumns: headers.length,
+                errors: null,
+                hasHeader,
+                sheet: sheet.name,
+                sheetNames: this.getSheetNames(),
+                headerRow: hasHeader ? headerIndex + 1 : null,
+                originalFormat: 'xlsx'
+            }
+        };
+    }
+}
+
+/**
+ * Parse an XLSX workbook into records
+ * @param {ArrayBuffer|Uint8Array} buffer - Workbook bytes
+ * @param {Object} options - See XLSXReader.toRecords
+ * @returns {Object} { data, headers, summary }
+ */
+export function parseXLSX(buffer, options = {}) {
+    return new XLSXReader(buffer).toRecords(options);
+}
+
+/**
+ * Helper functions
+ */
+
+function parseAttributes(source) {
+    const attrs = {};
+    for (const match of source.matchAll(/([\w:]+)\s*=\s*"([^"]*)"/g)) {
+        attrs[match[1]] = match[2];
+    }
+    return attrs;
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&(lt|gt|amp|quot|apos|#x[0-9a-fA-F]+|#\d+);/g, (entity, name) => {
+            switch (name) {
+                case 'lt': return '<';
+                case 'gt': return '>';
+                case 'amp': return '&';
+                case 'quot': return '"';
+                case 'apos': return "'";
+                default:
+                    return String.fromCodePoint(name[1] === 'x' ?
+                        parseInt(name.slice(2), 16) :
+                        parseInt(name.slice(1), 10));
+            }
+        })
+        // OOXML escapes control characters as _xHHHH_
+        .replace(/_x([0-9a-fA-F]{4})_/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/**
+ * Concatenate <t> runs, skipping phonetic guides
+ */
+function extractText(xml) {
+    const withoutPhonetics = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+    let text = '';
+    for (const match of withoutPhonetics.matchAll(/<t\b[^>]*?(?:\/>|>([\s\S]*?)<\/t>)/g)) {
+        text += decodeEntities(match[1] || '');
+    }
+    return text;
+}
+
+function isDateFormatCode(code) {
+    const stripped = code
+        .replace(/"[^"]*"/g, '')
+        .replace(/\\./g, '')
+        .replace(/\[(?!h\]|m\]|s\])[^\]]*\]/gi, '');
+    return /[dmyhs]/i.test(stripped) && !/^general$/i.test(stripped.trim());
+}
+
+function columnIndex(reference) {
+    let index = 0;
+    for (const char of reference) {
+        const code = char.charCodeAt(0);
+        if (code < 65 || code > 90) break;
+        index = index * 26 + (code - 64);
+    }
+    return index - 1;
+}
+
+function formatHeader(value) {
+    return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).trim();
+}
+
+function uniqueHeaders(headers) {
+    const seen = new Map();
+    return headers.map(header => {
+        const count = seen.get(header) || 0;
+        seen.set(header, count + 1);
+        return count === 0 ? header : `${header}_${count + 1}`;
+    });
+}
+
+export default XLSXReader;
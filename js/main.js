@@ -111,6 +111,11 @@ class ApplicationBootstrap {
             window.NCS.eventBus = eventBus;
             console.log('✅ Global event bus initialized');
             
+            // Serve API calls from the in-browser mock backend
+            if (CONFIG.API.MOCK.ENABLED) {
+                await this.initializeMockServer();
+            }
+            
             // Initialize performance monitoring
             this.initializePerformanceMonitoring();
             
@@ -414,6 +419,25 @@ class ApplicationBootstrap {
         document.title = titles[page] || 'NCS-API';
     }
 
+    /**
+     * Install the mock NCS API server (enabled via CONFIG.API.MOCK, e.g. ?mock=true)
+     */
+    async initializeMockServer() {
+        const { installMockServer } = await import('./api/mockServer.js');
+        const { LATENCY, PROGRESS_INTERVAL, FAILURE_RATE, REQUIRE_AUTH } = CONFIG.API.MOCK;
+        
+        const { server } = installMockServer({
+            latency: LATENCY,
+            progressInterval: PROGRESS_INTERVAL,
+            failureRate: FAILURE_RATE,
+            requireAuth: REQUIRE_AUTH,
+            baseURLs: [CONFIG.API.BASE_URL, CONFIG.API.WS_URL]
+        });
+        
+        window.NCS.mockServer = server;
+        console.log('🧪 Mock API enabled - no network requests to the backend will be made');
+    }
+
     /**
      * Initialize performance monitoring
      */
@@ -4,11 +4,14 @@
 // Handles data upload, algorithm execution, visualization, and results analysis
 
 import { EventBus } from '../core/eventBusNew.js';
+import store, { actions } from '../core/state.js';
 import { ClusterVisualizer } from '../components/ClusterVisualizer.js';
 import { DataUploader } from '../components/DataUploader.js';
 import { ParameterControls } from '../components/ParameterControls.js';
 import { ResultsPanel } from '../components/ResultsPanel.js';
 import { PerformanceMonitor } from '../components/PerformanceMonitor.js';
+import { ReachabilityPlot } from '../visualizations/charts/ReachabilityPlot.js';
+import { Dendrogram } from '../visualizations/charts/Dendrogram.js';
 import { SelectionManager, SelectionMode, SelectionTool } from '../visualizations/interactions/Selection.js';
 import { HoverManager } from '../visualizations/interactions/Hover.js';
 import { qualityAssessment } from '../clustering/QualityMetrics.js';
@@ -55,10 +58,8 @@ class ClusteringPlayground {
             loadingOverlay: null
         };
         
-        // State management
-        this.history = [];
-        this.historyIndex = -1;
-        this.maxHistorySize = 10;
+        // Undo/redo is kept by the global state store
+        this.unsubscribeUndo = null;
         
         // Performance tracking
         this.performanceData = {
@@ -71,6 +72,7 @@ class ClusteringPlayground {
         // Configuration
         this.config = {
             maxDataPoints: 50000,
+            miniBatchThreshold: 100000, // K-means switches to mini-batch updates above this many points
             defaultAlgorithm: 'kmeans',
             autoQualityAssessment: true,
             realTimeParameterUpdate: true,
@@ -109,15 +111,20 @@ class ClusteringPlayground {
             // Setup event listeners
             this.setupEventListeners();
             
-            // Load default data if available
-            await this.loadDefaultData();
-            
             // Setup keyboard shortcuts
             this.setupKeyboardShortcuts();
             
             // Initialize algorithm parameters
             this.initializeAlgorithmParameters();
             
+            // Resume the undo history of the previous session
+            await this.initializeUndoHistory();
+            
+            // Load default data if available
+            if (!this.currentData) {
+                await this.loadDefaultData();
+            }
+            
             this.initialized = true;
             
             EventBus.emit('playground:initialized');
@@ -136,6 +143,8 @@ class ClusteringPlayground {
     cacheElements() {
         this.elements.container = document.querySelector('.playground-container');
         this.elements.visualizationArea = document.querySelector('.visualization-area');
+        this.elements.reachabilityPanel = document.getElementById('reachability-plot');
+        this.elements.dendrogramPanel = document.getElementById('dendrogram-plot');
         this.elements.controlsPanel = document.querySelector('.controls-panel');
         this.elements.resultsArea = document.querySelector('.results-area');
         this.elements.statusBar = document.querySelector('.status-bar');
@@ -151,17 +160,17 @@ class ClusteringPlayground {
      */
     initializeWorkers() {
         // Clustering worker
-        this.clusteringWorker = new Worker('/js/workers/clustering.worker.js');
+        this.clusteringWorker = new Worker('/js/workers/clustering.worker.js', { type: 'module' });
         this.clusteringWorker.onmessage = this.handleClusteringWorkerMessage.bind(this);
         this.clusteringWorker.onerror = this.handleWorkerError.bind(this);
         
         // Data processing worker
-        this.dataWorker = new Worker('/js/workers/data.worker.js');
+        this.dataWorker = new Worker('/js/workers/data.worker.js', { type: 'module' });
         this.dataWorker.onmessage = this.handleDataWorkerMessage.bind(this);
         this.dataWorker.onerror = this.handleWorkerError.bind(this);
         
         // Export worker
-        this.exportWorker = new Worker('/js/workers/export.worker.js');
+        this.exportWorker = new Worker('/js/workers/export.worker.js', { type: 'module' });
         this.exportWorker.onmessage = this.handleExportWorkerMessage.bind(this);
         this.exportWorker.onerror = this.handleWorkerError.bind(this);
     }
@@ -193,7 +202,7 @@ class ClusteringPlayground {
         this.components.parameterControls = new ParameterControls(
             document.querySelector('.parameter-controls'),
             {
-                algorithms: ['kmeans', 'dbscan', 'hierarchical', 'ncs'],
+                algorithms: ['kmeans', 'dbscan', 'hierarchical', 'gmm', 'hdbscan', 'optics', 'ncs'],
                 onAlgorithmChange: this.handleAlgorithmChange.bind(this),
                 onParameterChange: this.handleParameterChange.bind(this),
                 realTimeUpdate: this.config.realTimeParameterUpdate
@@ -341,20 +350,26 @@ class ClusteringPlayground {
             // Only process shortcuts when playground is focused
             if (!this.elements.container.contains(document.activeElement)) return;
             
+            const key = event.key.toLowerCase();
+            const modifier = event.ctrlKey || event.metaKey;
+            
             // Ctrl/Cmd + R: Run clustering
-            if ((event.ctrlKey || event.metaKey) && event.key === 'r') {
+            if (modifier && key === 'r') {
                 event.preventDefault();
                 this.runClustering();
             }
             
+            // Leave native undo to text fields
+            if (modifier && (key === 'z' || key === 'y') && this.isTextInput(event.target)) return;
+            
             // Ctrl/Cmd + Z: Undo
-            if ((event.ctrlKey || event.metaKey) && event.key === 'z' && !event.shiftKey) {
+            if (modifier && key === 'z' && !event.shiftKey) {
                 event.preventDefault();
                 this.undo();
             }
             
-            // Ctrl/Cmd + Shift + Z: Redo
-            if ((event.ctrlKey || event.metaKey) && event.key === 'z' && event.shiftKey) {
+            // Ctrl/Cmd + Shift + Z or Ctrl/Cmd + Y: Redo
+            if (modifier && ((key === 'z' && event.shiftKey) || key === 'y')) {
                 event.preventDefault();
                 this.redo();
             }
@@ -373,6 +388,15 @@ class ClusteringPlayground {
         });
     }
     
+    /**
+     * Check whether an element edits text
+     */
+    isTextInput(element) {
+        if (!element) return false;
+        if (element.isContentEditable || element.tagName === 'TEXTAREA') return true;
+        return element.tagName === 'INPUT' && !['range', 'checkbox', 'radio', 'button', 'color'].includes(element.type);
+    }
+    
     /**
      * Initialize algorithm parameters
      */
@@ -382,7 +406,9 @@ class ClusteringPlayground {
             maxIterations: 100,
             tolerance: 1e-4,
             initMethod: 'kmeans++',
-            metric: 'euclidean'
+            metric: 'euclidean',
+            miniBatch: false,
+            batchSize: 1024
         });
         
         this.algorithmParameters.set('dbscan', {
@@ -397,6 +423,28 @@ class ClusteringPlayground {
             metric: 'euclidean'
         });
         
+        this.algorithmParameters.set('gmm', {
+            k: 3,
+            covarianceType: 'full',
+            maxIterations: 100,
+            tolerance: 1e-3
+        });
+        
+        this.algorithmParameters.set('hdbscan', {
+            minClusterSize: 5,
+            minSamples: 5,
+            clusterSelectionMethod: 'eom',
+            metric: 'euclidean'
+        });
+        
+        this.algorithmParameters.set('optics', {
+            minSamples: 5,
+            clusterMethod: 'xi',
+            xi: 0.05,
+            eps: 0.5,
+            metric: 'euclidean'
+        });
+        
         this.algorithmParameters.set('ncs', {
             numClusters: 'auto',
             qualityThreshold: 0.7,
@@ -415,19 +463,22 @@ class ClusteringPlayground {
     /**
      * Process data file
      */
-    processDataFile(data, fileType, filename) {
+    processDataFile(data, fileType, filename, options = {}) {
         const taskId = Date.now().toString();
+        const parseTypes = { csv: 'parse_csv', xlsx: 'parse_xlsx' };
         
+        // Workbook buffers are transferred rather than copied
         this.dataWorker.postMessage({
-            type: fileType === 'csv' ? 'parse_csv' : 'parse_json',
+            type: parseTypes[fileType] || 'parse_json',
             data: data,
             options: {
                 hasHeader: true,
                 skipEmptyLines: true,
-                trimWhitespace: true
+                trimWhitespace: true,
+                ...options
             },
             taskId
-        });
+        }, data instanceof ArrayBuffer ? [data] : []);
         
         this.showLoading(`Processing ${filename}...`);
     }
@@ -442,6 +493,7 @@ class ClusteringPlayground {
             switch (operation) {
                 case 'parse_csv':
                 case 'parse_json':
+                case 'parse_xlsx':
                     this.handleDataParsed(result);
                     break;
                 case 'preprocess_pipeline':
@@ -574,8 +626,8 @@ class ClusteringPlayground {
         // Update UI components
         this.updateComponentsWithData();
         
-        // Save state
-        this.saveState();
+        // Record undo step
+        store.setState('data.current', this.currentData, { undoLabel: 'Load data' });
         
         this.hideLoading();
         this.showStatus(`Loaded ${this.currentData.length} data points`);
@@ -601,6 +653,60 @@ class ClusteringPlayground {
         this.components.visualizer.render();
     }
     
+    /**
+     * Show the OPTICS reachability plot under the visualizer, linked to it so selecting a
+     * valley or dragging the threshold recolours the points; hidden for other algorithms
+     */
+    updateReachabilityPlot(result, algorithm) {
+        const panel = this.elements.reachabilityPanel;
+        if (!panel) return;
+        
+        if (algorithm !== 'optics') {
+            panel.hidden = true;
+            if (this.components.reachabilityPlot) {
+                this.components.reachabilityPlot.linkScatterPlot(null);
+            }
+            return;
+        }
+        
+        // Created once visible so it can size itself to the panel
+        panel.hidden = false;
+        if (!this.components.reachabilityPlot) {
+            this.components.reachabilityPlot = new ReachabilityPlot(
+                panel.querySelector('.playground-reachability-chart'),
+                { height: 200 }
+            );
+        }
+        
+        this.components.reachabilityPlot.setData(result);
+        this.components.reachabilityPlot.linkScatterPlot(this.components.visualizer);
+    }
+    
+    /**
+     * Show the HDBSCAN condensed tree, selected clusters in their cluster colour;
+     * hidden for other algorithms
+     */
+    updateDendrogram(result, algorithm) {
+        const panel = this.elements.dendrogramPanel;
+        if (!panel) return;
+        
+        if (algorithm !== 'hdbscan' || !result.dendrogram) {
+            panel.hidden = true;
+            return;
+        }
+        
+        // Created once visible so it can size itself to the panel
+        panel.hidden = false;
+        if (!this.components.dendrogram) {
+            this.components.dendrogram = new Dendrogram(
+                panel.querySelector('.playground-dendrogram-chart'),
+                { height: 260 }
+            );
+        }
+        
+        this.components.dendrogram.setData(result.dendrogram);
+    }
+    
     /**
      * Update selection manager with current data
      */
@@ -706,6 +812,7 @@ class ClusteringPlayground {
      */
     handleAlgorithmChange(algorithm) {
         this.currentAlgorithm = algorithm;
+        store.setState('clustering.algorithm', algorithm, { undoLabel: `Switch to ${algorithm}` });
         
         // Update parameter controls for new algorithm
         if (this.components.parameterControls) {
@@ -725,6 +832,12 @@ class ClusteringPlayground {
         
         this.algorithmParameters.get(this.currentAlgorithm)[parameter] = value;
         
+        // Successive input events from one slider drag form a single undo step
+        store.setState('clustering.parameters', this.getParametersSnapshot(), {
+            undoLabel: `Change ${parameter}`,
+            undoGroup: `parameter:${this.currentAlgorithm}.${parameter}`
+        });
+        
         // Real-time update if enabled
         if (this.config.realTimeParameterUpdate && this.currentClusters) {
             this.debounceRunClustering();
@@ -780,7 +893,11 @@ class ClusteringPlayground {
         const taskId = Date.now().toString();
         
         // Get algorithm parameters
-        const params = this.algorithmParameters.get(this.currentAlgorithm) || {};
+        let params = this.algorithmParameters.get(this.currentAlgorithm) || {};
+        
+        if (this.currentAlgorithm === 'kmeans' && this.currentData.length > this.config.miniBatchThreshold) {
+            params = { ...params, miniBatch: true };
+        }
         
         // Send clustering task to worker
         this.clusteringWorker.postMessage({
@@ -856,6 +973,8 @@ class ClusteringPlayground {
         
         // Update visualization
         this.updateVisualization();
+        this.updateReachabilityPlot(result, algorithm);
+        this.updateDendrogram(result, algorithm);
         
         // Assess quality if enabled
         if (this.config.autoQualityAssessment) {
@@ -876,8 +995,11 @@ class ClusteringPlayground {
         // Update performance tracking
         this.updatePerformanceTracking(result);
         
-        // Save state
-        this.saveState();
+        // Record undo step
+        const resultsAction = actions.setClusteringResults(this.currentClusters);
+        resultsAction.value.algorithm = algorithm;
+        resultsAction.value.quality = this.qualityMetrics;
+        store.dispatch({ ...resultsAction, undoLabel: `Run ${algorithm}` });
         
         this.hideLoading();
         this.updateRunButton(false);
@@ -1127,6 +1249,32 @@ class ClusteringPlayground {
                     taskId
                 });
                 break;
+                
+            case 'pdf':
+                this.exportWorker.postMessage({
+                    type: 'generate_pdf_report',
+                    data: this.currentData,
+                    options: exportOptions,
+                    taskId
+                });
+                break;
+                
+            case 'zip':
+                this.exportWorker.postMessage({
+                    type: 'export_batch',
+                    data: this.currentData,
+                    options: {
+                        ...exportOptions,
+                        formats: {
+                            csv: { filename: `clustering_results_${timestamp}.csv` },
+                            json: { filename: `clustering_results_${timestamp}.json`, algorithmParams: exportOptions.algorithmParams },
+                            svg: { filename: `clustering_visualization_${timestamp}.svg` },
+                            html: { filename: `clustering_report_${timestamp}.html` }
+                        }
+                    },
+                    taskId
+                });
+                break;
         }
         
         this.showStatus(`Exporting ${format.toUpperCase()}...`);
@@ -1168,35 +1316,39 @@ class ClusteringPlayground {
     /**
      * State management
      */
-    saveState() {
-        const state = {
-            timestamp: Date.now(),
-            data: this.currentData,
-            clusters: this.currentClusters,
-            algorithm: this.currentAlgorithm,
-            parameters: Object.fromEntries(this.algorithmParameters),
-            qualityMetrics: this.qualityMetrics
-        };
+    async initializeUndoHistory() {
+        // Seed parameter defaults so the first undo step has a baseline
+        if (Object.keys(store.getState('clustering.parameters') || {}).length === 0) {
+            store.setState('clustering.parameters', this.getParametersSnapshot(), { undoable: false });
+        }
         
-        // Add to history
-        this.history = this.history.slice(0, this.historyIndex + 1);
-        this.history.push(state);
+        this.unsubscribeUndo = store.subscribe('UNDO_STACK_CHANGE', () => this.updateUndoRedoButtons());
         
-        if (this.history.length > this.maxHistorySize) {
-            this.history = this.history.slice(-this.maxHistorySize);
+        const restored = await store.configureUndo({ persist: true });
+        if (restored) {
+            this.restoreState();
+            this.showStatus('Restored undo history from previous session');
         }
-        
-        this.historyIndex = this.history.length - 1;
         this.updateUndoRedoButtons();
     }
     
+    /**
+     * Copy of all algorithm parameters for the state store
+     */
+    getParametersSnapshot() {
+        return Object.fromEntries(
+            Array.from(this.algorithmParameters, ([algorithm, parameters]) => [algorithm, { ...parameters }])
+        );
+    }
+    
     /**
      * Undo last action
      */
     undo() {
-        if (this.historyIndex > 0) {
-            this.historyIndex--;
-            this.restoreState(this.history[this.historyIndex]);
+        const entry = store.undo();
+        if (entry) {
+            this.restoreState();
+            this.showStatus(`Undo: ${entry.label}`);
         }
     }
     
@@ -1204,21 +1356,26 @@ class ClusteringPlayground {
      * Redo last undone action
      */
     redo() {
-        if (this.historyIndex < this.history.length - 1) {
-            this.historyIndex++;
-            this.restoreState(this.history[this.historyIndex]);
+        const entry = store.redo();
+        if (entry) {
+            this.restoreState();
+            this.showStatus(`Redo: ${entry.label}`);
         }
     }
     
     /**
-     * Restore state
+     * Restore playground state from the state store
      */
-    restoreState(state) {
-        this.currentData = state.data;
-        this.currentClusters = state.clusters;
-        this.currentAlgorithm = state.algorithm;
-        this.algorithmParameters = new Map(Object.entries(state.parameters));
-        this.qualityMetrics = state.qualityMetrics;
+    restoreState() {
+        const clustering = store.getState('clustering');
+        
+        this.currentData = store.getState('data.current');
+        this.currentClusters = clustering.results;
+        this.currentAlgorithm = clustering.algorithm || this.config.defaultAlgorithm;
+        this.qualityMetrics = clustering.quality;
+        Object.entries(clustering.parameters || {}).forEach(([algorithm, parameters]) => {
+            this.algorithmParameters.set(algorithm, { ...parameters });
+        });
         
         // Update UI
         this.updateVisualization();
@@ -1226,7 +1383,15 @@ class ClusteringPlayground {
         this.updateComponentsWithData();
         this.updateUndoRedoButtons();
         
-        EventBus.emit('playground:state:restored', { state });
+        EventBus.emit('playground:state:restored', {
+            state: {
+                data: this.currentData,
+                clusters: this.currentClusters,
+                algorithm: this.currentAlgorithm,
+                parameters: Object.fromEntries(this.algorithmParameters),
+                qualityMetrics: this.qualityMetrics
+            }
+        });
     }
     
     /**
@@ -1235,13 +1400,16 @@ class ClusteringPlayground {
     updateUndoRedoButtons() {
         const undoButton = document.querySelector('.undo-button');
         const redoButton = document.querySelector('.redo-button');
+        const { canUndo, canRedo, undoLabel, redoLabel } = store.getUndoState();
         
         if (undoButton) {
-            undoButton.disabled = this.historyIndex <= 0;
+            undoButton.disabled = !canUndo;
+            undoButton.title = canUndo ? `Undo ${undoLabel} (Ctrl+Z)` : 'Nothing to undo';
         }
         
         if (redoButton) {
-            redoButton.disabled = this.historyIndex >= this.history.length - 1;
+            redoButton.disabled = !canRedo;
+            redoButton.title = canRedo ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo';
         }
     }
     
@@ -1355,7 +1523,12 @@ class ClusteringPlayground {
         this.currentData = null;
         this.currentClusters = null;
         this.qualityMetrics = null;
-        this.history = [];
+        
+        // The undo history stays in the store (and storage) for the next session
+        if (this.unsubscribeUndo) {
+            this.unsubscribeUndo();
+            this.unsubscribeUndo = null;
+        }
         
         this.initialized = false;
         EventBus.emit('playground:destroyed');
@@ -0,0 +1,386 @@
+/**
+ * FILE: js/utils/binaryFrame.js
+ * Binary Frames - Compact encoding for datasets and clustering results
+ * NCS-API Website
+ *
+ * Features:
+ * - Typed array payloads with a small JSON header, no per-value text encoding
+ * - Zero-copy decoding: arrays are views into the received buffer
+ * - Dataset frames (points matrix) and result frames (labels, centroids, confidences)
+ * - Usable from workers, so bulk data can be transferred instead of cloned
+ *
+ * Layout (little-endian):
+ *   0   4  magic "NCSF"
+ *   4   1  version
+ *   5   1  flags (reserved)
+ *   6   2  array count
+ *   8   4  header byte length
+ *   12  n  header JSON: { meta, arrays: [{ name, dtype, shape }] }
+ *   ... array payloads in header order, each starting on an 8-byte boundary
+ */
+
+export const FRAME_MIME_TYPE = 'application/x-ncs-frame';
+export const FRAME_ENCODING = 'ncs-frame'; // Token used when negotiating with the server
+
+const FRAME_MAGIC = 'NCSF';
+const FRAME_VERSION = 1;
+const HEADER_SIZE = 12;
+const ALIGNMENT = 8;
+
+const DTYPES = {
+    f32: Float32Array,
+    f64: Float64Array,
+    i32: Int32Array,
+    u32: Uint32Array,
+    i16: Int16Array,
+    u16: Uint16Array,
+    i8: Int8Array,
+    u8: Uint8Array
+};
+
+// Columns that identify or label rows rather than describe them
+const IGNORED_COLUMNS = ['id', 'index', 'point_index', 'cluster', 'cluster_id', 'label', 'true_cluster'];
+
+// Payloads are copied in platform byte order
+const LITTLE_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+/**
+ * Error raised for buffers that are not valid frames
+ */
+export class FrameError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FrameError';
+    }
+}
+
+function align(offset) {
+    return Math.ceil(offset / ALIGNMENT) * ALIGNMENT;
+}
+
+function toBytes(buffer) {
+    if (buffer instanceof ArrayBuffer) return new Uint8Array(buffer);
+    if (ArrayBuffer.isView(buffer)) return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    return null;
+}
+
+function getDtype(array) {
+    return Object.keys(DTYPES).find(dtype => array instanceof DTYPES[dtype]) || null;
+}
+
+/* ===================================
+   Frames
+   =================================== */
+
+/**
+ * Check the magic bytes
+ * @param {ArrayBuffer|ArrayBufferView} buffer - Candidate frame
+ * @returns {Boolean} True if the buffer starts like a frame
+ */
+export function isFrame(buffer) {
+    const bytes = toBytes(buffer);
+    if (!bytes || bytes.length < HEADER_SIZE) return false;
+
+    for (let i = 0; i < FRAME_MAGIC.length; i++) {
+        if (bytes[i] !== FRAME_MAGIC.charCodeAt(i)) return false;
+    }
+    return true;
+}
+
+/**
+ * Encode metadata and typed arrays into one buffer
+ * @param {Object} meta - JSON-serializable metadata
+ * @param {Object} arrays - Name -> TypedArray or { data: TypedArray, shape: [rows, cols] }
+ * @returns {ArrayBuffer} Frame
+ */
+export function encodeFrame(meta = {}, arrays = {}) {
+    if (!LITTLE_ENDIAN) {
+        throw new FrameError('Binary frames require a little-endian platform');
+    }
+
+    const entries = Object.entries(arrays).map(([name, value]) => {
+        const data = ArrayBuffer.isView(value) ? value : value.data;
+        const dtype = getDtype(data);
+        if (!dtype) {
+            throw new FrameError(`Unsupported array type for "${name}"`);
+        }
+        return { name, dtype, shape: value.shape || [data.length], data };
+    });
+
+    const header = new TextEncoder().encode(JSON.stringify({
+        meta,
+        arrays: entries.map(({ name, dtype, shape }) => ({ name, dtype, shape }))
+    }));
+
+    let byteLength = align(HEADER_SIZE + header.length);
+    const offsets = entries.map(entry => {
+        const offset = byteLength;
+        byteLength = align(offset + entry.data.byteLength);
+        return offset;
+    });
+
+    const buffer = new ArrayBuffer(byteLength);
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+
+    for (let i = 0; i < FRAME_MAGIC.length; i++) {
+        bytes[i] = FRAME_MAGIC.charCodeAt(i);
+    }
+    view.setUint8(4, FRAME_VERSION);
+    view.setUint8(5, 0);
+    view.setUint16(6, entries.length, true);
+    view.setUint32(8, header.length, true);
+    bytes.set(header, HEADER_SIZE);
+
+    entries.forEach((entry, index) => {
+        bytes.set(new Uint8Array(entry.data.buffer, entry.data.byteOffset, entry.data.byteLength), offsets[index]);
+    });
+
+    return buffer;
+}
+
+/**
+ * Decode a frame; arrays are views into the buffer where alignment allows
+ * @param {ArrayBuffer|ArrayBufferView} buffer - Frame
+ * @returns {Object} { version, meta, arrays, shapes }
+ */
+export function decodeFrame(buffer) {
+    if (!isFrame(buffer)) {
+        throw new FrameError('Not an NCS binary frame');
+    }
+
+    const bytes = toBytes(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const version = view.getUint8(4);
+    if (version > FRAME_VERSION) {
+        throw new FrameError(`Unsupported frame version ${version}`);
+    }
+
+    const headerLength = view.getUint32(8, true);
+    if (HEADER_SIZE + headerLength > bytes.length) {
+        throw new FrameError('Frame header is truncated');
+    }
+    const header = JSON.parse(new TextDecoder().decode(bytes.subarray(HEADER_SIZE, HEADER_SIZE + headerLength)));
+
+    const arrays = {};
+    const shapes = {};
+    let offset = align(HEADER_SIZE + headerLength);
+
+    header.arrays.forEach(({ name, dtype, shape }) => {
+        const Type = DTYPES[dtype];
+        if (!Type) {
+            throw new FrameError(`Unsupported dtype "${dtype}" for "${name}"`);
+        }
+
+        const length = shape.reduce((product, size) => product * size, 1);
+        const byteLength = length * Type.BYTES_PER_ELEMENT;
+        if (offset + byteLength > bytes.length) {
+            throw new FrameError(`Frame is truncated in "${name}"`);
+        }
+
+        // A frame sliced out of a larger buffer may start unaligned, then the payload is copied
+        const start = bytes.byteOffset + offset;
+        arrays[name] = start % Type.BYTES_PER_ELEMENT === 0 ?
+            new Type(bytes.buffer, start, length) :
+            new Type(bytes.slice(offset, offset + byteLength).buffer);
+        shapes[name] = shape;
+
+        offset = align(offset + byteLength);
+    });
+
+    return { version, meta: header.meta || {}, arrays, shapes };
+}
+
+/**
+ * Copy of a frame with its metadata replaced, payloads are copied byte for byte
+ */
+export function withFrameMeta(buffer, meta) {
+    const frame = decodeFrame(buffer);
+    const arrays = {};
+    Object.entries(frame.arrays).forEach(([name, data]) => {
+        arrays[name] = { data, shape: frame.shapes[name] };
+    });
+    return encodeFrame({ ...frame.meta, ...meta }, arrays);
+}
+
+/* ===================================
+   Datasets
+   =================================== */
+
+/**
+ * Feature columns of row data: array indices, x/y(/z), or the numeric keys of the first row
+ */
+export function getDatasetColumns(rows) {
+    const first = rows[0];
+    if (Array.isArray(first)) return first.map((value, index) => index);
+    if (!first || typeof first !== 'object') return [];
+
+    if (first.x !== undefined && first.y !== undefined) {
+        return first.z !== undefined ? ['x', 'y', 'z'] : ['x', 'y'];
+    }
+    return Object.keys(first).filter(key =>
+        !IGNORED_COLUMNS.includes(key) && typeof first[key] === 'number');
+}
+
+/**
+ * Encode rows as a points matrix
+ * @param {Array<Array|Object>} rows - Data rows
+ * @param {Object} options - Encoding options
+ * @param {Array} options.columns - Feature columns (default: getDatasetColumns)
+ * @param {String} options.dtype - 'f32' (default) or 'f64'
+ * @param {Object} options.meta - Extra metadata, e.g. algorithm and parameters
+ * @returns {ArrayBuffer} Frame with meta.kind 'dataset'
+ */
+export function encodeDataset(rows, options = {}) {
+    const { dtype = 'f32', meta = {} } = options;
+    const columns = options.columns || getDatasetColumns(rows);
+    const dims = columns.length;
+    const points = new DTYPES[dtype](rows.length * dims);
+
+    rows.forEach((row, index) => {
+        const base = index * dims;
+        for (let d = 0; d < dims; d++) {
+            points[base + d] = Number(row[columns[d]]);
+        }
+    });
+
+    return encodeFrame(
+        { ...meta, kind: 'dataset', columns },
+        { points: { data: points, shape: [rows.length, dims] } }
+    );
+}
+
+export function datasetFromFrame(frame) {
+    const [rows, dims] = frame.shapes.points;
+    return { meta: frame.meta, columns: frame.meta.columns, points: frame.arrays.points, rows, dims };
+}
+
+export function decodeDataset(buffer) {
+    return datasetFromFrame(decodeFrame(buffer));
+}
+
+/**
+ * Rows for code that expects parsed JSON: objects keyed by column name, or arrays
+ */
+export function datasetToRows(dataset, { objects = true } = {}) {
+    const { points, rows, dims, columns = [] } = dataset;
+    const named = objects && columns.length === dims && columns.every(column => typeof column === 'string');
+
+    return Array.from({ length: rows }, (_, index) => {
+        const values = Array.from(points.subarray(index * dims, (index + 1) * dims));
+        if (!named) return values;
+
+        const row = {};
+        columns.forEach((column, d) => {
+            row[column] = values[d];
+        });
+        return row;
+    });
+}
+
+/* ===================================
+   Clustering results
+   =================================== */
+
+/**
+ * Encode a clustering result; labels, centroids and confidences become typed arrays.
+ * Cluster point lists are dropped, they are rebuilt from the labels when decoding.
+ * @param {Object} result - { labels, centroids, confidences?, clusters?, ...summary }
+ * @param {Object} meta - Extra metadata
+ * @returns {ArrayBuffer} Frame with meta.kind 'result'
+ */
+export function encodeResult(result, meta = {}) {
+    const { labels = [], centroids = [], confidences, clusters, ...summary } = result;
+    const dims = centroids[0]?.length || 0;
+
+    const arrays = {
+        labels: Int32Array.from(labels),
+        centroids: { data: Float64Array.from(centroids.flat()), shape: [centroids.length, dims] }
+    };
+    if (confidences) {
+        arrays.confidences = Float32Array.from(confidences);
+    }
+    if (clusters) {
+        summary.clusters = clusters.map(({ points, pointIndices, centroid, ...cluster }) => cluster);
+    }
+
+    return encodeFrame({ ...meta, kind: 'result', result: summary }, arrays);
+}
+
+export function resultFromFrame(frame) {
+    const { labels, centroids, confidences } = frame.arrays;
+    const [count, dims] = frame.shapes.centroids;
+    const summary = frame.meta.result || {};
+
+    const result = {
+        ...summary,
+        labels,
+        centroids: Array.from({ length: count }, (_, index) =>
+            Array.from(centroids.subarray(index * dims, (index + 1) * dims)))
+    };
+    if (confidences) {
+        result.confidences = confidences;
+    }
+
+    if (summary.clusters) {
+        const members = groupByLabel(labels);
+        result.clusters = summary.clusters.map((cluster, index) => ({
+            ...cluster,
+            centroid: result.centroids[index] || null,
+            points: members.get(cluster.id ?? index) || []
+        }));
+    }
+
+    return result;
+}
+
+export function decodeResult(buffer) {
+    return resultFromFrame(decodeFrame(buffer));
+}
+
+/**
+ * Clusters in the { pointIndices, centroid } form used by the exporters (noise is left out)
+ * @param {Object} result - Decoded result
+ * @param {Array<String>} columns - Names for the centroid coordinates, e.g. ['x', 'y']; arrays without
+ */
+export function resultToClusters(result, columns = null) {
+    const members = groupByLabel(result.labels);
+    const toCentroid = centroid => {
+        if (!centroid || !columns) return centroid || null;
+
+        const named = {};
+        columns.forEach((column, d) => {
+            named[column] = centroid[d];
+        });
+        return named;
+    };
+
+    return Array.from(members.keys())
+        .sort((a, b) => a - b)
+        .map(label => ({
+            id: label,
+            pointIndices: members.get(label),
+            size: members.get(label).length,
+            centroid: toCentroid(result.centroids?.[label])
+        }));
+}
+
+function groupByLabel(labels) {
+    const members = new Map();
+    for (let index = 0; index < labels.length; index++) {
+        const label = labels[index];
+        if (label < 0) continue;
+        if (!members.has(label)) members.set(label, []);
+        members.get(label).push(index);
+    }
+    return members;
+}
+
+export default {
+    encodeFrame,
+    decodeFrame,
+    encodeDataset,
+    decodeDataset,
+    encodeResult,
+    decodeResult
+};
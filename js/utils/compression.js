@@ -0,0 +1,170 @@
+/**
+ * FILE: js/utils/compression.js
+ * String Compression - DEFLATE codec for Web Storage values
+ * NCS-API Website
+ *
+ * Features:
+ * - DEFLATE via CompressionStream, with a synchronous pure JavaScript fallback
+ * - Output packed 15 bits per UTF-16 code unit, safe for localStorage
+ * - Versioned header so future codecs and legacy entries can coexist
+ * - Decoding of legacy run-length "COMPRESSED:" entries
+ *
+ * Format: "COMPRESSED:v2:deflate:<byteLength>:<packed bytes>"
+ */
+
+import { deflateRaw, inflateRaw } from './zip.js';
+
+export const COMPRESSION_PREFIX = 'COMPRESSED:';
+const HEADER_V2 = COMPRESSION_PREFIX + 'v2:';
+
+// Packed code units are offset past control characters and stay below the surrogate range
+const CHAR_OFFSET = 32;
+const BITS_PER_CHAR = 15;
+
+/**
+ * Pack bytes into a string, 15 bits per character
+ */
+function packBytes(bytes) {
+    const codes = new Uint16Array(Math.ceil((bytes.length * 8) / BITS_PER_CHAR));
+    let buffer = 0;
+    let bits = 0;
+    let index = 0;
+
+    for (let i = 0; i < bytes.length; i++) {
+        buffer = (buffer << 8) | bytes[i];
+        bits += 8;
+        if (bits >= BITS_PER_CHAR) {
+            bits -= BITS_PER_CHAR;
+            codes[index++] = ((buffer >>> bits) & 0x7fff) + CHAR_OFFSET;
+            buffer &= (1 << bits) - 1;
+        }
+    }
+    if (bits > 0) {
+        codes[index++] = ((buffer << (BITS_PER_CHAR - bits)) & 0x7fff) + CHAR_OFFSET;
+    }
+
+    let packed = '';
+    for (let i = 0; i < index; i += 0x2000) {
+        packed += String.fromCharCode.apply(null, codes.subarray(i, Math.min(index, i + 0x2000)));
+    }
+    return packed;
+}
+
+/**
+ * Unpack a string produced by packBytes
+ */
+function unpackBytes(packed, byteLength) {
+    const bytes = new Uint8Array(byteLength);
+    let buffer = 0;
+    let bits = 0;
+    let index = 0;
+
+    for (let i = 0; i < packed.length && index < byteLength; i++) {
+        buffer = (buffer << BITS_PER_CHAR) | ((packed.charCodeAt(i) - CHAR_OFFSET) & 0x7fff);
+        bits += BITS_PER_CHAR;
+        while (bits >= 8 && index < byteLength) {
+            bits -= 8;
+            bytes[index++] = (buffer >>> bits) & 0xff;
+        }
+        buffer &= (1 << bits) - 1;
+    }
+
+    if (index < byteLength) {
+        throw new Error('Compressed data is truncated');
+    }
+    return bytes;
+}
+
+function encodeDeflated(deflated) {
+    return `${HEADER_V2}deflate:${deflated.length}:${packBytes(deflated)}`;
+}
+
+/**
+ * Check whether a string carries a compression header (current or legacy)
+ */
+export function isCompressedString(data) {
+    return typeof data === 'string' && data.startsWith(COMPRESSION_PREFIX);
+}
+
+/**
+ * Describe the codec of a compressed string
+ * @returns {Object|null} { version, codec } or null if not compressed
+ */
+export function getCompressionInfo(data) {
+    if (!isCompressedString(data)) return null;
+    if (!data.startsWith(HEADER_V2)) return { version: 1, codec: 'rle' };
+
+    const codec = data.substring(HEADER_V2.length, data.indexOf(':', HEADER_V2.length));
+    return { version: 2, codec };
+}
+
+/**
+ * Compress a string synchronously with the built-in DEFLATE encoder
+ * @param {String} text - Text to compress
+ * @returns {String} Compressed string with header
+ */
+export function compressString(text) {
+    return encodeDeflated(deflateRaw(new TextEncoder().encode(text)));
+}
+
+/**
+ * Compress a string, using CompressionStream when available for better ratios
+ * @param {String} text - Text to compress
+ * @returns {Promise<String>} Compressed string with header
+ */
+export async function compressStringAsync(text) {
+    if (typeof CompressionStream === 'undefined') {
+        return compressString(text);
+    }
+
+    try {
+        const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        const deflated = new Uint8Array(await new Response(stream).arrayBuffer());
+        return encodeDeflated(deflated);
+    } catch (error) {
+        // Older engines only support 'deflate' and 'gzip'
+        return compressString(text);
+    }
+}
+
+/**
+ * Decompress a string produced by compressString/compressStringAsync,
+ * or a legacy run-length encoded entry. Uncompressed input is returned as-is.
+ * @param {String} data - Compressed string
+ * @returns {String} Original text
+ */
+export function decompressString(data) {
+    if (!isCompressedString(data)) return data;
+
+    if (!data.startsWith(HEADER_V2)) {
+        return decodeLegacyRunLength(data.substring(COMPRESSION_PREFIX.length));
+    }
+
+    const codecEnd = data.indexOf(':', HEADER_V2.length);
+    const lengthEnd = data.indexOf(':', codecEnd + 1);
+    const codec = data.substring(HEADER_V2.length, codecEnd);
+    const byteLength = parseInt(data.substring(codecEnd + 1, lengthEnd), 10);
+
+    if (codec !== 'deflate' || codecEnd < 0 || lengthEnd < 0 || !Number.isFinite(byteLength)) {
+        throw new Error(`Unsupported compressed data format: ${codec || 'unknown'}`);
+    }
+
+    const deflated = unpackBytes(data.substring(lengthEnd + 1), byteLength);
+    return new TextDecoder().decode(inflateRaw(deflated));
+}
+
+/**
+ * Decode the original run-length format ("a3" for "aaa").
+ * Values containing digits were ambiguous in that format and may not round-trip.
+ */
+function decodeLegacyRunLength(data) {
+    return data.replace(/(.)\d+/g, (match, char) => char.repeat(parseInt(match.substring(1), 10)));
+}
+
+export default {
+    compress: compressString,
+    compressAsync: compressStringAsync,
+    decompress: decompressString,
+    isCompressed: isCompressedString,
+    getInfo: getCompressionInfo
+};
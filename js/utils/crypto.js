@@ -0,0 +1,480 @@
+/**
+ * FILE: js/utils/crypto.js
+ * Storage Encryption - AES-GCM encryption with managed keys
+ * NCS-API Website
+ *
+ * Features:
+ * - AES-GCM (256-bit) authenticated encryption via Web Crypto
+ * - Non-extractable device keys persisted in IndexedDB
+ * - PBKDF2-derived keys from a user passphrase
+ * - Key rotation with retired keys kept for decryption
+ * - Versioned ciphertext envelope that records the key id
+ * - Decoding of legacy base64 "ENCRYPTED:" values for migration
+ */
+
+export const CIPHER_PREFIX = 'AESGCM:v1:';
+export const LEGACY_PREFIX = 'ENCRYPTED:';
+
+const ACTIVE_KEY_RECORD = '__active__';
+const PASSPHRASE_CHECK = 'ncs-passphrase-check';
+const IV_LENGTH = 12;
+const SALT_LENGTH = 16;
+
+/**
+ * Error raised when a value cannot be encrypted or decrypted
+ */
+export class StorageCryptoError extends Error {
+    /**
+     * @param {String} message - Description
+     * @param {String} code - 'UNSUPPORTED', 'LOCKED', 'KEY_NOT_FOUND', 'INVALID_FORMAT',
+     *                        'DECRYPTION_FAILED' or 'INVALID_PASSPHRASE'
+     * @param {Error} cause - Underlying error
+     */
+    constructor(message, code, cause = null) {
+        super(message);
+        this.name = 'StorageCryptoError';
+        this.code = code;
+        this.cause = cause;
+    }
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+/**
+ * SHA-256 of a buffer or string as lowercase hex (used for upload chunk hashes)
+ * @param {ArrayBuffer|Uint8Array|String} input - Data to hash
+ * @returns {Promise<String>} Hex digest
+ */
+export async function sha256Hex(input) {
+    const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function generateKeyId() {
+    return 'k' + Date.now().toString(36) + Math.random().toString(36).substr(2, 6);
+}
+
+/**
+ * Key record persistence in IndexedDB, with an in-memory fallback
+ * when IndexedDB is unavailable (keys then only last for the session)
+ */
+class KeyStore {
+    constructor(dbName, storeName = 'keys') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.memory = new Map();
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise(resolve => {
+                if (typeof indexedDB === 'undefined') {
+                    console.warn('🔐 IndexedDB unavailable, encryption keys will not persist');
+                    resolve(null);
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('🔐 Failed to open key database, encryption keys will not persist:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async request(mode, operation) {
+        const db = await this.open();
+        if (!db) return operation(null);
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async get(id) {
+        const db = await this.open();
+        if (!db) return this.memory.get(id);
+        return this.request('readonly', store => store.get(id));
+    }
+
+    async getAll() {
+        const db = await this.open();
+        if (!db) return Array.from(this.memory.values());
+        return this.request('readonly', store => store.getAll());
+    }
+
+    async put(record) {
+        const db = await this.open();
+        if (!db) {
+            this.memory.set(record.id, record);
+            return;
+        }
+        await this.request('readwrite', store => store.put(record));
+    }
+
+    async delete(id) {
+        const db = await this.open();
+        if (!db) {
+            this.memory.delete(id);
+            return;
+        }
+        await this.request('readwrite', store => store.delete(id));
+    }
+}
+
+/**
+ * AES-GCM cipher with a persistent keyring.
+ *
+ * In 'device' mode a random non-extractable key is generated and stored in
+ * IndexedDB, so values are readable only in this browser profile. In
+ * 'passphrase' mode keys are derived with PBKDF2 and must be unlocked with
+ * the passphrase after every page load; only the salt is persisted.
+ */
+export class StorageCipher {
+    /**
+     * @param {Object} options - Cipher options
+     * @param {String} options.mode - 'device' (default) or 'passphrase'
+     * @param {String} options.dbName - IndexedDB database for key records
+     * @param {Number} options.iterations - PBKDF2 iterations for new passphrase keys
+     */
+    constructor(options = {}) {
+        this.options = {
+            mode: 'device',
+            dbName: 'ncs-keystore',
+            iterations: 310000,
+            ...options
+        };
+
+        this.keyStore = new KeyStore(this.options.dbName);
+        this.keys = new Map();      // keyId -> CryptoKey (unlocked keys only)
+        this.records = new Map();   // keyId -> persisted key record
+        this.activeKeyId = null;
+        this.ready = null;
+    }
+
+    static get isSupported() {
+        return typeof crypto !== 'undefined' && Boolean(crypto.subtle) && typeof crypto.getRandomValues === 'function';
+    }
+
+    /**
+     * Load the keyring, creating a device key on first use
+     */
+    init() {
+        if (!this.ready) {
+            this.ready = this.loadKeys().catch(error => {
+                this.ready = null;
+                throw error;
+            });
+        }
+        return this.ready;
+    }
+
+    async loadKeys() {
+        if (!StorageCipher.isSupported) {
+            throw new StorageCryptoError('Web Crypto is not available in this environment', 'UNSUPPORTED');
+        }
+
+        const records = await this.keyStore.getAll();
+        for (const record of records) {
+            if (record.id === ACTIVE_KEY_RECORD) {
+                this.activeKeyId = record.keyId;
+                continue;
+            }
+            this.records.set(record.id, record);
+            if (record.type === 'device') this.keys.set(record.id, record.key);
+        }
+
+        if (this.options.mode === 'device' && !this.keys.has(this.activeKeyId)) {
+            await this.createDeviceKey();
+        }
+    }
+
+    /**
+     * Whether the active key is available for encryption
+     */
+    get isLocked() {
+        return !this.activeKeyId || !this.keys.has(this.activeKeyId);
+    }
+
+    async createDeviceKey() {
+        const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+        const record = { id: generateKeyId(), type: 'device', key, createdAt: Date.now() };
+
+        await this.keyStore.put(record);
+        this.records.set(record.id, record);
+        this.keys.set(record.id, key);
+        await this.setActiveKey(record.id);
+
+        return record.id;
+    }
+
+    async createPassphraseKey(passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+        const iterations = this.options.iterations;
+        const key = await this.deriveKey(passphrase, salt, iterations);
+        const id = generateKeyId();
+
+        // Encrypted marker lets unlock() reject a wrong passphrase up front
+        const check = await this.encryptWithKey(key, id, PASSPHRASE_CHECK, id);
+        const record = { id, type: 'passphrase', salt, iterations, check, createdAt: Date.now() };
+
+        await this.keyStore.put(record);
+        this.records.set(id, record);
+        this.keys.set(id, key);
+        await this.setActiveKey(id);
+
+        return id;
+    }
+
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async setActiveKey(keyId) {
+        this.activeKeyId = keyId;
+        await this.keyStore.put({ id: ACTIVE_KEY_RECORD, keyId });
+    }
+
+    /**
+     * Unlock passphrase keys. Creates the first passphrase key if none exists.
+     * @param {String} passphrase - User passphrase
+     * @returns {Promise<Number>} Number of keys unlocked
+     */
+    async unlock(passphrase) {
+        if (!passphrase) {
+            throw new StorageCryptoError('A passphrase is required', 'INVALID_PASSPHRASE');
+        }
+
+        await this.init();
+
+        const passphraseRecords = Array.from(this.records.values()).filter(record => record.type === 'passphrase');
+        if (passphraseRecords.length === 0) {
+            await this.createPassphraseKey(passphrase);
+            return 1;
+        }
+
+        let unlocked = 0;
+        for (const record of passphraseRecords) {
+            const key = await this.deriveKey(passphrase, record.salt, record.iterations);
+            try {
+                await this.decryptWithKey(key, record.check, record.id);
+                this.keys.set(record.id, key);
+                unlocked++;
+            } catch (error) {
+                // Key was created with a different passphrase
+            }
+        }
+
+        if (unlocked === 0) {
+            throw new StorageCryptoError('Incorrect passphrase', 'INVALID_PASSPHRASE');
+        }
+
+        return unlocked;
+    }
+
+    /**
+     * Forget passphrase-derived keys held in memory
+     */
+    lock() {
+        for (const record of this.records.values()) {
+            if (record.type === 'passphrase') this.keys.delete(record.id);
+        }
+    }
+
+    /**
+     * Create a new active key. Older keys remain available for decryption
+     * until retired, so existing values stay readable during re-encryption.
+     * @param {Object} options - { passphrase } to derive the new key from a passphrase
+     * @returns {Promise<String>} New key id
+     */
+    async rotateKey(options = {}) {
+        await this.init();
+
+        const passphrase = options.passphrase;
+        if (this.options.mode === 'passphrase' || passphrase) {
+            if (!passphrase) {
+                throw new StorageCryptoError('A passphrase is required to rotate a passphrase key', 'INVALID_PASSPHRASE');
+            }
+            return this.createPassphraseKey(passphrase);
+        }
+
+        return this.createDeviceKey();
+    }
+
+    /**
+     * Permanently delete a key. Values encrypted with it become unreadable.
+     */
+    async retireKey(keyId) {
+        await this.init();
+
+        if (keyId === this.activeKeyId) {
+            throw new Error('Cannot retire the active encryption key');
+        }
+
+        await this.keyStore.delete(keyId);
+        this.records.delete(keyId);
+        this.keys.delete(keyId);
+    }
+
+    /**
+     * Ids of all known keys, oldest first
+     */
+    getKeyIds() {
+        return Array.from(this.records.values())
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .map(record => record.id);
+    }
+
+    isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(CIPHER_PREFIX);
+    }
+
+    isLegacy(value) {
+        return typeof value === 'string' && value.startsWith(LEGACY_PREFIX);
+    }
+
+    /**
+     * Key id recorded in an encrypted value
+     */
+    getKeyId(value) {
+        if (!this.isEncrypted(value)) return null;
+        return value.substring(CIPHER_PREFIX.length).split(':')[0];
+    }
+
+    /**
+     * Decode a legacy base64 "ENCRYPTED:" value
+     */
+    decodeLegacy(value) {
+        try {
+            return atob(value.substring(LEGACY_PREFIX.length));
+        } catch (error) {
+            throw new StorageCryptoError('Legacy encrypted value is corrupt', 'INVALID_FORMAT', error);
+        }
+    }
+
+    /**
+     * Encrypt a string with the active key
+     * @param {String} plaintext - Data to encrypt
+     * @param {String} associatedData - Context bound to the ciphertext (e.g. the storage key)
+     * @returns {Promise<String>} Envelope "AESGCM:v1:<keyId>:<iv>:<ciphertext>"
+     */
+    async encrypt(plaintext, associatedData = '') {
+        await this.init();
+
+        if (this.isLocked) {
+            throw new StorageCryptoError('Encryption is locked; unlock it with the passphrase first', 'LOCKED');
+        }
+
+        return this.encryptWithKey(this.keys.get(this.activeKeyId), this.activeKeyId, plaintext, associatedData);
+    }
+
+    /**
+     * Decrypt an envelope produced by encrypt()
+     * @throws {StorageCryptoError} If the key is missing or locked, or authentication fails
+     */
+    async decrypt(envelope, associatedData = '') {
+        await this.init();
+
+        const keyId = this.getKeyId(envelope);
+        if (!keyId) {
+            throw new StorageCryptoError('Value is not AES-GCM encrypted', 'INVALID_FORMAT');
+        }
+
+        const key = this.keys.get(keyId);
+        if (!key) {
+            const known = this.records.has(keyId);
+            throw new StorageCryptoError(
+                known ? `Encryption key ${keyId} is locked` : `Encryption key ${keyId} not found`,
+                known ? 'LOCKED' : 'KEY_NOT_FOUND'
+            );
+        }
+
+        return this.decryptWithKey(key, envelope, associatedData);
+    }
+
+    async encryptWithKey(key, keyId, plaintext, associatedData) {
+        const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(associatedData) },
+            key,
+            new TextEncoder().encode(plaintext)
+        );
+
+        return `${CIPHER_PREFIX}${keyId}:${bytesToBase64(iv)}:${bytesToBase64(new Uint8Array(ciphertext))}`;
+    }
+
+    async decryptWithKey(key, envelope, associatedData) {
+        const parts = envelope.substring(CIPHER_PREFIX.length).split(':');
+        if (parts.length !== 3) {
+            throw new StorageCryptoError('Malformed encrypted value', 'INVALID_FORMAT');
+        }
+
+        try {
+            const plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: base64ToBytes(parts[1]), additionalData: new TextEncoder().encode(associatedData) },
+                key,
+                base64ToBytes(parts[2])
+            );
+            return new TextDecoder().decode(plaintext);
+        } catch (error) {
+            throw new StorageCryptoError('Decryption failed: wrong key or tampered data', 'DECRYPTION_FAILED', error);
+        }
+    }
+}
+
+// One cipher per key database, so storage instances share a keyring
+const ciphers = new Map();
+
+/**
+ * Get the shared cipher for a key database
+ * @param {Object} options - StorageCipher options
+ * @returns {StorageCipher} Cipher
+ */
+export function getStorageCipher(options = {}) {
+    const dbName = options.dbName || 'ncs-keystore';
+    if (!ciphers.has(dbName)) {
+        ciphers.set(dbName, new StorageCipher({ ...options, dbName }));
+    }
+    return ciphers.get(dbName);
+}
+
+export default StorageCipher;
@@ -15,6 +15,8 @@
  */
 
 import { EventBus } from '../core/eventBusNew.js';
+import { ZipWriter } from './zip.js';
+import { PDFDocument } from './pdf.js';
 
 export class DownloadManager {
     constructor(options = {}) {
@@ -162,7 +164,7 @@ export class DownloadManager {
             
             // Create ZIP archive
             this.updateProgress(downloadId, 85, 'Creating ZIP archive...');
-            const zipBlob = await this.createZipArchive(fileBlobs);
+            const zipBlob = await this.createZipArchive(fileBlobs, options);
             
             // Download ZIP
             await this.createDownload(zipBlob, zipFilename, downloadId);
@@ -323,29 +325,30 @@ export class DownloadManager {
     }
 
     async convertToPDF(data, options = {}) {
-        // Simplified PDF conversion - in production, use a library like jsPDF
         const textContent = typeof data === 'string' ? data : JSON.stringify(data, null, 2);
+        const title = options.title || 'NCS-API Data Export';
+        const fontSize = options.fontSize || 9;
+        const lineHeight = fontSize * 1.4;
         
-        // Basic HTML to PDF conversion using browser's print functionality
-        const htmlContent = `
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <title>NCS-API Export</title>
-                <style>
-                    body { font-family: monospace; font-size: 12px; margin: 20px; }
-                    pre { white-space: pre-wrap; word-wrap: break-word; }
-                </style>
-            </head>
-            <body>
-                <h1>NCS-API Data Export</h1>
-                <p>Generated on: ${new Date().toLocaleString()}</p>
-                <pre>${textContent}</pre>
-            </body>
-            </html>
-        `;
+        const pdf = new PDFDocument({ title, pageSize: options.pageSize });
+        const { left, top, bottom } = pdf.margins;
+        const pageBottom = pdf.pageHeight - bottom;
         
-        return new Blob([htmlContent], { type: 'text/html' });
+        let page = pdf.addPage();
+        page.text(title, left, top + 16, { font: 'bold', size: 16 });
+        page.text(`Generated on: ${new Date().toLocaleString()}`, left, top + 34, { size: 9, color: '#64748b' });
+        let y = top + 60;
+        
+        pdf.wrapText(textContent, pdf.contentWidth, fontSize, 'mono').forEach(line => {
+            if (y + lineHeight > pageBottom) {
+                page = pdf.addPage();
+                y = top;
+            }
+            y += lineHeight;
+            page.text(line, left, y, { font: 'mono', size: fontSize });
+        });
+        
+        return pdf.toBlob();
     }
 
     convertToImage(data, options = {}) {
@@ -389,48 +392,58 @@ export class DownloadManager {
     }
 
     async convertToZip(files, options = {}) {
-        return this.createZipArchive(files);
+        return this.createZipArchive(files, options);
     }
 
     /**
-     * ZIP archive creation (simplified implementation)
+     * ZIP archive creation
+     * @param {Array<Object>} files - Entries as { name, blob } (or { filename, data })
+     * @param {Object} options - Archive options
+     * @param {String} options.compression - 'deflate' or 'store'; defaults from enableZipCompression
+     * @returns {Promise<Blob>} application/zip Blob
      */
-    async createZipArchive(files) {
-        // Simplified ZIP creation - in production, use a library like JSZip
+    async createZipArchive(files, options = {}) {
         try {
-            if (typeof window !== 'undefined' && window.JSZip) {
-                const zip = new window.JSZip();
-                
-                files.forEach(file => {
-                    zip.file(file.name, file.blob);
-                });
-                
-                return await zip.generateAsync({ type: 'blob' });
-            } else {
-                // Fallback: create a simple archive format
-                console.warn('JSZip library not available, creating simple archive');
-                
-                let archiveContent = '=== NCS-API Archive ===\n\n';
-                
-                for (const file of files) {
-                    archiveContent += `--- ${file.name} ---\n`;
-                    
-                    if (file.blob.type.startsWith('text/') || file.blob.type === 'application/json') {
-                        const text = await file.blob.text();
-                        archiveContent += text + '\n\n';
-                    } else {
-                        archiveContent += '[Binary file - cannot display content]\n\n';
-                    }
-                }
+            const writer = new ZipWriter({
+                compression: options.compression || (this.config.enableZipCompression ? 'deflate' : 'store')
+            });
+            const usedNames = new Set();
+            
+            for (const file of files) {
+                const name = this.uniqueArchiveName(file.name || file.filename || 'file', usedNames);
+                const content = file.blob ?? file.content ?? file.data;
+                const isRaw = typeof content === 'string' || content instanceof Blob ||
+                    content instanceof ArrayBuffer || ArrayBuffer.isView(content);
                 
-                return new Blob([archiveContent], { type: 'text/plain' });
+                await writer.add(name, isRaw ? content : JSON.stringify(content, null, 2));
             }
+            
+            return await writer.toBlob();
         } catch (error) {
             console.error('ZIP creation failed:', error);
-            throw new Error('Failed to create archive');
+            throw new Error(`Failed to create archive: ${error.message}`);
         }
     }
 
+    /**
+     * Make an archive entry name unique by appending a counter before the extension
+     */
+    uniqueArchiveName(name, usedNames) {
+        let candidate = name;
+        let counter = 2;
+        
+        while (usedNames.has(candidate)) {
+            const dot = name.lastIndexOf('.');
+            candidate = dot > 0 ?
+                `${name.slice(0, dot)} (${counter})${name.slice(dot)}` :
+                `${name} (${counter})`;
+            counter++;
+        }
+        
+        usedNames.add(candidate);
+        return candidate;
+    }
+
     /**
      * Create and trigger download
      */
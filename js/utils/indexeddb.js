@@ -0,0 +1,300 @@
+/**
+ * FILE: js/utils/indexeddb.js
+ * IndexedDB Utility - Promise-based key/value store and Web Storage-compatible backend
+ * NCS-API Website
+ *
+ * Features:
+ * - Promise wrapper around a single IndexedDB object store
+ * - Web Storage-compatible backend (getItem/setItem/...) with an in-memory mirror,
+ *   so synchronous callers work unchanged while writes persist in the background
+ * - Ordered write queue with flush() for callers that need durability
+ * - Quota information via navigator.storage.estimate()
+ */
+
+/**
+ * Key/value store over one IndexedDB object store
+ */
+export class IndexedDBStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {String} options.dbName - Database name
+     * @param {String} options.storeName - Object store name
+     */
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'ncs-storage';
+        this.storeName = options.storeName || 'keyval';
+        this.dbPromise = null;
+    }
+
+    static get isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and create if needed) the database
+     * @returns {Promise<IDBDatabase>} Database connection
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!IndexedDBStore.isSupported) {
+                    reject(new Error('IndexedDB is not supported in this environment'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    if (!request.result.objectStoreNames.contains(this.storeName)) {
+                        request.result.createObjectStore(this.storeName);
+                    }
+                };
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Let other tabs upgrade the schema
+                    db.onversionchange = () => {
+                        db.close();
+                        this.dbPromise = null;
+                    };
+                    resolve(db);
+                };
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error(`IndexedDB "${this.dbName}" is blocked by another connection`));
+            });
+
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request in a transaction and resolve when the transaction completes
+     */
+    async transaction(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    get(key) {
+        return this.transaction('readonly', store => store.get(key));
+    }
+
+    set(key, value) {
+        return this.transaction('readwrite', store => store.put(value, key));
+    }
+
+    delete(key) {
+        return this.transaction('readwrite', store => store.delete(key));
+    }
+
+    clear() {
+        return this.transaction('readwrite', store => store.clear());
+    }
+
+    keys() {
+        return this.transaction('readonly', store => store.getAllKeys());
+    }
+
+    count() {
+        return this.transaction('readonly', store => store.count());
+    }
+
+    /**
+     * All key/value pairs
+     * @returns {Promise<Array<[String, *]>>} Entries
+     */
+    async entries() {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const entries = [];
+            const transaction = db.transaction(this.storeName, 'readonly');
+            const request = transaction.objectStore(this.storeName).openCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    entries.push([cursor.key, cursor.value]);
+                    cursor.continue();
+                }
+            };
+            transaction.oncomplete = () => resolve(entries);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Write several entries in one transaction
+     * @param {Array<[String, *]>} entries - Key/value pairs
+     */
+    async setMany(entries) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+            entries.forEach(([key, value]) => store.put(value, key));
+
+            transaction.oncomplete = () => resolve(entries.length);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+}
+
+/**
+ * Web Storage-compatible backend persisted to IndexedDB.
+ * Reads are served from memory once `ready` resolves; writes update memory
+ * immediately and are persisted in order.
+ */
+export class IndexedDBBackend {
+    /**
+     * @param {IndexedDBStore} store - Underlying store
+     */
+    constructor(store) {
+        this.store = store;
+        this.items = new Map();
+        this.pending = Promise.resolve();
+        this.pendingBytes = 0;
+        this.lastError = null;
+        this.errorListeners = new Set();
+        this.loaded = false;
+
+        // Deletes and clears made before the load finished, which it must not undo
+        this.removedBeforeLoad = new Set();
+        this.clearedBeforeLoad = false;
+
+        this.ready = this.load();
+    }
+
+    async load() {
+        try {
+            const entries = await this.store.entries();
+            if (!this.clearedBeforeLoad) {
+                entries.forEach(([key, value]) => {
+                    key = String(key);
+                    // Keys written or removed before the load finished take precedence
+                    if (!this.items.has(key) && !this.removedBeforeLoad.has(key)) {
+                        this.items.set(key, value);
+                    }
+                });
+            }
+        } catch (error) {
+            this.handleError(error);
+        }
+        this.loaded = true;
+        this.removedBeforeLoad.clear();
+        return this;
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    key(index) {
+        const keys = Array.from(this.items.keys());
+        return index >= 0 && index < keys.length ? keys[index] : null;
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        const stringValue = String(value);
+        this.items.set(key, stringValue);
+        this.enqueue(() => this.store.set(key, stringValue), stringValue.length * 2);
+    }
+
+    removeItem(key) {
+        // Before the load the key may only exist on disk, so the delete is always persisted
+        if (!this.items.delete(key) && this.loaded) return;
+        if (!this.loaded) this.removedBeforeLoad.add(String(key));
+        this.enqueue(() => this.store.delete(key), 0);
+    }
+
+    clear() {
+        this.items.clear();
+        if (!this.loaded) this.clearedBeforeLoad = true;
+        this.enqueue(() => this.store.clear(), 0);
+    }
+
+    enqueue(write, bytes) {
+        this.pendingBytes += bytes;
+        this.pending = this.pending
+            .then(write)
+            .catch(error => this.handleError(error))
+            .finally(() => {
+                this.pendingBytes -= bytes;
+            });
+    }
+
+    handleError(error) {
+        this.lastError = error;
+        console.error('IndexedDB storage error:', error);
+        this.errorListeners.forEach(listener => listener(error));
+    }
+
+    /**
+     * Subscribe to persistence errors (e.g. QuotaExceededError)
+     * @returns {Function} Unsubscribe function
+     */
+    onError(listener) {
+        this.errorListeners.add(listener);
+        return () => this.errorListeners.delete(listener);
+    }
+
+    /**
+     * Wait until all queued writes have been persisted
+     */
+    flush() {
+        return this.pending;
+    }
+}
+
+/**
+ * Browser storage quota for this origin
+ * @returns {Promise<Object|null>} { usage, quota, available, persisted } in bytes, or null if unknown
+ */
+export async function estimateStorage() {
+    if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+        return null;
+    }
+
+    try {
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+        return { usage, quota, available: Math.max(0, quota - usage), persisted };
+    } catch (error) {
+        console.warn('Storage estimate unavailable:', error);
+        return null;
+    }
+}
+
+// Backends are shared per database so every Storage instance sees the same mirror
+const backends = new Map();
+
+/**
+ * Get the shared Web Storage-compatible backend for a database
+ * @param {String} dbName - Database name
+ * @returns {IndexedDBBackend|null} Backend, or null if IndexedDB is unsupported
+ */
+export function getIndexedDBBackend(dbName = 'ncs-storage') {
+    if (!IndexedDBStore.isSupported) return null;
+
+    if (!backends.has(dbName)) {
+        backends.set(dbName, new IndexedDBBackend(new IndexedDBStore({ dbName, storeName: 'keyval' })));
+    }
+    return backends.get(dbName);
+}
+
+export default IndexedDBStore;
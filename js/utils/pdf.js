@@ -0,0 +1,685 @@
+/**
+ * PDF Document Writer
+ * Dependency-free PDF 1.4 generation with the standard Type 1 fonts, vector
+ * shapes, internal links, bookmarks and a renderer for simple SVG markup.
+ * Usable on the main thread and inside web workers.
+ *
+ * Page coordinates use a top-left origin in points (1/72 inch), like SVG and canvas;
+ * they are flipped to PDF's bottom-left origin when the page is written.
+ */
+
+const PAGE_SIZES = {
+    A4: [595.28, 841.89],
+    LETTER: [612, 792],
+    LEGAL: [612, 1008]
+};
+
+const FONTS = {
+    regular: { resource: 'F1', baseFont: 'Helvetica' },
+    bold: { resource: 'F2', baseFont: 'Helvetica-Bold' },
+    italic: { resource: 'F3', baseFont: 'Helvetica-Oblique' },
+    mono: { resource: 'F4', baseFont: 'Courier' }
+};
+
+// Advance widths (1/1000 em) for printable ASCII 32-126 from the standard AFM metrics
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Unicode characters outside Latin-1 that WinAnsiEncoding can still represent
+const WIN_ANSI_EXTRAS = {
+    0x20ac: 0x80, 0x2026: 0x85, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97,
+    0x2018: 0x91, 0x2019: 0x92, 0x201c: 0x93, 0x201d: 0x94, 0x2122: 0x99
+};
+
+const NAMED_COLORS = {
+    black: [0, 0, 0],
+    white: [1, 1, 1],
+    gray: [0.5, 0.5, 0.5],
+    grey: [0.5, 0.5, 0.5],
+    red: [1, 0, 0],
+    green: [0, 0.5, 0],
+    blue: [0, 0, 1]
+};
+
+// Control point offset for approximating a quarter circle with a cubic Bézier
+const KAPPA = 0.5522847498;
+
+/**
+ * Format a number compactly for content streams
+ */
+function num(value) {
+    if (!Number.isFinite(value)) return '0';
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Parse a CSS colour into RGB components in [0, 1].
+ * Alpha is approximated by blending with a white page.
+ * @returns {Array<Number>|null} RGB triple, or null for 'none'
+ */
+export function parseColor(color) {
+    if (color === null || color === undefined) return null;
+    if (Array.isArray(color)) return color;
+
+    const value = String(color).trim().toLowerCase();
+    if (value === '' || value === 'none' || value === 'transparent') return null;
+    if (NAMED_COLORS[value]) return NAMED_COLORS[value];
+
+    let rgb = null;
+    let alpha = 1;
+
+    const hex = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].replace(/./g, c => c + c) : hex[1];
+        rgb = [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+    }
+
+    const functional = value.match(/^rgba?\(([^)]+)\)$/);
+    if (functional) {
+        const parts = functional[1].split(',').map(part => parseFloat(part));
+        rgb = parts.slice(0, 3);
+        if (parts.length > 3 && Number.isFinite(parts[3])) alpha = parts[3];
+    }
+
+    if (!rgb || rgb.some(component => !Number.isFinite(component))) return [0, 0, 0];
+
+    return rgb.map(component => (component / 255) * alpha + (1 - alpha));
+}
+
+/**
+ * Encode a string for a content stream (WinAnsiEncoding) as a PDF literal
+ */
+function encodeContentText(text) {
+    let out = '';
+    for (const char of String(text)) {
+        let code = char.codePointAt(0);
+        if (code >= 0x80 && code <= 0x9f) code = 0x3f;
+        else if (code > 0xff) code = WIN_ANSI_EXTRAS[code] || 0x3f;
+
+        if (code === 0x28 || code === 0x29 || code === 0x5c) out += '\\' + String.fromCharCode(code);
+        else if (code < 0x20) out += ' ';
+        else out += String.fromCharCode(code);
+    }
+    return '(' + out + ')';
+}
+
+/**
+ * Encode a document-level text string (titles, bookmarks)
+ */
+function encodeTextString(text) {
+    const value = String(text);
+    if (/^[\x20-\x7e]*$/.test(value)) {
+        return '(' + value.replace(/[()\\]/g, '\\$&') + ')';
+    }
+
+    // UTF-16BE with byte order mark
+    let hex = 'FEFF';
+    for (let i = 0; i < value.length; i++) {
+        hex += value.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+    }
+    return '<' + hex + '>';
+}
+
+/**
+ * Convert a binary string (char codes < 256) to bytes
+ */
+function toBytes(binary) {
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i) & 0xff;
+    return bytes;
+}
+
+function formatDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+        `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+async function deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function parseAttributes(source) {
+    const attributes = {};
+    const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        attributes[match[1]] = match[2] !== undefined ? match[2] : match[3];
+    }
+    return attributes;
+}
+
+function parseDeclarations(source) {
+    const declarations = {};
+    source.split(';').forEach(declaration => {
+        const colon = declaration.indexOf(':');
+        if (colon > 0) {
+            declarations[declaration.slice(0, colon).trim()] = declaration.slice(colon + 1).trim();
+        }
+    });
+    return declarations;
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * A single page. Drawing operations are buffered until the document is written,
+ * so content such as page footers can be added after layout is complete.
+ */
+export class PDFPage {
+    constructor(document) {
+        this.document = document;
+        this.width = document.pageWidth;
+        this.height = document.pageHeight;
+        this.operations = [];
+        this.annotations = [];
+    }
+
+    /**
+     * Page number (1-based) in the current document order
+     */
+    get number() {
+        return this.document.pages.indexOf(this) + 1;
+    }
+
+    /**
+     * Colour, line width and paint operator for a path
+     */
+    paint(options) {
+        const fill = parseColor(options.fill);
+        const stroke = parseColor(options.stroke);
+        if (!fill && !stroke) return null;
+
+        let ops = '';
+        if (fill) ops += `${fill.map(num).join(' ')} rg\n`;
+        if (stroke) ops += `${stroke.map(num).join(' ')} RG\n${num(options.lineWidth ?? 1)} w\n`;
+        if (stroke && options.dash) ops += `[${options.dash.map(num).join(' ')}] 0 d\n`;
+
+        return { ops, operator: fill && stroke ? 'B' : fill ? 'f' : 'S' };
+    }
+
+    /**
+     * Draw a single line of text
+     * @param {String} text - Text to draw
+     * @param {Number} x - Anchor x position
+     * @param {Number} y - Baseline y position
+     * @param {Object} options - { font, size, color, align: 'left' | 'center' | 'right' }
+     */
+    text(text, x, y, options = {}) {
+        const fontKey = FONTS[options.font] ? options.font : 'regular';
+        const size = options.size || 11;
+        const color = parseColor(options.color || '#000000') || [0, 0, 0];
+        const value = String(text ?? '');
+
+        let left = x;
+        if (options.align === 'center' || options.align === 'right') {
+            const width = this.document.measureText(value, size, fontKey);
+            left = options.align === 'center' ? x - width / 2 : x - width;
+        }
+
+        this.operations.push(
+            `q\n${color.map(num).join(' ')} rg\nBT\n/${FONTS[fontKey].resource} ${num(size)} Tf\n` +
+            `${num(left)} ${num(this.height - y)} Td\n${encodeContentText(value)} Tj\nET\nQ`
+        );
+        return this;
+    }
+
+    rect(x, y, width, height, options = {}) {
+        const paint = this.paint(options);
+        if (!paint) return this;
+
+        this.operations.push(
+            `q\n${paint.ops}${num(x)} ${num(this.height - y - height)} ${num(width)} ${num(height)} re\n${paint.operator}\nQ`
+        );
+        return this;
+    }
+
+    line(x1, y1, x2, y2, options = {}) {
+        const paint = this.paint({ stroke: options.color || '#000000', lineWidth: options.lineWidth, dash: options.dash });
+
+        this.operations.push(
+            `q\n${paint.ops}${num(x1)} ${num(this.height - y1)} m\n${num(x2)} ${num(this.height - y2)} l\nS\nQ`
+        );
+        return this;
+    }
+
+    circle(cx, cy, radius, options = {}) {
+        return this.ellipse(cx, cy, radius, radius, options);
+    }
+
+    ellipse(cx, cy, rx, ry, options = {}) {
+        const paint = this.paint(options);
+        if (!paint || rx <= 0 || ry <= 0) return this;
+
+        const x = cx;
+        const y = this.height - cy;
+        const ox = rx * KAPPA;
+        const oy = ry * KAPPA;
+
+        this.operations.push(
+            `q\n${paint.ops}${num(x + rx)} ${num(y)} m\n` +
+            `${num(x + rx)} ${num(y + oy)} ${num(x + ox)} ${num(y + ry)} ${num(x)} ${num(y + ry)} c\n` +
+            `${num(x - ox)} ${num(y + ry)} ${num(x - rx)} ${num(y + oy)} ${num(x - rx)} ${num(y)} c\n` +
+            `${num(x - rx)} ${num(y - oy)} ${num(x - ox)} ${num(y - ry)} ${num(x)} ${num(y - ry)} c\n` +
+            `${num(x + ox)} ${num(y - ry)} ${num(x + rx)} ${num(y - oy)} ${num(x + rx)} ${num(y)} c\n` +
+            `${paint.operator}\nQ`
+        );
+        return this;
+    }
+
+    /**
+     * Add a clickable area that jumps to a position on another page
+     * @param {PDFPage} target - Destination page
+     * @param {Number} top - Destination y position on the target page
+     */
+    link(x, y, width, height, target, top = 0) {
+        this.annotations.push({ x, y, width, height, target, top });
+        return this;
+    }
+
+    /**
+     * Render SVG markup as vector graphics, scaled to fit the given box.
+     * Supports the subset produced by the exporters: g (translate/scale), rect,
+     * circle, ellipse, line and text, with attributes, inline styles and class rules.
+     */
+    drawSVG(svg, x, y, width, height) {
+        const root = svg.match(/<svg\b([^>]*)>/i);
+        if (!root) throw new Error('Invalid SVG markup');
+
+        const rootAttributes = parseAttributes(root[1]);
+        const viewBox = (rootAttributes.viewBox || '').split(/[\s,]+/).map(Number);
+        const svgWidth = parseFloat(rootAttributes.width) || viewBox[2] || width;
+        const svgHeight = parseFloat(rootAttributes.height) || viewBox[3] || height;
+        const scale = Math.min(width / svgWidth, height / svgHeight);
+
+        const base = {
+            scale,
+            tx: x + (width - svgWidth * scale) / 2 - (viewBox.length === 4 ? viewBox[0] * scale : 0),
+            ty: y - (viewBox.length === 4 ? viewBox[1] * scale : 0)
+        };
+
+        // Class rules from embedded stylesheets
+        const classRules = {};
+        const stylePattern = /<style\b[^>]*>([\s\S]*?)<\/style>/gi;
+        let styleMatch;
+        while ((styleMatch = stylePattern.exec(svg)) !== null) {
+            const rulePattern = /\.([\w-]+)\s*\{([^}]*)\}/g;
+            let rule;
+            while ((rule = rulePattern.exec(styleMatch[1])) !== null) {
+                classRules[rule[1]] = { ...classRules[rule[1]], ...parseDeclarations(rule[2]) };
+            }
+        }
+
+        const transforms = [base];
+        const body = svg.slice(root.index + root[0].length)
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/<(defs|style)\b[\s\S]*?<\/\1>/gi, '');
+        const tagPattern = /<(\/?)([a-zA-Z]+)([^>]*?)(\/?)>([^<]*)/g;
+        let tag;
+
+        while ((tag = tagPattern.exec(body)) !== null) {
+            const [, closing, name, attributeSource, selfClosing, trailingText] = tag;
+            const element = name.toLowerCase();
+
+            if (closing) {
+                if (element === 'g' && transforms.length > 1) transforms.pop();
+                continue;
+            }
+
+            const attributes = parseAttributes(attributeSource);
+            const parent = transforms[transforms.length - 1];
+            const transform = this.composeTransform(parent, attributes.transform);
+
+            if (element === 'g') {
+                if (!selfClosing) transforms.push(transform);
+                continue;
+            }
+
+            const style = {
+                ...attributes,
+                ...(attributes.class || '').split(/\s+/).reduce((merged, name) => ({ ...merged, ...classRules[name] }), {}),
+                ...parseDeclarations(attributes.style || '')
+            };
+            this.drawSVGElement(element, attributes, style, transform, decodeEntities(trailingText));
+        }
+
+        return this;
+    }
+
+    composeTransform(parent, transform) {
+        if (!transform) return parent;
+
+        let { scale, tx, ty } = parent;
+        const pattern = /(translate|scale)\s*\(([^)]*)\)/g;
+        let match;
+        while ((match = pattern.exec(transform)) !== null) {
+            const values = match[2].split(/[\s,]+/).filter(Boolean).map(Number);
+            if (match[1] === 'translate') {
+                tx += (values[0] || 0) * scale;
+                ty += (values[1] || 0) * scale;
+            } else {
+                scale *= values[0] || 1;
+            }
+        }
+        return { scale, tx, ty };
+    }
+
+    drawSVGElement(element, attributes, style, transform, text) {
+        const { scale, tx, ty } = transform;
+        const value = name => parseFloat(attributes[name]) || 0;
+        const strokeWidth = parseFloat(style['stroke-width'] ?? 1) * scale;
+        const paint = {
+            fill: style.fill === undefined ? '#000000' : style.fill,
+            stroke: style.stroke,
+            lineWidth: strokeWidth
+        };
+
+        switch (element) {
+            case 'rect':
+                this.rect(tx + value('x') * scale, ty + value('y') * scale, value('width') * scale, value('height') * scale, paint);
+                break;
+            case 'circle':
+                this.circle(tx + value('cx') * scale, ty + value('cy') * scale, value('r') * scale, paint);
+                break;
+            case 'ellipse':
+                this.ellipse(tx + value('cx') * scale, ty + value('cy') * scale, value('rx') * scale, value('ry') * scale, paint);
+                break;
+            case 'line':
+                this.line(
+                    tx + value('x1') * scale, ty + value('y1') * scale,
+                    tx + value('x2') * scale, ty + value('y2') * scale,
+                    { color: style.stroke || '#000000', lineWidth: strokeWidth }
+                );
+                break;
+            case 'text': {
+                const content = text.trim();
+                if (!content || parseColor(paint.fill) === null) break;
+
+                const anchor = style['text-anchor'];
+                const weight = style['font-weight'];
+                this.text(content, tx + value('x') * scale, ty + value('y') * scale, {
+                    size: (parseFloat(style['font-size']) || 16) * scale,
+                    font: weight === 'bold' || Number(weight) >= 600 ? 'bold' : 'regular',
+                    color: paint.fill,
+                    align: anchor === 'middle' ? 'center' : anchor === 'end' ? 'right' : 'left'
+                });
+                break;
+            }
+        }
+    }
+
+    /**
+     * Serialise the page content with PDF coordinates
+     */
+    getContent() {
+        return this.operations.join('\n');
+    }
+}
+
+/**
+ * Multi-page PDF document
+ *
+ * @example
+ * const pdf = new PDFDocument({ title: 'Report' });
+ * const page = pdf.addPage();
+ * page.text('Hello', pdf.margins.left, pdf.margins.top, { size: 18, font: 'bold' });
+ * const bytes = await pdf.toUint8Array();
+ */
+export class PDFDocument {
+    /**
+     * @param {Object} options - Document options
+     * @param {String|Array<Number>} options.pageSize - 'A4', 'LETTER', 'LEGAL' or [width, height] in points
+     * @param {Object} options.margins - { top, right, bottom, left } in points
+     * @param {Boolean} options.compress - Deflate content streams when CompressionStream is available
+     */
+    constructor(options = {}) {
+        const size = Array.isArray(options.pageSize) ?
+            options.pageSize :
+            PAGE_SIZES[String(options.pageSize || 'A4').toUpperCase()] || PAGE_SIZES.A4;
+
+        this.pageWidth = size[0];
+        this.pageHeight = size[1];
+        this.margins = { top: 56, right: 50, bottom: 56, left: 50, ...options.margins };
+        this.info = {
+            title: options.title || 'Untitled',
+            author: options.author || 'NCS-API Website',
+            subject: options.subject || '',
+            creator: 'NCS-API Website'
+        };
+        this.compress = options.compress !== false;
+        this.pages = [];
+        this.outlines = [];
+    }
+
+    get pageCount() {
+        return this.pages.length;
+    }
+
+    /**
+     * Width available between the left and right margins
+     */
+    get contentWidth() {
+        return this.pageWidth - this.margins.left - this.margins.right;
+    }
+
+    addPage() {
+        const page = new PDFPage(this);
+        this.pages.push(page);
+        return page;
+    }
+
+    /**
+     * Add a bookmark shown in the viewer's outline panel
+     */
+    addOutline(title, page, top = 0) {
+        this.outlines.push({ title, page, top });
+    }
+
+    /**
+     * Width of a string in points
+     */
+    measureText(text, size = 11, font = 'regular') {
+        if (font === 'mono') return String(text).length * 0.6 * size;
+
+        const widths = font === 'bold' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+        let total = 0;
+        for (const char of String(text)) {
+            const code = char.charCodeAt(0);
+            total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+        }
+        return (total * size) / 1000;
+    }
+
+    /**
+     * Break text into lines no wider than maxWidth, splitting long words if needed
+     */
+    wrapText(text, maxWidth, size = 11, font = 'regular') {
+        const lines = [];
+
+        String(text ?? '').split('\n').forEach(paragraph => {
+            let line = '';
+            paragraph.split(/(\s+)/).forEach(token => {
+                if (!token) return;
+                const candidate = line + token;
+                if (this.measureText(candidate.trimEnd(), size, font) <= maxWidth) {
+                    line = candidate;
+                    return;
+                }
+
+                if (line.trim()) lines.push(line.trimEnd());
+                line = /^\s+$/.test(token) ? '' : token;
+
+                // Hard-wrap words that are wider than the line on their own
+                while (this.measureText(line, size, font) > maxWidth && line.length > 1) {
+                    let cut = line.length - 1;
+                    while (cut > 1 && this.measureText(line.slice(0, cut), size, font) > maxWidth) cut--;
+                    lines.push(line.slice(0, cut));
+                    line = line.slice(cut);
+                }
+            });
+            lines.push(line.trimEnd());
+        });
+
+        return lines;
+    }
+
+    /**
+     * Write the document
+     * @returns {Promise<Uint8Array>} PDF bytes
+     */
+    async toUint8Array() {
+        if (this.pages.length === 0) this.addPage();
+
+        const useCompression = this.compress && typeof CompressionStream !== 'undefined';
+        const objects = [];
+        const allocate = () => {
+            objects.push(null);
+            return objects.length;
+        };
+        const set = (id, body) => {
+            objects[id - 1] = body;
+        };
+
+        const catalogId = allocate();
+        const pagesId = allocate();
+        const infoId = allocate();
+        const fontIds = {};
+        for (const [key, font] of Object.entries(FONTS)) {
+            fontIds[key] = allocate();
+            set(fontIds[key], `<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`);
+        }
+
+        const pageIds = this.pages.map(() => allocate());
+        const pageIdOf = page => pageIds[this.pages.indexOf(page)];
+        const destination = (page, top) => `[${pageIdOf(page)} 0 R /XYZ 0 ${num(this.pageHeight - top)} null]`;
+        const fontResources = Object.entries(FONTS)
+            .map(([key, font]) => `/${font.resource} ${fontIds[key]} 0 R`)
+            .join(' ');
+
+        for (let i = 0; i < this.pages.length; i++) {
+            const page = this.pages[i];
+            let content = toBytes(page.getContent());
+            let filter = '';
+            if (useCompression) {
+                content = await deflate(content);
+                filter = ' /Filter /FlateDecode';
+            }
+
+            const contentId = allocate();
+            set(contentId, { dictionary: `<< /Length ${content.length}${filter} >>`, stream: content });
+
+            const annotationIds = page.annotations
+                .filter(annotation => this.pages.includes(annotation.target))
+                .map(annotation => {
+                    const id = allocate();
+                    const bottom = page.height - annotation.y - annotation.height;
+                    set(id, `<< /Type /Annot /Subtype /Link /Border [0 0 0] ` +
+                        `/Rect [${num(annotation.x)} ${num(bottom)} ${num(annotation.x + annotation.width)} ${num(bottom + annotation.height)}] ` +
+                        `/Dest ${destination(annotation.target, annotation.top)} >>`);
+                    return id;
+                });
+
+            const annotations = annotationIds.length > 0 ?
+                ` /Annots [${annotationIds.map(id => `${id} 0 R`).join(' ')}]` : '';
+
+            set(pageIds[i], `<< /Type /Page /Parent ${pagesId} 0 R ` +
+                `/MediaBox [0 0 ${num(this.pageWidth)} ${num(this.pageHeight)}] ` +
+                `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R${annotations} >>`);
+        }
+
+        set(pagesId, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+
+        let outlineEntry = '';
+        const outlines = this.outlines.filter(outline => this.pages.includes(outline.page));
+        if (outlines.length > 0) {
+            const outlinesId = allocate();
+            const itemIds = outlines.map(() => allocate());
+
+            outlines.forEach((outline, i) => {
+                const links = (i > 0 ? ` /Prev ${itemIds[i - 1]} 0 R` : '') +
+                    (i < itemIds.length - 1 ? ` /Next ${itemIds[i + 1]} 0 R` : '');
+                set(itemIds[i], `<< /Title ${encodeTextString(outline.title)} /Parent ${outlinesId} 0 R${links} ` +
+                    `/Dest ${destination(outline.page, outline.top)} >>`);
+            });
+
+            set(outlinesId, `<< /Type /Outlines /First ${itemIds[0]} 0 R /Last ${itemIds[itemIds.length - 1]} 0 R /Count ${itemIds.length} >>`);
+            outlineEntry = ` /Outlines ${outlinesId} 0 R /PageMode /UseOutlines`;
+        }
+
+        set(catalogId, `<< /Type /Catalog /Pages ${pagesId} 0 R${outlineEntry} >>`);
+        set(infoId, `<< /Title ${encodeTextString(this.info.title)} /Author ${encodeTextString(this.info.author)} ` +
+            `/Subject ${encodeTextString(this.info.subject)} /Creator ${encodeTextString(this.info.creator)} ` +
+            `/Producer ${encodeTextString('NCS-API PDF Writer')} /CreationDate (${formatDate(new Date())}) >>`);
+
+        // Assemble the file with a cross-reference table of byte offsets
+        const chunks = [];
+        let length = 0;
+        const write = chunk => {
+            const bytes = typeof chunk === 'string' ? toBytes(chunk) : chunk;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+
+        write('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n');
+
+        const offsets = [];
+        objects.forEach((object, i) => {
+            offsets.push(length);
+            if (typeof object === 'string') {
+                write(`${i + 1} 0 obj\n${object}\nendobj\n`);
+            } else {
+                write(`${i + 1} 0 obj\n${object.dictionary}\nstream\n`);
+                write(object.stream);
+                write('\nendstream\nendobj\n');
+            }
+        });
+
+        const xrefOffset = length;
+        write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+        offsets.forEach(offset => write(`${String(offset).padStart(10, '0')} 00000 n \n`));
+        write(`trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        const output = new Uint8Array(length);
+        let position = 0;
+        for (const chunk of chunks) {
+            output.set(chunk, position);
+            position += chunk.length;
+        }
+        return output;
+    }
+
+    /**
+     * Write the document as a Blob
+     * @returns {Promise<Blob>} application/pdf Blob
+     */
+    async toBlob() {
+        return new Blob([await this.toUint8Array()], { type: 'application/pdf' });
+    }
+}
+
+export default PDFDocument;
@@ -1,21 +1,29 @@
 /**
  * FILE: js/utils/storage.js
- * Storage Utility - Local/Session storage wrapper with encryption and validation
+ * Storage Utility - Local/Session/IndexedDB storage wrapper with encryption and validation
  * NCS-API Website
  * 
  * Features:
- * - Unified localStorage/sessionStorage interface
+ * - Unified localStorage/sessionStorage/IndexedDB interface
+ * - IndexedDB backend for large data, migrated automatically from localStorage
  * - Automatic JSON serialization/deserialization
  * - Data expiration and TTL support
- * - Optional encryption for sensitive data
+ * - Optional AES-GCM encryption for sensitive data (async API)
  * - Storage quota management
  * - Fallback for unsupported browsers
  * - Event-driven storage changes
- * - Compression for large data
+ * - DEFLATE compression for large data
  * - Backup and restore functionality
  */
 
 import { EventBus } from '../core/eventBusNew.js';
+import { getStorageCipher, StorageCryptoError, CIPHER_PREFIX, LEGACY_PREFIX } from './crypto.js';
+import { compressString, compressStringAsync, decompressString, isCompressedString, getCompressionInfo } from './compression.js';
+import { IndexedDBBackend, getIndexedDBBackend, estimateStorage } from './indexeddb.js';
+
+// Share of the browser quota the IndexedDB backend may fill
+const INDEXEDDB_QUOTA_RATIO = 0.9;
+const QUOTA_ESTIMATE_MAX_AGE = 60 * 1000;
 
 export class Storage {
     constructor(options = {}) {
@@ -24,8 +32,12 @@ export class Storage {
             prefix: 'ncs_',
             defaultTTL: 24 * 60 * 60 * 1000, // 24 hours
             enableEncryption: false,
+            encryptionMode: 'device', // 'device' (IndexedDB key) or 'passphrase' (PBKDF2)
+            keyDatabase: 'ncs-keystore',
             enableCompression: true,
-            maxStorageSize: 5 * 1024 * 1024, // 5MB
+            maxStorageSize: 5 * 1024 * 1024, // 5MB (Web Storage backends)
+            indexedDBName: 'ncs-storage',
+            migrateFromLocalStorage: true, // Move prefixed localStorage keys into IndexedDB
             enableEvents: true,
             fallbackToMemory: true,
             autoCleanup: true,
@@ -35,16 +47,20 @@ export class Storage {
         
         // Storage backends
         this.backends = {
-            local: this.isStorageAvailable('localStorage') ? localStorage : null,
-            session: this.isStorageAvailable('sessionStorage') ? sessionStorage : null,
+            local: this.isStorageAvailable('localStorage') ? window.localStorage : null,
+            session: this.isStorageAvailable('sessionStorage') ? window.sessionStorage : null,
+            indexeddb: null, // Opened on first use
             memory: new Map() // Fallback for unsupported browsers
         };
         
+        // Latest navigator.storage.estimate() result, used for IndexedDB quota checks
+        this.quotaEstimate = null;
+        
         // Event system
         this.eventBus = new EventBus();
         
-        // Encryption key (simplified - in production use proper key management)
-        this.encryptionKey = 'ncs-api-storage-key-2025';
+        // AES-GCM cipher, created on first use of encryption
+        this.cipher = null;
         
         // Statistics tracking
         this.stats = {
@@ -58,6 +74,9 @@ export class Storage {
         
         // Initialize
         this.init();
+        
+        // Resolves once persisted data is readable; immediate for Web Storage backends
+        this.ready = this.config.type === 'indexeddb' ? this.initIndexedDB() : Promise.resolve(this);
     }
 
     /**
@@ -84,6 +103,90 @@ export class Storage {
         }
     }
 
+    /**
+     * Load the IndexedDB backend, migrate localStorage data into it and
+     * fetch the quota estimate
+     */
+    async initIndexedDB() {
+        const backend = this.getBackend('indexeddb');
+        if (!(backend instanceof IndexedDBBackend)) {
+            console.warn('IndexedDB unavailable, falling back to', backend === this.backends.local ? 'localStorage' : 'memory');
+            return this;
+        }
+        
+        try {
+            await backend.ready;
+            
+            if (this.config.migrateFromLocalStorage) {
+                await this.migrateFromLocalStorage();
+            }
+            
+            await this.refreshQuotaEstimate();
+            this.cleanup({ type: 'indexeddb' });
+            
+            if (this.config.enableEvents) {
+                this.eventBus.emit('storage:ready', { type: 'indexeddb', quota: this.quotaEstimate });
+            }
+        } catch (error) {
+            this.stats.errors++;
+            console.error('❌ IndexedDB storage initialization failed:', error);
+        }
+        
+        return this;
+    }
+
+    /**
+     * Move this instance's prefixed keys from localStorage into IndexedDB.
+     * Values are copied verbatim (compressed/encrypted forms stay valid) and
+     * removed from localStorage only after IndexedDB has persisted them.
+     * @returns {Promise<Number>} Number of migrated keys
+     */
+    async migrateFromLocalStorage() {
+        const source = this.backends.local;
+        const target = this.getBackend('indexeddb');
+        if (!source || !(target instanceof IndexedDBBackend)) return 0;
+        
+        const keys = [];
+        for (let i = 0; i < source.length; i++) {
+            const key = source.key(i);
+            if (key && key.startsWith(this.config.prefix)) keys.push(key);
+        }
+        if (keys.length === 0) return 0;
+        
+        // Entries already in IndexedDB are newer than the localStorage copy
+        keys.forEach(key => {
+            if (target.getItem(key) === null) {
+                target.setItem(key, source.getItem(key));
+            }
+        });
+        
+        const lastError = target.lastError;
+        await target.flush();
+        if (target.lastError !== lastError) {
+            console.warn('Storage migration to IndexedDB failed, data kept in localStorage');
+            return 0;
+        }
+        
+        keys.forEach(key => source.removeItem(key));
+        
+        if (this.config.enableEvents) {
+            this.eventBus.emit('storage:migrated', { from: 'local', to: 'indexeddb', count: keys.length });
+        }
+        console.log(`🗄️ Migrated ${keys.length} storage entries from localStorage to IndexedDB`);
+        
+        return keys.length;
+    }
+
+    /**
+     * Wait until queued IndexedDB writes are persisted
+     */
+    async flush(options = {}) {
+        const backend = this.getBackend(options.type || this.config.type);
+        if (backend instanceof IndexedDBBackend) {
+            await backend.flush();
+        }
+    }
+
     /**
      * Store data with optional TTL and encryption
      */
@@ -111,20 +214,21 @@ export class Storage {
             // Serialize data
             let serializedData = JSON.stringify(dataObject);
             
-            // Encrypt if enabled
+            // Web Crypto is asynchronous, so encrypted values need the async API
             if (config.enableEncryption) {
-                serializedData = this.encrypt(serializedData);
-                dataObject.encrypted = true;
+                throw new Error('Encrypted values must be written with setAsync()');
             }
             
-            // Compress if enabled and data is large
+            // Compress if enabled and data is large, keeping the result only if it is smaller
             if (config.enableCompression && serializedData.length > 1024) {
-                serializedData = this.compress(serializedData);
-                dataObject.compressed = true;
+                const compressed = this.compress(serializedData);
+                if (compressed.length < serializedData.length) {
+                    serializedData = compressed;
+                }
             }
             
             // Check storage quota
-            if (!this.checkQuota(serializedData.length)) {
+            if (!this.checkQuota(this.getStringSize(serializedData), config.type)) {
                 throw new Error('Storage quota exceeded');
             }
             
@@ -180,9 +284,14 @@ export class Storage {
                 rawData = this.decompress(rawData);
             }
             
-            // Decrypt if needed
+            // AES-GCM values can only be decrypted asynchronously
             if (this.isEncrypted(rawData)) {
-                rawData = this.decrypt(rawData);
+                throw new Error('Value is encrypted; read it with getAsync()');
+            }
+            
+            // Legacy base64 values stay readable until migrated
+            if (this.isLegacyEncrypted(rawData)) {
+                rawData = this.getCipher().decodeLegacy(rawData);
             }
             
             // Parse data object
@@ -213,6 +322,202 @@ export class Storage {
         }
     }
 
+    /**
+     * Store data, encrypting it with AES-GCM when encryption is enabled
+     * @param {String} key - Storage key
+     * @param {*} value - JSON-serializable value
+     * @param {Object} options - Per-call configuration overrides
+     * @returns {Promise<Boolean>} Resolves true once stored
+     * @throws {Error} If encryption or the write fails
+     */
+    async setAsync(key, value, options = {}) {
+        const config = { ...this.config, ...options };
+        
+        try {
+            const fullKey = this.getFullKey(key);
+            const backend = this.getBackend(config.type);
+            
+            const dataObject = {
+                value: value,
+                timestamp: Date.now(),
+                ttl: config.ttl || config.defaultTTL,
+                encrypted: Boolean(config.enableEncryption),
+                version: '1.0'
+            };
+            
+            if (dataObject.ttl > 0) {
+                dataObject.expires = dataObject.timestamp + dataObject.ttl;
+            }
+            
+            await this.writeEntry(backend, fullKey, dataObject, config);
+            
+            this.stats.writes++;
+            
+            if (config.enableEvents) {
+                this.eventBus.emit('storage:set', { key, value, options: config });
+            }
+            
+            return true;
+            
+        } catch (error) {
+            this.stats.errors++;
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieve data, decrypting AES-GCM and legacy values.
+     * Legacy "ENCRYPTED:" values and values under a rotated-out key are
+     * re-encrypted with the active key on read when encryption is enabled.
+     * @param {String} key - Storage key
+     * @param {*} defaultValue - Returned when the key is missing or expired
+     * @param {Object} options - Per-call configuration overrides
+     * @returns {Promise<*>} Stored value
+     * @throws {StorageCryptoError} If the value cannot be decrypted
+     */
+    async getAsync(key, defaultValue = null, options = {}) {
+        const config = { ...this.config, ...options };
+        const fullKey = this.getFullKey(key);
+        const backend = this.getBackend(config.type);
+        
+        const rawData = this.readRaw(backend, fullKey);
+        if (rawData === null || rawData === undefined) {
+            this.stats.cacheMisses++;
+            return defaultValue;
+        }
+        
+        let entry;
+        try {
+            entry = await this.decodeEntry(rawData, fullKey);
+        } catch (error) {
+            this.stats.errors++;
+            
+            if (error instanceof StorageCryptoError) {
+                if (config.enableEvents) {
+                    this.eventBus.emit('storage:decrypt_error', { key, code: error.code, error });
+                }
+                throw error;
+            }
+            
+            console.error(`Storage get error for key "${key}":`, error);
+            return defaultValue;
+        }
+        
+        if (this.isExpired(entry.dataObject)) {
+            this.delete(key, { type: config.type });
+            this.stats.cacheMisses++;
+            return defaultValue;
+        }
+        
+        if (config.enableEncryption && this.needsReencryption(entry)) {
+            try {
+                await this.writeEntry(backend, fullKey, entry.dataObject, config);
+            } catch (error) {
+                console.warn(`Failed to re-encrypt storage key "${key}":`, error);
+            }
+        }
+        
+        this.stats.reads++;
+        this.stats.cacheHits++;
+        
+        if (config.enableEvents) {
+            this.eventBus.emit('storage:get', { key, value: entry.dataObject.value, hit: true });
+        }
+        
+        return entry.dataObject.value;
+    }
+
+    /**
+     * Unlock passphrase-derived encryption keys (encryptionMode 'passphrase')
+     * @param {String} passphrase - User passphrase
+     * @returns {Promise<Number>} Number of keys unlocked
+     */
+    async unlockEncryption(passphrase) {
+        const unlocked = await this.getCipher().unlock(passphrase);
+        this.eventBus.emit('storage:unlocked', { keys: unlocked });
+        return unlocked;
+    }
+
+    /**
+     * Forget passphrase-derived keys until the next unlock
+     */
+    lockEncryption() {
+        this.getCipher().lock();
+        this.eventBus.emit('storage:locked', {});
+    }
+
+    /**
+     * Switch to a new encryption key and re-encrypt stored values with it
+     * @param {Object} options - { type, passphrase, retireOldKeys }
+     * @param {Boolean} options.retireOldKeys - Delete previous keys once every value
+     *        was re-encrypted. Only use this when no other storage type still holds
+     *        values under those keys, as they share one keyring.
+     * @returns {Promise<Object>} { keyId, updated, failed }
+     */
+    async rotateEncryptionKey(options = {}) {
+        const config = { ...this.config, ...options, enableEncryption: true };
+        const cipher = this.getCipher();
+        
+        await cipher.init();
+        const previousKeyIds = cipher.getKeyIds();
+        const keyId = await cipher.rotateKey({ passphrase: options.passphrase });
+        
+        const result = await this.reencryptEntries(config, entry => entry.keyId !== null && entry.keyId !== keyId);
+        
+        if (options.retireOldKeys && result.failed === 0) {
+            for (const oldKeyId of previousKeyIds) {
+                await cipher.retireKey(oldKeyId);
+            }
+        }
+        
+        this.eventBus.emit('storage:key_rotated', { keyId, ...result });
+        return { keyId, ...result };
+    }
+
+    /**
+     * Re-encrypt legacy base64 "ENCRYPTED:" values with AES-GCM
+     * @param {Object} options - { type }
+     * @returns {Promise<Object>} { updated, failed }
+     */
+    async migrateEncryption(options = {}) {
+        const config = { ...this.config, ...options, enableEncryption: true };
+        const result = await this.reencryptEntries(config, entry => entry.legacy);
+        
+        if (result.updated > 0) {
+            console.log(`🔐 Storage migration: ${result.updated} legacy values re-encrypted`);
+        }
+        
+        return result;
+    }
+
+    /**
+     * Rewrite every encrypted entry that matches a predicate with the active key
+     */
+    async reencryptEntries(config, shouldUpdate) {
+        const backend = this.getBackend(config.type);
+        let updated = 0;
+        let failed = 0;
+        
+        for (const key of this.keys({ type: config.type })) {
+            const fullKey = this.getFullKey(key);
+            const rawData = this.readRaw(backend, fullKey);
+            if (rawData === null || rawData === undefined) continue;
+            
+            try {
+                const entry = await this.decodeEntry(rawData, fullKey);
+                if (!shouldUpdate(entry)) continue;
+                
+                await this.writeEntry(backend, fullKey, entry.dataObject, config);
+                updated++;
+            } catch (error) {
+                failed++;
+                console.warn(`Failed to re-encrypt storage key "${key}":`, error);
+            }
+        }
+        
+        return { updated, failed };
+    }
+
     /**
      * Delete data from storage
      */
@@ -222,8 +527,10 @@ export class Storage {
             const fullKey = this.getFullKey(key);
             const backend = this.getBackend(config.type);
             
-            // Get value before deletion for event
-            const value = this.get(key, null, { type: config.type });
+            // Get value before deletion for event (encrypted values are not decrypted here)
+            const value = this.isEncrypted(this.readRaw(backend, fullKey)) ?
+                undefined :
+                this.get(key, null, { type: config.type });
             
             // Delete from storage
             if (backend === this.backends.memory) {
@@ -340,49 +647,113 @@ export class Storage {
 
     /**
      * Get storage usage information
+     * @param {Object} options - { type, detailed: false to skip decoding items }
+     * @returns {Object} Stored (compressed) and raw sizes, per item and in total
      */
     getUsage(options = {}) {
         try {
             const config = { ...this.config, ...options };
             const backend = this.getBackend(config.type);
+            const detailed = options.detailed !== false;
             
-            let totalSize = 0;
-            let itemCount = 0;
-            const items = {};
-            
+            const entries = [];
             if (backend === this.backends.memory) {
-                for (const [key, value] of backend) {
-                    if (key.startsWith(this.config.prefix)) {
-                        const size = this.getStringSize(value);
-                        totalSize += size;
-                        itemCount++;
-                        items[key] = { size, value: JSON.parse(value) };
-                    }
-                }
+                entries.push(...backend);
             } else {
                 for (let i = 0; i < backend.length; i++) {
                     const key = backend.key(i);
-                    if (key && key.startsWith(this.config.prefix)) {
-                        const value = backend.getItem(key);
-                        const size = this.getStringSize(value);
-                        totalSize += size;
-                        itemCount++;
-                        items[key] = { size, value: JSON.parse(value) };
-                    }
+                    if (key) entries.push([key, backend.getItem(key)]);
                 }
             }
             
-            return {
+            let totalSize = 0;
+            let totalRawSize = 0;
+            let itemCount = 0;
+            let compressedCount = 0;
+            const items = {};
+            
+            entries.forEach(([key, value]) => {
+                if (!key.startsWith(this.config.prefix) || value === null) return;
+                
+                itemCount++;
+                if (!detailed) {
+                    totalSize += this.getStringSize(value);
+                    return;
+                }
+                
+                const item = this.inspectItem(value);
+                totalSize += item.size;
+                totalRawSize += item.rawSize ?? item.size;
+                if (item.compressed) compressedCount++;
+                items[key] = item;
+            });
+            
+            const quota = this.getQuotaLimit(config.type);
+            const usage = {
                 totalSize,
                 itemCount,
                 items,
                 formattedSize: this.formatBytes(totalSize),
-                quotaUsed: (totalSize / this.config.maxStorageSize * 100).toFixed(2) + '%'
+                quota,
+                quotaUsed: (totalSize / quota * 100).toFixed(2) + '%'
             };
             
+            if (detailed) {
+                Object.assign(usage, {
+                    totalRawSize,
+                    compressedCount,
+                    savedBytes: totalRawSize - totalSize,
+                    formattedRawSize: this.formatBytes(totalRawSize),
+                    compressionRatio: totalRawSize > 0 ? Number((totalSize / totalRawSize).toFixed(3)) : 1
+                });
+            }
+            
+            return usage;
+            
         } catch (error) {
             console.error('Storage usage error:', error);
-            return { totalSize: 0, itemCount: 0, items: {} };
+            return { totalSize: 0, totalRawSize: 0, itemCount: 0, items: {} };
+        }
+    }
+
+    /**
+     * Stored and raw size of a single raw value, decoding compression and
+     * legacy encryption. AES-GCM values report no raw size or value.
+     */
+    inspectItem(rawData) {
+        const size = this.getStringSize(rawData);
+        
+        if (this.isEncrypted(rawData)) {
+            return { size, rawSize: null, compressed: null, encrypted: true, value: null };
+        }
+        
+        let data = rawData;
+        let codec = null;
+        let legacyEncrypted = false;
+        
+        try {
+            for (let layer = 0; layer < 3; layer++) {
+                if (this.isCompressed(data)) {
+                    codec = getCompressionInfo(data).codec;
+                    data = decompressString(data);
+                } else if (this.isLegacyEncrypted(data)) {
+                    data = this.getCipher().decodeLegacy(data);
+                    legacyEncrypted = true;
+                } else {
+                    break;
+                }
+            }
+            
+            return {
+                size,
+                rawSize: this.getStringSize(data),
+                compressed: codec !== null,
+                codec,
+                encrypted: legacyEncrypted,
+                value: JSON.parse(data)
+            };
+        } catch (error) {
+            return { size, rawSize: null, compressed: codec !== null, codec, encrypted: legacyEncrypted, value: null, corrupt: true };
         }
     }
 
@@ -395,8 +766,13 @@ export class Storage {
             const keys = this.keys({ type: config.type });
             let cleaned = 0;
             
+            const backend = this.getBackend(config.type);
+            
             keys.forEach(key => {
                 try {
+                    // Expiry of encrypted items is enforced by getAsync()
+                    if (this.isEncrypted(this.readRaw(backend, this.getFullKey(key)))) return;
+                    
                     const data = this.get(key, null, { type: config.type });
                     if (data === null) {
                         // Item was expired and auto-deleted
@@ -508,6 +884,12 @@ export class Storage {
                 return this.backends.session || this.backends.memory;
             case 'memory':
                 return this.backends.memory;
+            case 'indexeddb':
+                if (!this.backends.indexeddb) {
+                    this.backends.indexeddb = getIndexedDBBackend(this.config.indexedDBName);
+                    this.backends.indexeddb?.onError(error => this.handleBackendError(error));
+                }
+                return this.backends.indexeddb || this.backends.local || this.backends.memory;
             case 'local':
             default:
                 return this.backends.local || this.backends.memory;
@@ -531,20 +913,75 @@ export class Storage {
     }
 
     isCompressed(data) {
-        return typeof data === 'string' && data.startsWith('COMPRESSED:');
+        return isCompressedString(data);
     }
 
     isEncrypted(data) {
-        return typeof data === 'string' && data.startsWith('ENCRYPTED:');
+        return typeof data === 'string' && data.startsWith(CIPHER_PREFIX);
+    }
+
+    isLegacyEncrypted(data) {
+        return typeof data === 'string' && data.startsWith(LEGACY_PREFIX);
     }
 
-    checkQuota(dataSize) {
-        const usage = this.getUsage();
+    checkQuota(dataSize, type = this.config.type) {
+        const usage = this.getUsage({ type, detailed: false });
+        
+        if (this.getBackend(type) instanceof IndexedDBBackend) {
+            if (!this.quotaEstimate || Date.now() - this.quotaEstimate.timestamp > QUOTA_ESTIMATE_MAX_AGE) {
+                this.refreshQuotaEstimate();
+            }
+            if (!this.quotaEstimate) return true;
+            
+            // The estimate is refreshed lazily, so account for writes made since
+            const { usage: browserUsage, quota, storedSize } = this.quotaEstimate;
+            const projected = browserUsage + Math.max(0, usage.totalSize - storedSize) + dataSize;
+            return projected <= quota * INDEXEDDB_QUOTA_RATIO;
+        }
+        
         return (usage.totalSize + dataSize) <= this.config.maxStorageSize;
     }
 
+    /**
+     * Maximum bytes available to a backend
+     */
+    getQuotaLimit(type = this.config.type) {
+        if (this.quotaEstimate && this.getBackend(type) instanceof IndexedDBBackend) {
+            return this.quotaEstimate.quota * INDEXEDDB_QUOTA_RATIO;
+        }
+        return this.config.maxStorageSize;
+    }
+
+    /**
+     * Refresh the browser quota estimate used by the IndexedDB backend
+     */
+    async refreshQuotaEstimate() {
+        const estimate = await estimateStorage();
+        if (estimate) {
+            this.quotaEstimate = {
+                ...estimate,
+                timestamp: Date.now(),
+                storedSize: this.getUsage({ type: 'indexeddb', detailed: false }).totalSize
+            };
+        }
+        return this.quotaEstimate;
+    }
+
+    handleBackendError(error) {
+        this.stats.errors++;
+        if (error && error.name === 'QuotaExceededError') {
+            this.refreshQuotaEstimate();
+            if (this.config.enableEvents) {
+                this.eventBus.emit('storage:quota_exceeded', { type: 'indexeddb', error });
+            }
+        }
+    }
+
+    /**
+     * Bytes a string occupies in Web Storage, which counts UTF-16 code units
+     */
     getStringSize(str) {
-        return new Blob([str]).size;
+        return str.length * 2;
     }
 
     formatBytes(bytes) {
@@ -555,53 +992,127 @@ export class Storage {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
-    // Simplified encryption (use proper encryption in production)
-    encrypt(data) {
-        try {
-            const encoded = btoa(data);
-            return 'ENCRYPTED:' + encoded;
-        } catch (error) {
-            console.error('Encryption error:', error);
-            return data;
+    getCipher() {
+        if (!this.cipher) {
+            this.cipher = getStorageCipher({
+                mode: this.config.encryptionMode,
+                dbName: this.config.keyDatabase
+            });
         }
+        return this.cipher;
     }
 
-    decrypt(data) {
-        try {
-            if (data.startsWith('ENCRYPTED:')) {
-                return atob(data.substring(10));
+    /**
+     * Encrypt serialized data, binding it to its storage key
+     */
+    async encrypt(data, fullKey = '') {
+        return this.getCipher().encrypt(data, fullKey);
+    }
+
+    /**
+     * Decrypt an AES-GCM value
+     * @throws {StorageCryptoError} On a missing key or failed authentication
+     */
+    async decrypt(data, fullKey = '') {
+        return this.getCipher().decrypt(data, fullKey);
+    }
+
+    readRaw(backend, fullKey) {
+        return backend === this.backends.memory ? backend.get(fullKey) : backend.getItem(fullKey);
+    }
+
+    /**
+     * Serialize, compress and encrypt an entry, then write it
+     */
+    async writeEntry(backend, fullKey, dataObject, config) {
+        let serializedData = JSON.stringify({ ...dataObject, encrypted: Boolean(config.enableEncryption) });
+        
+        // Compress before encrypting; ciphertext does not compress
+        if (config.enableCompression && serializedData.length > 1024) {
+            const compressed = await this.compressAsync(serializedData);
+            if (compressed.length < serializedData.length) {
+                serializedData = compressed;
             }
-            return data;
+        }
+        
+        if (config.enableEncryption) {
+            serializedData = await this.encrypt(serializedData, fullKey);
+        }
+        
+        if (!this.checkQuota(this.getStringSize(serializedData), config.type)) {
+            throw new Error('Storage quota exceeded');
+        }
+        
+        if (backend === this.backends.memory) {
+            backend.set(fullKey, serializedData);
+        } else {
+            backend.setItem(fullKey, serializedData);
+        }
+    }
+
+    /**
+     * Peel encryption and compression layers off a raw value
+     * @returns {Promise<Object>} { dataObject, keyId, legacy }
+     */
+    async decodeEntry(rawData, fullKey) {
+        let data = rawData;
+        let keyId = null;
+        let legacy = false;
+        
+        // Older writes compressed after encrypting, newer ones encrypt last
+        for (let layer = 0; layer < 3; layer++) {
+            if (this.isEncrypted(data)) {
+                keyId = this.getCipher().getKeyId(data);
+                data = await this.decrypt(data, fullKey);
+            } else if (this.isCompressed(data)) {
+                data = this.decompress(data);
+            } else if (this.isLegacyEncrypted(data)) {
+                data = this.getCipher().decodeLegacy(data);
+                legacy = true;
+            } else {
+                break;
+            }
+        }
+        
+        return { dataObject: JSON.parse(data), keyId, legacy };
+    }
+
+    needsReencryption(entry) {
+        const cipher = this.getCipher();
+        if (cipher.isLocked) return false;
+        return entry.legacy || (entry.keyId !== null && entry.keyId !== cipher.activeKeyId);
+    }
+
+    /**
+     * Compress a string synchronously (built-in DEFLATE encoder)
+     */
+    compress(data) {
+        try {
+            return compressString(data);
         } catch (error) {
-            console.error('Decryption error:', error);
+            console.error('Compression error:', error);
             return data;
         }
     }
 
-    // Simplified compression (use proper compression in production)
-    compress(data) {
+    /**
+     * Compress a string, preferring the native CompressionStream
+     */
+    async compressAsync(data) {
         try {
-            // Simple run-length encoding for demo
-            const compressed = data.replace(/(.)\1+/g, (match, char) => {
-                return char + match.length;
-            });
-            return 'COMPRESSED:' + compressed;
+            return await compressStringAsync(data);
         } catch (error) {
             console.error('Compression error:', error);
             return data;
         }
     }
 
+    /**
+     * Decompress current and legacy run-length compressed values
+     */
     decompress(data) {
         try {
-            if (data.startsWith('COMPRESSED:')) {
-                const compressed = data.substring(11);
-                return compressed.replace(/(.)\d+/g, (match, char) => {
-                    const count = parseInt(match.substring(1));
-                    return char.repeat(count);
-                });
-            }
-            return data;
+            return decompressString(data);
         } catch (error) {
             console.error('Decompression error:', error);
             return data;
@@ -632,12 +1143,27 @@ export const localStorage = new Storage({ type: 'local' });
 export const sessionStorage = new Storage({ type: 'session' });
 export const memoryStorage = new Storage({ type: 'memory' });
 
+// Created on first use so importing this module does not open IndexedDB or migrate data
+let indexedDBStorage = null;
+
+/**
+ * Get the shared IndexedDB-backed storage; await its `ready` promise before reading
+ */
+export function getIndexedDBStorage() {
+    if (!indexedDBStorage) {
+        indexedDBStorage = new Storage({ type: 'indexeddb' });
+    }
+    return indexedDBStorage;
+}
+
 // Convenience methods for direct use
 export const storage = {
     // Local storage methods
     local: {
         set: (key, value, options) => localStorage.set(key, value, options),
         get: (key, defaultValue, options) => localStorage.get(key, defaultValue, options),
+        setAsync: (key, value, options) => localStorage.setAsync(key, value, options),
+        getAsync: (key, defaultValue, options) => localStorage.getAsync(key, defaultValue, options),
         delete: (key, options) => localStorage.delete(key, options),
         has: (key, options) => localStorage.has(key, options),
         clear: (options) => localStorage.clear(options),
@@ -648,6 +1174,8 @@ export const storage = {
     session: {
         set: (key, value, options) => sessionStorage.set(key, value, options),
         get: (key, defaultValue, options) => sessionStorage.get(key, defaultValue, options),
+        setAsync: (key, value, options) => sessionStorage.setAsync(key, value, options),
+        getAsync: (key, defaultValue, options) => sessionStorage.getAsync(key, defaultValue, options),
         delete: (key, options) => sessionStorage.delete(key, options),
         has: (key, options) => sessionStorage.has(key, options),
         clear: (options) => sessionStorage.clear(options),
@@ -658,18 +1186,43 @@ export const storage = {
     memory: {
         set: (key, value, options) => memoryStorage.set(key, value, options),
         get: (key, defaultValue, options) => memoryStorage.get(key, defaultValue, options),
+        setAsync: (key, value, options) => memoryStorage.setAsync(key, value, options),
+        getAsync: (key, defaultValue, options) => memoryStorage.getAsync(key, defaultValue, options),
         delete: (key, options) => memoryStorage.delete(key, options),
         has: (key, options) => memoryStorage.has(key, options),
         clear: (options) => memoryStorage.clear(options),
         keys: (options) => memoryStorage.keys(options)
     },
     
+    // IndexedDB storage methods (for datasets and results too large for localStorage)
+    indexeddb: {
+        ready: () => getIndexedDBStorage().ready,
+        set: (key, value, options) => getIndexedDBStorage().set(key, value, options),
+        get: (key, defaultValue, options) => getIndexedDBStorage().get(key, defaultValue, options),
+        setAsync: (key, value, options) => getIndexedDBStorage().setAsync(key, value, options),
+        getAsync: (key, defaultValue, options) => getIndexedDBStorage().getAsync(key, defaultValue, options),
+        delete: (key, options) => getIndexedDBStorage().delete(key, options),
+        has: (key, options) => getIndexedDBStorage().has(key, options),
+        clear: (options) => getIndexedDBStorage().clear(options),
+        keys: (options) => getIndexedDBStorage().keys(options),
+        export: (options) => getIndexedDBStorage().export(options),
+        import: (data, options) => getIndexedDBStorage().import(data, options),
+        getUsage: (options) => getIndexedDBStorage().getUsage(options),
+        flush: () => getIndexedDBStorage().flush()
+    },
+    
     // Utility methods
     getUsage: () => localStorage.getUsage(),
     getStats: () => localStorage.getStats(),
     cleanup: () => localStorage.cleanup(),
     export: () => localStorage.export(),
-    import: (data) => localStorage.import(data)
+    import: (data) => localStorage.import(data),
+    
+    // Encryption methods (keys are shared by all storage types)
+    unlock: (passphrase) => localStorage.unlockEncryption(passphrase),
+    lock: () => localStorage.lockEncryption(),
+    rotateKey: (options) => localStorage.rotateEncryptionKey(options),
+    migrateEncryption: (options) => localStorage.migrateEncryption(options)
 };
 
 // Default export
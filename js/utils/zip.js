@@ -0,0 +1,869 @@
+/**
+ * ZIP Archive Utilities
+ * Dependency-free ZIP reading and writing with a pure JavaScript DEFLATE codec,
+ * usable on the main thread and inside web workers
+ */
+
+const SIGNATURES = {
+    LOCAL_FILE: 0x04034b50,
+    CENTRAL_DIRECTORY: 0x02014b50,
+    END_OF_CENTRAL_DIRECTORY: 0x06054b50
+};
+
+const COMPRESSION = {
+    STORE: 0,
+    DEFLATE: 8
+};
+
+const FLAG_UTF8 = 0x0800;
+const ZIP_VERSION = 20;
+const MAX_UINT32 = 0xffffffff;
+const MAX_ENTRIES = 0xffff;
+
+/* ===================================
+   CRC-32 (IEEE 802.3)
+   =================================== */
+
+let crcTable = null;
+
+function getCrcTable() {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    return crcTable;
+}
+
+/**
+ * Compute or continue a CRC-32 checksum
+ * @param {Uint8Array} bytes - Data to checksum
+ * @param {Number} crc - Checksum of the preceding data, for incremental use
+ * @returns {Number} Unsigned CRC-32
+ */
+export function crc32(bytes, crc = 0) {
+    const table = getCrcTable();
+    let c = (crc ^ MAX_UINT32) >>> 0;
+    for (let i = 0; i < bytes.length; i++) {
+        c = table[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    }
+    return (c ^ MAX_UINT32) >>> 0;
+}
+
+/* ===================================
+   DEFLATE decoder (RFC 1951)
+   =================================== */
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/**
+ * Canonical Huffman table: symbol counts per code length and symbols in code order
+ */
+function buildHuffman(lengths) {
+    const counts = new Uint16Array(16);
+    for (const length of lengths) counts[length]++;
+    counts[0] = 0;
+
+    const offsets = new Uint16Array(16);
+    for (let len = 1; len < 16; len++) {
+        offsets[len] = offsets[len - 1] + counts[len - 1];
+    }
+
+    const symbols = new Uint16Array(lengths.length);
+    for (let symbol = 0; symbol < lengths.length; symbol++) {
+        if (lengths[symbol] !== 0) symbols[offsets[lengths[symbol]]++] = symbol;
+    }
+
+    return { counts, symbols };
+}
+
+let fixedTables = null;
+
+function getFixedTables() {
+    if (!fixedTables) {
+        const lengths = new Uint8Array(288);
+        lengths.fill(8, 0, 144);
+        lengths.fill(9, 144, 256);
+        lengths.fill(7, 256, 280);
+        lengths.fill(8, 280, 288);
+
+        fixedTables = {
+            literal: buildHuffman(lengths),
+            distance: buildHuffman(new Uint8Array(30).fill(5))
+        };
+    }
+    return fixedTables;
+}
+
+/**
+ * Decompress raw DEFLATE data
+ * @param {Uint8Array} input - Compressed bytes
+ * @param {Number} expectedSize - Uncompressed size if known, used to preallocate
+ * @returns {Uint8Array} Decompressed bytes
+ */
+export function inflateRaw(input, expectedSize = 0) {
+    let pos = 0;
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    let output = new Uint8Array(expectedSize > 0 ? expectedSize : Math.max(1024, input.length * 4));
+    let outPos = 0;
+
+    const ensure = (extra) => {
+        if (outPos + extra <= output.length) return;
+        let size = output.length * 2;
+        while (size < outPos + extra) size *= 2;
+        const grown = new Uint8Array(size);
+        grown.set(output.subarray(0, outPos));
+        output = grown;
+    };
+
+    const readBits = (n) => {
+        while (bitCount < n) {
+            if (pos >= input.length) throw new Error('Unexpected end of compressed data');
+            bitBuffer |= input[pos++] << bitCount;
+            bitCount += 8;
+        }
+        const value = bitBuffer & ((1 << n) - 1);
+        bitBuffer >>>= n;
+        bitCount -= n;
+        return value;
+    };
+
+    const decodeSymbol = (table) => {
+        let code = 0;
+        let first = 0;
+        let index = 0;
+
+        for (let len = 1; len < 16; len++) {
+            code |= readBits(1);
+            const count = table.counts[len];
+            if (code - first < count) return table.symbols[index + code - first];
+            index += count;
+            first = (first + count) << 1;
+            code <<= 1;
+        }
+
+        throw new Error('Invalid Huffman code in compressed data');
+    };
+
+    const readDynamicTables = () => {
+        const literalCount = readBits(5) + 257;
+        const distanceCount = readBits(5) + 1;
+        const codeLengthCount = readBits(4) + 4;
+
+        const codeLengths = new Uint8Array(19);
+        for (let i = 0; i < codeLengthCount; i++) {
+            codeLengths[CODE_LENGTH_ORDER[i]] = readBits(3);
+        }
+        const codeLengthTable = buildHuffman(codeLengths);
+
+        const lengths = new Uint8Array(literalCount + distanceCount);
+        let i = 0;
+        while (i < lengths.length) {
+            const symbol = decodeSymbol(codeLengthTable);
+
+            if (symbol < 16) {
+                lengths[i++] = symbol;
+            } else {
+                let repeat;
+                let value = 0;
+
+                if (symbol === 16) {
+                    if (i === 0) throw new Error('Invalid code length repeat');
+                    value = lengths[i - 1];
+                    repeat = 3 + readBits(2);
+                } else if (symbol === 17) {
+                    repeat = 3 + readBits(3);
+                } else {
+                    repeat = 11 + readBits(7);
+                }
+
+                if (i + repeat > lengths.length) throw new Error('Invalid code lengths');
+                lengths.fill(value, i, i + repeat);
+                i += repeat;
+            }
+        }
+
+        return {
+            literal: buildHuffman(lengths.subarray(0, literalCount)),
+            distance: buildHuffman(lengths.subarray(literalCount))
+        };
+    };
+
+    let isFinal = false;
+    while (!isFinal) {
+        isFinal = readBits(1) === 1;
+        const blockType = readBits(2);
+
+        if (blockType === 0) {
+            // Stored block: skip to byte boundary, then LEN / NLEN
+            bitBuffer = 0;
+            bitCount = 0;
+            if (pos + 4 > input.length) throw new Error('Unexpected end of compressed data');
+
+            const length = input[pos] | (input[pos + 1] << 8);
+            const inverse = input[pos + 2] | (input[pos + 3] << 8);
+            pos += 4;
+
+            if (length !== (~inverse & 0xffff)) throw new Error('Corrupt stored block');
+            if (pos + length > input.length) throw new Error('Unexpected end of compressed data');
+
+            ensure(length);
+            output.set(input.subarray(pos, pos + length), outPos);
+            outPos += length;
+            pos += length;
+        } else if (blockType === 1 || blockType === 2) {
+            const tables = blockType === 1 ? getFixedTables() : readDynamicTables();
+
+            for (;;) {
+                const symbol = decodeSymbol(tables.literal);
+
+                if (symbol < 256) {
+                    ensure(1);
+                    output[outPos++] = symbol;
+                } else if (symbol === 256) {
+                    break;
+                } else {
+                    const lengthIndex = symbol - 257;
+                    if (lengthIndex >= LENGTH_BASE.length) throw new Error('Invalid length symbol');
+                    const length = LENGTH_BASE[lengthIndex] + readBits(LENGTH_EXTRA[lengthIndex]);
+
+                    const distanceIndex = decodeSymbol(tables.distance);
+                    if (distanceIndex >= DIST_BASE.length) throw new Error('Invalid distance symbol');
+                    const distance = DIST_BASE[distanceIndex] + readBits(DIST_EXTRA[distanceIndex]);
+
+                    if (distance > outPos) throw new Error('Invalid back-reference distance');
+
+                    ensure(length);
+                    for (let k = 0; k < length; k++) {
+                        output[outPos] = output[outPos - distance];
+                        outPos++;
+                    }
+                }
+            }
+        } else {
+            throw new Error('Invalid DEFLATE block type');
+        }
+    }
+
+    return output.length === outPos ? output : output.slice(0, outPos);
+}
+
+/* ===================================
+   DEFLATE encoder (fixed Huffman codes)
+   =================================== */
+
+const WINDOW_SIZE = 32768;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const HASH_SIZE = 1 << 15;
+
+/**
+ * Reverse the low `length` bits; Huffman codes are sent most significant bit first
+ */
+function reverseBits(code, length) {
+    let reversed = 0;
+    for (let i = 0; i < length; i++) {
+        reversed = (reversed << 1) | (code & 1);
+        code >>>= 1;
+    }
+    return reversed;
+}
+
+/**
+ * Compress bytes to raw DEFLATE with LZ77 matching and the fixed Huffman
+ * table. Synchronous and dependency-free; ratios are below zlib's dynamic
+ * tables, so prefer CompressionStream where it is available.
+ * @param {Uint8Array} input - Data to compress
+ * @param {Object} options - { maxChainLength } trades speed for ratio
+ * @returns {Uint8Array} Compressed bytes
+ */
+export function deflateRaw(input, options = {}) {
+    const maxChain = options.maxChainLength || 32;
+    let output = new Uint8Array(Math.max(64, (input.length >> 1) + 16));
+    let outPos = 0;
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const writeBits = (value, count) => {
+        bitBuffer |= value << bitCount;
+        bitCount += count;
+        while (bitCount >= 8) {
+            if (outPos >= output.length) {
+                const grown = new Uint8Array(output.length * 2);
+                grown.set(output);
+                output = grown;
+            }
+            output[outPos++] = bitBuffer & 0xff;
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    const writeLiteral = (symbol) => {
+        if (symbol < 144) writeBits(reverseBits(0x30 + symbol, 8), 8);
+        else if (symbol < 256) writeBits(reverseBits(0x190 + symbol - 144, 9), 9);
+        else if (symbol < 280) writeBits(reverseBits(symbol - 256, 7), 7);
+        else writeBits(reverseBits(0xc0 + symbol - 280, 8), 8);
+    };
+
+    const writeMatch = (length, distance) => {
+        let lengthIndex = LENGTH_BASE.length - 1;
+        while (LENGTH_BASE[lengthIndex] > length) lengthIndex--;
+        writeLiteral(257 + lengthIndex);
+        writeBits(length - LENGTH_BASE[lengthIndex], LENGTH_EXTRA[lengthIndex]);
+
+        let distanceIndex = DIST_BASE.length - 1;
+        while (DIST_BASE[distanceIndex] > distance) distanceIndex--;
+        writeBits(reverseBits(distanceIndex, 5), 5);
+        writeBits(distance - DIST_BASE[distanceIndex], DIST_EXTRA[distanceIndex]);
+    };
+
+    const head = new Int32Array(HASH_SIZE).fill(-1);
+    const prev = new Int32Array(WINDOW_SIZE);
+    const hashAt = (i) => ((input[i] << 10) ^ (input[i + 1] << 5) ^ input[i + 2]) & (HASH_SIZE - 1);
+    const insert = (i) => {
+        if (i + MIN_MATCH > input.length) return;
+        const hash = hashAt(i);
+        prev[i & (WINDOW_SIZE - 1)] = head[hash];
+        head[hash] = i;
+    };
+
+    // Single final block with fixed Huffman codes
+    writeBits(1, 1);
+    writeBits(1, 2);
+
+    let i = 0;
+    while (i < input.length) {
+        let bestLength = 0;
+        let bestDistance = 0;
+
+        if (i + MIN_MATCH <= input.length) {
+            const limit = Math.min(MAX_MATCH, input.length - i);
+            let candidate = head[hashAt(i)];
+            let chain = maxChain;
+
+            while (candidate >= 0 && i - candidate <= WINDOW_SIZE && chain-- > 0) {
+                if (input[candidate + bestLength] === input[i + bestLength]) {
+                    let length = 0;
+                    while (length < limit && input[candidate + length] === input[i + length]) length++;
+                    if (length > bestLength) {
+                        bestLength = length;
+                        bestDistance = i - candidate;
+                        if (length === limit) break;
+                    }
+                }
+
+                const next = prev[candidate & (WINDOW_SIZE - 1)];
+                if (next >= candidate) break;
+                candidate = next;
+            }
+        }
+
+        if (bestLength >= MIN_MATCH) {
+            writeMatch(bestLength, bestDistance);
+            for (let k = 0; k < bestLength; k++) insert(i + k);
+            i += bestLength;
+        } else {
+            writeLiteral(input[i]);
+            insert(i);
+            i++;
+        }
+    }
+
+    writeLiteral(256);
+    if (bitCount > 0) writeBits(0, 8 - bitCount);
+
+    return output.slice(0, outPos);
+}
+
+/* ===================================
+   ZIP reader
+   =================================== */
+
+/**
+ * Read entries from a ZIP archive held in memory
+ */
+export class ZipReader {
+    /**
+     * @param {ArrayBuffer|Uint8Array} buffer - Archive bytes
+     */
+    constructor(buffer) {
+        this.bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        this.entries = new Map();
+        this.decoder = new TextDecoder('utf-8');
+
+        this.readCentralDirectory();
+    }
+
+    /**
+     * Names of all entries in the archive
+     */
+    get fileNames() {
+        return Array.from(this.entries.keys());
+    }
+
+    /**
+     * Check whether an entry exists
+     */
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    /**
+     * Locate the end-of-central-directory record and index all entries
+     */
+    readCentralDirectory() {
+        const view = this.view;
+        const minOffset = Math.max(0, this.bytes.length - 65557); // 22-byte record + max comment
+        let eocd = -1;
+
+        for (let offset = this.bytes.length - 22; offset >= minOffset; offset--) {
+            if (view.getUint32(offset, true) === SIGNATURES.END_OF_CENTRAL_DIRECTORY) {
+                eocd = offset;
+                break;
+            }
+        }
+
+        if (eocd === -1) {
+            throw new Error('Not a ZIP archive (end of central directory not found)');
+        }
+
+        const entryCount = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+
+        if (offset === 0xffffffff || entryCount === 0xffff) {
+            throw new Error('ZIP64 archives are not supported');
+        }
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(offset, true) !== SIGNATURES.CENTRAL_DIRECTORY) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const name = this.decoder.decode(this.bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            this.entries.set(name, {
+                name,
+                method: view.getUint16(offset + 10, true),
+                crc32: view.getUint32(offset + 16, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                size: view.getUint32(offset + 24, true),
+                localHeaderOffset: view.getUint32(offset + 42, true)
+            });
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+    }
+
+    /**
+     * Read and decompress an entry
+     * @param {String} name - Entry name
+     * @returns {Uint8Array} Entry contents
+     */
+    read(name) {
+        const entry = this.entries.get(name);
+        if (!entry) {
+            throw new Error(`Entry not found in archive: ${name}`);
+        }
+
+        const header = entry.localHeaderOffset;
+        if (this.view.getUint32(header, true) !== SIGNATURES.LOCAL_FILE) {
+            throw new Error(`Corrupt local header for ${name}`);
+        }
+
+        const start = header + 30 + this.view.getUint16(header + 26, true) + this.view.getUint16(header + 28, true);
+        const compressed = this.bytes.subarray(start, start + entry.compressedSize);
+
+        switch (entry.method) {
+            case COMPRESSION.STORE:
+                return compressed.slice();
+            case COMPRESSION.DEFLATE:
+                return inflateRaw(compressed, entry.size);
+            default:
+                throw new Error(`Unsupported compression method ${entry.method} for ${name}`);
+        }
+    }
+
+    /**
+     * Read an entry as UTF-8 text
+     * @param {String} name - Entry name
+     * @returns {String} Entry contents
+     */
+    readText(name) {
+        return this.decoder.decode(this.read(name));
+    }
+}
+
+/* ===================================
+   ZIP writer
+   =================================== */
+
+// Formats that are already compressed and gain nothing from DEFLATE
+const STORED_EXTENSIONS = new Set(['zip', 'gz', 'xlsx', 'docx', 'png', 'jpg', 'jpeg', 'gif', 'webp', 'pdf', 'mp4', 'woff2']);
+
+/**
+ * Yield entry contents as Uint8Array chunks, reading Blobs and streams incrementally
+ */
+async function* readChunks(data, chunkSize) {
+    if (typeof data === 'string') {
+        data = new TextEncoder().encode(data);
+    } else if (data instanceof ArrayBuffer) {
+        data = new Uint8Array(data);
+    } else if (ArrayBuffer.isView(data) && !(data instanceof Uint8Array)) {
+        data = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    }
+
+    if (data instanceof Uint8Array) {
+        for (let offset = 0; offset < data.length; offset += chunkSize) {
+            yield data.subarray(offset, offset + chunkSize);
+        }
+        return;
+    }
+
+    const stream = typeof Blob !== 'undefined' && data instanceof Blob ? data.stream() : data;
+    if (!stream || typeof stream.getReader !== 'function') {
+        throw new Error('Unsupported ZIP entry data (expected string, ArrayBuffer, typed array, Blob or ReadableStream)');
+    }
+
+    const reader = stream.getReader();
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            yield value instanceof Uint8Array ? value : new Uint8Array(value);
+        }
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+/**
+ * Convert a Date to MS-DOS time and date fields
+ */
+function toDosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Build a ZIP archive incrementally. Entry data is read in chunks and, where
+ * CompressionStream is available, deflated on the fly, so large Blobs are never
+ * held in memory as a single buffer. The archive itself is assembled as a Blob.
+ *
+ * @example
+ * const zip = new ZipWriter();
+ * await zip.add('results.csv', csvText);
+ * await zip.add('chart.svg', svgBlob);
+ * const blob = await zip.toBlob();
+ */
+export class ZipWriter {
+    /**
+     * @param {Object} options - Writer options
+     * @param {String} options.compression - 'deflate' (default) or 'store'
+     * @param {Number} options.chunkSize - Read size for in-memory data
+     */
+    constructor(options = {}) {
+        this.options = {
+            compression: 'deflate',
+            chunkSize: 64 * 1024,
+            ...options
+        };
+
+        this.parts = [];
+        this.entries = [];
+        this.names = new Set();
+        this.offset = 0;
+        this.queue = Promise.resolve();
+        this.finalized = false;
+        this.encoder = new TextEncoder();
+    }
+
+    /**
+     * Whether DEFLATE can be used in this environment
+     */
+    static get supportsDeflate() {
+        if (typeof CompressionStream === 'undefined') return false;
+        try {
+            new CompressionStream('deflate-raw');
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Number of entries added so far
+     */
+    get size() {
+        return this.entries.length;
+    }
+
+    /**
+     * Add an entry to the archive. Calls are serialised, so they may be issued without awaiting.
+     * @param {String} name - Path inside the archive, using forward slashes
+     * @param {String|ArrayBuffer|ArrayBufferView|Blob|ReadableStream} data - Entry contents
+     * @param {Object} options - Entry options
+     * @param {String} options.compression - Override the writer's compression for this entry
+     * @param {Date} options.date - Modification time (defaults to now)
+     * @returns {Promise<Object>} Entry record with sizes and checksum
+     */
+    add(name, data, options = {}) {
+        if (this.finalized) {
+            return Promise.reject(new Error('Cannot add entries to a finalized ZIP archive'));
+        }
+
+        const entryName = String(name || '').replace(/\\/g, '/').replace(/^\/+/, '');
+        if (!entryName) {
+            return Promise.reject(new Error('ZIP entry name is required'));
+        }
+        if (this.names.has(entryName)) {
+            return Promise.reject(new Error(`Duplicate ZIP entry: ${entryName}`));
+        }
+        this.names.add(entryName);
+
+        const task = this.queue.then(() => this.writeEntry(entryName, data, options));
+        this.queue = task.catch(() => {});
+        return task;
+    }
+
+    async writeEntry(name, data, options) {
+        if (this.entries.length >= MAX_ENTRIES) {
+            throw new Error('Too many entries for a ZIP archive without ZIP64');
+        }
+
+        const extension = name.split('.').pop().toLowerCase();
+        let compression = options.compression ||
+            (STORED_EXTENSIONS.has(extension) ? 'store' : this.options.compression);
+        if (compression === 'deflate' && !ZipWriter.supportsDeflate) {
+            compression = 'store';
+        }
+
+        let result = compression === 'deflate' ?
+            await this.deflateEntry(data) :
+            await this.storeEntry(data);
+
+        // Small in-memory payloads can grow under DEFLATE; keep them stored instead
+        if (result.method === COMPRESSION.DEFLATE && result.compressedSize >= result.size &&
+            (typeof data === 'string' || data instanceof ArrayBuffer || ArrayBuffer.isView(data))) {
+            result = await this.storeEntry(data);
+        }
+
+        const nameBytes = this.encoder.encode(name);
+        const { time, date } = toDosDateTime(options.date || new Date());
+        const entry = {
+            name,
+            nameBytes,
+            method: result.method,
+            crc32: result.crc,
+            size: result.size,
+            compressedSize: result.compressedSize,
+            time,
+            date,
+            localHeaderOffset: this.offset
+        };
+
+        const header = this.createLocalHeader(entry);
+        this.pushPart(header);
+        for (const chunk of result.chunks) this.pushPart(chunk);
+
+        if (this.offset > MAX_UINT32 || entry.size > MAX_UINT32) {
+            throw new Error('ZIP archive exceeds 4 GB, which requires ZIP64');
+        }
+
+        this.entries.push(entry);
+        return {
+            name,
+            size: entry.size,
+            compressedSize: entry.compressedSize,
+            crc32: entry.crc32,
+            method: entry.method === COMPRESSION.DEFLATE ? 'deflate' : 'store'
+        };
+    }
+
+    async storeEntry(data) {
+        // A Blob is only read for its checksum and then referenced directly
+        const isBlob = typeof Blob !== 'undefined' && data instanceof Blob;
+        const chunks = isBlob ? [data] : [];
+        let crc = 0;
+        let size = 0;
+
+        for await (const chunk of readChunks(data, this.options.chunkSize)) {
+            crc = crc32(chunk, crc);
+            size += chunk.length;
+            if (!isBlob) chunks.push(chunk);
+        }
+
+        return { method: COMPRESSION.STORE, chunks, crc, size, compressedSize: size };
+    }
+
+    async deflateEntry(data) {
+        const compressor = new CompressionStream('deflate-raw');
+        const writer = compressor.writable.getWriter();
+        const reader = compressor.readable.getReader();
+
+        const chunks = [];
+        let compressedSize = 0;
+
+        // Drain the output concurrently so backpressure cannot stall the writes
+        const drain = (async () => {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                chunks.push(value);
+                compressedSize += value.length;
+            }
+        })();
+
+        let crc = 0;
+        let size = 0;
+
+        try {
+            for await (const chunk of readChunks(data, this.options.chunkSize)) {
+                crc = crc32(chunk, crc);
+                size += chunk.length;
+                await writer.write(chunk);
+            }
+            await writer.close();
+        } catch (error) {
+            writer.abort(error).catch(() => {});
+            throw error;
+        }
+
+        await drain;
+
+        return { method: COMPRESSION.DEFLATE, chunks, crc, size, compressedSize };
+    }
+
+    pushPart(part) {
+        this.parts.push(part);
+        this.offset += part instanceof Uint8Array ? part.length : part.size;
+    }
+
+    createLocalHeader(entry) {
+        const header = new Uint8Array(30 + entry.nameBytes.length);
+        const view = new DataView(header.buffer);
+
+        view.setUint32(0, SIGNATURES.LOCAL_FILE, true);
+        view.setUint16(4, ZIP_VERSION, true);
+        view.setUint16(6, FLAG_UTF8, true);
+        view.setUint16(8, entry.method, true);
+        view.setUint16(10, entry.time, true);
+        view.setUint16(12, entry.date, true);
+        view.setUint32(14, entry.crc32, true);
+        view.setUint32(18, entry.compressedSize, true);
+        view.setUint32(22, entry.size, true);
+        view.setUint16(26, entry.nameBytes.length, true);
+        view.setUint16(28, 0, true);
+        header.set(entry.nameBytes, 30);
+
+        return header;
+    }
+
+    createCentralDirectoryHeader(entry) {
+        const header = new Uint8Array(46 + entry.nameBytes.length);
+        const view = new DataView(header.buffer);
+
+        view.setUint32(0, SIGNATURES.CENTRAL_DIRECTORY, true);
+        view.setUint16(4, ZIP_VERSION, true);
+        view.setUint16(6, ZIP_VERSION, true);
+        view.setUint16(8, FLAG_UTF8, true);
+        view.setUint16(10, entry.method, true);
+        view.setUint16(12, entry.time, true);
+        view.setUint16(14, entry.date, true);
+        view.setUint32(16, entry.crc32, true);
+        view.setUint32(20, entry.compressedSize, true);
+        view.setUint32(24, entry.size, true);
+        view.setUint16(28, entry.nameBytes.length, true);
+        // Extra field, comment, disk number and attributes stay zero
+        view.setUint32(42, entry.localHeaderOffset, true);
+        header.set(entry.nameBytes, 46);
+
+        return header;
+    }
+
+    createEndOfCentralDirectory(directoryOffset, directorySize) {
+        const record = new Uint8Array(22);
+        const view = new DataView(record.buffer);
+
+        view.setUint32(0, SIGNATURES.END_OF_CENTRAL_DIRECTORY, true);
+        view.setUint16(8, this.entries.length, true);
+        view.setUint16(10, this.entries.length, true);
+        view.setUint32(12, directorySize, true);
+        view.setUint32(16, directoryOffset, true);
+
+        return record;
+    }
+
+    /**
+     * Write the central directory. Further entries cannot be added afterwards.
+     */
+    async finalize() {
+        await this.queue;
+        if (this.finalized) return;
+
+        const directoryOffset = this.offset;
+        for (const entry of this.entries) {
+            this.pushPart(this.createCentralDirectoryHeader(entry));
+        }
+        const directorySize = this.offset - directoryOffset;
+
+        if (this.offset > MAX_UINT32) {
+            throw new Error('ZIP archive exceeds 4 GB, which requires ZIP64');
+        }
+
+        this.pushPart(this.createEndOfCentralDirectory(directoryOffset, directorySize));
+        this.finalized = true;
+    }
+
+    /**
+     * Finalize and return the archive as a Blob
+     * @returns {Promise<Blob>} application/zip Blob
+     */
+    async toBlob() {
+        await this.finalize();
+        return new Blob(this.parts, { type: 'application/zip' });
+    }
+
+    /**
+     * Finalize and return the archive bytes
+     * @returns {Promise<Uint8Array>} Archive bytes
+     */
+    async toUint8Array() {
+        const blob = await this.toBlob();
+        return new Uint8Array(await blob.arrayBuffer());
+    }
+}
+
+/**
+ * Create a ZIP Blob from a list of files
+ * @param {Array<{name: String, data: *}>} files - Entries to add
+ * @param {Object} options - ZipWriter options
+ * @returns {Promise<Blob>} Archive
+ */
+export async function createZip(files, options = {}) {
+    const writer = new ZipWriter(options);
+    for (const file of files) {
+        await writer.add(file.name, file.data, file.options);
+    }
+    return writer.toBlob();
+}
+
+export default ZipReader;
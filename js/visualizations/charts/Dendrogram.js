@@ -8,13 +8,14 @@
  * - Multiple layout orientations (top-down, left-right, radial)
  * - Dynamic cluster cutting at different heights
  * - Node highlighting and selection
+ * - HDBSCAN condensed trees (selected clusters in their cluster colour)
  * - Smooth animations and transitions
  * - Zoom and pan functionality
  * - Export capabilities
  */
 
-import { EventBus } from '../core/eventBusNew.js';
-import { UI, PERFORMANCE } from '../config/constants.js';
+import { EventBus } from '../../core/eventBusNew.js';
+import { VISUALIZATION_CONFIG } from '../../config/constants.js';
 
 export class Dendrogram {
     constructor(container, options = {}) {
@@ -23,8 +24,8 @@ export class Dendrogram {
         
         // Configuration
         this.options = {
-            width: options.width || UI.VIZ.DEFAULT_WIDTH,
-            height: options.height || UI.VIZ.DEFAULT_HEIGHT,
+            width: options.width || this.container.clientWidth || 800,
+            height: options.height || this.container.clientHeight || 400,
             margin: options.margin || { top: 50, right: 50, bottom: 50, left: 50 },
             orientation: options.orientation || 'top-down', // 'top-down', 'left-right', 'radial'
             nodeSize: options.nodeSize || 6,
@@ -35,7 +36,7 @@ export class Dendrogram {
             showTooltips: options.showTooltips !== false,
             interactive: options.interactive !== false,
             animationDuration: options.animationDuration || 750,
-            colorScheme: options.colorScheme || UI.VIZ.CLUSTER_COLORS,
+            colorScheme: options.colorScheme || VISUALIZATION_CONFIG.COLOR_PALETTES.DEFAULT,
             cutHeight: options.cutHeight || null,
             maxNodes: options.maxNodes || 1000,
             enableZoom: options.enableZoom !== false,
@@ -669,6 +670,11 @@ export class Dendrogram {
      * Get node color
      */
     getNodeColor(node) {
+        if (node.selected) {
+            const colors = this.options.colorScheme;
+            return colors[node.clusterId % colors.length]; // Cluster picked by HDBSCAN
+        }
+        
         if (node.isLeaf) {
             return '#4CAF50'; // Green for leaves
         }
@@ -744,6 +750,10 @@ export class Dendrogram {
             content += `Size: ${node.size}<br>`;
         }
         
+        if (node.stability !== undefined) {
+            content += `Stability: ${node.stability.toFixed(3)}${node.selected ? ' (selected)' : ''}<br>`;
+        }
+        
         if (node.isLeaf) {
             content += 'Type: Leaf';
         } else {
@@ -0,0 +1,638 @@
+/**
+ * NCS-API Website - OPTICS Reachability Plot
+ * Bar chart of reachability distances in OPTICS cluster order; valleys are clusters
+ *
+ * Features:
+ * - Canvas-based rendering, one bar per point
+ * - Bars coloured by the extracted cluster labels
+ * - Click a valley to highlight its points in a linked ScatterPlot
+ * - Drag the threshold line to re-extract DBSCAN-style clusters at that eps,
+ *   reusing the computed ordering; double-click it to go back to ξ clusters
+ * - Point tooltips
+ */
+
+import { EventBus } from '../../core/eventBusNew.js';
+import { VISUALIZATION_CONFIG } from '../../config/constants.js';
+import { extractDBSCANLabels, extractXiClusters, extractXiLabels } from '../../clustering/OPTICS.js';
+
+const THRESHOLD_GRAB_DISTANCE = 6; // px
+const DRAG_START_DISTANCE = 3; // px of movement before a press counts as a drag
+
+export class ReachabilityPlot {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.eventBus = EventBus.getInstance();
+
+        // Configuration
+        this.options = {
+            width: options.width || this.container.clientWidth || 800,
+            height: options.height || 240,
+            margin: options.margin || { top: 20, right: 20, bottom: 40, left: 50 },
+            colorScheme: options.colorScheme || VISUALIZATION_CONFIG.COLOR_PALETTES.DEFAULT,
+            noiseColor: options.noiseColor || '#999',
+            thresholdColor: options.thresholdColor || '#ef4444',
+            selectionColor: options.selectionColor || 'rgba(99, 102, 241, 0.15)',
+            showLabels: options.showLabels !== false,
+            interactive: options.interactive !== false,
+            backgroundColor: options.backgroundColor || 'transparent',
+            scatterPlot: null, // ScatterPlot to keep in sync
+            ...options
+        };
+
+        // State
+        this.state = {
+            result: null, // { ordering, reachability, coreDistances, predecessor, xiClusters, parameters }
+            labels: [],
+            extraction: 'xi', // 'xi' or 'dbscan'
+            eps: null, // Threshold of the DBSCAN-style extraction
+            maxEps: Infinity,
+            yMax: 1,
+            selectedValley: null, // { start, end } in ordering positions
+            hoveredPosition: null,
+            pointer: null // { x, y, onThreshold, dragging } while the mouse is pressed
+        };
+
+        this.scatterPlot = this.options.scatterPlot;
+
+        // Canvas context
+        this.canvas = null;
+        this.ctx = null;
+
+        // Animation
+        this.animationFrame = null;
+        this.needsRedraw = true;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the reachability plot
+     */
+    init() {
+        this.createCanvas();
+        this.setupEventListeners();
+        this.startRenderLoop();
+
+        console.log('📉 ReachabilityPlot initialized');
+    }
+
+    /**
+     * Create canvas element
+     */
+    createCanvas() {
+        this.container.innerHTML = '';
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'reachability-plot-wrapper';
+        wrapper.style.cssText = `
+            position: relative;
+            width: ${this.options.width}px;
+            height: ${this.options.height}px;
+            overflow: hidden;
+            cursor: pointer;
+        `;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.options.width;
+        this.canvas.height = this.options.height;
+        this.ctx = this.canvas.getContext('2d');
+
+        wrapper.appendChild(this.canvas);
+        this.container.appendChild(wrapper);
+
+        this.createTooltip();
+    }
+
+    /**
+     * Create tooltip element
+     */
+    createTooltip() {
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'reachability-plot-tooltip';
+        this.tooltip.style.cssText = `
+            position: absolute;
+            background: rgba(0, 0, 0, 0.8);
+            color: white;
+            padding: 8px 12px;
+            border-radius: 4px;
+            font-size: 12px;
+            pointer-events: none;
+            z-index: 10;
+            opacity: 0;
+            transition: opacity 0.2s;
+            white-space: nowrap;
+        `;
+        this.container.appendChild(this.tooltip);
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (!this.options.interactive) return;
+
+        this.handleMouseDown = this.handleMouseDown.bind(this);
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleMouseUp = this.handleMouseUp.bind(this);
+        this.handleMouseLeave = this.handleMouseLeave.bind(this);
+        this.handleDoubleClick = this.handleDoubleClick.bind(this);
+
+        this.canvas.addEventListener('mousedown', this.handleMouseDown);
+        this.canvas.addEventListener('mousemove', this.handleMouseMove);
+        this.canvas.addEventListener('mouseleave', this.handleMouseLeave);
+        this.canvas.addEventListener('dblclick', this.handleDoubleClick);
+        // On the window so a threshold drag keeps going outside the canvas
+        window.addEventListener('mouseup', this.handleMouseUp);
+    }
+
+    /**
+     * Set the OPTICS result to plot
+     * @param {Object} result - OPTICS.getResults() or the worker's optics result
+     */
+    setData(result) {
+        this.state.result = result || null;
+        this.state.selectedValley = null;
+        this.state.hoveredPosition = null;
+
+        if (!result) {
+            this.state.labels = [];
+            this.needsRedraw = true;
+            return;
+        }
+
+        const parameters = result.parameters || {};
+        const finite = result.reachability.filter(Number.isFinite);
+        const maxReachability = finite.reduce((max, value) => Math.max(max, value), 0);
+
+        this.state.maxEps = parameters.maxEps ?? Infinity;
+        this.state.yMax = maxReachability > 0 ? maxReachability * 1.1 : 1;
+        this.state.labels = result.labels || [];
+        this.state.extraction = parameters.clusterMethod || 'xi';
+        this.state.eps = this.state.extraction === 'dbscan' ? parameters.eps ?? null : null;
+
+        this.syncScatterPlot();
+        this.needsRedraw = true;
+
+        console.log(`📉 ReachabilityPlot data updated: ${result.ordering.length} points`);
+    }
+
+    /**
+     * Keep a ScatterPlot's labels and selection in sync with this plot; anything with
+     * setLabels, setSelectedPoints and clearSelection works, e.g. ClusterVisualizer
+     * @param {ScatterPlot|ClusterVisualizer|null} scatterPlot - Plot showing the same points, in the same order
+     */
+    linkScatterPlot(scatterPlot) {
+        this.scatterPlot = scatterPlot;
+        this.syncScatterPlot();
+    }
+
+    /**
+     * Extract DBSCAN-style clusters at eps from the existing ordering
+     * @param {Number} eps - Threshold, clamped to the maxEps of the ordering
+     */
+    setThreshold(eps) {
+        const { result } = this.state;
+        if (!result) return;
+
+        const threshold = Math.max(0, Math.min(eps, this.state.maxEps));
+        this.state.extraction = 'dbscan';
+        this.state.eps = threshold;
+        this.state.labels = extractDBSCANLabels(result, threshold);
+        this.state.selectedValley = null;
+
+        this.syncScatterPlot();
+        this.needsRedraw = true;
+
+        this.eventBus.emit('reachability:thresholdChanged', {
+            eps: threshold,
+            labels: this.state.labels,
+            numClusters: this.getNumClusters()
+        });
+    }
+
+    /**
+     * Go back to ξ clusters
+     */
+    clearThreshold() {
+        const { result } = this.state;
+        if (!result) return;
+
+        if (!result.xiClusters || result.xiClusters.length === 0) {
+            // The result was extracted DBSCAN-style, so the ξ clusters were never computed
+            result.xiClusters = extractXiClusters(result, result.parameters || {});
+        }
+
+        this.state.extraction = 'xi';
+        this.state.eps = null;
+        this.state.labels = extractXiLabels(result.ordering, result.xiClusters);
+        this.state.selectedValley = null;
+
+        this.syncScatterPlot();
+        this.needsRedraw = true;
+
+        this.eventBus.emit('reachability:thresholdChanged', {
+            eps: null,
+            labels: this.state.labels,
+            numClusters: this.getNumClusters()
+        });
+    }
+
+    /**
+     * Select the valley around an ordering position and highlight its points
+     * @param {Number} position - Position in the cluster ordering
+     * @returns {Object|null} { start, end, indices }
+     */
+    selectValley(position) {
+        const valley = this.findValley(position);
+        this.state.selectedValley = valley;
+        this.needsRedraw = true;
+
+        const indices = valley ? this.state.result.ordering.slice(valley.start, valley.end + 1) : [];
+
+        if (this.scatterPlot) {
+            this.scatterPlot.setSelectedPoints(indices);
+        }
+
+        this.eventBus.emit('reachability:valleySelected', valley ? { ...valley, indices } : null);
+
+        return valley ? { ...valley, indices } : null;
+    }
+
+    /**
+     * The smallest ξ cluster containing the position, or with a threshold set,
+     * the run of points around it that share its cluster
+     */
+    findValley(position) {
+        const { result, labels, extraction } = this.state;
+        if (!result || position < 0 || position >= result.ordering.length) return null;
+
+        if (extraction === 'xi') {
+            return (result.xiClusters || [])
+                .filter(({ start, end }) => start <= position && position <= end)
+                .reduce((smallest, cluster) =>
+                    !smallest || cluster.end - cluster.start < smallest.end - smallest.start ? cluster : smallest, null);
+        }
+
+        const { ordering } = result;
+        const label = labels[ordering[position]];
+        if (label === -1) return null;
+
+        let start = position;
+        let end = position;
+        while (start > 0 && labels[ordering[start - 1]] === label) start--;
+        while (end < ordering.length - 1 && labels[ordering[end + 1]] === label) end++;
+
+        return { start, end };
+    }
+
+    /**
+     * Clear the valley selection
+     */
+    clearSelection() {
+        this.state.selectedValley = null;
+        if (this.scatterPlot) {
+            this.scatterPlot.clearSelection();
+        }
+        this.needsRedraw = true;
+    }
+
+    syncScatterPlot() {
+        if (!this.scatterPlot) return;
+
+        this.scatterPlot.setLabels(this.state.result ? this.state.labels : null);
+
+        const { selectedValley, result } = this.state;
+        if (selectedValley) {
+            this.scatterPlot.setSelectedPoints(result.ordering.slice(selectedValley.start, selectedValley.end + 1));
+        } else {
+            this.scatterPlot.clearSelection();
+        }
+    }
+
+    getNumClusters() {
+        return this.state.labels.reduce((max, label) => Math.max(max, label + 1), 0);
+    }
+
+    /**
+     * Coordinate conversion
+     */
+    getPlotArea() {
+        const { width, height, margin } = this.options;
+        return {
+            left: margin.left,
+            top: margin.top,
+            width: width - margin.left - margin.right,
+            height: height - margin.top - margin.bottom
+        };
+    }
+
+    positionToX(position) {
+        const area = this.getPlotArea();
+        const count = this.state.result ? this.state.result.ordering.length : 1;
+        return area.left + (position / count) * area.width;
+    }
+
+    xToPosition(x) {
+        const area = this.getPlotArea();
+        const count = this.state.result ? this.state.result.ordering.length : 0;
+        return Math.floor(((x - area.left) / area.width) * count);
+    }
+
+    valueToY(value) {
+        const area = this.getPlotArea();
+        const clamped = Math.min(value, this.state.yMax);
+        return area.top + area.height * (1 - clamped / this.state.yMax);
+    }
+
+    yToValue(y) {
+        const area = this.getPlotArea();
+        return this.state.yMax * (1 - (y - area.top) / area.height);
+    }
+
+    /**
+     * Y of the threshold line; at the top of the plot while ξ clusters are shown
+     */
+    getThresholdY() {
+        return this.state.eps !== null ? this.valueToY(this.state.eps) : this.getPlotArea().top;
+    }
+
+    /**
+     * Start render loop
+     */
+    startRenderLoop() {
+        const render = () => {
+            if (this.needsRedraw) {
+                this.render();
+                this.needsRedraw = false;
+            }
+            this.animationFrame = requestAnimationFrame(render);
+        };
+        render();
+    }
+
+    /**
+     * Main render function
+     */
+    render() {
+        const { width, height } = this.options;
+
+        this.ctx.clearRect(0, 0, width, height);
+        this.ctx.fillStyle = this.options.backgroundColor;
+        this.ctx.fillRect(0, 0, width, height);
+
+        if (!this.state.result) return;
+
+        this.drawSelection();
+        this.drawBars();
+        this.drawAxes();
+        this.drawThreshold();
+    }
+
+    /**
+     * Draw one bar per point; unreachable points reach the top of the plot
+     */
+    drawBars() {
+        const { ordering, reachability } = this.state.result;
+        const area = this.getPlotArea();
+        const barWidth = area.width / ordering.length;
+        const baseline = area.top + area.height;
+        const { colorScheme, noiseColor } = this.options;
+
+        ordering.forEach((index, position) => {
+            const value = reachability[index];
+            const label = this.state.labels[index];
+            const x = this.positionToX(position);
+            const y = this.valueToY(Number.isFinite(value) ? value : this.state.yMax);
+
+            this.ctx.globalAlpha = Number.isFinite(value) ? 1 : 0.3;
+            this.ctx.fillStyle = label >= 0 ? colorScheme[label % colorScheme.length] : noiseColor;
+            this.ctx.fillRect(x, y, Math.max(barWidth - (barWidth > 3 ? 1 : 0), 1), baseline - y);
+        });
+
+        this.ctx.globalAlpha = 1;
+
+        if (this.state.hoveredPosition !== null) {
+            const x = this.positionToX(this.state.hoveredPosition);
+            this.ctx.strokeStyle = '#333';
+            this.ctx.lineWidth = 1;
+            this.ctx.strokeRect(x, area.top, Math.max(barWidth, 1), area.height);
+        }
+    }
+
+    /**
+     * Shade the selected valley
+     */
+    drawSelection() {
+        const { selectedValley } = this.state;
+        if (!selectedValley) return;
+
+        const area = this.getPlotArea();
+        const x = this.positionToX(selectedValley.start);
+        const endX = this.positionToX(selectedValley.end + 1);
+
+        this.ctx.fillStyle = this.options.selectionColor;
+        this.ctx.fillRect(x, area.top, endX - x, area.height);
+    }
+
+    /**
+     * Draw axes
+     */
+    drawAxes() {
+        const area = this.getPlotArea();
+        const baseline = area.top + area.height;
+
+        this.ctx.strokeStyle = '#333';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.moveTo(area.left, baseline);
+        this.ctx.lineTo(area.left + area.width, baseline);
+        this.ctx.moveTo(area.left, area.top);
+        this.ctx.lineTo(area.left, baseline);
+        this.ctx.stroke();
+
+        if (!this.options.showLabels) return;
+
+        this.ctx.fillStyle = '#666';
+        this.ctx.font = '12px Arial';
+
+        // Reachability ticks
+        this.ctx.textAlign = 'right';
+        this.ctx.textBaseline = 'middle';
+        for (let i = 0; i <= 4; i++) {
+            const value = (this.state.yMax * i) / 4;
+            this.ctx.fillText(value.toFixed(2), area.left - 5, this.valueToY(value));
+        }
+
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'top';
+        this.ctx.fillText('Cluster order', area.left + area.width / 2, baseline + 20);
+    }
+
+    /**
+     * Draw the draggable threshold line
+     */
+    drawThreshold() {
+        const area = this.getPlotArea();
+        const y = this.getThresholdY();
+        const active = this.state.eps !== null;
+
+        this.ctx.strokeStyle = this.options.thresholdColor;
+        this.ctx.globalAlpha = active ? 1 : 0.4;
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([6, 4]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(area.left, y);
+        this.ctx.lineTo(area.left + area.width, y);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+
+        this.ctx.fillStyle = this.options.thresholdColor;
+        this.ctx.font = '12px Arial';
+        this.ctx.textAlign = 'right';
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.fillText(
+            active ? `ε = ${this.state.eps.toFixed(3)} · ${this.getNumClusters()} clusters` : 'Drag to cut at ε',
+            area.left + area.width,
+            y - 2
+        );
+        this.ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Mouse event handlers
+     */
+    getMousePosition(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    }
+
+    isNearThreshold(y) {
+        return Math.abs(y - this.getThresholdY()) <= THRESHOLD_GRAB_DISTANCE;
+    }
+
+    handleMouseDown(event) {
+        if (!this.state.result) return;
+
+        const { x, y } = this.getMousePosition(event);
+        this.state.pointer = { x, y, onThreshold: this.isNearThreshold(y), dragging: false };
+        this.hideTooltip();
+    }
+
+    handleMouseMove(event) {
+        if (!this.state.result) return;
+
+        const { x, y } = this.getMousePosition(event);
+        const { pointer } = this.state;
+
+        if (pointer && pointer.onThreshold) {
+            if (!pointer.dragging && Math.abs(y - pointer.y) < DRAG_START_DISTANCE) return;
+
+            pointer.dragging = true;
+            this.setThreshold(this.yToValue(y));
+            return;
+        }
+
+        this.canvas.style.cursor = this.isNearThreshold(y) ? 'ns-resize' : 'pointer';
+
+        const position = this.xToPosition(x);
+        const hovered = position >= 0 && position < this.state.result.ordering.length ? position : null;
+        if (hovered !== this.state.hoveredPosition) {
+            this.state.hoveredPosition = hovered;
+            this.updateTooltip(x, y, hovered);
+            this.needsRedraw = true;
+        }
+    }
+
+    handleMouseUp(event) {
+        const { pointer } = this.state;
+        this.state.pointer = null;
+        if (!pointer || pointer.dragging || !this.state.result) return;
+
+        const { x, y } = this.getMousePosition(event);
+        if (pointer.onThreshold || Math.abs(x - pointer.x) > DRAG_START_DISTANCE || Math.abs(y - pointer.y) > DRAG_START_DISTANCE) {
+            return;
+        }
+
+        const position = this.xToPosition(x);
+        if (position >= 0 && position < this.state.result.ordering.length) {
+            this.selectValley(position);
+        } else {
+            this.clearSelection();
+        }
+    }
+
+    handleMouseLeave() {
+        this.state.hoveredPosition = null;
+        this.hideTooltip();
+        this.needsRedraw = true;
+    }
+
+    handleDoubleClick(event) {
+        const { y } = this.getMousePosition(event);
+        if (this.state.eps !== null && this.isNearThreshold(y)) {
+            this.clearThreshold();
+        }
+    }
+
+    /**
+     * Update tooltip
+     */
+    updateTooltip(x, y, position) {
+        if (position === null) {
+            this.hideTooltip();
+            return;
+        }
+
+        const { ordering, reachability, coreDistances } = this.state.result;
+        const index = ordering[position];
+        const label = this.state.labels[index];
+        const format = (value) => Number.isFinite(value) ? value.toFixed(3) : '∞';
+
+        this.tooltip.innerHTML = `
+            <div>Point ${index} (#${position + 1} in order)</div>
+            <div>Reachability: ${format(reachability[index])}</div>
+            <div>Core distance: ${format(coreDistances[index])}</div>
+            <div>Cluster: ${label >= 0 ? label + 1 : 'Noise'}</div>
+        `;
+
+        this.tooltip.style.left = `${x + 10}px`;
+        this.tooltip.style.top = `${y - 10}px`;
+        this.tooltip.style.opacity = '1';
+    }
+
+    /**
+     * Hide tooltip
+     */
+    hideTooltip() {
+        this.tooltip.style.opacity = '0';
+    }
+
+    /**
+     * Export as image
+     */
+    exportImage(format = 'png') {
+        const link = document.createElement('a');
+        link.download = `reachability-plot.${format}`;
+        link.href = this.canvas.toDataURL(`image/${format}`);
+        link.click();
+    }
+
+    /**
+     * Destroy the reachability plot
+     */
+    destroy() {
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+        }
+
+        if (this.options.interactive) {
+            window.removeEventListener('mouseup', this.handleMouseUp);
+        }
+
+        this.container.innerHTML = '';
+
+        console.log('📉 ReachabilityPlot destroyed');
+    }
+}
+
+export default ReachabilityPlot;
@@ -2,10 +2,13 @@
  * RealTimeChart - Live Data Streaming Visualization Component
  * Optimized for high-frequency data updates with smooth animations and buffering
  * Supports multiple streaming data sources and real-time clustering visualization
+ * Streamed points can be clustered online with mini-batch k-means (see streamingClusters)
  */
 
-import { EventBus } from '../core/eventBusNew.js';
+import { eventBus } from '../../core/eventBusNew.js';
+import { EVENTS } from '../../config/constants.js';
 import { CanvasRenderer } from '../renderers/CanvasRenderer.js';
+import { KMeans } from '../../clustering/KMeans.js';
 
 export class RealTimeChart {
     constructor(container, options = {}) {
@@ -43,6 +46,9 @@ export class RealTimeChart {
             maxFPS: options.maxFPS || 60,
             enableWorker: options.enableWorker || false,
             
+            // Online clustering of data:stream points: { k, batchSize, ...KMeans options }
+            streamingClusters: options.streamingClusters || null,
+            
             ...options
         };
 
@@ -57,6 +63,8 @@ export class RealTimeChart {
         this.streamingChannels = new Set();
         this.connectionStates = new Map();
         this.dataRates = new Map(); // Track data rates per channel
+        this.streamingModel = null; // KMeans updated with partialFit()
+        this.streamBuffer = []; // Streamed points waiting for the next batch
         
         // Visual state
         this.scales = {
@@ -101,6 +109,10 @@ export class RealTimeChart {
         if (options.initialData) {
             this.addDataset('default', options.initialData, { color: this.colorPalette[0] });
         }
+        
+        if (this.config.streamingClusters) {
+            this.enableStreamingClusters(this.config.streamingClusters);
+        }
     }
 
     /**
@@ -132,7 +144,7 @@ export class RealTimeChart {
      * Setup renderer with real-time optimizations
      */
     setupRenderer() {
-        this.renderer = new CanvasRenderer(this.ctx, {
+        this.renderer = new CanvasRenderer(this.canvas, {
             width: this.config.width,
             height: this.config.height,
             theme: this.config.theme,
@@ -156,11 +168,14 @@ export class RealTimeChart {
         window.addEventListener('resize', this.handleResize.bind(this));
         window.addEventListener('visibilitychange', this.handleVisibilityChange.bind(this));
         
-        // Event bus subscriptions for real-time data
-        EventBus.on('clustering:update', this.onClusteringUpdate.bind(this));
-        EventBus.on('performance:metrics', this.onPerformanceUpdate.bind(this));
-        EventBus.on('websocket:message', this.onWebSocketMessage.bind(this));
-        EventBus.on('data:stream', this.onDataStream.bind(this));
+        // Event bus subscriptions for real-time data (kept bound so destroy() can remove them)
+        this.busHandlers = {
+            'clustering:update': this.onClusteringUpdate.bind(this),
+            'performance:metrics': this.onPerformanceUpdate.bind(this),
+            'websocket:message': this.onWebSocketMessage.bind(this),
+            [EVENTS.DATA_STREAM]: this.onDataStream.bind(this)
+        };
+        Object.entries(this.busHandlers).forEach(([event, handler]) => eventBus.on(event, handler));
         
         // Keyboard shortcuts
         document.addEventListener('keydown', this.handleKeyDown.bind(this));
@@ -310,7 +325,7 @@ export class RealTimeChart {
             this.updateScales();
         }
         
-        EventBus.emit('realtime_chart:dataset_added', { id, dataset });
+        eventBus.emit('realtime_chart:dataset_added', { id, dataset });
         return dataset;
     }
 
@@ -327,7 +342,7 @@ export class RealTimeChart {
                 this.updateScales();
             }
             
-            EventBus.emit('realtime_chart:dataset_removed', { id });
+            eventBus.emit('realtime_chart:dataset_removed', { id });
         }
     }
 
@@ -370,7 +385,7 @@ export class RealTimeChart {
             this.animateNewPoint(datasetId, normalizedPoint);
         }
         
-        EventBus.emit('realtime_chart:data_added', { 
+        eventBus.emit('realtime_chart:data_added', { 
             datasetId, 
             point: normalizedPoint,
             datasetSize: dataset.data.length 
@@ -410,13 +425,25 @@ export class RealTimeChart {
             this.updateScales();
         }
         
-        EventBus.emit('realtime_chart:batch_added', { 
+        eventBus.emit('realtime_chart:batch_added', { 
             datasetId, 
             pointCount: points.length,
             datasetSize: dataset.data.length 
         });
     }
 
+    /**
+     * Queue the appear transition for a new point (drawn by renderAnimations)
+     */
+    animateNewPoint(datasetId, point) {
+        this.animationQueue.push({ datasetId, point, startTime: performance.now() });
+        
+        // Bursty streams could queue far more than one transition per visible point
+        if (this.animationQueue.length > this.config.maxDataPoints) {
+            this.animationQueue.shift();
+        }
+    }
+
     /**
      * Normalize data point to consistent format
      * @param {Object|Number} point - Raw data point
@@ -525,6 +552,11 @@ export class RealTimeChart {
             }
         });
         
+        // Render new-point transitions
+        if (this.animationQueue.length > 0) {
+            this.renderAnimations();
+        }
+        
         // Render axes
         this.renderAxes();
         
@@ -793,6 +825,65 @@ export class RealTimeChart {
         });
     }
 
+    /**
+     * Render a fading ring around recently added points
+     */
+    renderAnimations() {
+        const ctx = this.ctx;
+        const now = performance.now();
+        
+        this.animationQueue = this.animationQueue.filter(item => now - item.startTime < this.config.animationDuration);
+        
+        this.animationQueue.forEach(({ datasetId, point, startTime }) => {
+            const dataset = this.datasets.get(datasetId);
+            if (!dataset || !dataset.visible) return;
+            
+            const progress = (now - startTime) / this.config.animationDuration;
+            const eased = 1 - Math.pow(1 - progress, 3); // easeOutCubic
+            const screen = this.dataToScreen(point.x, point.y);
+            
+            ctx.globalAlpha = 1 - eased;
+            ctx.strokeStyle = dataset.color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(screen.x, screen.y, dataset.pointRadius + eased * 10, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+        
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Render crosshair with the data value under the cursor
+     */
+    renderCrosshair() {
+        const ctx = this.ctx;
+        const { x, y } = this.crosshair;
+        const { viewport } = this;
+        
+        if (x < viewport.x || x > viewport.x + viewport.width || y < viewport.y || y > viewport.y + viewport.height) {
+            return;
+        }
+        
+        ctx.strokeStyle = this.config.theme === 'dark' ? 'rgba(255, 255, 255, 0.3)' : 'rgba(0, 0, 0, 0.3)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        
+        ctx.beginPath();
+        ctx.moveTo(x, viewport.y);
+        ctx.lineTo(x, viewport.y + viewport.height);
+        ctx.moveTo(viewport.x, y);
+        ctx.lineTo(viewport.x + viewport.width, y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        const value = this.screenToData(x, y);
+        ctx.fillStyle = this.config.theme === 'dark' ? '#ccc' : '#333';
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(value.y.toFixed(2), x + 6, y - 6);
+    }
+
     /**
      * Render latest values
      */
@@ -845,6 +936,53 @@ export class RealTimeChart {
 
     handleMouseLeave() {
         this.crosshair.visible = false;
+        this.isPaused = false;
+    }
+
+    /**
+     * Hold the mouse down to freeze the chart while data keeps arriving
+     */
+    handleMouseDown() {
+        this.isPaused = true;
+    }
+
+    handleMouseUp() {
+        this.isPaused = false;
+    }
+
+    /**
+     * Scroll to widen or narrow the visible window of points
+     */
+    handleWheel(event) {
+        event.preventDefault();
+        
+        const factor = event.deltaY > 0 ? 1.2 : 1 / 1.2;
+        const maxPoints = Math.round(Math.min(10000, Math.max(10, this.config.maxDataPoints * factor)));
+        this.setMaxDataPoints(maxPoints);
+        
+        const bufferValue = this.controlsContainer?.querySelector('.buffer-value');
+        if (bufferValue) {
+            bufferValue.textContent = maxPoints;
+        }
+    }
+
+    handleResize() {
+        const width = this.container.clientWidth;
+        if (!width || width === this.config.width) return;
+        
+        this.config.width = width;
+        this.canvas.width = width * window.devicePixelRatio;
+        this.canvas.style.width = width + 'px';
+        this.ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+        this.renderer.width = width;
+        this.viewport.width = width - 80;
+    }
+
+    /**
+     * Skip rendering while the tab is hidden
+     */
+    handleVisibilityChange() {
+        this.isPaused = document.hidden;
     }
 
     handleKeyDown(event) {
@@ -881,6 +1019,15 @@ export class RealTimeChart {
         this.addDataPoint('response_time', data.responseTime);
     }
 
+    /**
+     * WebSocket messages shaped like data:stream samples ({ channel, value }) are plotted too
+     */
+    onWebSocketMessage(message) {
+        if (message && message.channel) {
+            this.onDataStream(message);
+        }
+    }
+
     onDataStream(data) {
         if (data.channel && data.value !== undefined) {
             if (!this.datasets.has(data.channel)) {
@@ -891,6 +1038,60 @@ export class RealTimeChart {
             
             this.addDataPoint(data.channel, data.value, data.timestamp);
         }
+        
+        // Samples with a numeric vector ({ point: [x, y] }) feed the online clustering
+        if (this.streamingModel && Array.isArray(data.point)) {
+            this.streamBuffer.push(data.point);
+            
+            if (this.streamBuffer.length >= this.streamingModel.options.batchSize) {
+                this.flushStreamingClusters();
+            }
+        }
+    }
+
+    /**
+     * Streaming clustering
+     */
+    enableStreamingClusters({ k = 3, batchSize = 100, ...options } = {}) {
+        this.streamingModel = new KMeans(k, { ...options, batchSize });
+        this.streamBuffer = [];
+        
+        if (!this.datasets.has('convergence')) {
+            this.addDataset('convergence', [], {
+                color: this.colorPalette[this.datasets.size % this.colorPalette.length]
+            });
+        }
+    }
+
+    disableStreamingClusters() {
+        this.streamingModel = null;
+        this.streamBuffer = [];
+    }
+
+    /**
+     * Update the centroids with the buffered points; their largest shift is plotted on the
+     * convergence channel
+     */
+    flushStreamingClusters() {
+        if (!this.streamingModel || this.streamBuffer.length === 0) return;
+        
+        const points = this.streamBuffer;
+        this.streamBuffer = [];
+        
+        const update = this.streamingModel.partialFit(points);
+        if (!update.labels) return; // Still collecting the first k points
+        
+        this.onClusteringUpdate({ convergence: update.movement });
+        
+        eventBus.emit('realtime_chart:clusters_updated', {
+            points,
+            labels: update.labels,
+            centroids: update.centroids,
+            counts: update.counts,
+            iteration: update.iterations,
+            movement: update.movement,
+            converged: update.converged
+        });
     }
 
     /**
@@ -899,13 +1100,13 @@ export class RealTimeChart {
     play() {
         this.isPlaying = true;
         this.updatePlayPauseButton();
-        EventBus.emit('realtime_chart:playing');
+        eventBus.emit('realtime_chart:playing');
     }
 
     pause() {
         this.isPlaying = false;
         this.updatePlayPauseButton();
-        EventBus.emit('realtime_chart:paused');
+        eventBus.emit('realtime_chart:paused');
     }
 
     toggle() {
@@ -921,13 +1122,18 @@ export class RealTimeChart {
             dataset.data = [];
         });
         
+        if (this.streamingModel) {
+            this.streamingModel.reset();
+            this.streamBuffer = [];
+        }
+        
         this.updateScales();
-        EventBus.emit('realtime_chart:reset');
+        eventBus.emit('realtime_chart:reset');
     }
 
     setPlaybackSpeed(speed) {
         this.config.updateInterval = Math.max(50, 100 / speed);
-        EventBus.emit('realtime_chart:speed_changed', { speed });
+        eventBus.emit('realtime_chart:speed_changed', { speed });
     }
 
     setMaxDataPoints(maxPoints) {
@@ -940,7 +1146,7 @@ export class RealTimeChart {
             }
         });
         
-        EventBus.emit('realtime_chart:buffer_size_changed', { maxPoints });
+        eventBus.emit('realtime_chart:buffer_size_changed', { maxPoints });
     }
 
     takeScreenshot() {
@@ -949,7 +1155,7 @@ export class RealTimeChart {
         link.href = this.canvas.toDataURL();
         link.click();
         
-        EventBus.emit('realtime_chart:screenshot_taken');
+        eventBus.emit('realtime_chart:screenshot_taken');
     }
 
     updatePlayPauseButton() {
@@ -998,10 +1204,7 @@ export class RealTimeChart {
         }
         
         // Remove event listeners
-        EventBus.off('clustering:update', this.onClusteringUpdate);
-        EventBus.off('performance:metrics', this.onPerformanceUpdate);
-        EventBus.off('websocket:message', this.onWebSocketMessage);
-        EventBus.off('data:stream', this.onDataStream);
+        Object.entries(this.busHandlers).forEach(([event, handler]) => eventBus.off(event, handler));
         
         // Clear container
         this.container.innerHTML = '';
@@ -43,6 +43,7 @@ export class ScatterPlot {
         this.state = {
             data: [],
             clusters: [],
+            labels: null, // Cluster labels by point index, overriding point.cluster
             selectedPoints: new Set(),
             hoveredPoint: null,
             viewport: {
@@ -204,6 +205,25 @@ export class ScatterPlot {
         console.log(`📊 ScatterPlot clusters updated: ${this.state.clusters.length} clusters`);
     }
 
+    /**
+     * Set cluster labels by point index, e.g. re-extracted by a linked ReachabilityPlot
+     * @param {Array<Number>|null} labels - Labels (-1 for noise), or null to use point.cluster again
+     */
+    setLabels(labels) {
+        this.state.labels = labels || null;
+        this.needsRedraw = true;
+    }
+
+    /**
+     * Cluster of a point: its label if labels are set, otherwise point.cluster
+     */
+    getPointCluster(point, index) {
+        if (this.state.labels) {
+            return this.state.labels[index] ?? -1;
+        }
+        return point.cluster !== undefined ? point.cluster : -1;
+    }
+
     /**
      * Calculate data dimensions and scales
      */
@@ -454,7 +474,7 @@ export class ScatterPlot {
     drawDataPoint(point, index) {
         const x = point.x !== undefined ? point.x : point[0];
         const y = point.y !== undefined ? point.y : point[1];
-        const cluster = point.cluster !== undefined ? point.cluster : -1;
+        const cluster = this.getPointCluster(point, index);
         
         const { x: screenX, y: screenY } = this.dataToScreen(x, y);
         
@@ -506,10 +526,10 @@ export class ScatterPlot {
         const imageData = this.ctx.createImageData(this.options.width, this.options.height);
         const data = imageData.data;
         
-        this.state.data.forEach(point => {
+        this.state.data.forEach((point, index) => {
             const x = point.x !== undefined ? point.x : point[0];
             const y = point.y !== undefined ? point.y : point[1];
-            const cluster = point.cluster !== undefined ? point.cluster : -1;
+            const cluster = this.getPointCluster(point, index);
             
             const { x: screenX, y: screenY } = this.dataToScreen(x, y);
             
@@ -789,7 +809,7 @@ export class ScatterPlot {
         const point = this.state.data[pointIndex];
         const dataX = point.x !== undefined ? point.x : point[0];
         const dataY = point.y !== undefined ? point.y : point[1];
-        const cluster = point.cluster !== undefined ? point.cluster : 'None';
+        const cluster = (this.state.labels || point.cluster !== undefined) ? this.getPointCluster(point, pointIndex) : 'None';
         
         this.tooltip.innerHTML = `
             <div>Point ${pointIndex}</div>
@@ -858,6 +878,14 @@ export class ScatterPlot {
         return Array.from(this.state.selectedPoints).map(index => this.state.data[index]);
     }
 
+    /**
+     * Select points by index, replacing the current selection
+     */
+    setSelectedPoints(indices) {
+        this.state.selectedPoints = new Set(indices);
+        this.needsRedraw = true;
+    }
+
     /**
      * Clear selection
      */
@@ -737,6 +737,28 @@ export class CanvasRenderer {
         return this;
     }
 
+    /**
+     * Aliases for the names ClusterVisualizer draws with
+     */
+    fillCircle(x, y, radius) {
+        return this.drawCircle(x, y, radius);
+    }
+
+    fillText(text, x, y, maxWidth) {
+        return this.drawText(text, x, y, maxWidth);
+    }
+
+    setViewport(x, y, width, height) {
+        if (width !== this.width || height !== this.height) {
+            this.resize(width, height);
+        }
+        return this;
+    }
+
+    dispose() {
+        this.destroy();
+    }
+
     /**
      * Destroy the renderer and cleanup resources
      */
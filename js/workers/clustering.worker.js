@@ -2,6 +2,21 @@
 // Path: js/workers/clustering.worker.js
 // Background clustering web worker for NCS-API-Website
 // Handles intensive clustering computations without blocking the UI thread
+// Loaded as a module worker: new Worker(url, { type: 'module' })
+
+import { NCSAlgorithm } from '../clustering/NCSAlgorithm.js';
+import { KMeans } from '../clustering/KMeans.js';
+import { HierarchicalClustering } from '../clustering/Hierarchical.js';
+import { GaussianMixture } from '../clustering/GaussianMixture.js';
+import { HDBSCAN } from '../clustering/HDBSCAN.js';
+import { OPTICS } from '../clustering/OPTICS.js';
+import { createSpatialIndex } from '../clustering/SpatialIndex.js';
+
+// The module can also be imported on the main thread (e.g. by the mock API server)
+const IS_WORKER = typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope;
+
+// Receives progress messages from the running algorithm
+let reportProgress = () => {};
 
 /**
  * Utility functions for clustering algorithms
@@ -114,6 +129,10 @@ const KMeansAlgorithm = {
             return { clusters: [], centroids: [], iterations: 0, converged: false };
         }
         
+        if (options.miniBatch) {
+            return this.runMiniBatch(data, k, options);
+        }
+        
         // Initialize centroids
         let centroids = initMethod === 'kmeans++' ?
             ClusteringUtils.initializeKMeansPlusPlus(data, k) :
@@ -164,7 +183,7 @@ const KMeansAlgorithm = {
             
             // Send progress update
             if (iterations % 10 === 0) {
-                postMessage({
+                reportProgress({
                     type: 'progress',
                     algorithm: 'kmeans',
                     iteration: iterations,
@@ -210,6 +229,59 @@ const KMeansAlgorithm = {
             converged,
             algorithm: 'kmeans'
         };
+    },
+    
+    /**
+     * Mini-batch k-means for large uploads: each iteration only touches batchSize points,
+     * and only the final assignment goes over the whole dataset
+     */
+    runMiniBatch(data, k, options = {}) {
+        const vectors = data.map(point => Array.isArray(point) ? point : [point.x, point.y]);
+        const model = new KMeans(Math.min(k, vectors.length), {
+            miniBatch: true,
+            batchSize: options.batchSize || 1024,
+            maxIterations: options.maxIterations || 100,
+            tolerance: options.tolerance || 1e-4,
+            initMethod: options.initMethod || 'kmeans++',
+            distanceMetric: options.metric || 'euclidean',
+            seed: options.seed || null,
+            onProgress: ({ iteration, maxIterations, movement, inertia, converged }) => {
+                reportProgress({
+                    type: 'progress',
+                    algorithm: 'kmeans',
+                    phase: 'mini_batch',
+                    iteration,
+                    maxIterations,
+                    movement,
+                    inertia,
+                    converged
+                });
+            }
+        });
+        const result = model.fit(vectors);
+        
+        const clusters = result.centroids.map(centroid => ({
+            points: [],
+            pointIndices: [],
+            centroid: { x: centroid[0], y: centroid[1] }
+        }));
+        
+        data.forEach((point, index) => {
+            const cluster = clusters[result.labels[index]];
+            cluster.points.push(point);
+            cluster.pointIndices.push(index);
+        });
+        
+        return {
+            clusters,
+            centroids: clusters.map(cluster => cluster.centroid),
+            labels: result.labels,
+            iterations: result.iterations,
+            converged: result.converged,
+            inertia: result.inertia,
+            algorithm: 'kmeans',
+            executionTime: result.executionTime
+        };
     }
 };
 
@@ -224,6 +296,13 @@ const DBSCANAlgorithm = {
             return { clusters: [], noise: [], algorithm: 'dbscan' };
         }
         
+        // Cosine is not a true metric, so it falls back to a linear scan
+        const vectors = data.map(point => Array.isArray(point) ? point : [point.x, point.y]);
+        const index = createSpatialIndex(vectors, {
+            metric,
+            distance: (a, b) => ClusteringUtils.calculateDistance(a, b, metric)
+        });
+        
         const visited = new Array(data.length).fill(false);
         const clustered = new Array(data.length).fill(false);
         const clusters = [];
@@ -233,19 +312,19 @@ const DBSCANAlgorithm = {
             if (visited[i]) continue;
             
             visited[i] = true;
-            const neighbors = this.getNeighbors(data, i, eps, metric);
+            const neighbors = this.getNeighbors(index, vectors, i, eps);
             
             if (neighbors.length < minPts) {
                 noise.push({ point: data[i], index: i });
             } else {
                 const cluster = { points: [], pointIndices: [] };
-                this.expandCluster(data, i, neighbors, cluster, eps, minPts, visited, clustered, metric);
+                this.expandCluster(data, index, vectors, i, neighbors, cluster, eps, minPts, visited, clustered);
                 clusters.push(cluster);
             }
             
             // Send progress update
             if (i % 100 === 0) {
-                postMessage({
+                reportProgress({
                     type: 'progress',
                     algorithm: 'dbscan',
                     processed: i,
@@ -262,23 +341,11 @@ const DBSCANAlgorithm = {
         };
     },
     
-    getNeighbors(data, pointIndex, eps, metric) {
-        const neighbors = [];
-        const point = data[pointIndex];
-        
-        for (let i = 0; i < data.length; i++) {
-            if (i !== pointIndex) {
-                const dist = ClusteringUtils.calculateDistance(point, data[i], metric);
-                if (dist <= eps) {
-                    neighbors.push(i);
-                }
-            }
-        }
-        
-        return neighbors;
+    getNeighbors(index, vectors, pointIndex, eps) {
+        return index.rangeQuery(vectors[pointIndex], eps).filter(i => i !== pointIndex);
     },
     
-    expandCluster(data, pointIndex, neighbors, cluster, eps, minPts, visited, clustered, metric) {
+    expandCluster(data, index, vectors, pointIndex, neighbors, cluster, eps, minPts, visited, clustered) {
         cluster.points.push(data[pointIndex]);
         cluster.pointIndices.push(pointIndex);
         clustered[pointIndex] = true;
@@ -288,7 +355,7 @@ const DBSCANAlgorithm = {
             
             if (!visited[neighborIndex]) {
                 visited[neighborIndex] = true;
-                const neighborNeighbors = this.getNeighbors(data, neighborIndex, eps, metric);
+                const neighborNeighbors = this.getNeighbors(index, vectors, neighborIndex, eps);
                 
                 if (neighborNeighbors.length >= minPts) {
                     neighbors.push(...neighborNeighbors);
@@ -306,235 +373,392 @@ const DBSCANAlgorithm = {
 
 /**
  * Hierarchical clustering algorithm
+ * Agglomerative clustering with the nearest-neighbor chain; `dendrogram` lists the merges
+ * in order as { cluster1, cluster2, distance, mergedId, size }, merged ids counting on from n
  */
-const HierarchicalAlgorithm = {
-    run(data, options = {}) {
-        const metric = options.metric || 'euclidean';
-        const linkage = options.linkage || 'ward';
-        const numClusters = options.numClusters || Math.ceil(Math.sqrt(data.length / 2));
-        
+const HierarchicalRunner = {
+    async run(data, options = {}) {
         if (data.length === 0) {
             return { clusters: [], dendrogram: [], algorithm: 'hierarchical' };
         }
         
-        // Initialize clusters - each point is its own cluster
-        let clusters = data.map((point, index) => ({
-            points: [point],
-            pointIndices: [index],
-            centroid: { x: point.x || point[0], y: point.y || point[1] },
-            size: 1,
-            id: index
-        }));
-        
-        const dendrogram = [];
-        let nextId = data.length;
-        
-        // Merge clusters until we reach the desired number
-        while (clusters.length > numClusters) {
-            let minDistance = Infinity;
-            let mergeI = -1, mergeJ = -1;
-            
-            // Find closest pair of clusters
-            for (let i = 0; i < clusters.length; i++) {
-                for (let j = i + 1; j < clusters.length; j++) {
-                    const distance = this.calculateClusterDistance(clusters[i], clusters[j], linkage, metric);
-                    
-                    if (distance < minDistance) {
-                        minDistance = distance;
-                        mergeI = i;
-                        mergeJ = j;
-                    }
-                }
-            }
-            
-            if (mergeI === -1 || mergeJ === -1) break;
-            
-            // Merge clusters
-            const cluster1 = clusters[mergeI];
-            const cluster2 = clusters[mergeJ];
-            
-            const mergedCluster = {
-                points: [...cluster1.points, ...cluster2.points],
-                pointIndices: [...cluster1.pointIndices, ...cluster2.pointIndices],
-                centroid: ClusteringUtils.calculateCentroid([...cluster1.points, ...cluster2.points]),
-                size: cluster1.size + cluster2.size,
-                id: nextId++,
-                children: [cluster1.id, cluster2.id]
-            };
-            
-            dendrogram.push({
-                cluster1: cluster1.id,
-                cluster2: cluster2.id,
-                distance: minDistance,
-                mergedId: mergedCluster.id,
-                size: mergedCluster.size
-            });
-            
-            // Remove merged clusters and add new one
-            clusters.splice(Math.max(mergeI, mergeJ), 1);
-            clusters.splice(Math.min(mergeI, mergeJ), 1);
-            clusters.push(mergedCluster);
-            
-            // Send progress update
-            if (clusters.length % 10 === 0) {
-                postMessage({
+        const vectors = data.map(point => Array.isArray(point) ? point : [point.x, point.y]);
+        const n = vectors.length;
+        // runClustering restores its reporter once this returns a promise, before the merges run
+        const report = reportProgress;
+        const model = new HierarchicalClustering({
+            linkage: options.linkage || 'ward',
+            distanceMetric: options.metric || 'euclidean',
+            numClusters: Math.min(options.numClusters || Math.ceil(Math.sqrt(n / 2)), n),
+            generateDendrogram: false,
+            calculateCopheneticCorrelation: false,
+            enableClusterValidation: false,
+            onProgress: ({ step, progress, mergeStep }) => {
+                report({
                     type: 'progress',
                     algorithm: 'hierarchical',
-                    clustersRemaining: clusters.length,
-                    targetClusters: numClusters,
-                    merges: dendrogram.length
+                    phase: step,
+                    iteration: progress,
+                    maxIterations: 100,
+                    merges: mergeStep
                 });
             }
-        }
+        });
+        const result = await model.cluster(vectors);
+        
+        const clusters = result.clusters.map(members => ({
+            points: members.map(member => data[member._originalIndex]),
+            pointIndices: members.map(member => member._originalIndex)
+        }));
+        clusters.forEach(cluster => {
+            cluster.centroid = ClusteringUtils.calculateCentroid(cluster.points);
+        });
+        
+        const nodeIndex = (id) => typeof id === 'number' ? id : n + Number(id.slice('merge_'.length));
+        const dendrogram = result.mergeHistory.map(merge => ({
+            cluster1: nodeIndex(merge.cluster1),
+            cluster2: nodeIndex(merge.cluster2),
+            distance: merge.distance,
+            mergedId: nodeIndex(merge.newClusterId),
+            size: merge.newClusterSize
+        }));
         
         return {
             clusters,
+            centroids: clusters.map(cluster => cluster.centroid),
+            labels: model.clusterAssignments,
             dendrogram,
-            algorithm: 'hierarchical'
+            linkage: model.linkage,
+            algorithm: 'hierarchical',
+            executionTime: result.executionTime
         };
-    },
-    
-    calculateClusterDistance(cluster1, cluster2, linkage, metric) {
-        switch (linkage) {
-            case 'single':
-                return this.singleLinkage(cluster1, cluster2, metric);
-            case 'complete':
-                return this.completeLinkage(cluster1, cluster2, metric);
-            case 'average':
-                return this.averageLinkage(cluster1, cluster2, metric);
-            case 'ward':
-                return this.wardLinkage(cluster1, cluster2);
-            default:
-                return this.averageLinkage(cluster1, cluster2, metric);
-        }
-    },
-    
-    singleLinkage(cluster1, cluster2, metric) {
-        let minDist = Infinity;
-        
-        for (const point1 of cluster1.points) {
-            for (const point2 of cluster2.points) {
-                const dist = ClusteringUtils.calculateDistance(point1, point2, metric);
-                minDist = Math.min(minDist, dist);
+    }
+};
+
+/**
+ * NCS (Neural Clustering System) Algorithm
+ * Runs the client-side NCS implementation and reshapes its output
+ */
+const NCSRunner = {
+    run(data, options = {}) {
+        const ncs = new NCSAlgorithm({
+            ...options,
+            numClusters: typeof options.numClusters === 'number' ? options.numClusters : 'auto',
+            onProgress: ({ phase, iteration, maxIterations, progress, clusters }) => {
+                reportProgress({
+                    type: 'progress',
+                    algorithm: 'ncs',
+                    phase,
+                    iteration,
+                    maxIterations,
+                    progress,
+                    clustersFound: clusters
+                });
             }
-        }
+        });
         
-        return minDist;
-    },
-    
-    completeLinkage(cluster1, cluster2, metric) {
-        let maxDist = 0;
+        const result = ncs.fit(data);
         
-        for (const point1 of cluster1.points) {
-            for (const point2 of cluster2.points) {
-                const dist = ClusteringUtils.calculateDistance(point1, point2, metric);
-                maxDist = Math.max(maxDist, dist);
-            }
-        }
+        const clusters = result.centroids.map(centroid => ({
+            points: [],
+            pointIndices: [],
+            confidences: [],
+            centroid: { x: centroid[0], y: centroid[1] }
+        }));
         
-        return maxDist;
-    },
-    
-    averageLinkage(cluster1, cluster2, metric) {
-        let totalDist = 0;
-        let count = 0;
-        
-        for (const point1 of cluster1.points) {
-            for (const point2 of cluster2.points) {
-                totalDist += ClusteringUtils.calculateDistance(point1, point2, metric);
-                count++;
+        data.forEach((point, index) => {
+            const cluster = clusters[result.labels[index]];
+            cluster.points.push(point);
+            cluster.pointIndices.push(index);
+            cluster.confidences.push(result.confidences[index]);
+        });
+        
+        return {
+            clusters,
+            centroids: clusters.map(cluster => cluster.centroid),
+            labels: result.labels,
+            confidences: result.confidences,
+            qualityScores: result.qualityScores,
+            uncertainPoints: result.uncertainPoints,
+            iterations: result.iterations,
+            converged: result.converged,
+            algorithm: 'ncs',
+            qualityScore: result.qualityScore,
+            confidence: result.confidence,
+            silhouetteScore: result.silhouetteScore,
+            optimalClusters: result.numClusters,
+            executionTime: result.executionTime
+        };
+    }
+};
+
+/**
+ * Gaussian Mixture Model
+ * EM with soft assignments; k: 'auto' picks the component count by BIC (or AIC)
+ */
+const GaussianMixtureRunner = {
+    run(data, options = {}) {
+        const vectors = data.map(point => Array.isArray(point) ? point : [point.x, point.y]);
+        const k = options.k || options.numClusters || 3;
+        const modelOptions = {
+            covarianceType: options.covarianceType || 'full',
+            maxIterations: options.maxIterations || 100,
+            tolerance: options.tolerance || 1e-3,
+            seed: options.seed || null,
+            onProgress: ({ iteration, maxIterations, logLikelihood }) => {
+                reportProgress({
+                    type: 'progress',
+                    algorithm: 'gmm',
+                    phase: k === 'auto' ? 'model_selection' : 'expectation_maximization',
+                    iteration,
+                    maxIterations,
+                    logLikelihood
+                });
             }
-        }
+        };
         
-        return count > 0 ? totalDist / count : 0;
-    },
-    
-    wardLinkage(cluster1, cluster2) {
-        const mergedPoints = [...cluster1.points, ...cluster2.points];
-        const mergedCentroid = ClusteringUtils.calculateCentroid(mergedPoints);
-        
-        // Calculate increase in within-cluster sum of squares
-        let cluster1SS = 0;
-        for (const point of cluster1.points) {
-            const dist = ClusteringUtils.calculateDistance(point, cluster1.centroid);
-            cluster1SS += dist * dist;
+        let model;
+        let result;
+        if (k === 'auto') {
+            const selection = GaussianMixture.selectModel(vectors, {
+                ...modelOptions,
+                maxK: Math.min(options.maxClusters || 10, vectors.length),
+                criterion: options.criterion || 'bic'
+            });
+            model = selection.model;
+            result = { ...selection.recommendation, selection: selection.results };
+        } else {
+            model = new GaussianMixture(k, modelOptions);
+            result = model.fit(vectors);
         }
         
-        let cluster2SS = 0;
-        for (const point of cluster2.points) {
-            const dist = ClusteringUtils.calculateDistance(point, cluster2.centroid);
-            cluster2SS += dist * dist;
-        }
+        const clusters = result.means.map((mean, index) => ({
+            points: [],
+            pointIndices: [],
+            confidences: [],
+            centroid: { x: mean[0], y: mean[1] },
+            covariance: result.covariances[index],
+            weight: result.weights[index]
+        }));
         
-        let mergedSS = 0;
-        for (const point of mergedPoints) {
-            const dist = ClusteringUtils.calculateDistance(point, mergedCentroid);
-            mergedSS += dist * dist;
-        }
+        data.forEach((point, index) => {
+            const cluster = clusters[result.labels[index]];
+            cluster.points.push(point);
+            cluster.pointIndices.push(index);
+            cluster.confidences.push(result.confidences[index]);
+        });
         
-        return mergedSS - cluster1SS - cluster2SS;
+        return {
+            clusters,
+            centroids: clusters.map(cluster => cluster.centroid),
+            labels: result.labels,
+            probabilities: result.probabilities,
+            confidences: result.confidences,
+            covarianceType: result.covarianceType,
+            logLikelihood: result.logLikelihood,
+            bic: result.bic,
+            aic: result.aic,
+            selection: result.selection,
+            iterations: result.iterations,
+            converged: result.converged,
+            algorithm: 'gmm',
+            optimalClusters: model.k,
+            executionTime: result.executionTime
+        };
     }
 };
 
 /**
- * NCS (Neural Cluster Segmentation) Algorithm placeholder
- * This would typically interface with the actual NCS API
+ * HDBSCAN clustering algorithm
+ * Density-based like DBSCAN but without eps; noise points go to `noise`, and the
+ * condensed tree comes back as `dendrogram` for the Dendrogram chart
  */
-const NCSAlgorithm = {
+const HDBSCANRunner = {
     run(data, options = {}) {
-        const numClusters = options.numClusters || 'auto';
-        const qualityThreshold = options.qualityThreshold || 0.7;
-        const maxIterations = options.maxIterations || 50;
+        if (data.length === 0) {
+            return { clusters: [], noise: [], algorithm: 'hdbscan' };
+        }
         
-        // Simulate NCS algorithm processing
-        // In a real implementation, this would call the NCS API
+        const vectors = data.map(point => Array.isArray(point) ? point : [point.x, point.y]);
+        const model = new HDBSCAN({
+            minClusterSize: options.minClusterSize || 5,
+            minSamples: options.minSamples || null,
+            clusterSelectionMethod: options.clusterSelectionMethod || 'eom',
+            allowSingleCluster: options.allowSingleCluster || false,
+            metric: options.metric || 'euclidean',
+            onProgress: ({ phase, iteration, maxIterations, progress }) => {
+                reportProgress({
+                    type: 'progress',
+                    algorithm: 'hdbscan',
+                    phase,
+                    iteration,
+                    maxIterations,
+                    progress
+                });
+            }
+        });
         
-        return new Promise((resolve) => {
-            let iteration = 0;
+        const result = model.fit(vectors);
+        
+        const clusters = Array.from({ length: result.numClusters }, (_, index) => ({
+            points: [],
+            pointIndices: [],
+            confidences: [],
+            stability: result.stabilities[index]
+        }));
+        const noise = [];
+        
+        data.forEach((point, index) => {
+            const label = result.labels[index];
+            if (label === -1) {
+                noise.push({ point, index });
+                return;
+            }
             
-            const processIteration = () => {
-                iteration++;
-                
-                // Send progress update
-                postMessage({
+            const cluster = clusters[label];
+            cluster.points.push(point);
+            cluster.pointIndices.push(index);
+            cluster.confidences.push(result.probabilities[index]);
+        });
+        
+        clusters.forEach(cluster => {
+            cluster.centroid = ClusteringUtils.calculateCentroid(cluster.points);
+        });
+        
+        return {
+            clusters,
+            noise,
+            centroids: clusters.map(cluster => cluster.centroid),
+            labels: result.labels,
+            probabilities: result.probabilities,
+            confidences: result.probabilities,
+            outlierScores: result.outlierScores,
+            condensedTree: result.condensedTree,
+            dendrogram: result.dendrogram,
+            algorithm: 'hdbscan',
+            optimalClusters: result.numClusters,
+            executionTime: result.executionTime
+        };
+    }
+};
+
+/**
+ * OPTICS clustering algorithm
+ * Returns the ordering and reachability distances with the clusters, so a ReachabilityPlot
+ * can re-extract clusters from the result without running the algorithm again
+ */
+const OPTICSRunner = {
+    run(data, options = {}) {
+        if (data.length === 0) {
+            return { clusters: [], noise: [], algorithm: 'optics' };
+        }
+        
+        const vectors = data.map(point => Array.isArray(point) ? point : [point.x, point.y]);
+        const model = new OPTICS({
+            minSamples: options.minSamples || 5,
+            maxEps: options.maxEps || Infinity,
+            metric: options.metric || 'euclidean',
+            clusterMethod: options.clusterMethod || 'xi',
+            xi: options.xi || 0.05,
+            eps: options.eps || null,
+            minClusterSize: options.minClusterSize || null,
+            onProgress: ({ phase, iteration, maxIterations, progress }) => {
+                reportProgress({
                     type: 'progress',
-                    algorithm: 'ncs',
+                    algorithm: 'optics',
+                    phase,
                     iteration,
                     maxIterations,
-                    phase: iteration < maxIterations * 0.3 ? 'initialization' :
-                           iteration < maxIterations * 0.7 ? 'optimization' :
-                           'refinement'
+                    progress
                 });
-                
-                if (iteration < maxIterations) {
-                    setTimeout(processIteration, 50); // Simulate processing time
-                } else {
-                    // Return simulated results
-                    // In real implementation, this would be actual NCS results
-                    const fallbackResult = KMeansAlgorithm.run(data, 
-                        typeof numClusters === 'number' ? numClusters : 3, 
-                        { initMethod: 'kmeans++' }
-                    );
-                    
-                    resolve({
-                        ...fallbackResult,
-                        algorithm: 'ncs',
-                        qualityScore: 0.85,
-                        confidence: 0.92,
-                        optimalClusters: fallbackResult.clusters.length
-                    });
-                }
-            };
+            }
+        });
+        
+        const result = model.fit(vectors);
+        
+        const clusters = Array.from({ length: result.numClusters }, () => ({ points: [], pointIndices: [] }));
+        const noise = [];
+        
+        data.forEach((point, index) => {
+            const label = result.labels[index];
+            if (label === -1) {
+                noise.push({ point, index });
+                return;
+            }
             
-            processIteration();
+            clusters[label].points.push(point);
+            clusters[label].pointIndices.push(index);
         });
+        
+        clusters.forEach(cluster => {
+            cluster.centroid = ClusteringUtils.calculateCentroid(cluster.points);
+        });
+        
+        return {
+            clusters,
+            noise,
+            centroids: clusters.map(cluster => cluster.centroid),
+            labels: result.labels,
+            ordering: result.ordering,
+            reachability: result.reachability,
+            coreDistances: result.coreDistances,
+            predecessor: result.predecessor,
+            xiClusters: result.xiClusters,
+            parameters: result.parameters,
+            algorithm: 'optics',
+            optimalClusters: result.numClusters,
+            executionTime: result.executionTime
+        };
     }
 };
 
+/**
+ * Run a clustering algorithm; synchronous except for hierarchical, which yields between steps
+ * @param {String} algorithm - kmeans, dbscan, hierarchical, gmm, hdbscan, optics or ncs
+ * @param {Array} data - Points as [x, y] arrays or { x, y } objects
+ * @param {Object} options - Algorithm options
+ * @param {Function} onProgress - Receives { type: 'progress', algorithm, ... } messages
+ * @returns {Object|Promise<Object>} Algorithm result
+ */
+export function runClustering(algorithm, data, options = {}, onProgress = null) {
+    const previousReporter = reportProgress;
+    reportProgress = onProgress || (() => {});
+    
+    try {
+        switch (algorithm) {
+            case 'kmeans':
+                return KMeansAlgorithm.run(data, options.k || 3, options);
+                
+            case 'dbscan':
+                return DBSCANAlgorithm.run(data, options.eps || 0.5, options.minPts || 5, options);
+                
+            case 'hierarchical':
+                return HierarchicalRunner.run(data, options);
+                
+            case 'gmm':
+                return GaussianMixtureRunner.run(data, options);
+                
+            case 'hdbscan':
+                return HDBSCANRunner.run(data, options);
+                
+            case 'optics':
+                return OPTICSRunner.run(data, options);
+                
+            case 'ncs':
+                return NCSRunner.run(data, options);
+                
+            default:
+                throw new Error(`Unknown algorithm: ${algorithm}`);
+        }
+    } finally {
+        reportProgress = previousReporter;
+    }
+}
+
 /**
  * Worker message handler
  */
-self.onmessage = async function(e) {
+async function handleMessage(e) {
     const { type, algorithm, data, options, taskId } = e.data;
     
     try {
@@ -546,28 +770,7 @@ self.onmessage = async function(e) {
                 timestamp: Date.now()
             });
             
-            let result;
-            
-            switch (algorithm) {
-                case 'kmeans':
-                    result = KMeansAlgorithm.run(data, options.k || 3, options);
-                    break;
-                    
-                case 'dbscan':
-                    result = DBSCANAlgorithm.run(data, options.eps || 0.5, options.minPts || 5, options);
-                    break;
-                    
-                case 'hierarchical':
-                    result = HierarchicalAlgorithm.run(data, options);
-                    break;
-                    
-                case 'ncs':
-                    result = await NCSAlgorithm.run(data, options);
-                    break;
-                    
-                default:
-                    throw new Error(`Unknown algorithm: ${algorithm}`);
-            }
+            const result = await runClustering(algorithm, data, options, postMessage);
             
             postMessage({
                 type: 'complete',
@@ -601,4 +804,8 @@ self.onmessage = async function(e) {
             timestamp: Date.now()
         });
     }
-};
\ No newline at end of file
+}
+
+if (IS_WORKER) {
+    self.onmessage = handleMessage;
+}
\ No newline at end of file
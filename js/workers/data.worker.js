@@ -2,6 +2,10 @@
 // Path: js/workers/data.worker.js
 // Data processing web worker for NCS-API-Website
 // Handles data parsing, validation, preprocessing, and transformation in background
+// Loaded as a module worker: new Worker(url, { type: 'module' })
+
+import { parseXLSX } from '../data/xlsx.js';
+import { isFrame, encodeDataset, decodeDataset, datasetToRows } from '../utils/binaryFrame.js';
 
 /**
  * Data parsing utilities
@@ -111,6 +115,35 @@ const DataParser = {
         return result;
     },
     
+    /**
+     * Parse XLSX workbook (ArrayBuffer)
+     */
+    parseXLSX(buffer, options = {}) {
+        const { data, headers, summary } = parseXLSX(buffer, {
+            sheet: options.sheet,
+            headerRow: options.headerRow,
+            hasHeader: options.hasHeader
+        });
+        
+        // Dates become ISO strings so rows match the CSV output
+        data.forEach(row => {
+            headers.forEach(header => {
+                if (row[header] instanceof Date) {
+                    row[header] = row[header].toISOString();
+                }
+            });
+        });
+        
+        return {
+            headers,
+            data,
+            errors: [],
+            sheet: summary.sheet,
+            sheetNames: summary.sheetNames,
+            headerRow: summary.headerRow
+        };
+    },
+    
     /**
      * Parse JSON data
      */
@@ -745,13 +778,32 @@ const DataTransformer = {
     }
 };
 
+/**
+ * Replace the rows of a result with a binary frame, so they can be transferred
+ * to the main thread (and on to APIClient.startClustering) without a structured clone
+ */
+function toFrameResult(result, options = {}) {
+    const rows = Array.isArray(result) ? result : result.data;
+    const frame = encodeDataset(rows, { columns: options.frameColumns, dtype: options.frameDtype });
+    const { data, ...rest } = Array.isArray(result) ? {} : result;
+    
+    return { ...rest, frame, rows: rows.length };
+}
+
 /**
  * Worker message handler
+ * Any operation accepts a dataset frame as data; options.encodeFrame returns the
+ * resulting rows as a transferred frame instead
  */
 self.onmessage = function(e) {
-    const { type, data, options, taskId } = e.data;
+    const { type, options, taskId } = e.data;
+    let { data } = e.data;
     
     try {
+        if (isFrame(data)) {
+            data = datasetToRows(decodeDataset(data));
+        }
+        
         postMessage({
             type: 'start',
             operation: type,
@@ -770,6 +822,10 @@ self.onmessage = function(e) {
                 result = DataParser.parseJSON(data, options);
                 break;
                 
+            case 'parse_xlsx':
+                result = DataParser.parseXLSX(data, options);
+                break;
+                
             case 'validate':
                 result = DataValidator.validateDataset(data, options);
                 break;
@@ -798,6 +854,10 @@ self.onmessage = function(e) {
                 result = DataTransformer.extractClusteringFeatures(data, options);
                 break;
                 
+            case 'encode_dataset':
+                result = { frame: encodeDataset(data, options), rows: data.length };
+                break;
+                
             case 'preprocess_pipeline':
                 // Run full preprocessing pipeline
                 let pipeline = data;
@@ -837,13 +897,17 @@ self.onmessage = function(e) {
                 throw new Error(`Unknown operation: ${type}`);
         }
         
+        if (options?.encodeFrame && type !== 'encode_dataset') {
+            result = toFrameResult(result, options);
+        }
+        
         postMessage({
             type: 'complete',
             operation: type,
             result,
             taskId,
             timestamp: Date.now()
-        });
+        }, result?.frame ? [result.frame] : []);
         
     } catch (error) {
         postMessage({
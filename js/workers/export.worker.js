@@ -3,6 +3,17 @@
 // Export operations web worker for NCS-API-Website
 // Handles data export, report generation, and file creation in background
 
+import { ZipWriter } from '../utils/zip.js';
+import { PDFDocument } from '../utils/pdf.js';
+import {
+    isFrame,
+    decodeDataset,
+    datasetToRows,
+    getDatasetColumns,
+    decodeResult,
+    resultToClusters
+} from '../utils/binaryFrame.js';
+
 /**
  * CSV export utilities
  */
@@ -517,6 +528,355 @@ const ReportGenerator = {
     }
 };
 
+/**
+ * PDF report generator
+ */
+const PDFReportGenerator = {
+    /**
+     * Generate a paginated PDF report with a table of contents
+     * @returns {Promise<Uint8Array>} PDF bytes
+     */
+    async generatePDFReport(data, clusters, algorithm, qualityMetrics, options = {}) {
+        const title = options.title || 'Clustering Analysis Report';
+        const pdf = new PDFDocument({
+            title,
+            subject: `${algorithm} clustering results`,
+            pageSize: options.pageSize
+        });
+        const layout = this.createLayout(pdf);
+        const sections = [];
+        
+        const totalPoints = data.length;
+        const clusteredPoints = clusters.reduce((sum, cluster) => sum + cluster.pointIndices.length, 0);
+        const percentOf = count => totalPoints > 0 ? ((count / totalPoints) * 100).toFixed(1) + '%' : '0%';
+        
+        const startSection = heading => {
+            layout.newPage();
+            sections.push({ title: heading, page: layout.page, top: layout.y });
+            pdf.addOutline(heading, layout.page, layout.y);
+            layout.heading(heading);
+        };
+        
+        // Cover page with table of contents filled in once section pages are known
+        const coverPage = layout.newPage();
+        layout.y += 120;
+        coverPage.text(title, layout.left, layout.y, { font: 'bold', size: 26, color: '#1e293b' });
+        layout.y += 14;
+        coverPage.rect(layout.left, layout.y, layout.width, 3, { fill: '#6366f1' });
+        layout.y += 30;
+        layout.keyValueTable([
+            ['Generated', new Date().toLocaleString()],
+            ['Algorithm', algorithm || 'unknown'],
+            ['Data Points', totalPoints.toLocaleString()],
+            ['Clusters Found', clusters.length.toLocaleString()]
+        ]);
+        layout.y += 30;
+        const contentsTop = layout.y;
+        
+        startSection('Summary Statistics');
+        layout.keyValueTable([
+            ['Clusters Found', clusters.length.toLocaleString()],
+            ['Clustered Points', `${clusteredPoints.toLocaleString()} (${percentOf(clusteredPoints)})`],
+            ['Noise Points', `${(totalPoints - clusteredPoints).toLocaleString()} (${percentOf(totalPoints - clusteredPoints)})`],
+            ['Average Cluster Size', clusters.length > 0 ? Math.round(clusteredPoints / clusters.length).toLocaleString() : '0'],
+            ['Largest Cluster', clusters.length > 0 ? Math.max(...clusters.map(c => c.pointIndices.length)).toLocaleString() : '0'],
+            ['Smallest Cluster', clusters.length > 0 ? Math.min(...clusters.map(c => c.pointIndices.length)).toLocaleString() : '0']
+        ]);
+        
+        startSection('Algorithm & Parameters');
+        const parameterRows = this.flattenValues(options.algorithmParams || {});
+        layout.keyValueTable([
+            ['Algorithm', algorithm || 'unknown'],
+            ...(options.executionTime ? [['Execution Time', `${options.executionTime} ms`]] : [])
+        ]);
+        layout.y += 16;
+        layout.subheading('Parameters');
+        if (parameterRows.length > 0) {
+            layout.table([{ label: 'Parameter', width: 0.5 }, { label: 'Value', width: 0.5 }], parameterRows);
+        } else {
+            layout.paragraph('Default parameters were used.');
+        }
+        
+        startSection('Quality Metrics');
+        const metricRows = this.flattenValues(qualityMetrics || {});
+        if (qualityMetrics && qualityMetrics.summary) {
+            const summary = qualityMetrics.summary;
+            layout.keyValueTable([
+                ['Overall Score', Number.isFinite(summary.overallScore) ? `${(summary.overallScore * 100).toFixed(1)}%` : 'N/A'],
+                ['Internal Quality', Number.isFinite(summary.internalScore) ? `${(summary.internalScore * 100).toFixed(1)}%` : 'N/A'],
+                ['Recommendation', summary.recommendation || 'N/A']
+            ]);
+            layout.y += 16;
+        }
+        if (metricRows.length > 0) {
+            layout.subheading('All Metrics');
+            layout.table([{ label: 'Metric', width: 0.6 }, { label: 'Value', width: 0.4, align: 'right' }], metricRows);
+        } else {
+            layout.paragraph('No quality metrics were computed for this run.');
+        }
+        
+        startSection('Visualization');
+        const svg = ImageExporter.createSVG(data, clusters, { width: 800, height: 600 });
+        const plotHeight = layout.width * 0.75;
+        layout.page.drawSVG(svg, layout.left, layout.y, layout.width, plotHeight);
+        layout.y += plotHeight + 12;
+        layout.paragraph(`Scatter plot of ${totalPoints.toLocaleString()} points coloured by cluster. Large rings mark cluster centroids.`, { size: 9, color: '#64748b' });
+        
+        startSection('Cluster Details');
+        layout.table([
+            { label: 'Cluster', width: 0.2 },
+            { label: 'Size', width: 0.2, align: 'right' },
+            { label: 'Percentage', width: 0.2, align: 'right' },
+            { label: 'Centroid X', width: 0.2, align: 'right' },
+            { label: 'Centroid Y', width: 0.2, align: 'right' }
+        ], clusters.map((cluster, index) => [
+            `Cluster ${index}`,
+            cluster.pointIndices.length.toLocaleString(),
+            percentOf(cluster.pointIndices.length),
+            cluster.centroid ? cluster.centroid.x.toFixed(3) : 'N/A',
+            cluster.centroid ? cluster.centroid.y.toFixed(3) : 'N/A'
+        ]));
+        
+        clusters.forEach((cluster, index) => {
+            const stats = this.clusterStatistics(data, cluster);
+            layout.ensureSpace(150);
+            layout.y += 12;
+            layout.subheading(`Cluster ${index}`);
+            layout.table([
+                { label: 'Statistic', width: 0.4 },
+                { label: 'X', width: 0.3, align: 'right' },
+                { label: 'Y', width: 0.3, align: 'right' }
+            ], [
+                ['Mean', stats.meanX.toFixed(3), stats.meanY.toFixed(3)],
+                ['Standard Deviation', stats.stdX.toFixed(3), stats.stdY.toFixed(3)],
+                ['Minimum', stats.minX.toFixed(3), stats.minY.toFixed(3)],
+                ['Maximum', stats.maxX.toFixed(3), stats.maxY.toFixed(3)]
+            ]);
+        });
+        
+        this.drawTableOfContents(pdf, coverPage, contentsTop, sections);
+        this.drawFooters(pdf, title);
+        
+        return pdf.toUint8Array();
+    },
+    
+    /**
+     * Flowing layout state: current page and vertical cursor
+     */
+    createLayout(pdf) {
+        return {
+            pdf,
+            page: null,
+            y: 0,
+            left: pdf.margins.left,
+            width: pdf.contentWidth,
+            bottom: pdf.pageHeight - pdf.margins.bottom,
+            
+            newPage() {
+                this.page = pdf.addPage();
+                this.y = pdf.margins.top;
+                return this.page;
+            },
+            
+            ensureSpace(height) {
+                if (this.y + height > this.bottom) {
+                    this.newPage();
+                    return true;
+                }
+                return false;
+            },
+            
+            heading(text) {
+                this.y += 18;
+                this.page.text(text, this.left, this.y, { font: 'bold', size: 18, color: '#1e293b' });
+                this.y += 8;
+                this.page.rect(this.left, this.y, this.width, 2, { fill: '#6366f1' });
+                this.y += 24;
+            },
+            
+            subheading(text) {
+                this.ensureSpace(48);
+                this.y += 12;
+                this.page.text(text, this.left, this.y, { font: 'bold', size: 13, color: '#334155' });
+                this.y += 12;
+            },
+            
+            paragraph(text, options = {}) {
+                const size = options.size || 11;
+                pdf.wrapText(text, this.width, size).forEach(line => {
+                    this.ensureSpace(size * 1.4);
+                    this.y += size * 1.4;
+                    this.page.text(line, this.left, this.y, { size, color: options.color || '#334155' });
+                });
+                this.y += size * 0.6;
+            },
+            
+            keyValueTable(rows) {
+                this.table([{ label: '', width: 0.35, font: 'bold' }, { label: '', width: 0.65 }], rows, { header: false });
+            },
+            
+            /**
+             * Draw a table, repeating the header row after page breaks
+             */
+            table(columns, rows, options = {}) {
+                const rowHeight = 20;
+                const size = 10;
+                const padding = 6;
+                const widths = columns.map(column => column.width * this.width);
+                
+                const drawRow = (cells, isHeader, shaded) => {
+                    if (isHeader || shaded) {
+                        this.page.rect(this.left, this.y, this.width, rowHeight, { fill: isHeader ? '#e2e8f0' : '#f8fafc' });
+                    }
+                    
+                    let x = this.left;
+                    cells.forEach((cell, i) => {
+                        const column = columns[i] || {};
+                        const font = isHeader || column.font === 'bold' ? 'bold' : 'regular';
+                        const text = PDFReportGenerator.fitText(pdf, String(cell ?? ''), widths[i] - padding * 2, size, font);
+                        const textX = column.align === 'right' ? x + widths[i] - padding : x + padding;
+                        
+                        this.page.text(text, textX, this.y + rowHeight - 6, {
+                            font,
+                            size,
+                            color: '#1e293b',
+                            align: column.align === 'right' ? 'right' : 'left'
+                        });
+                        x += widths[i];
+                    });
+                    
+                    this.page.line(this.left, this.y + rowHeight, this.left + this.width, this.y + rowHeight, { color: '#e2e8f0', lineWidth: 0.5 });
+                    this.y += rowHeight;
+                };
+                
+                const showHeader = options.header !== false;
+                this.ensureSpace(rowHeight * (showHeader ? 2 : 1));
+                if (showHeader) drawRow(columns.map(column => column.label), true, false);
+                
+                rows.forEach((row, index) => {
+                    if (this.ensureSpace(rowHeight) && showHeader) {
+                        drawRow(columns.map(column => column.label), true, false);
+                    }
+                    drawRow(row, false, index % 2 === 1);
+                });
+            }
+        };
+    },
+    
+    /**
+     * Truncate text with an ellipsis to fit a width
+     */
+    fitText(pdf, text, maxWidth, size, font) {
+        if (pdf.measureText(text, size, font) <= maxWidth) return text;
+        
+        let end = text.length;
+        while (end > 0 && pdf.measureText(text.slice(0, end) + '...', size, font) > maxWidth) end--;
+        return text.slice(0, end) + '...';
+    },
+    
+    /**
+     * Flatten nested parameter or metric objects into label/value rows
+     */
+    flattenValues(source, prefix = '', depth = 0) {
+        const rows = [];
+        
+        Object.entries(source).forEach(([key, value]) => {
+            const label = prefix ? `${prefix}.${key}` : key;
+            
+            if (value === null || value === undefined || typeof value === 'function') return;
+            
+            if (typeof value === 'number') {
+                rows.push([label, Number.isInteger(value) ? value.toLocaleString() : value.toFixed(4)]);
+            } else if (typeof value === 'string' || typeof value === 'boolean') {
+                rows.push([label, String(value)]);
+            } else if (Array.isArray(value)) {
+                if (value.length <= 5 && value.every(item => typeof item !== 'object')) {
+                    rows.push([label, value.join(', ')]);
+                }
+            } else if (typeof value === 'object' && depth < 3) {
+                rows.push(...this.flattenValues(value, label, depth + 1));
+            }
+        });
+        
+        return rows;
+    },
+    
+    /**
+     * Per-axis mean, spread and range of a cluster's points
+     */
+    clusterStatistics(data, cluster) {
+        const xs = [];
+        const ys = [];
+        cluster.pointIndices.forEach(index => {
+            const point = data[index];
+            if (!point) return;
+            xs.push(point.x ?? point[0] ?? 0);
+            ys.push(point.y ?? point[1] ?? 0);
+        });
+        
+        const describe = values => {
+            if (values.length === 0) return { mean: 0, std: 0, min: 0, max: 0 };
+            const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+            const variance = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length;
+            return {
+                mean,
+                std: Math.sqrt(variance),
+                min: values.reduce((min, v) => Math.min(min, v), Infinity),
+                max: values.reduce((max, v) => Math.max(max, v), -Infinity)
+            };
+        };
+        
+        const x = describe(xs);
+        const y = describe(ys);
+        return {
+            meanX: x.mean, stdX: x.std, minX: x.min, maxX: x.max,
+            meanY: y.mean, stdY: y.std, minY: y.min, maxY: y.max
+        };
+    },
+    
+    /**
+     * Contents list with dotted leaders and links to each section
+     */
+    drawTableOfContents(pdf, page, top, sections) {
+        const left = pdf.margins.left;
+        const right = pdf.pageWidth - pdf.margins.right;
+        let y = top;
+        
+        page.text('Contents', left, y, { font: 'bold', size: 16, color: '#1e293b' });
+        y += 28;
+        
+        sections.forEach((section, index) => {
+            const label = `${index + 1}. ${section.title}`;
+            const pageNumber = String(section.page.number);
+            const labelWidth = pdf.measureText(label, 12);
+            const numberWidth = pdf.measureText(pageNumber, 12);
+            const dotWidth = pdf.measureText('.', 12);
+            const dots = Math.max(0, Math.floor((right - left - labelWidth - numberWidth - 12) / dotWidth));
+            
+            page.text(label, left, y, { size: 12, color: '#1e293b' });
+            page.text('.'.repeat(dots), left + labelWidth + 6, y, { size: 12, color: '#94a3b8' });
+            page.text(pageNumber, right, y, { size: 12, color: '#1e293b', align: 'right' });
+            page.link(left, y - 12, right - left, 16, section.page, section.top);
+            y += 22;
+        });
+    },
+    
+    /**
+     * Title and page numbers at the bottom of every page
+     */
+    drawFooters(pdf, title) {
+        const left = pdf.margins.left;
+        const right = pdf.pageWidth - pdf.margins.right;
+        const y = pdf.pageHeight - pdf.margins.bottom / 2;
+        
+        pdf.pages.forEach((page, index) => {
+            page.line(left, y - 12, right, y - 12, { color: '#e2e8f0', lineWidth: 0.5 });
+            page.text(title, left, y, { size: 8, color: '#64748b' });
+            page.text(`Page ${index + 1} of ${pdf.pageCount}`, right, y, { size: 8, color: '#64748b', align: 'right' });
+        });
+    }
+};
+
 /**
  * File creation utilities
  */
@@ -542,13 +902,47 @@ const FileCreator = {
     }
 };
 
+/**
+ * Unpack binary frame inputs: a dataset frame as data, and a result frame as
+ * options.resultFrame (e.g. APIClient.getClusteringResults(jobId, { raw: true })),
+ * both transferred to the worker so the main thread never decodes them
+ */
+function decodeFrameInputs(data, options = {}) {
+    let columns = null;
+    if (isFrame(data)) {
+        const dataset = decodeDataset(data);
+        columns = dataset.columns;
+        data = datasetToRows(dataset);
+    }
+    
+    if (!options.resultFrame) {
+        return { data, options };
+    }
+    
+    const { resultFrame, ...rest } = options;
+    const result = decodeResult(resultFrame);
+    const names = (columns || getDatasetColumns(data || [])).filter(column => typeof column === 'string');
+    
+    return {
+        data,
+        options: {
+            clusters: resultToClusters(result, names.length > 0 ? names : null),
+            algorithm: result.algorithm,
+            qualityMetrics: result.metrics,
+            ...rest
+        }
+    };
+}
+
 /**
  * Worker message handler
  */
 self.onmessage = async function(e) {
-    const { type, data, options, taskId } = e.data;
+    const { type, taskId } = e.data;
     
     try {
+        const { data, options } = decodeFrameInputs(e.data.data, e.data.options);
+        
         postMessage({
             type: 'start',
             operation: type,
@@ -647,6 +1041,22 @@ self.onmessage = async function(e) {
                 };
                 break;
                 
+            case 'generate_pdf_report':
+                const pdfReport = await PDFReportGenerator.generatePDFReport(
+                    data,
+                    options.clusters,
+                    options.algorithm,
+                    options.qualityMetrics,
+                    options
+                );
+                result = {
+                    content: pdfReport,
+                    mimeType: 'application/pdf',
+                    filename: options.filename || 'clustering_report.pdf',
+                    size: pdfReport.length
+                };
+                break;
+                
             case 'create_data_url':
                 const dataURL = await FileCreator.createDataURL(data, options.mimeType);
                 result = {
@@ -658,10 +1068,13 @@ self.onmessage = async function(e) {
                 break;
                 
             case 'export_batch':
-                // Export multiple formats at once
-                const batchResults = {};
+                // Export multiple formats at once as a single ZIP archive
+                const archive = new ZipWriter({ compression: options.compression || 'deflate' });
+                const batchFiles = [];
+                const formatEntries = Object.entries(options.formats || {});
                 
-                for (const [format, formatOptions] of Object.entries(options.formats)) {
+                for (let i = 0; i < formatEntries.length; i++) {
+                    const [format, formatOptions = {}] = formatEntries[i];
                     let content;
                     let mimeType;
                     let filename;
@@ -691,19 +1104,53 @@ self.onmessage = async function(e) {
                             mimeType = 'text/html';
                             filename = formatOptions.filename || 'clustering_report.html';
                             break;
+                        case 'pdf':
+                            content = await PDFReportGenerator.generatePDFReport(
+                                data, options.clusters, options.algorithm, options.qualityMetrics, formatOptions
+                            );
+                            mimeType = 'application/pdf';
+                            filename = formatOptions.filename || 'clustering_report.pdf';
+                            break;
+                        case 'markdown':
+                            content = ReportGenerator.generateMarkdownReport(
+                                data, options.clusters, options.algorithm, options.qualityMetrics, formatOptions
+                            );
+                            mimeType = 'text/markdown';
+                            filename = formatOptions.filename || 'clustering_report.md';
+                            break;
                     }
                     
                     if (content) {
-                        batchResults[format] = {
-                            content,
-                            mimeType,
+                        const entry = await archive.add(filename, content);
+                        batchFiles.push({
+                            format,
                             filename,
-                            size: content.length
-                        };
+                            mimeType,
+                            size: entry.size,
+                            compressedSize: entry.compressedSize
+                        });
                     }
+                    
+                    postMessage({
+                        type: 'progress',
+                        operation: type,
+                        progress: ((i + 1) / formatEntries.length) * 100,
+                        taskId
+                    });
                 }
                 
-                result = batchResults;
+                if (batchFiles.length === 0) {
+                    throw new Error('No supported formats requested for batch export');
+                }
+                
+                const zipBlob = await archive.toBlob();
+                result = {
+                    content: zipBlob,
+                    mimeType: 'application/zip',
+                    filename: options.filename || 'clustering_export.zip',
+                    size: zipBlob.size,
+                    files: batchFiles
+                };
                 break;
                 
             default:
@@ -6,7 +6,7 @@
  * - Cache-first for static assets
  * - Network-first for API calls  
  * - Offline fallbacks
- * - Background sync
+ * - Background sync (replays the offline request queue)
  * - Push notifications
  * - Cache management
  * - Update handling
@@ -105,6 +105,20 @@ const SYNC_CONFIG = {
     }
 };
 
+// Offline request queue written by js/api/offlineQueue.js (keep the names in sync)
+const OFFLINE_QUEUE = {
+    dbName: 'ncs-offline-queue',
+    storeName: 'requests',
+    messages: {
+        result: 'OFFLINE_QUEUE_RESULT',
+        replay: 'REPLAY_OFFLINE_QUEUE',
+        credential: 'OFFLINE_QUEUE_CREDENTIAL'
+    },
+    retryStatuses: [408, 429, 500, 502, 503, 504],
+    credentialTimeout: 5000, // How long to wait for a page to answer a credential request
+    authPendingError: 'Waiting for a signed-in session'
+};
+
 // Performance monitoring
 const PERFORMANCE = {
     enabled: true,
@@ -285,6 +299,12 @@ self.addEventListener('message', (event) => {
         case 'SYNC_DATA':
             event.waitUntil(scheduleBackgroundSync(payload.tag, payload.data));
             break;
+        case OFFLINE_QUEUE.messages.replay:
+            // Pages without Background Sync ask for the replay once they are back online
+            event.waitUntil(replayOfflineQueue().catch(error => {
+                console.warn('⚠️ Offline queue replay incomplete:', error.message);
+            }));
+            break;
         default:
             console.warn('Unknown message type:', type);
     }
@@ -670,6 +690,194 @@ async function syncClusteringRequests() {
     } catch (error) {
         console.error('❌ Background sync failed:', error);
     }
+    
+    // Rejects while the network is still down, so the browser retries the sync later
+    await replayOfflineQueue();
+}
+
+/**
+ * Open the offline request queue
+ */
+function openOfflineQueue() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(OFFLINE_QUEUE.dbName, 1);
+        request.onupgradeneeded = () => {
+            if (!request.result.objectStoreNames.contains(OFFLINE_QUEUE.storeName)) {
+                request.result.createObjectStore(OFFLINE_QUEUE.storeName);
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function offlineQueueTransaction(db, mode, operation) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(OFFLINE_QUEUE.storeName, mode);
+        const request = operation(transaction.objectStore(OFFLINE_QUEUE.storeName));
+        
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+let offlineQueueReplay = null;
+
+/**
+ * Replay queued clustering requests and report each outcome to the open pages
+ * (mirrors OfflineQueue.replay() in js/api/offlineQueue.js)
+ */
+function replayOfflineQueue() {
+    // A sync event and a page request may arrive together
+    if (!offlineQueueReplay) {
+        offlineQueueReplay = runOfflineQueueReplay().finally(() => {
+            offlineQueueReplay = null;
+        });
+    }
+    return offlineQueueReplay;
+}
+
+async function runOfflineQueueReplay() {
+    const db = await openOfflineQueue();
+    
+    try {
+        const entries = (await offlineQueueTransaction(db, 'readonly', store => store.getAll()))
+            .filter(entry => entry.status === 'pending' || entry.status === 'syncing')
+            .map(withoutStoredCredential)
+            .sort((a, b) => a.createdAt - b.createdAt);
+        let offline = false;
+        
+        // Fetched from an open page once per replay; credentials are never stored in the queue
+        const credentials = createCredentialSource();
+        
+        for (const entry of entries) {
+            const { networkError, ...update } = await sendQueuedRequest(entry, credentials);
+            const saved = { ...entry, ...update, updatedAt: Date.now() };
+            
+            await offlineQueueTransaction(db, 'readwrite', store => store.put(saved, saved.id));
+            
+            if (saved.status === 'pending') {
+                offline = offline || Boolean(networkError);
+                continue;
+            }
+            
+            console.log(`✅ Replayed queued request ${saved.id}: ${saved.status}`);
+            await postToClients({ type: OFFLINE_QUEUE.messages.result, entry: saved });
+        }
+        
+        if (offline) {
+            throw new Error('Network still unavailable');
+        }
+    } finally {
+        db.close();
+    }
+}
+
+async function sendQueuedRequest(entry, credentials) {
+    const attempts = entry.attempts + 1;
+    let credential = null;
+    
+    if (entry.authenticated) {
+        // Without an open, signed-in page the entry waits for the next replay
+        credential = await credentials.get(entry);
+        if (!credential) {
+            return { status: 'pending', error: OFFLINE_QUEUE.authPendingError };
+        }
+    }
+    
+    try {
+        let response = await fetchQueuedRequest(entry, credential);
+        
+        if (response.status === 401 && entry.authenticated) {
+            // The session expired while offline: have the page renew it and try once more
+            credential = await credentials.get(entry, { refresh: true });
+            response = credential ? await fetchQueuedRequest(entry, credential) : response;
+            if (response.status === 401) {
+                return { status: 'pending', error: OFFLINE_QUEUE.authPendingError };
+            }
+        }
+        
+        const result = await response.json().catch(() => null);
+        
+        if (response.ok) {
+            return { status: 'completed', attempts, result, error: null, headers: {} };
+        }
+        
+        const error = (result && (result.message || result.error)) || `HTTP ${response.status}`;
+        const retry = OFFLINE_QUEUE.retryStatuses.includes(response.status) && attempts < SYNC_CONFIG.maxRetries;
+        return retry
+            ? { status: 'pending', attempts, error }
+            : { status: 'failed', attempts, error, headers: {} };
+        
+    } catch (error) {
+        return { status: 'pending', error: error.message, networkError: true };
+    }
+}
+
+function fetchQueuedRequest(entry, credential) {
+    return fetch(entry.url, {
+        method: entry.method,
+        headers: credential ? { ...entry.headers, 'Authorization': `Bearer ${credential}` } : entry.headers,
+        body: entry.body
+    });
+}
+
+/**
+ * Entries queued by earlier builds stored the Authorization header; drop it and use a current one
+ */
+function withoutStoredCredential(entry) {
+    if (!entry.headers || !('Authorization' in entry.headers)) return entry;
+    
+    const { Authorization, ...headers } = entry.headers;
+    return { ...entry, headers, authenticated: true };
+}
+
+/**
+ * Credential lookup for one replay: asks the open pages (see OfflineQueue.handleMessage())
+ * per connection profile and backend, and remembers each answer until a refresh is requested
+ */
+function createCredentialSource() {
+    const answers = new Map();
+    
+    return {
+        async get(entry, { refresh = false } = {}) {
+            const request = { url: entry.url, profileId: entry.profileId || null, refresh };
+            const key = `${request.profileId}|${request.url}`;
+            
+            if (!answers.has(key) || refresh) {
+                answers.set(key, requestCredential(request));
+            }
+            return answers.get(key);
+        }
+    };
+}
+
+async function requestCredential(request) {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    
+    for (const client of clients) {
+        const credential = await requestClientCredential(client, request);
+        if (credential) return credential;
+    }
+    return null;
+}
+
+function requestClientCredential(client, request) {
+    return new Promise(resolve => {
+        const channel = new MessageChannel();
+        const timer = setTimeout(() => resolve(null), OFFLINE_QUEUE.credentialTimeout);
+        
+        channel.port1.onmessage = (event) => {
+            clearTimeout(timer);
+            resolve((event.data && event.data.credential) || null);
+        };
+        client.postMessage({ type: OFFLINE_QUEUE.messages.credential, ...request }, [channel.port2]);
+    });
+}
+
+async function postToClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clients.forEach(client => client.postMessage(message));
 }
 
 /**